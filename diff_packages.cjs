@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * 2 つの侵害パッケージリストの差分を表示するスクリプト
+ * 新しいリストが blacklists/ に追加されたときに、追加・削除されたパッケージと
+ * バージョンが変わったパッケージを確認し、再検査が必要なプロジェクトの告知に使う
+ *
+ * 比較できるファイル:
+ *   - blacklists/ のリストファイル（.txt / .csv / .json、lib/importers.cjs の形式）
+ *   - 生成済みの compromised_packages.json のスナップショット
+ *
+ * 使用方法:
+ *   node diff_packages.cjs <比較元> <比較先> [--format text|json] [--output <file>] [--lang en|ja]
+ *   node diff_packages.cjs blacklists/npm_black_list_20250919.txt blacklists/npm_black_list_20251128.txt
+ *   node diff_packages.cjs old/compromised_packages.json compromised_packages.json --format json --output diff.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { langFromArgs, createTranslator } = require('./lib/i18n.cjs');
+const { diffLists } = require('./lib/diff.cjs');
+
+// 表示言語（--lang がなければ環境変数 LANG などから判定）
+const t = createTranslator(langFromArgs(process.argv.slice(2)));
+
+const FORMATS = ['text', 'json'];
+
+/**
+ * コマンドライン引数を解析
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{files: string[], format: string, output: string|null}}
+ * @throws {Error} 不明なオプションや不正な値の場合
+ */
+function parseArgs(argv) {
+	const args = { files: [], format: 'text', output: null };
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const eq = arg.indexOf('=');
+		const name = arg.startsWith('--') && eq !== -1 ? arg.slice(0, eq) : arg;
+		const value = () => {
+			const text = eq !== -1 && arg.startsWith('--') ? arg.slice(eq + 1) : argv[++i];
+			if (!text) throw new Error(t('cli.valueRequired', { name: name.replace(/^-+/, '') }));
+			return text;
+		};
+
+		if (name === '--format') {
+			args.format = value();
+			if (!FORMATS.includes(args.format)) throw new Error(t('cli.invalidChoice', { name: 'format', value: args.format, choices: FORMATS.join(' | ') }));
+		} else if (name === '--output' || name === '-o') {
+			args.output = value();
+		} else if (name === '--lang') {
+			value(); // langFromArgs で処理済み
+		} else if (arg.startsWith('-')) {
+			throw new Error(t('cli.unknownOption', { arg }));
+		} else {
+			args.files.push(arg);
+		}
+	}
+
+	if (args.files.length !== 2) throw new Error(t('diff.twoFiles'));
+	return args;
+}
+
+/**
+ * パッケージのバージョンと範囲を 1 行にまとめる
+ * @param {{versions: string[], ranges: string[]}} pkg
+ * @returns {string} 例: "1.0.0, 1.0.1, >=2.0.0 <2.1.0"（どちらもない場合は「バージョン指定なし」）
+ */
+function versionsText(pkg) {
+	const all = [...pkg.versions, ...pkg.ranges];
+	return all.length > 0 ? all.join(', ') : t('diff.noVersions');
+}
+
+/**
+ * 差分をテキストで表示用に整形
+ * @param {Object} diff - lib/diff.cjs の diffLists() の結果
+ * @returns {string}
+ */
+function renderText(diff) {
+	const lines = [t('diff.title', { old: diff.old, new: diff.new }), ''];
+
+	lines.push(t('diff.added', { count: diff.added.length }));
+	diff.added.forEach((pkg) => lines.push(`   + ${pkg.name} (${versionsText(pkg)})`));
+	if (diff.added.length === 0) lines.push(t('diff.none'));
+
+	lines.push('', t('diff.removed', { count: diff.removed.length }));
+	diff.removed.forEach((pkg) => lines.push(`   - ${pkg.name} (${versionsText(pkg)})`));
+	if (diff.removed.length === 0) lines.push(t('diff.none'));
+
+	lines.push('', t('diff.changed', { count: diff.changed.length }));
+	diff.changed.forEach((change) => {
+		const changes = [
+			...[...change.addedVersions, ...change.addedRanges].map((version) => `+${version}`),
+			...[...change.removedVersions, ...change.removedRanges].map((version) => `-${version}`),
+		];
+		lines.push(`   ~ ${change.name}: ${changes.join(', ')}`);
+	});
+	if (diff.changed.length === 0) lines.push(t('diff.none'));
+
+	lines.push('', t('diff.summary', diff.summary));
+	if (diff.added.length + diff.changed.length > 0) lines.push(t('diff.rescan'));
+
+	return lines.join('\n');
+}
+
+let args;
+try {
+	args = parseArgs(process.argv.slice(2));
+} catch (error) {
+	console.error(t('error.prefix', { message: error.message }) + '\n');
+	console.error(t('diff.usage'));
+	process.exit(2);
+}
+
+let diff;
+try {
+	diff = diffLists(args.files[0], args.files[1], { t });
+} catch (error) {
+	console.error(t('diff.loadFailed', { message: error.message }));
+	process.exit(1);
+}
+
+const rendered = args.format === 'json' ? JSON.stringify(diff, null, 2) : renderText(diff);
+
+if (args.output) {
+	const outputDir = path.dirname(path.resolve(args.output));
+	if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+	fs.writeFileSync(args.output, rendered + '\n', 'utf8');
+	console.log(t('diff.saved', { file: args.output }));
+} else {
+	console.log(rendered);
+}
@@ -1,163 +1,187 @@
 #!/usr/bin/env node
 
 /**
- * npm_black_list.txt からパッケージ名とバージョンを抽出して
+ * blacklists/ のリストからパッケージ名とバージョンを抽出して
  * CSV と JSON ファイルを生成するスクリプト
  *
- * 使用方法: node extract_packages.cjs
+ * 対応するリストの形式（詳細は lib/importers.cjs）:
+ *   .txt  - テキスト（npm_black_list_20251128.txt など）
+ *   .csv  - CSV（package_name, versions, ranges などの列）
+ *   .json - JSON 配列、OSV レコード、GitHub Security Advisory
+ *
+ * 使用方法: node extract_packages.cjs [--merge-versions | --no-dedup | --keep-first] [--strict] [--lang en|ja]
+ *
+ * 抽出モード（同じパッケージが複数のリスト・行に現れる場合）:
+ *   --merge-versions  バージョンをマージ（デフォルト）
+ *   --no-dedup        すべてのエントリーを保持
+ *   --keep-first      最初のエントリーのみ保持
+ *
+ * 抽出の処理は lib/extract.cjs にあり、index.cjs の自動再生成でも同じ処理を使う
+ * 入力 (blacklists/) と出力はスクリプトの場所を基準にする
+ *
+ * リストの検証（lib/validate.cjs）:
+ *   解析できない行、不正なパッケージ名・バージョン・範囲、バージョンなしとバージョン付きの記載の混在を報告する
+ *   --strict          問題が 1 件でもあれば、ファイルを生成せずに終了コード 1 で終了
+ *
+ * 不明なオプション（--mode=keepall など）は、既定のモードで抽出せずに終了コード 2 で終了する
+ *
+ * いずれのモードでも、バージョン・範囲ごとにどのリストの何行目に記載されていたか (provenance) を出力する
+ * OSV などの範囲（">=1.0.0 <1.2.0"）は ranges に出力し、検査時にインストール済みのバージョンと照合する
+ *
+ * 各パッケージには、記載されていたリストの情報を付与する:
+ *   campaign  - キャンペーン名（リストのヘッダー行 "--- campaign : Shai-Hulud v2 ---"）
+ *   source    - 出典の URL（リストのヘッダー行 "--- source : https://... ---"）
+ *   firstSeen - 初出日（ヘッダー行 "--- first_seen : 2025-11-24 ---"、ない場合はファイル名の日付 npm_black_list_20251128.txt -> 2025-11-28）
+ *   severity  - 深刻度（ヘッダー行 "--- severity : high ---"、デフォルト: critical）
+ * ヘッダー行はそれ以降の行に適用する（1 つのリストに複数のキャンペーンを書ける）
+ * CSV・JSON では行・レコードごとの値を優先する（OSV / GitHub Security Advisory ではアドバイザリー ID・公開日・深刻度）
  */
 
 const fs = require('fs');
 const path = require('path');
+const { langFromArgs, createTranslator } = require('./lib/i18n.cjs');
+const extract = require('./lib/extract.cjs');
 
-const INPUT_DIR = 'blacklists';
-const OUTPUT_CSV = 'compromised_packages.csv';
-const OUTPUT_JSON = 'compromised_packages.json';
+// 表示言語（--lang がなければ環境変数 LANG などから判定）
+const t = createTranslator(langFromArgs(process.argv.slice(2)));
 
-console.log('📝 パッケージリスト抽出開始\n');
+// 抽出モードのオプション（複数指定した場合は最後の指定を優先）
+const MODE_OPTIONS = {
+	'--merge-versions': 'merge',
+	'--no-dedup': 'keep-all',
+	'--keep-first': 'first-only',
+};
 
-// ディレクトリの存在確認
-if (!fs.existsSync(INPUT_DIR)) {
-	console.error(`❌ エラー: ${INPUT_DIR} ディレクトリが見つかりません`);
-	process.exit(1);
-}
+/**
+ * コマンドライン引数を解析
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{mode: string, strict: boolean}}
+ * @throws {Error} 不明なオプションや不正な値の場合
+ */
+function parseArgs(argv) {
+	const args = { mode: 'merge', strict: false };
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (MODE_OPTIONS[arg]) {
+			args.mode = MODE_OPTIONS[arg];
+		} else if (arg === '--strict') {
+			// --strict: リストに問題があればファイルを生成しない（リストの更新による検出漏れを防ぐ）
+			args.strict = true;
+		} else if (arg === '--lang' || arg.startsWith('--lang=')) {
+			// langFromArgs で処理済み
+			if (arg === '--lang' && !argv[++i]) throw new Error(t('cli.valueRequired', { name: 'lang' }));
+		} else {
+			throw new Error(t('cli.unknownOption', { arg }));
+		}
+	}
 
-// ファイル読み込み
-const files = fs.readdirSync(INPUT_DIR).filter((file) => file.endsWith('.txt'));
+	return args;
+}
 
-if (files.length === 0) {
-	console.error(`❌ エラー: ${INPUT_DIR} ディレクトリに .txt ファイルが見つかりません`);
-	process.exit(1);
+let MODE;
+let STRICT;
+try {
+	({ mode: MODE, strict: STRICT } = parseArgs(process.argv.slice(2)));
+} catch (error) {
+	console.error(t('error.prefix', { message: error.message }) + '\n');
+	console.error(t('extract.usage'));
+	process.exit(2);
 }
 
-let lines = [];
-files.forEach((file) => {
-	const filePath = path.join(INPUT_DIR, file);
-	console.log(`📂 読み込み中: ${file}`);
-	const content = fs.readFileSync(filePath, 'utf8');
-	lines = lines.concat(content.split('\n'));
-});
+// 入出力はスクリプトの場所を基準にする（カレントディレクトリに依存しない）
+const INPUT_DIR = extract.DEFAULT_INPUT_DIR;
+const OUTPUT_CSV = path.relative(process.cwd(), extract.DEFAULT_OUTPUT_CSV);
+const OUTPUT_JSON = path.relative(process.cwd(), extract.DEFAULT_OUTPUT_JSON);
 
-const packages = [];
-const packageSet = new Set(); // 重複排除用
+console.log(t('extract.start'));
+console.log(t('extract.mode', { mode: t(`extract.mode.${MODE}`) }) + '\n');
 
-// 正規表現パターン
-// パターン1: @scope/package (v1.2.3) または package (v1.2.3)
-// パターン2: @scope/package (v1.2.3, v1.2.4) - 複数バージョン
-const pattern1 = /^(@?[\w-]+\/)?([a-z0-9-_.]+)\s+\((v[\d.]+(?:,\s*v[\d.]+)*)\)/i;
-// パターン2: @scope/package または package（バージョンなし）
-const pattern2 = /^(@?[\w-]+\/)?([a-z0-9-_.]+)$/i;
-// パターン3: @scope/package - 1.2.3, 1.2.4 (ハイフン区切り、vなし)
-const pattern3 = /^(@?[\w-]+\/)?([a-z0-9-_.]+)\s+-\s+([\d.]+(?:,\s*[\d.]+)*)/i;
+// ディレクトリの存在確認
+if (!fs.existsSync(INPUT_DIR)) {
+	console.error(t('extract.noDir', { dir: path.basename(INPUT_DIR) }));
+	process.exit(1);
+}
 
-lines.forEach((line, index) => {
-	const trimmedLine = line.trim();
+if (extract.listFiles(INPUT_DIR).length === 0) {
+	console.error(t('extract.noFiles', { dir: path.basename(INPUT_DIR) }));
+	process.exit(1);
+}
 
-	// 空行やコメント行をスキップ
-	if (!trimmedLine || trimmedLine.startsWith('---') || trimmedLine.startsWith('#')) {
-		return;
-	}
+// ファイルごとに形式に応じて読み込み、行番号はファイル内の行で記録
+let result;
+try {
+	result = extract.extractPackages({
+		inputDir: INPUT_DIR,
+		mode: MODE,
+		t,
+		onEvent: (type, data) => console.log(t('extract.reading', data)),
+	});
+} catch (error) {
+	console.error(t('extract.importFailed', { file: error.file, message: error.message }));
+	process.exit(1);
+}
 
-	// パターン1: バージョン情報あり (v1.2.3)
-	const match1 = trimmedLine.match(pattern1);
-	if (match1) {
-		const scope = match1[1] || '';
-		const packageName = scope + match1[2];
-		const versions = match1[3].split(',').map((v) => v.trim());
-
-		// 重複チェック（パッケージ名のみで判定）
-		if (!packageSet.has(packageName)) {
-			packageSet.add(packageName);
-			packages.push({
-				name: packageName,
-				versions: versions,
-				line: index + 1,
-			});
-		}
-		return;
-	}
+const { packages, duplicates, issues } = result;
 
-	// パターン3: バージョン情報あり (ハイフン区切り)
-	const match3 = trimmedLine.match(pattern3);
-	if (match3) {
-		const scope = match3[1] || '';
-		const packageName = scope + match3[2];
-		const versions = match3[3].split(',').map((v) => v.trim());
-
-		if (!packageSet.has(packageName)) {
-			packageSet.add(packageName);
-			packages.push({
-				name: packageName,
-				versions: versions,
-				line: index + 1,
-			});
-		}
-		return;
-	}
+// リストの検証
+console.log('\n' + t('extract.lint.title'));
+issues.forEach((issue) => {
+	const location = issue.line === null ? issue.list : `${issue.list}:${issue.line}`;
+	const reason = issue.reason ? t(`extract.lint.reason.${issue.reason}`) : '';
+	console.log(t(`extract.lint.${issue.type}`, { ...issue, location, reason }));
+});
 
-	// パターン2: バージョン情報なし
-	const match2 = trimmedLine.match(pattern2);
-	if (match2) {
-		const scope = match2[1] || '';
-		const packageName = scope + match2[2];
-		if (!packageSet.has(packageName)) {
-			packageSet.add(packageName);
-			packages.push({
-				name: packageName,
-				versions: [],
-				line: index + 1,
-			});
-		}
+if (issues.length === 0) {
+	console.log(t('extract.lint.ok') + '\n');
+} else {
+	console.log(t('extract.lint.count', { count: issues.length }) + '\n');
+	if (STRICT) {
+		console.error(t('extract.lint.strictFailed'));
+		process.exit(1);
 	}
-});
+}
 
-console.log(`✅ ${packages.length} 個のユニークなパッケージを抽出しました\n`);
+console.log(t('extract.extracted', { count: packages.length }));
 
 // CSV生成
-console.log(`📄 CSV ファイルを生成中: ${OUTPUT_CSV}`);
-const csvLines = ['package_name,versions'];
-
-packages.forEach((pkg) => {
-	const versionsStr = pkg.versions.join(';');
-	csvLines.push(`"${pkg.name}","${versionsStr}"`);
-});
-
-fs.writeFileSync(OUTPUT_CSV, csvLines.join('\n'), 'utf8');
-console.log(`✅ CSV ファイルを生成しました: ${OUTPUT_CSV}\n`);
-
-// JSON生成（2つの形式）
-console.log(`📄 JSON ファイルを生成中: ${OUTPUT_JSON}`);
-
-const jsonOutput = {
-	metadata: {
-		source: 'https://socket.dev/blog/shai-hulud-strikes-again-v2',
-		extractedAt: new Date().toISOString(),
-		totalPackages: packages.length,
-	},
-	packages: packages.map((pkg) => ({
-		name: pkg.name,
-		versions: pkg.versions,
-	})),
-};
+console.log(t('extract.csvGenerating', { file: OUTPUT_CSV }));
+fs.writeFileSync(OUTPUT_CSV, extract.renderCsv(packages), 'utf8');
+console.log(t('extract.csvGenerated', { file: OUTPUT_CSV }));
 
-fs.writeFileSync(OUTPUT_JSON, JSON.stringify(jsonOutput, null, 2), 'utf8');
-console.log(`✅ JSON ファイルを生成しました: ${OUTPUT_JSON}\n`);
+// JSON生成（入力のリストのハッシュを metadata.inputHash に記録）
+console.log(t('extract.jsonGenerating', { file: OUTPUT_JSON }));
+fs.writeFileSync(OUTPUT_JSON, JSON.stringify(extract.buildJson(result), null, 2), 'utf8');
+console.log(t('extract.jsonGenerated', { file: OUTPUT_JSON }));
 
 // 統計情報
 console.log('='.repeat(60));
-console.log('📊 抽出結果統計');
+console.log(t('extract.statsTitle'));
 console.log('='.repeat(60));
-console.log(`総パッケージ数: ${packages.length}`);
+console.log(t('extract.total', { count: packages.length }));
 
 const scopedPackages = packages.filter((p) => p.name.startsWith('@'));
-console.log(`スコープ付きパッケージ: ${scopedPackages.length}`);
-console.log(`スコープなしパッケージ: ${packages.length - scopedPackages.length}`);
+console.log(t('extract.scoped', { count: scopedPackages.length }));
+console.log(t('extract.unscoped', { count: packages.length - scopedPackages.length }));
 
 const withVersions = packages.filter((p) => p.versions.length > 0);
-console.log(`バージョン情報あり: ${withVersions.length}`);
+console.log(t('extract.withVersions', { count: withVersions.length }));
 
 const multipleVersions = packages.filter((p) => p.versions.length > 1);
-console.log(`複数バージョンあり: ${multipleVersions.length}`);
+console.log(t('extract.multipleVersions', { count: multipleVersions.length }));
+console.log(t('extract.duplicates', { count: duplicates }));
+
+// キャンペーンごとのパッケージ数
+const campaigns = {};
+packages.forEach((pkg) => {
+	const campaign = pkg.campaign || t('extract.unknownCampaign');
+	campaigns[campaign] = (campaigns[campaign] || 0) + 1;
+});
+
+console.log(t('extract.campaigns'));
+Object.entries(campaigns).forEach(([campaign, count]) => {
+	console.log(t('extract.campaignCount', { campaign, count }));
+});
 
 // トップ10のスコープを表示
 const scopes = {};
@@ -170,13 +194,13 @@ const topScopes = Object.entries(scopes)
 	.sort((a, b) => b[1] - a[1])
 	.slice(0, 10);
 
-console.log('\n上位10のスコープ:');
+console.log(t('extract.topScopes'));
 topScopes.forEach(([scope, count]) => {
-	console.log(`  ${scope}: ${count} パッケージ`);
+	console.log(t('extract.scopeCount', { scope, count }));
 });
 
-console.log('\n✅ 完了！');
-console.log('\n生成されたファイル:');
-console.log(`  - ${OUTPUT_CSV} (CSV形式)`);
-console.log(`  - ${OUTPUT_JSON} (詳細JSON - バージョン情報付き)`);
-console.log('\n次のステップ: index.cjs でこれらのファイルを使用できます');
+console.log(t('extract.done'));
+console.log(t('extract.files'));
+console.log(t('extract.csvFile', { file: OUTPUT_CSV }));
+console.log(t('extract.jsonFile', { file: OUTPUT_JSON }));
+console.log(t('extract.next'));
@@ -7,938 +7,412 @@
  * 特徴:
  * - node_modules (実体およびシンボリックリンク) を検査
  * - package.json (直接依存) を検査
- * - ロックファイル非依存 (npm, pnpm, yarn, bun 等に対応)
+ * - ロックファイル (package-lock.json, yarn.lock, pnpm-lock.yaml, bun.lock) を検査
+ *   → node_modules がなくても (インストール前でも) 検出可能
  *
  * 使用方法:
- *   node index.cjs [ターゲットディレクトリ]
+ *   node index.cjs [オプション] [ターゲットディレクトリ...]
  *   node index.cjs ../my-project
- *   node index.cjs /path/to/htdocs/my-project
+ *   node index.cjs /path/to/htdocs/my-project --fail-on=critical --quiet
+ *   node index.cjs ../service-a ../service-b
+ *   node index.cjs /path/to/htdocs --discover
+ *   node index.cjs ../my-project --osv-dir ./osv/npm
+ *   node index.cjs ../my-project --host
+ *   node index.cjs ../my-project --lang en
+ *   node index.cjs explain @ctrl/tinycolor ../my-project
+ *   node index.cjs ../my-project --fix-dry-run
+ *   node index.cjs --help
+ *
+ * ライブラリとして使用する場合:
+ *   const { scan } = require('./index.cjs');
+ *   const report = scan({ targetDir: '../my-project', lists: ['compromised_packages.json'] });
  */
 
 const fs = require('fs');
 const path = require('path');
+const scanner = require('./lib/scanner.cjs');
+const { loadOsvDirectory } = require('./lib/osv.cjs');
+const { inspectHost } = require('./lib/host.cjs');
+const { fixProject } = require('./lib/fix.cjs');
+const extract = require('./lib/extract.cjs');
+const cli = require('./lib/cli.cjs');
+const i18n = require('./lib/i18n.cjs');
+const { REPORTERS, getReporter } = require('./lib/reporters/index.cjs');
+const { createConsoleReporter } = require('./lib/reporters/console.cjs');
 
-// コマンドライン引数からターゲットディレクトリを取得
-const args = process.argv.slice(2);
-const TARGET_DIR = args[0] || '.';
-
-// 設定
-const CONFIG = {
-	packageListFile: path.join(__dirname, 'compromised_packages.json'),
-	targetDir: path.resolve(TARGET_DIR),
-	outputFile: null, // 後で設定
-	colors: {
-		reset: '\x1b[0m',
-		red: '\x1b[31m',
-		green: '\x1b[32m',
-		yellow: '\x1b[33m',
-		blue: '\x1b[34m',
-		magenta: '\x1b[35m',
-		cyan: '\x1b[36m',
-		bold: '\x1b[1m',
-	},
-};
-
-// 出力ファイルをターゲットディレクトリまたはカレントディレクトリに設定
-CONFIG.outputFile = path.join('reports', `security_check_report_${new Date().toISOString().slice(0, 19)}.json`);
-
-// カラー出力ヘルパー
-const c = CONFIG.colors;
-const log = {
-	error: (msg) => console.log(`${c.red}${msg}${c.reset}`),
-	warning: (msg) => console.log(`${c.yellow}${msg}${c.reset}`),
-	success: (msg) => console.log(`${c.green}${msg}${c.reset}`),
-	info: (msg) => console.log(`${c.blue}${msg}${c.reset}`),
-	title: (msg) => console.log(`${c.cyan}${c.bold}${msg}${c.reset}`),
-};
-
-console.log('\n' + '='.repeat(70));
-log.title('🔍 Shai-Hulud 侵害パッケージ検査（汎用版）');
-console.log('='.repeat(70) + '\n');
-
-// ターゲットディレクトリの確認
-log.info(`📁 ターゲットディレクトリ: ${c.cyan}${CONFIG.targetDir}${c.reset}`);
-
-if (!fs.existsSync(CONFIG.targetDir)) {
-	log.error(`\n❌ エラー: ターゲットディレクトリが見つかりません`);
-	log.error(`   ${CONFIG.targetDir}\n`);
-	console.log('使用方法:');
-	console.log('  node index.cjs [ターゲットディレクトリ]');
-	console.log('  node index.cjs ../my-project');
-	console.log('  node index.cjs /path/to/htdocs/my-project\n');
-	process.exit(1);
-}
+/**
+ * compromised_packages.json（と CSV）を再生成
+ * extract_packages.cjs と同じ処理をプロセス内で実行し、以前の抽出モードがあれば引き継ぐ
+ * @param {string} listFile - compromised_packages.json のパス
+ * @returns {Object} lib/extract.cjs の extractPackages() の結果
+ * @throws {Error} リストを読み込めない場合
+ */
+function regenerateList(listFile) {
+	let mode = 'merge';
+	try {
+		const previous = JSON.parse(fs.readFileSync(listFile, 'utf8')).metadata || {};
+		if (extract.MODES.includes(previous.mode)) mode = previous.mode;
+	} catch (error) {
+		// 存在しない・壊れている場合はデフォルトのモードで生成
+	}
 
-if (!fs.statSync(CONFIG.targetDir).isDirectory()) {
-	log.error(`\n❌ エラー: 指定されたパスはディレクトリではありません\n`);
-	process.exit(1);
+	const result = extract.extractPackages({ mode });
+	fs.writeFileSync(extract.DEFAULT_OUTPUT_CSV, extract.renderCsv(result.packages), 'utf8');
+	fs.writeFileSync(listFile, JSON.stringify(extract.buildJson(result), null, 2), 'utf8');
+	return result;
 }
 
-console.log('');
-
-// パッケージリストの読み込み（バージョン情報付き）
-let COMPROMISED_PACKAGES_DATA = null;
-let COMPROMISED_PACKAGES_MAP = new Map(); // パッケージ名 -> バージョンリストのマップ
-
-try {
-	if (!fs.existsSync(CONFIG.packageListFile)) {
-		// compromised_packages.json が存在しない場合、自動的に生成
-		log.warning(`📦 ${path.basename(CONFIG.packageListFile)} が見つかりません`);
-		log.info(`📝 パッケージリストを自動生成します...\n`);
+/**
+ * ターゲットディレクトリの確認（存在しない・ディレクトリでない場合は終了）
+ * @param {string[]} targets - ターゲットディレクトリ
+ * @param {Object} context - { log: コンソールレポーターの log, usage: 使用方法, t: 翻訳関数 }
+ */
+function checkTargets(targets, { log, usage, t }) {
+	for (const target of targets) {
+		const targetDir = path.resolve(target);
+
+		if (!fs.existsSync(targetDir)) {
+			log.fatal(t('target.notFound'));
+			log.fatal(`   ${targetDir}\n`);
+			console.error(usage + '\n');
+			process.exit(1);
+		}
 
-		const { execSync } = require('child_process');
-		try {
-			execSync('node extract_packages.cjs', {
-				stdio: 'inherit',
-				cwd: __dirname,
-			});
-			console.log('');
-			log.success(`✅ パッケージリストの生成が完了しました\n`);
-		} catch (extractError) {
-			log.error(`❌ パッケージリストの生成に失敗しました`);
-			log.error(`   エラー: ${extractError.message}`);
-			log.warning(`\n手動で実行してください:`);
-			console.log(`   node extract_packages.cjs\n`);
+		if (!fs.statSync(targetDir).isDirectory()) {
+			log.fatal(t('target.notDirectory'));
+			log.fatal(`   ${targetDir}\n`);
 			process.exit(1);
 		}
 	}
-
-	// パッケージリストを読み込み
-	log.info(`📂 パッケージリストを読み込み中: ${path.basename(CONFIG.packageListFile)}`);
-	const data = fs.readFileSync(CONFIG.packageListFile, 'utf8');
-	COMPROMISED_PACKAGES_DATA = JSON.parse(data);
-
-	// パッケージ名とバージョンのマップを作成
-	COMPROMISED_PACKAGES_DATA.packages.forEach((pkg) => {
-		// バージョンから 'v' プレフィックスを削除して正規化
-		const normalizedVersions = pkg.versions.map((v) => v.replace(/^v/, ''));
-		COMPROMISED_PACKAGES_MAP.set(pkg.name, normalizedVersions);
-	});
-
-	log.success(`✅ ${COMPROMISED_PACKAGES_MAP.size} 個のパッケージ（バージョン情報付き）を読み込みました\n`);
-} catch (error) {
-	log.error(`❌ パッケージリストの読み込みに失敗: ${error.message}`);
-	process.exit(1);
 }
 
 /**
- * パッケージとバージョンが侵害されているかチェック
- * @param {string} packageName - パッケージ名
- * @param {string} version - バージョン
- * @returns {boolean} 侵害されている場合 true
+ * explain コマンド: パッケージがインストールされている理由（ルートからのすべての依存経路）を表示
+ * 侵害パッケージのリストは使わないため、任意のパッケージを調べられる
+ * 終了コード: いずれかのプロジェクトで見つかった場合 0、見つからなかった場合 1
+ * @param {Object} args - cli.parseArgs() の結果（targets[0] が 'explain'）
+ * @param {Object} context - { formats: レポート形式の一覧, t: 翻訳関数 }
  */
-function isCompromised(packageName, version) {
-	if (!COMPROMISED_PACKAGES_MAP.has(packageName)) {
-		return false;
+function runExplain(args, { formats, t }) {
+	const [, spec, ...targets] = args.targets;
+	if (!spec) {
+		console.error(t('error.prefix', { message: t('cli.packageRequired') }) + '\n');
+		console.error(cli.usage({ formats, t }));
+		process.exit(2);
 	}
 
-	const compromisedVersions = COMPROMISED_PACKAGES_MAP.get(packageName);
-	const normalizedVersion = version.replace(/^v/, '');
+	const consoleReporter = createConsoleReporter({ color: args.options.color, quiet: args.options.quiet, lang: args.options.lang });
+	const { log } = consoleReporter;
+	const TARGET_ARGS = targets.length > 0 ? targets : ['.'];
+	checkTargets(TARGET_ARGS, { log, usage: cli.usage({ formats, t }), t });
 
-	return compromisedVersions.includes(normalizedVersion);
-}
+	const targetDirs = scanner.resolveTargets(TARGET_ARGS, { discover: args.options.discover, discoverDepth: args.options.discoverDepth });
+	if (targetDirs.length === 0) {
+		log.fatal(t('target.noProjects'));
+		process.exit(1);
+	}
 
-// 検査対象ファイルのパス
-const paths = {
-	nodeModules: path.join(CONFIG.targetDir, 'node_modules'),
-	packageJson: path.join(CONFIG.targetDir, 'package.json'),
-};
+	const results = targetDirs.map((targetDir) => {
+		const result = scanner.explainPackage(targetDir, spec, { maxDepth: args.options.maxDepth, maxPaths: args.options.maxPaths, t });
+		consoleReporter.onEvent('explain', result);
+		return result;
+	});
 
-// 結果を格納するオブジェクト
-const results = {
-	timestamp: new Date().toISOString(),
-	targetDirectory: CONFIG.targetDir,
-	totalChecked: COMPROMISED_PACKAGES_MAP.size,
-	foundInNodeModules: [],
-	foundInPackageJson: [],
-	summary: {
-		safe: true,
-		totalIssues: 0,
-		criticalLevel: 'none', // none, high, critical
-	},
-};
+	const found = results.some((result) => result.sources.some((source) => source.matches.length > 0));
+	if (!found) log.warning(t('explain.noMatch', { name: spec }) + '\n');
 
-console.log('');
+	// --output 指定時のみ JSON で保存
+	if (args.options.output) {
+		const outputFile = path.resolve(args.options.output);
+		try {
+			fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+			fs.writeFileSync(outputFile, JSON.stringify(results.length === 1 ? results[0] : results, null, 2), 'utf8');
+			log.info(t('report.saved', { file: path.relative(process.cwd(), outputFile) }));
+		} catch (error) {
+			log.fatal(t('report.saveFailed', { message: error.message }));
+		}
+	}
 
-// node_modules の検査
+	process.exit(found ? 0 : 1);
+}
 
 /**
- * .pnpm ディレクトリ内のパッケージを最適化された方法で検索
- * @param {string} pnpmPath - .pnpm ディレクトリのパス
- * @param {string} targetPackage - 検索対象のパッケージ名
- * @param {number} depth - 現在の検索深度
- * @returns {Array} 見つかったパッケージの情報配列
+ * コマンドラインから実行された場合のエントリーポイント
  */
-function findInPnpmDirectory(pnpmPath, targetPackage, depth) {
-	const results = [];
-
+function main() {
+	// 表示言語: 引数の解析エラーも翻訳するため、--lang だけを先に読む
+	const argv = process.argv.slice(2);
+	const t = i18n.createTranslator(i18n.langFromArgs(argv));
+	const formats = Object.keys(REPORTERS);
+
+	// コマンドライン引数の解析
+	let args;
+	let reporter;
 	try {
-		// .pnpm ディレクトリ内のエントリを取得
-		const entries = fs.readdirSync(pnpmPath, { withFileTypes: true });
-
-		// パッケージ名のパターンを作成
-		// 例: @scope/package → @scope+package@
-		// 例: package → package@
-		const searchPattern = targetPackage.replace('/', '+') + '@';
-
-		// マッチするディレクトリを探す
-		for (const entry of entries) {
-			if (!entry.isDirectory() && !entry.isSymbolicLink()) continue;
-
-			// パッケージ名@バージョン の形式にマッチするかチェック
-			if (entry.name.startsWith(searchPattern)) {
-				// .pnpm/package@version/node_modules/package のパスを構築
-				const packageInNodeModules = path.join(pnpmPath, entry.name, 'node_modules', targetPackage);
-
-				if (fs.existsSync(packageInNodeModules)) {
-					const pkgJsonPath = path.join(packageInNodeModules, 'package.json');
-					let version = 'unknown';
-
-					try {
-						if (fs.existsSync(pkgJsonPath)) {
-							const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
-							version = pkgJson.version || 'unknown';
-						}
-					} catch (error) {
-						// package.json の読み込みエラーは無視
-					}
-
-					results.push({
-						path: packageInNodeModules,
-						version: version,
-						depth: depth,
-						type: 'installed',
-					});
-				}
-			}
+		args = cli.parseArgs(argv, { t });
+		if (!REPORTERS[args.options.format]) {
+			throw new Error(t('cli.unknownFormat', { format: args.options.format, formats: formats.join(' | ') }));
 		}
+		reporter = getReporter(args.options.format, { t });
 	} catch (error) {
-		// エラーは無視
+		console.error(t('error.prefix', { message: error.message }) + '\n');
+		console.error(cli.usage({ formats, t }));
+		process.exit(2);
 	}
 
-	return results;
-}
-
-/**
- * node_modules 内を再帰的に検索してパッケージを探す
- * @param {string} nodeModulesPath - 検索する node_modules のパス
- * @param {string} targetPackage - 検索対象のパッケージ名
- * @param {number} depth - 現在の検索深度（デフォルト: 0）
- * @param {number} maxDepth - 最大検索深度（デフォルト: 5）
- * @param {Set} visitedPaths - 循環参照防止用のパスセット
- * @returns {Array} 見つかったパッケージの情報配列
- */
-function findPackageRecursively(nodeModulesPath, targetPackage, depth = 0, maxDepth = 5, visitedPaths = new Set()) {
-	const results = [];
-
-	// 深度制限チェック
-	if (depth > maxDepth || !fs.existsSync(nodeModulesPath)) {
-		return results;
+	if (args.options.help) {
+		console.log(cli.usage({ formats, t }));
+		process.exit(0);
 	}
 
-	// 循環参照チェック
-	try {
-		const realPath = fs.realpathSync(nodeModulesPath);
-		if (visitedPaths.has(realPath)) {
-			return results;
-		}
-		visitedPaths.add(realPath);
-	} catch (e) {
-		// realpath 取得失敗時は続行（ただしリスクあり）
+	// explain <パッケージ>: 検査ではなく依存経路の表示
+	if (args.targets[0] === 'explain') {
+		runExplain(args, { formats, t });
+		return;
 	}
 
-	try {
-		const entries = fs.readdirSync(nodeModulesPath, { withFileTypes: true });
+	const TARGET_ARGS = args.targets.length > 0 ? args.targets : ['.'];
+
+	// 設定
+	const CONFIG = {
+		packageListFile: args.options.list ? path.resolve(args.options.list) : scanner.DEFAULT_PACKAGE_LIST_FILE,
+		osvDir: args.options.osvDir ? path.resolve(args.options.osvDir) : null,
+		targetDirs: [], // 後で設定
+		outputFile: null, // 後で設定
+		maxDepth: args.options.maxDepth,
+		maxPaths: args.options.maxPaths,
+		iocNodeModules: args.options.iocNodeModules,
+		iocNodeModulesContent: args.options.iocNodeModulesContent,
+		iocMaxFileSize: args.options.iocMaxFileSize * 1024 * 1024, // MB -> バイト
+		strictScripts: args.options.strictScripts,
+		failOn: args.options.failOn,
+		quiet: args.options.quiet,
+		regenerate: args.options.regenerate,
+		// グローバルプレフィックス・キャッシュ（指定された場所のみ検査）
+		caches: [
+			['global', args.options.global],
+			['npm-cache', args.options.npmCache],
+			['pnpm-store', args.options.pnpmStore],
+			['yarn-cache', args.options.yarnCache],
+		]
+			.filter(([, dir]) => dir)
+			.map(([type, dir]) => ({ type, dir: path.resolve(dir) })),
+		// --home を指定した場合は --host も有効にする
+		host: args.options.host || Boolean(args.options.home),
+		home: args.options.home ? path.resolve(args.options.home) : undefined,
+		// --fix-dry-run は --fix より優先（差分の表示のみ）
+		fix: args.options.fix || args.options.fixDryRun,
+		fixDryRun: args.options.fixDryRun,
+		lang: args.options.lang,
+	};
 
-		for (const entry of entries) {
-			// ディレクトリまたはシンボリックリンクを対象にする
-			if (!entry.isDirectory() && !entry.isSymbolicLink()) continue;
+	// 出力ファイル: --output 指定がなければカレントディレクトリの reports/ に生成
+	CONFIG.outputFile = args.options.output
+		? path.resolve(args.options.output)
+		: path.join('reports', `security_check_report_${new Date().toISOString().slice(0, 19)}${reporter.extension}`);
 
-			const entryPath = path.join(nodeModulesPath, entry.name);
+	const consoleReporter = createConsoleReporter({ color: args.options.color, quiet: CONFIG.quiet, lang: CONFIG.lang });
+	const { print, log } = consoleReporter;
+	const c = consoleReporter.colors;
 
-			// .pnpm ディレクトリの場合は最適化された検索を使用
-			if (entry.name === '.pnpm') {
-				const pnpmResults = findInPnpmDirectory(entryPath, targetPackage, depth + 1);
-				results.push(...pnpmResults);
-				continue; // .pnpm の中は再帰しない（最適化済み）
-			}
+	print('\n' + '='.repeat(70));
+	log.title(t('banner.title'));
+	print('='.repeat(70) + '\n');
 
-			// スコープディレクトリ (@scope) の場合
-			if (entry.name.startsWith('@')) {
-				try {
-					const scopedEntries = fs.readdirSync(entryPath, {
-						withFileTypes: true,
-					});
-
-					for (const scopedEntry of scopedEntries) {
-						if (!scopedEntry.isDirectory() && !scopedEntry.isSymbolicLink()) continue;
-
-						const fullPackageName = `${entry.name}/${scopedEntry.name}`;
-						const packagePath = path.join(entryPath, scopedEntry.name);
-
-						// ターゲットパッケージと一致するか確認
-						if (fullPackageName === targetPackage) {
-							const pkgJsonPath = path.join(packagePath, 'package.json');
-							let version = 'unknown';
-
-							try {
-								if (fs.existsSync(pkgJsonPath)) {
-									const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
-									version = pkgJson.version || 'unknown';
-								}
-							} catch (error) {
-								// package.json の読み込みエラーは無視
-							}
-
-							results.push({
-								path: packagePath,
-								version: version,
-								depth: depth,
-								type: 'installed',
-							});
-						}
-
-						// このパッケージの node_modules も再帰的に検索
-						const nestedNodeModules = path.join(packagePath, 'node_modules');
-						if (fs.existsSync(nestedNodeModules)) {
-							const nested = findPackageRecursively(nestedNodeModules, targetPackage, depth + 1, maxDepth, visitedPaths);
-							results.push(...nested);
-						}
-					}
-				} catch (error) {
-					// スコープディレクトリの読み込みエラーは無視
-				}
-			} else {
-				// 通常のパッケージ
-				if (entry.name === targetPackage) {
-					const packagePath = entryPath;
-					const pkgJsonPath = path.join(packagePath, 'package.json');
-					let version = 'unknown';
-
-					try {
-						if (fs.existsSync(pkgJsonPath)) {
-							const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
-							version = pkgJson.version || 'unknown';
-						}
-					} catch (error) {
-						// package.json の読み込みエラーは無視
-					}
-
-					results.push({
-						path: packagePath,
-						version: version,
-						depth: depth,
-						type: 'installed',
-					});
-				}
+	// ターゲットディレクトリの確認
+	checkTargets(TARGET_ARGS, { log, usage: cli.usage({ formats, t }), t });
 
-				// このパッケージの node_modules も再帰的に検索
-				const nestedNodeModules = path.join(entryPath, 'node_modules');
-				if (fs.existsSync(nestedNodeModules)) {
-					const nested = findPackageRecursively(nestedNodeModules, targetPackage, depth + 1, maxDepth, visitedPaths);
-					results.push(...nested);
-				}
-			}
+	// グローバルプレフィックス・キャッシュの場所の確認
+	for (const { dir } of CONFIG.caches) {
+		if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+			log.fatal(t('caches.notFound', { dir }));
+			process.exit(1);
 		}
-	} catch (error) {
-		// ディレクトリ読み込みエラーは無視
 	}
 
-	return results;
-}
+	// --discover 指定時は配下のプロジェクトをすべて検査対象にする
+	CONFIG.targetDirs = scanner.resolveTargets(TARGET_ARGS, { discover: args.options.discover, discoverDepth: args.options.discoverDepth });
 
-/**
- * node_modules 内のすべての package.json を再帰的に検索して、
- * 依存関係に侵害パッケージが含まれているかチェック
- * @param {string} nodeModulesPath - 検索する node_modules のパス
- * @param {Array} compromisedPackages - 侵害パッケージのリスト
- * @param {number} depth - 現在の検索深度
- * @param {number} maxDepth - 最大検索深度
- * @param {Set} visitedPaths - 循環参照防止用のパスセット
- * @returns {Array} 見つかった依存関係の情報配列
- */
-function scanPackageJsonDependencies(nodeModulesPath, compromisedPackages, depth = 0, maxDepth = 5, visitedPaths = new Set()) {
-	const results = [];
+	// 複数プロジェクトの場合は、プロジェクトごとの結果をまとめて 1 つのレポートにする
+	const MULTI_TARGET = CONFIG.targetDirs.length > 1 || args.options.discover;
+	consoleReporter.setMulti(MULTI_TARGET);
 
-	if (depth > maxDepth || !fs.existsSync(nodeModulesPath)) {
-		return results;
+	if (CONFIG.targetDirs.length === 0) {
+		log.fatal(t('target.noProjects'));
+		process.exit(1);
 	}
 
-	// 循環参照チェック
-	try {
-		const realPath = fs.realpathSync(nodeModulesPath);
-		if (visitedPaths.has(realPath)) {
-			return results;
-		}
-		visitedPaths.add(realPath);
-	} catch (e) {
-		// realpath 取得失敗時は続行
+	if (MULTI_TARGET) {
+		log.info(t('target.multiple', { count: CONFIG.targetDirs.length }));
+		CONFIG.targetDirs.forEach((dir) => print(`   - ${c.cyan}${dir}${c.reset}`));
+	} else {
+		log.info(t('target.single', { dir: `${c.cyan}${CONFIG.targetDirs[0]}${c.reset}` }));
 	}
 
+	print('');
+
+	// パッケージリストの読み込み（バージョン情報付き）
+	let compromised;
+
 	try {
-		const entries = fs.readdirSync(nodeModulesPath, { withFileTypes: true });
+		if (!fs.existsSync(CONFIG.packageListFile) && CONFIG.packageListFile !== scanner.DEFAULT_PACKAGE_LIST_FILE) {
+			// --list で指定されたファイルは自動生成の対象外
+			log.fatal(t('list.notFound', { file: CONFIG.packageListFile }));
+			process.exit(1);
+		}
 
-		for (const entry of entries) {
-			// ディレクトリまたはシンボリックリンクを対象にする
-			if (!entry.isDirectory() && !entry.isSymbolicLink()) continue;
+		// デフォルトのリストは、存在しない場合と blacklists/ のリストが変更された場合に再生成する
+		if (CONFIG.packageListFile === scanner.DEFAULT_PACKAGE_LIST_FILE) {
+			const listName = path.basename(CONFIG.packageListFile);
+			const { stale, reason } = extract.isStale(CONFIG.packageListFile, extract.DEFAULT_INPUT_DIR);
 
-			const entryPath = path.join(nodeModulesPath, entry.name);
+			if (stale) {
+				if (reason === 'missing') log.warning(t('list.missing', { file: listName }));
+				else log.warning(t('list.stale', { file: listName, reason: t(`list.staleReason.${reason}`) }));
 
-			// .pnpm ディレクトリの場合
-			if (entry.name === '.pnpm') {
-				try {
-					const pnpmEntries = fs.readdirSync(entryPath, {
-						withFileTypes: true,
-					});
-
-					for (const pnpmEntry of pnpmEntries) {
-						if (!pnpmEntry.isDirectory() && !pnpmEntry.isSymbolicLink()) continue;
-
-						// .pnpm/package@version/node_modules の構造
-						const packageVersionPath = path.join(entryPath, pnpmEntry.name);
-						const pnpmNodeModules = path.join(packageVersionPath, 'node_modules');
-
-						if (fs.existsSync(pnpmNodeModules)) {
-							const nested = scanPackageJsonDependencies(pnpmNodeModules, compromisedPackages, depth + 1, maxDepth, visitedPaths);
-							results.push(...nested);
-						}
-					}
-				} catch (error) {
-					// エラーは無視
-				}
-			}
-			// スコープディレクトリの場合
-			else if (entry.name.startsWith('@')) {
-				try {
-					const scopedEntries = fs.readdirSync(entryPath, {
-						withFileTypes: true,
-					});
-
-					for (const scopedEntry of scopedEntries) {
-						if (!scopedEntry.isDirectory() && !scopedEntry.isSymbolicLink()) continue;
-
-						const packagePath = path.join(entryPath, scopedEntry.name);
-						const pkgJsonPath = path.join(packagePath, 'package.json');
-
-						// package.json を検査
-						if (fs.existsSync(pkgJsonPath)) {
-							try {
-								const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
-								const packageName = `${entry.name}/${scopedEntry.name}`;
-
-								// 全ての依存関係をチェック
-								const allDeps = {
-									...pkgJson.dependencies,
-									...pkgJson.devDependencies,
-									...pkgJson.peerDependencies,
-									...pkgJson.optionalDependencies,
-								};
-
-								for (const depName of Object.keys(allDeps)) {
-									if (compromisedPackages.includes(depName)) {
-										results.push({
-											foundIn: packagePath,
-											foundInPackageName: packageName,
-											compromisedPackage: depName,
-											version: allDeps[depName],
-											depth: depth,
-											type: 'dependency',
-										});
-									}
-								}
-							} catch (error) {
-								// JSON パースエラーは無視
-							}
-						}
-
-						// 再帰的に検索
-						const nestedNodeModules = path.join(packagePath, 'node_modules');
-						if (fs.existsSync(nestedNodeModules)) {
-							const nested = scanPackageJsonDependencies(nestedNodeModules, compromisedPackages, depth + 1, maxDepth, visitedPaths);
-							results.push(...nested);
-						}
-					}
-				} catch (error) {
-					// エラーは無視
-				}
-			} else {
-				// 通常のパッケージ
-				const packagePath = entryPath;
-				const pkgJsonPath = path.join(packagePath, 'package.json');
-
-				if (fs.existsSync(pkgJsonPath)) {
-					try {
-						const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
-						const packageName = entry.name;
-
-						// 全ての依存関係をチェック
-						const allDeps = {
-							...pkgJson.dependencies,
-							...pkgJson.devDependencies,
-							...pkgJson.peerDependencies,
-							...pkgJson.optionalDependencies,
-						};
-
-						for (const depName of Object.keys(allDeps)) {
-							if (compromisedPackages.includes(depName)) {
-								results.push({
-									foundIn: packagePath,
-									foundInPackageName: packageName,
-									compromisedPackage: depName,
-									version: allDeps[depName],
-									depth: depth,
-									type: 'dependency',
-								});
-							}
-						}
-					} catch (error) {
-						// JSON パースエラーは無視
-					}
+				// --no-regenerate: 古いリストで検査せずに終了（存在しない場合は従来どおり生成する）
+				if (!CONFIG.regenerate && reason !== 'missing') {
+					log.fatal(t('list.staleRefused'));
+					log.fatal(`   node extract_packages.cjs\n`);
+					process.exit(1);
 				}
 
-				// 再帰的に検索
-				const nestedNodeModules = path.join(entryPath, 'node_modules');
-				if (fs.existsSync(nestedNodeModules)) {
-					const nested = scanPackageJsonDependencies(nestedNodeModules, compromisedPackages, depth + 1, maxDepth, visitedPaths);
-					results.push(...nested);
+				log.info(t('list.generating'));
+				try {
+					const result = regenerateList(CONFIG.packageListFile);
+					log.success(t('list.generated'));
+					if (result.issues.length > 0) log.warning(t('list.lintIssues', { count: result.issues.length }) + '\n');
+				} catch (extractError) {
+					log.fatal(t('list.generateFailed'));
+					log.fatal(t('list.generateError', { message: extractError.file ? `${extractError.file}: ${extractError.message}` : extractError.message }));
+					log.fatal(t('list.runManually'));
+					log.fatal(`   node extract_packages.cjs\n`);
+					process.exit(1);
 				}
 			}
 		}
-	} catch (error) {
-		// エラーは無視
-	}
-
-	return results;
-}
 
-// 疑わしいファイルのチェック（最優先）
-console.log('');
-console.log('='.repeat(70));
-log.title('🔍 疑わしいファイルのチェック');
-console.log('='.repeat(70) + '\n');
-
-const suspiciousFiles = [
-	{ name: 'setup_bun.js', description: 'ドロッパー（マルウェア配布スクリプト）' },
-	{ name: 'bun_environment.js', description: 'メインペイロード（難読化ファイル）' },
-	{ name: 'cloud.json', description: 'クラウド認証情報' },
-	{ name: 'environment.json', description: '環境変数' },
-	{ name: 'actionsSecrets.json', description: 'GitHub Actions シークレット' },
-];
-
-let foundSuspiciousFiles = [];
-
-try {
-	const findFiles = (dir, fileName) => {
-		const results = [];
-		try {
-			const entries = fs.readdirSync(dir, { withFileTypes: true });
-			for (const entry of entries) {
-				const fullPath = path.join(dir, entry.name);
+		// パッケージリストを読み込み、パッケージ名とバージョンのマップを作成
+		log.info(t('list.loading', { file: path.basename(CONFIG.packageListFile) }));
+		const lists = [CONFIG.packageListFile];
 
-				// node_modules は除外
-				if (entry.name === 'node_modules') continue;
-
-				if (entry.isDirectory()) {
-					results.push(...findFiles(fullPath, fileName));
-				} else if (entry.name === fileName) {
-					results.push(fullPath);
-				}
+		// --osv-dir: OSV のローカルミラーの悪意のあるパッケージも照合する（オフラインで完結）
+		if (CONFIG.osvDir) {
+			if (!fs.existsSync(CONFIG.osvDir) || !fs.statSync(CONFIG.osvDir).isDirectory()) {
+				log.fatal(t('osv.notFound', { dir: CONFIG.osvDir }));
+				process.exit(1);
 			}
-		} catch (error) {
-			// アクセス権限エラーなどは無視
-		}
-		return results;
-	};
-
-	suspiciousFiles.forEach(({ name, description }) => {
-		const found = findFiles(CONFIG.targetDir, name);
-		if (found.length > 0) {
-			foundSuspiciousFiles.push({ name, description, paths: found });
+			log.info(t('osv.loading', { dir: CONFIG.osvDir }));
+			let osvList;
+			try {
+				osvList = loadOsvDirectory(CONFIG.osvDir, { t });
+			} catch (error) {
+				log.fatal(t('osv.loadFailed', { message: error.message }));
+				process.exit(1);
+			}
+			const { advisories, errors } = osvList.metadata;
+			log.success(t('osv.loaded', { advisories }));
+			if (errors.length > 0) log.warning(t('osv.skipped', { count: errors.length, file: errors[0].file, message: errors[0].message }));
+			lists.push(osvList);
 		}
-	});
 
-	if (foundSuspiciousFiles.length > 0) {
-		log.error(`🚨 ${foundSuspiciousFiles.length} 種類の疑わしいファイルが検出されました！\n`);
+		compromised = scanner.createCompromisedMap(lists);
 
-		foundSuspiciousFiles.forEach(({ name, description, paths }) => {
-			log.error(`  ⚠️  ${name} (${description})`);
-			paths.forEach((p) => {
-				const relativePath = path.relative(CONFIG.targetDir, p);
-				console.log(`     場所: ${c.yellow}${relativePath}${c.reset}`);
-			});
-			console.log('');
-		});
-
-		console.log(`${c.red}${c.bold}⚠️  これらのファイルはマルウェアの可能性があります！${c.reset}\n`);
-		console.log(`${c.red}${c.bold}   システムが感染している可能性が高いため、即座に対応してください。${c.reset}\n`);
-		console.log('推奨される対応:\n');
-		console.log(`${c.red}1.${c.reset} これらのファイルを即座に削除してください`);
-		console.log(`${c.red}2.${c.reset} すべての認証情報（API キー、トークン、パスワード）をローテーションしてください`);
-		console.log(`${c.red}3.${c.reset} システムの完全なセキュリティ監査を実施してください`);
-		console.log(`${c.red}4.${c.reset} 詳細: ${c.cyan}https://zenn.dev/hand_dot/articles/04542a91bc432e${c.reset}\n`);
-
-		// 結果に追加
-		results.suspiciousFiles = foundSuspiciousFiles;
-	} else {
-		log.success('✅ 疑わしいファイルは検出されませんでした');
+		log.success(t('list.loaded', { count: compromised.size }));
+	} catch (error) {
+		log.fatal(t('list.loadFailed', { message: error.message }));
+		process.exit(1);
 	}
-} catch (error) {
-	log.warning(`⚠️  疑わしいファイルのチェック中にエラーが発生: ${error.message}`);
-}
-
-console.log('');
-log.title('📂 node_modules を検査中（実体およびシンボリックリンク）...');
-
-if (fs.existsSync(paths.nodeModules)) {
-	let checkedCount = 0;
-	let totalFoundCount = 0;
-
-	console.log('');
-	log.info('  🔍 インストール済みパッケージの検査...');
-	console.log('');
 
-	// 実際にインストールされているパッケージを検索
-	Array.from(COMPROMISED_PACKAGES_MAP.keys()).forEach((pkg) => {
-		const foundInstances = findPackageRecursively(paths.nodeModules, pkg);
-
-		if (foundInstances.length > 0) {
-			foundInstances.forEach((instance, index) => {
-				// バージョンチェック: 侵害されたバージョンのみを報告
-				if (!isCompromised(pkg, instance.version)) {
-					return; // 安全なバージョンはスキップ
-				}
-
-				const relativePath = path.relative(CONFIG.targetDir, instance.path);
-				const depthInfo = instance.depth > 0 ? ` (深度: ${instance.depth})` : '';
-
-				// 侵害されたバージョンのリストを取得
-				const compromisedVersions = COMPROMISED_PACKAGES_MAP.get(pkg);
-
-				results.foundInNodeModules.push({
-					package: pkg,
-					version: instance.version,
-					path: instance.path,
-					depth: instance.depth,
-					type: 'installed',
-					compromisedVersions: compromisedVersions, // 侵害されたバージョンリストを追加
-				});
-
-				if (index === 0) {
-					log.error(`  🚨 ${pkg}@${instance.version}${depthInfo}`);
-					log.error(`     侵害バージョン: ${compromisedVersions.join(', ')}`);
-				} else {
-					log.warning(`     ├─ 重複インストール: ${instance.version}${depthInfo}`);
-				}
-				// 検出された場所（パス）を明確に表示
-				console.log(`     ${c.magenta}場所: ${relativePath}${c.reset}`);
-
-				totalFoundCount++;
-			});
-		}
-		checkedCount++;
-	});
-
-	if (totalFoundCount === 0) {
-		log.success('  ✅ インストール済みパッケージに検出なし');
-	} else {
-		log.warning(`  ⚠️  ${totalFoundCount} 個のインスタンスが検出されました`);
+	// 各プロジェクトを検査（進捗はコンソールレポーターが表示）
+	const projectResults = CONFIG.targetDirs.map((targetDir) =>
+		scanner.scanProject(targetDir, {
+			compromised,
+			maxDepth: CONFIG.maxDepth,
+			maxPaths: CONFIG.maxPaths,
+			iocNodeModules: CONFIG.iocNodeModules,
+			iocNodeModulesContent: CONFIG.iocNodeModulesContent,
+			iocMaxFileSize: CONFIG.iocMaxFileSize,
+			strictScripts: CONFIG.strictScripts,
+			t,
+			onEvent: consoleReporter.onEvent,
+		}),
+	);
+
+	// レポートの本体: 単一プロジェクトは従来どおりの形式、複数プロジェクトは集計結果
+	const report = MULTI_TARGET ? scanner.aggregateResults(projectResults, compromised.size) : projectResults[0];
+
+	// --global / --npm-cache / --pnpm-store / --yarn-cache: プロジェクトの外にあるパッケージ
+	if (CONFIG.caches.length > 0) {
+		report.caches = scanner.scanCaches(CONFIG.caches, compromised, { t });
+		consoleReporter.onEvent('caches', { locations: report.caches });
 	}
 
-	console.log('');
-	log.info(`  📊 ${checkedCount} パッケージを検査しました`);
-	if (totalFoundCount > 0) {
-		log.warning(`  📊 合計 ${totalFoundCount} 件の問題を検出`);
+	// --host: ホームディレクトリの感染の痕跡と、ローテーションが必要な認証情報
+	if (CONFIG.host) {
+		if (CONFIG.home && !fs.existsSync(CONFIG.home)) {
+			log.fatal(t('host.homeNotFound', { dir: CONFIG.home }));
+			process.exit(1);
+		}
+		report.host = inspectHost({ home: CONFIG.home });
+		consoleReporter.onEvent('host', report.host);
 	}
 
-	// node_modules 内のパッケージの依存関係もチェック
-	console.log('');
-	log.info('  🔍 インストール済みパッケージの依存関係を検査...');
-	console.log('');
-
-	const depResults = scanPackageJsonDependencies(paths.nodeModules, Array.from(COMPROMISED_PACKAGES_MAP.keys()));
-
-	if (depResults.length > 0) {
-		let validDepCount = 0;
-
-		depResults.forEach((dep) => {
-			const compromisedVersions = COMPROMISED_PACKAGES_MAP.get(dep.compromisedPackage);
-
-			// 実際にそのパッケージがインストールされているか確認
-			const installedInstances = findPackageRecursively(paths.nodeModules, dep.compromisedPackage);
-
-			// インストールされている場合、そのバージョンが侵害されているかチェック
-			let hasCompromisedVersion = false;
-			const installedCompromisedVersions = [];
-
-			installedInstances.forEach((instance) => {
-				if (isCompromised(dep.compromisedPackage, instance.version)) {
-					hasCompromisedVersion = true;
-					installedCompromisedVersions.push(instance.version);
-				}
+	// グローバル・キャッシュとホストの検出結果もサマリー（終了コード）に含める
+	scanner.addReportFindings(report);
+	consoleReporter.printReport(report);
+
+	// --fix / --fix-dry-run: 問題が検出されたプロジェクトの package.json に上書き設定を追加
+	if (CONFIG.fix) {
+		report.fixes = projectResults
+			.filter((results) => !results.summary.safe)
+			.map((results) => {
+				const plan = fixProject(results, compromised, { write: !CONFIG.fixDryRun, maxDepth: CONFIG.maxDepth });
+				consoleReporter.onEvent('fix', { ...plan, dryRun: CONFIG.fixDryRun });
+				return plan;
 			});
-
-			// 侵害されたバージョンが実際にインストールされている場合のみ報告
-			if (hasCompromisedVersion) {
-				const relativePath = path.relative(CONFIG.targetDir, dep.foundIn);
-
-				results.foundInNodeModules.push({
-					package: dep.compromisedPackage,
-					version: installedCompromisedVersions.join(', '),
-					path: dep.foundIn,
-					depth: dep.depth,
-					type: 'dependency-reference',
-					referencedBy: dep.foundInPackageName,
-					compromisedVersions: compromisedVersions,
-				});
-
-				log.warning(`  ⚠️  ${dep.compromisedPackage}@${installedCompromisedVersions.join(', ')}`);
-				log.warning(`     依存元: ${dep.foundInPackageName} (要求: ${dep.version})`);
-				log.warning(`     場所: ${relativePath}`);
-				log.warning(`     侵害バージョン: ${compromisedVersions.join(', ')}`);
-				totalFoundCount++;
-				validDepCount++;
-			} else if (installedInstances.length === 0) {
-				// インストールされていない場合、バージョン範囲が侵害バージョンを含む可能性をチェック
-				// 簡易チェック: ^, ~, >=, >, v などの範囲指定の場合、警告を出す
-				const versionRange = dep.version;
-				let couldBeCompromised = false;
-
-				// 範囲指定記号とvプレフィックスを除去して基準バージョンを取得
-				const baseVersion = versionRange.replace(/^[v\^~>=<]+/, '').trim();
-
-				// 侵害バージョンと比較
-				compromisedVersions.forEach((compromisedVer) => {
-					// ^3.24.1 の場合、3.24.1 を含む可能性がある
-					if (versionRange.startsWith('^') || versionRange.startsWith('~') || versionRange.includes('>=') || versionRange.includes('>')) {
-						// 基準バージョンが侵害バージョンと一致、または侵害バージョンが範囲に含まれる可能性
-						if (baseVersion === compromisedVer || versionRange.includes(compromisedVer)) {
-							couldBeCompromised = true;
-						}
-					} else if (baseVersion === compromisedVer) {
-						// 完全一致 (v3.24.1 や 3.24.1 など)
-						couldBeCompromised = true;
-					}
-				});
-
-				if (couldBeCompromised) {
-					const relativePath = path.relative(CONFIG.targetDir, dep.foundIn);
-
-					results.foundInNodeModules.push({
-						package: dep.compromisedPackage,
-						version: dep.version,
-						path: dep.foundIn,
-						depth: dep.depth,
-						type: 'dependency-reference',
-						referencedBy: dep.foundInPackageName,
-						compromisedVersions: compromisedVersions,
-					});
-
-					log.warning(`  ⚠️  ${dep.compromisedPackage}@${dep.version} (未インストール)`);
-					log.warning(`     依存元: ${dep.foundInPackageName}`);
-					log.warning(`     場所: ${relativePath}`);
-					log.warning(`     侵害バージョン: ${compromisedVersions.join(', ')}`);
-					log.warning(`     注意: バージョン範囲が侵害バージョンを含む可能性があります`);
-					totalFoundCount++;
-					validDepCount++;
-				}
-			}
-		});
-
-		if (validDepCount > 0) {
-			log.warning(`  ⚠️  ${validDepCount} 個の侵害された依存関係参照が検出されました`);
-		} else {
-			log.success('  ✅ パッケージの依存関係に侵害されたバージョンは検出なし');
-		}
-	} else {
-		log.success('  ✅ パッケージの依存関係に検出なし');
 	}
-} else {
-	log.warning('  ⚠️  node_modules が見つかりません');
-	log.info(`     期待パス: ${paths.nodeModules}`);
-}
-
-console.log('');
 
-// package.json の検査
-log.title('📄 package.json を検査中...');
-
-if (fs.existsSync(paths.packageJson)) {
+	// レポートファイルの生成
 	try {
-		const packageJson = JSON.parse(fs.readFileSync(paths.packageJson, 'utf8'));
-
-		const checkDeps = (deps, type) => {
-			if (!deps) return;
-
-			Object.keys(deps).forEach((pkg) => {
-				// package.json のバージョンは範囲指定（^1.0.0など）なので、
-				// パッケージ名がブラックリストにあるかだけをチェック
-				if (COMPROMISED_PACKAGES_MAP.has(pkg)) {
-					const compromisedVersions = COMPROMISED_PACKAGES_MAP.get(pkg);
-					results.foundInPackageJson.push({
-						package: pkg,
-						version: deps[pkg],
-						type,
-						compromisedVersions: compromisedVersions,
-					});
-					log.warning(`  ⚠️  ${pkg}@${deps[pkg]} (${type})`);
-					log.warning(`     侵害バージョン: ${compromisedVersions.join(', ')}`);
-				}
-			});
-		};
-
-		checkDeps(packageJson.dependencies, 'dependencies');
-		checkDeps(packageJson.devDependencies, 'devDependencies');
-		checkDeps(packageJson.peerDependencies, 'peerDependencies');
-		checkDeps(packageJson.optionalDependencies, 'optionalDependencies');
+		const reportDir = path.dirname(CONFIG.outputFile);
 
-		if (results.foundInPackageJson.length === 0) {
-			log.success('  ✅ 検出なし');
+		// ディレクトリが存在しなければ作成
+		if (!fs.existsSync(reportDir)) {
+			fs.mkdirSync(reportDir, { recursive: true });
 		}
+
+		fs.writeFileSync(CONFIG.outputFile, reporter.render(report, { t }), 'utf8');
+		log.info(t('report.saved', { file: path.relative(process.cwd(), CONFIG.outputFile) }));
 	} catch (error) {
-		log.error(`  ❌ package.json の解析エラー: ${error.message}`);
+		log.fatal(t('report.saveFailed', { message: error.message }));
 	}
-} else {
-	log.warning('  ⚠️  package.json が見つかりません');
-	log.info(`     期待パス: ${paths.packageJson}`);
-}
-
-console.log('');
-console.log('='.repeat(70));
-log.title('📊 検査結果サマリー');
-console.log('='.repeat(70) + '\n');
-
-// 結果の集計
-results.summary.totalIssues = results.foundInNodeModules.length + results.foundInPackageJson.length;
-
-results.summary.safe = results.summary.totalIssues === 0;
-
-// リスクレベルの判定
-if (results.foundInNodeModules.length > 0) {
-	results.summary.criticalLevel = 'critical';
-} else if (results.foundInPackageJson.length > 0) {
-	results.summary.criticalLevel = 'high';
-}
-
-// 検査対象の情報
-console.log(`検査対象: ${c.cyan}${CONFIG.targetDir}${c.reset}`);
-console.log(`検査パッケージ数: ${COMPROMISED_PACKAGES_MAP.size}\n`);
-
-if (results.summary.safe) {
-	log.success('✅ プロジェクトは安全です');
-	console.log('   侵害されたパッケージは検出されませんでした\n');
-} else {
-	log.error(`🚨 ${results.summary.totalIssues} 件の問題が検出されました`);
-	log.error(`   リスクレベル: ${results.summary.criticalLevel.toUpperCase()}\n`);
 
-	console.log('検出箇所:');
-	console.log(`  ${c.yellow}├─${c.reset} node_modules: ${results.foundInNodeModules.length} 件`);
-	console.log(`  ${c.yellow}└─${c.reset} package.json: ${results.foundInPackageJson.length} 件\n`);
+	print('');
+	print(`${c.blue}${t('report.moreInfo')}${c.reset} https://socket.dev/blog/shai-hulud-strikes-again-v2`);
+	print('');
 
-	// 検出されたパッケージの一覧と詳細
-	console.log('検出されたパッケージ詳細:');
-
-	const allFoundPkgs = new Set([...results.foundInNodeModules.map((p) => p.package), ...results.foundInPackageJson.map((p) => p.package)]);
-
-	Array.from(allFoundPkgs).forEach((pkg) => {
-		// このパッケージで検出されたすべてのバージョンを収集
-		const allVersions = new Set();
-
-		// node_modules から検出されたバージョン
-		results.foundInNodeModules
-			.filter((p) => p.package === pkg)
-			.forEach((item) => {
-				if (item.version && item.version !== 'unknown') {
-					allVersions.add(item.version);
-				}
-			});
-
-		// package.json から検出されたバージョン（範囲指定の可能性あり）
-		results.foundInPackageJson
-			.filter((p) => p.package === pkg)
-			.forEach((item) => {
-				if (item.version) {
-					allVersions.add(item.version);
-				}
-			});
-
-		// バージョン情報を表示
-		const versionStr = allVersions.size > 0 ? `(${Array.from(allVersions).join(', ')})` : '';
-		console.log(`  ${c.red}● ${pkg}${versionStr}${c.reset}`);
-
-		// node_modules での検出（実体）
-		const installed = results.foundInNodeModules.filter((p) => p.package === pkg && p.type === 'installed');
-		installed.forEach((item) => {
-			const relativePath = path.relative(CONFIG.targetDir, item.path);
-			console.log(`    └─ [実体] ${relativePath}`);
-
-			// pnpm のパス構造から親パッケージを推測
-			// 例: node_modules/.pnpm/@stoplight+spectral-rulesets@1.22.0/node_modules/@asyncapi/specs
-			// 親: @stoplight/spectral-rulesets
-			if (relativePath.includes('.pnpm/')) {
-				// @scope+package@version または package@version の形式をマッチ
-				const pnpmMatch = relativePath.match(/\.pnpm\/(@?[^@/]+)@[^/]+\/node_modules\//);
-				if (pnpmMatch) {
-					let parentPkg = pnpmMatch[1];
-					// pnpm はスコープの / を + に置換している
-					parentPkg = parentPkg.replace(/\+/g, '/');
-
-					// 自分自身でなければ表示
-					if (parentPkg !== pkg) {
-						console.log(`       (親パッケージの可能性: ${parentPkg})`);
-					}
-				}
-			}
-		});
-
-		// node_modules での検出（依存関係）
-		const deps = results.foundInNodeModules.filter((p) => p.package === pkg && p.type === 'dependency-reference');
-		deps.forEach((item) => {
-			const relativePath = path.relative(CONFIG.targetDir, item.path);
-			console.log(`    └─ [依存元] ${item.referencedBy} (${relativePath})`);
-		});
-
-		// package.json での検出
-		const inPkgJson = results.foundInPackageJson.filter((p) => p.package === pkg);
-		inPkgJson.forEach((item) => {
-			console.log(`    └─ [定義] package.json > ${item.type}`);
-		});
-	});
-
-	console.log('');
-	console.log('='.repeat(70));
-	log.error('⚠️  至急対応が必要です！');
-	console.log('='.repeat(70) + '\n');
-
-	console.log('推奨される対応手順:\n');
-	console.log(`${c.red}1.${c.reset} すべての API キー、トークン、パスワードを即座にローテーション`);
-	console.log(`${c.red}2.${c.reset} ターゲットディレクトリで以下のコマンドを実行:`);
-	console.log(`   ${c.cyan}cd ${CONFIG.targetDir}${c.reset}`);
-	console.log(`   ${c.cyan}rm -rf node_modules${c.reset}`);
-	console.log(`   ${c.cyan}npm cache clean --force${c.reset}`);
-	console.log(`${c.red}3.${c.reset} package.json から依存関係を削除または更新`);
-	console.log(`${c.red}4.${c.reset} ${c.cyan}npm install${c.reset} で再インストール`);
-	console.log(`${c.red}5.${c.reset} GitHub で 'Sha1-Hulud: The Second Coming' という`);
-	console.log(`   説明のリポジトリがないか確認\n`);
-}
-
-// レポートファイルの生成
-try {
-	const reportDir = path.dirname(CONFIG.outputFile);
-
-	// ディレクトリが存在しなければ作成
-	if (!fs.existsSync(reportDir)) {
-		fs.mkdirSync(reportDir, { recursive: true });
+	// --quiet 指定時はプロジェクトごとの 1 行サマリーのみ出力
+	if (CONFIG.quiet) {
+		consoleReporter.printQuietSummary(report);
 	}
 
-	fs.writeFileSync(CONFIG.outputFile, JSON.stringify(results, null, 2), 'utf8');
-	log.info(`📝 詳細レポートを保存: ${path.relative(process.cwd(), CONFIG.outputFile)}`);
-} catch (error) {
-	log.error(`⚠️  レポートの保存に失敗: ${error.message}`);
+	// 終了コード: --fail-on の閾値に達した場合のみ 1
+	process.exit(cli.shouldFail(report.summary, CONFIG.failOn) ? 1 : 0);
 }
 
-console.log('');
-console.log(`${c.blue}詳細情報:${c.reset} https://socket.dev/blog/shai-hulud-strikes-again-v2`);
-console.log('');
+if (require.main === module) {
+	main();
+}
 
-// 終了コード
-process.exit(results.summary.safe ? 0 : 1);
+module.exports = {
+	scan: scanner.scan,
+	scanProject: scanner.scanProject,
+	explainPackage: scanner.explainPackage,
+	fixProject,
+	aggregateResults: scanner.aggregateResults,
+	createCompromisedMap: scanner.createCompromisedMap,
+	REPORTERS,
+	getReporter,
+	createConsoleReporter,
+};
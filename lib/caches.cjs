@@ -0,0 +1,259 @@
+/**
+ * グローバル・キャッシュのパッケージの検査モジュール
+ * プロジェクトの node_modules の外にある、次の場所のパッケージ（name@version）を列挙して侵害パッケージリストと照合する
+ *
+ *   global     - npm のグローバルプレフィックス（<prefix>/lib/node_modules、Windows は <prefix>/node_modules）
+ *   npm-cache  - npm のキャッシュ（~/.npm/_cacache の index-v5 に記録された tarball の URL）
+ *   pnpm-store - pnpm のストア（パッケージごとのインデックスファイルの name / version）
+ *   yarn-cache - yarn のキャッシュ（classic: npm-<name>-<version>-<hash>-integrity、Berry: <name>-npm-<version>-<hash>.zip）
+ *
+ * パッケージの形式:
+ *   { name, version, path, source? }  path は検出したファイル・ディレクトリ、source は npm のキャッシュの tarball の URL
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildInventory } = require('./inventory.cjs');
+const { detectLang, createTranslator } = require('./i18n.cjs');
+
+const CACHE_TYPES = ['global', 'npm-cache', 'pnpm-store', 'yarn-cache'];
+
+/**
+ * ディレクトリ配下のファイルを列挙（シンボリックリンクはたどらない）
+ * @param {string} dir - 探索するディレクトリ
+ * @param {Function} filter - (filePath, name) => boolean
+ * @returns {string[]} 一致したファイルのパス
+ */
+function findFiles(dir, filter) {
+	const files = [];
+	const walk = (current) => {
+		let entries;
+		try {
+			entries = fs.readdirSync(current, { withFileTypes: true });
+		} catch (error) {
+			return; // アクセス権限エラーなどは無視
+		}
+		for (const entry of entries) {
+			const entryPath = path.join(current, entry.name);
+			if (entry.isDirectory()) walk(entryPath);
+			else if (entry.isFile() && filter(entryPath, entry.name)) files.push(entryPath);
+		}
+	};
+	walk(dir);
+	return files;
+}
+
+/**
+ * tarball の URL からパッケージ名とバージョンを取得
+ * @param {string} url - 例: "https://registry.npmjs.org/@scope/pkg/-/pkg-1.2.3.tgz"
+ * @returns {{name: string, version: string}|null} tarball の URL でない場合は null
+ */
+function packageFromTarballUrl(url) {
+	const match = String(url).match(/\/((?:@[^/]+\/)?[^/]+)\/-\/([^/]+)\.tgz(?:$|[?#])/);
+	if (!match) return null;
+	const name = decodeURIComponent(match[1]);
+	const prefix = `${name.split('/').pop()}-`;
+	if (!match[2].startsWith(prefix)) return null;
+	return { name, version: match[2].slice(prefix.length) };
+}
+
+/**
+ * 場所が見つからない場合のエラー
+ * @param {string} type - 場所の種類
+ * @param {string} dir - 場所のパス
+ * @param {Object} options - { t: 翻訳関数 }
+ * @returns {Error} エラー
+ */
+function missingLocationError(type, dir, options) {
+	const t = options.t || createTranslator(detectLang());
+	return new Error(t(`caches.missing.${type}`, { dir }));
+}
+
+/**
+ * npm のグローバルプレフィックスのパッケージ
+ * @param {string} dir - プレフィックス、または lib/node_modules のパス
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用） }
+ * @returns {Object[]} パッケージ
+ */
+function listGlobalPackages(dir, options = {}) {
+	const candidates = path.basename(dir) === 'node_modules' ? [dir] : [path.join(dir, 'lib', 'node_modules'), path.join(dir, 'node_modules')];
+	const nodeModules = candidates.find((candidate) => fs.existsSync(candidate));
+	if (!nodeModules) throw missingLocationError('global', candidates.join(', '), options);
+
+	const packages = [];
+	for (const instances of buildInventory(nodeModules).values()) {
+		instances.forEach((instance) => packages.push({ name: instance.name, version: instance.version, path: instance.path }));
+	}
+	return packages;
+}
+
+/**
+ * npm のキャッシュ (_cacache) のパッケージ
+ * index-v5 の各行 "<hash>\t<JSON>" の key から tarball の URL を取り出す（integrity が null の行は削除の記録）
+ * @param {string} dir - キャッシュのディレクトリ（~/.npm）、または _cacache のパス
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用） }
+ * @returns {Object[]} パッケージ
+ */
+function listNpmCachePackages(dir, options = {}) {
+	const cacache = path.basename(dir) === '_cacache' ? dir : path.join(dir, '_cacache');
+	const indexDir = path.join(cacache, 'index-v5');
+	if (!fs.existsSync(indexDir)) throw missingLocationError('npm-cache', indexDir, options);
+
+	// キー -> 最後の記録（同じキーは後の行で上書きされる）
+	const latest = new Map();
+	findFiles(indexDir, () => true).forEach((file) => {
+		let text;
+		try {
+			text = fs.readFileSync(file, 'utf8');
+		} catch (error) {
+			return;
+		}
+		text.split('\n').forEach((line) => {
+			const tab = line.indexOf('\t');
+			if (tab === -1) return;
+			try {
+				const entry = JSON.parse(line.slice(tab + 1));
+				if (entry && entry.key) latest.set(entry.key, { entry, file });
+			} catch (error) {
+				// 壊れた行は無視
+			}
+		});
+	});
+
+	const packages = [];
+	latest.forEach(({ entry, file }, key) => {
+		if (!entry.integrity) return;
+		// 例: "make-fetch-happen:request-cache:https://registry.npmjs.org/pkg/-/pkg-1.0.0.tgz"
+		const url = (key.match(/https?:\/\/\S+/) || [])[0];
+		const pkg = url && packageFromTarballUrl(url);
+		if (pkg) packages.push({ ...pkg, path: file, source: url });
+	});
+	return packages;
+}
+
+/**
+ * pnpm のストアのパッケージ
+ * パッケージごとのインデックスファイル（v3: files/xx/<hash>-index.json、v10: index/xx/*.json）の name / version を使う
+ * @param {string} dir - ストアのディレクトリ（~/.local/share/pnpm/store など）
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用） }
+ * @returns {Object[]} パッケージ（name / version が記録されていないインデックスは含まない）
+ */
+function listPnpmStorePackages(dir, options = {}) {
+	if (!fs.existsSync(dir)) throw missingLocationError('pnpm-store', dir, options);
+
+	const isIndex = (filePath, name) => name.endsWith('-index.json') || (name.endsWith('.json') && filePath.split(path.sep).includes('index'));
+	const packages = [];
+	findFiles(dir, isIndex).forEach((file) => {
+		try {
+			const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+			if (index && typeof index.name === 'string' && typeof index.version === 'string') {
+				packages.push({ name: index.name, version: index.version, path: file });
+			}
+		} catch (error) {
+			// 読み込めないインデックスは無視
+		}
+	});
+	return packages;
+}
+
+/**
+ * yarn classic のキャッシュのエントリのパッケージの package.json
+ * パッケージに同梱された依存関係の package.json と取り違えないよう、node_modules の直下のパッケージのみを見る
+ * @param {string} nodeModules - エントリの node_modules（npm-<name>-<version>-<hash>-integrity/node_modules）
+ * @returns {string|null} node_modules/<name>/package.json（スコープ付きは node_modules/@scope/name/package.json）、ない場合は null
+ */
+function findYarnClassicManifest(nodeModules) {
+	const readdir = (dir) => {
+		try {
+			return fs.readdirSync(dir);
+		} catch (error) {
+			return [];
+		}
+	};
+	const dirs = readdir(nodeModules).flatMap((name) => (name.startsWith('@') ? readdir(path.join(nodeModules, name)).map((sub) => path.join(name, sub)) : [name]));
+	return dirs.map((dir) => path.join(nodeModules, dir, 'package.json')).find((manifest) => fs.existsSync(manifest)) || null;
+}
+
+/**
+ * yarn のキャッシュのパッケージ
+ * classic はキャッシュのディレクトリ内の package.json、Berry は zip のファイル名から取得する
+ * Berry のスコープ付きパッケージ（@scope-name-npm-...）はスコープと名前の区切りが曖昧なため、候補をすべて返す
+ * @param {string} dir - キャッシュのディレクトリ（~/.cache/yarn/v6、.yarn/cache など）
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用） }
+ * @returns {Object[]} パッケージ（Berry のスコープ付きは names に名前の候補）
+ */
+function listYarnCachePackages(dir, options = {}) {
+	if (!fs.existsSync(dir)) throw missingLocationError('yarn-cache', dir, options);
+
+	const packages = [];
+	let entries = [];
+	try {
+		entries = fs.readdirSync(dir, { withFileTypes: true });
+	} catch (error) {
+		return packages;
+	}
+
+	entries.forEach((entry) => {
+		const entryPath = path.join(dir, entry.name);
+
+		// classic: npm-<name>-<version>-<hash>-integrity/node_modules/<name>/package.json
+		if (entry.isDirectory() && entry.name.startsWith('npm-')) {
+			const manifest = findYarnClassicManifest(path.join(entryPath, 'node_modules'));
+			if (!manifest) return;
+			try {
+				const pkgJson = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+				if (pkgJson.name && pkgJson.version) packages.push({ name: pkgJson.name, version: pkgJson.version, path: entryPath });
+			} catch (error) {
+				// 読み込めない package.json は無視
+			}
+			return;
+		}
+
+		// Berry: <name>-npm-<version>-<hash>[-<checksum>].zip
+		const match = entry.isFile() && entry.name.match(/^(.+?)-npm-(\d.*?)-[0-9a-f]{10}(?:-[0-9a-f]+)?\.zip$/);
+		if (!match) return;
+		const [, slug, version] = match;
+		if (!slug.startsWith('@')) {
+			packages.push({ name: slug, version, path: entryPath });
+			return;
+		}
+		// @my-scope-pkg -> @my/scope-pkg, @my-scope/pkg
+		const names = [];
+		for (let i = slug.indexOf('-'); i !== -1; i = slug.indexOf('-', i + 1)) names.push(`${slug.slice(0, i)}/${slug.slice(i + 1)}`);
+		if (names.length > 0) packages.push({ name: names[0], names, version, path: entryPath });
+	});
+	return packages;
+}
+
+const LISTERS = {
+	global: listGlobalPackages,
+	'npm-cache': listNpmCachePackages,
+	'pnpm-store': listPnpmStorePackages,
+	'yarn-cache': listYarnCachePackages,
+};
+
+/**
+ * グローバル・キャッシュの場所のパッケージを列挙
+ * @param {string} type - 'global' | 'npm-cache' | 'pnpm-store' | 'yarn-cache'
+ * @param {string} dir - 場所のパス
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語） }
+ * @returns {Object[]} パッケージ
+ * @throws {Error} 場所が見つからない場合
+ */
+function listCachedPackages(type, dir, options = {}) {
+	if (!LISTERS[type]) {
+		const t = options.t || createTranslator(detectLang());
+		throw new Error(t('caches.unknownType', { type }));
+	}
+	return LISTERS[type](path.resolve(dir), options);
+}
+
+module.exports = {
+	CACHE_TYPES,
+	packageFromTarballUrl,
+	listGlobalPackages,
+	listNpmCachePackages,
+	listPnpmStorePackages,
+	listYarnCachePackages,
+	listCachedPackages,
+};
@@ -0,0 +1,296 @@
+/**
+ * コマンドライン引数の解析モジュール
+ * オプションは OPTIONS の定義表から解析・ヘルプ生成の両方を行う
+ *
+ * 対応する書式:
+ *   --output report.json / --output=report.json / -o report.json
+ *   --quiet / -q
+ *   --no-color (真偽値オプションの否定)
+ *
+ * オプションの説明やエラーメッセージは i18n.cjs のカタログ (option.<名前>, cli.*) で管理する
+ */
+
+const { LANGUAGES, detectLang, langFromArgs, createTranslator } = require('./i18n.cjs');
+
+// 検出結果のリスクレベル（数値が大きいほど深刻）
+const SEVERITY_RANK = {
+	none: 0,
+	high: 2,
+	critical: 3,
+};
+
+// --fail-on の閾値 -> 失敗とみなす最小ランク
+const FAIL_ON_THRESHOLDS = {
+	critical: SEVERITY_RANK.critical,
+	high: SEVERITY_RANK.high,
+	any: 1,
+};
+
+// オプション定義
+const OPTIONS = {
+	output: {
+		type: 'string',
+		alias: 'o',
+		placeholder: '<file>',
+	},
+	format: {
+		type: 'string',
+		placeholder: '<format>',
+		default: 'json',
+	},
+	list: {
+		type: 'string',
+		placeholder: '<file>',
+	},
+	'osv-dir': {
+		type: 'string',
+		placeholder: '<dir>',
+	},
+	regenerate: {
+		type: 'boolean',
+		default: true,
+	},
+	'max-depth': {
+		type: 'number',
+		placeholder: '<n>',
+		default: 5,
+	},
+	'max-paths': {
+		type: 'number',
+		placeholder: '<n>',
+		default: 100,
+	},
+	'ioc-node-modules': {
+		type: 'boolean',
+		default: true,
+	},
+	'ioc-node-modules-content': {
+		type: 'boolean',
+		default: false,
+	},
+	'ioc-max-file-size': {
+		type: 'number',
+		placeholder: '<mb>',
+		default: 16,
+	},
+	'strict-scripts': {
+		type: 'boolean',
+		default: false,
+	},
+	global: {
+		type: 'string',
+		placeholder: '<dir>',
+	},
+	'npm-cache': {
+		type: 'string',
+		placeholder: '<dir>',
+	},
+	'pnpm-store': {
+		type: 'string',
+		placeholder: '<dir>',
+	},
+	'yarn-cache': {
+		type: 'string',
+		placeholder: '<dir>',
+	},
+	host: {
+		type: 'boolean',
+		default: false,
+	},
+	home: {
+		type: 'string',
+		placeholder: '<dir>',
+	},
+	discover: {
+		type: 'boolean',
+		default: false,
+	},
+	'discover-depth': {
+		type: 'number',
+		placeholder: '<n>',
+		default: 4,
+	},
+	fix: {
+		type: 'boolean',
+		default: false,
+	},
+	'fix-dry-run': {
+		type: 'boolean',
+		default: false,
+	},
+	'fail-on': {
+		type: 'string',
+		placeholder: '<level>',
+		default: 'any',
+		choices: Object.keys(FAIL_ON_THRESHOLDS),
+	},
+	quiet: {
+		type: 'boolean',
+		alias: 'q',
+		default: false,
+	},
+	color: {
+		type: 'boolean',
+		default: true,
+	},
+	// デフォルトは環境変数 LANG などから判定するため、ここでは指定しない
+	lang: {
+		type: 'string',
+		placeholder: '<lang>',
+		choices: LANGUAGES,
+	},
+	help: {
+		type: 'boolean',
+		alias: 'h',
+		default: false,
+	},
+};
+
+/**
+ * ケバブケースをキャメルケースに変換
+ * @param {string} name - 例: "max-depth"
+ * @returns {string} 例: "maxDepth"
+ */
+function camelCase(name) {
+	return name.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+}
+
+/**
+ * コマンドライン引数を解析
+ * @param {string[]} argv - process.argv.slice(2)
+ * @param {Object} extra - 追加情報（t: エラーメッセージの翻訳関数）
+ * @returns {{targets: string[], options: Object}} 位置引数とオプション
+ * @throws {Error} 不明なオプションや不正な値の場合
+ */
+function parseArgs(argv, extra = {}) {
+	const t = extra.t || createTranslator(langFromArgs(argv));
+	const targets = [];
+	const options = {};
+
+	for (const [name, def] of Object.entries(OPTIONS)) {
+		if (def.default !== undefined) options[camelCase(name)] = def.default;
+	}
+
+	const aliases = {};
+	for (const [name, def] of Object.entries(OPTIONS)) {
+		if (def.alias) aliases[def.alias] = name;
+	}
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+
+		if (arg === '--') {
+			targets.push(...argv.slice(i + 1));
+			break;
+		}
+
+		if (!arg.startsWith('-') || arg === '-') {
+			targets.push(arg);
+			continue;
+		}
+
+		let name;
+		let value;
+		if (arg.startsWith('--')) {
+			const eq = arg.indexOf('=');
+			name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+			value = eq === -1 ? undefined : arg.slice(eq + 1);
+		} else {
+			name = aliases[arg.slice(1)];
+			if (!name) throw new Error(t('cli.unknownOption', { arg }));
+		}
+
+		// --no-xxx は真偽値オプションの否定
+		if (!OPTIONS[name] && name.startsWith('no-') && OPTIONS[name.slice(3)] && OPTIONS[name.slice(3)].type === 'boolean') {
+			options[camelCase(name.slice(3))] = false;
+			continue;
+		}
+
+		const def = OPTIONS[name];
+		if (!def) throw new Error(t('cli.unknownOption', { arg }));
+
+		if (def.type === 'boolean') {
+			options[camelCase(name)] = value === undefined ? true : value !== 'false';
+			continue;
+		}
+
+		if (value === undefined) {
+			value = argv[++i];
+			if (value === undefined) throw new Error(t('cli.valueRequired', { name }));
+		}
+
+		if (def.type === 'number') {
+			const number = Number(value);
+			if (!Number.isInteger(number) || number < 0) throw new Error(t('cli.invalidNumber', { name, value }));
+			value = number;
+		}
+
+		if (def.choices && !def.choices.includes(value)) {
+			throw new Error(t('cli.invalidChoice', { name, value, choices: def.choices.join(' | ') }));
+		}
+
+		options[camelCase(name)] = value;
+	}
+
+	// --lang がなければ環境変数 (LC_ALL, LC_MESSAGES, LANG) から判定
+	if (options.lang === undefined) options.lang = detectLang();
+
+	return { targets, options };
+}
+
+/**
+ * 使用方法のテキストを生成
+ * @param {Object} extra - 追加情報（formats: 利用可能なレポート形式, t: 翻訳関数）
+ * @returns {string} ヘルプテキスト
+ */
+function usage(extra = {}) {
+	const t = extra.t || createTranslator('ja');
+	const lines = [t('usage.title'), t('usage.command'), t('usage.explain'), '', t('usage.options')];
+
+	for (const [name, def] of Object.entries(OPTIONS)) {
+		let flag = def.type === 'boolean' && def.default === true ? `--no-${name}` : `--${name}`;
+		if (def.alias) flag = `-${def.alias}, ${flag}`;
+		if (def.placeholder) flag += ` ${def.placeholder}`;
+
+		let description = t(`option.${name}`);
+		if (name === 'format' && extra.formats) description += ` (${extra.formats.join(' | ')})`;
+		if (def.default !== undefined && def.type !== 'boolean') description += ` [${t('usage.default')}: ${def.default}]`;
+
+		lines.push(`  ${flag.padEnd(26)} ${description}`);
+	}
+
+	lines.push('', t('usage.examples'));
+	lines.push('  node index.cjs ../my-project');
+	lines.push('  node index.cjs /path/to/htdocs/my-project --fail-on=critical --quiet');
+	lines.push('  node index.cjs ../my-project --output report.json --max-depth 8');
+	lines.push('  node index.cjs ../service-a ../service-b');
+	lines.push('  node index.cjs /path/to/htdocs --discover');
+	lines.push('  node index.cjs ../my-project --osv-dir ./osv/npm');
+	lines.push('  node index.cjs ../my-project --host');
+	lines.push('  node index.cjs ../my-project --global "$(npm prefix -g)" --npm-cache "$(npm config get cache)"');
+	lines.push('  node index.cjs explain @ctrl/tinycolor ../my-project');
+	lines.push('  node index.cjs ../my-project --fix-dry-run');
+	lines.push('  node index.cjs ../my-project --lang en');
+
+	return lines.join('\n');
+}
+
+/**
+ * 検査結果が --fail-on の閾値に達しているか判定
+ * @param {Object} summary - results.summary
+ * @param {string} failOn - 'critical' | 'high' | 'any'
+ * @returns {boolean} 失敗（終了コード 1）とすべき場合 true
+ */
+function shouldFail(summary, failOn) {
+	if (summary.totalIssues === 0) return false;
+	const rank = SEVERITY_RANK[summary.criticalLevel] || 1;
+	return rank >= FAIL_ON_THRESHOLDS[failOn];
+}
+
+module.exports = {
+	OPTIONS,
+	SEVERITY_RANK,
+	parseArgs,
+	usage,
+	shouldFail,
+};
@@ -0,0 +1,125 @@
+/**
+ * 侵害パッケージリストの差分モジュール
+ * 2 つのリスト（blacklists/ のリストファイル、または生成済みの compromised_packages.json）を比較し、
+ * 追加・削除されたパッケージと、バージョン（範囲）が変わったパッケージを求める
+ *
+ * 差分の形式:
+ *   {
+ *     old: 'npm_black_list_20250919.txt', new: 'npm_black_list_20251128.txt',
+ *     added:   [{ name, versions, ranges }],
+ *     removed: [{ name, versions, ranges }],
+ *     changed: [{ name, addedVersions, removedVersions, addedRanges, removedRanges }],
+ *     summary: { added, removed, changed, unchanged }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('./semver.cjs');
+const { importList } = require('./importers.cjs');
+
+/**
+ * バージョンを昇順に並べる（semver として不正なものは文字列順で末尾）
+ * @param {string} a - バージョン
+ * @param {string} b - バージョン
+ * @returns {number}
+ */
+function byVersion(a, b) {
+	const validA = semver.valid(a);
+	const validB = semver.valid(b);
+	if (validA && validB) return semver.compare(a, b);
+	if (validA !== validB) return validA ? -1 : 1;
+	return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * リストを読み込み、パッケージ名 -> バージョン・範囲のマップにする
+ * 同じパッケージの複数の記載は合算し、バージョンの 'v' プレフィックスは区別しない
+ * @param {string} file - リストファイルまたは compromised_packages.json のパス
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用） }
+ * @returns {Map<string, {versions: string[], ranges: string[]}>}
+ * @throws {Error} ファイルが読めない、または形式が不正な場合
+ */
+function loadPackageSet(file, options = {}) {
+	const { entries } = importList(path.basename(file), fs.readFileSync(file, 'utf8'), options);
+	const packages = new Map();
+
+	entries.forEach((entry) => {
+		if (!packages.has(entry.name)) packages.set(entry.name, { versions: [], ranges: [] });
+		const pkg = packages.get(entry.name);
+		entry.versions.forEach((version) => {
+			const normalized = String(version).replace(/^v/, '');
+			if (!pkg.versions.includes(normalized)) pkg.versions.push(normalized);
+		});
+		(entry.ranges || []).forEach((range) => {
+			if (!pkg.ranges.includes(range)) pkg.ranges.push(range);
+		});
+	});
+
+	packages.forEach((pkg) => pkg.versions.sort(byVersion));
+	return packages;
+}
+
+/**
+ * 2 つのパッケージのマップを比較
+ * @param {Map} oldPackages - 比較元（古いリスト）
+ * @param {Map} newPackages - 比較先（新しいリスト）
+ * @returns {{added: Object[], removed: Object[], changed: Object[], summary: Object}} パッケージ名順の差分
+ */
+function diffPackageSets(oldPackages, newPackages) {
+	const added = [];
+	const removed = [];
+	const changed = [];
+	let unchanged = 0;
+
+	const names = [...new Set([...oldPackages.keys(), ...newPackages.keys()])].sort();
+	names.forEach((name) => {
+		const before = oldPackages.get(name);
+		const after = newPackages.get(name);
+
+		if (!before) {
+			added.push({ name, versions: after.versions, ranges: after.ranges });
+			return;
+		}
+		if (!after) {
+			removed.push({ name, versions: before.versions, ranges: before.ranges });
+			return;
+		}
+
+		const change = {
+			name,
+			addedVersions: after.versions.filter((version) => !before.versions.includes(version)),
+			removedVersions: before.versions.filter((version) => !after.versions.includes(version)),
+			addedRanges: after.ranges.filter((range) => !before.ranges.includes(range)),
+			removedRanges: before.ranges.filter((range) => !after.ranges.includes(range)),
+		};
+		if (change.addedVersions.length + change.removedVersions.length + change.addedRanges.length + change.removedRanges.length > 0) {
+			changed.push(change);
+		} else {
+			unchanged++;
+		}
+	});
+
+	return { added, removed, changed, summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged } };
+}
+
+/**
+ * 2 つのリストファイルを比較
+ * @param {string} oldFile - 比較元のパス
+ * @param {string} newFile - 比較先のパス
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語） }
+ * @returns {Object} 差分（old / new にはファイル名）
+ */
+function diffLists(oldFile, newFile, options = {}) {
+	return {
+		old: path.basename(oldFile),
+		new: path.basename(newFile),
+		...diffPackageSets(loadPackageSet(oldFile, options), loadPackageSet(newFile, options)),
+	};
+}
+
+module.exports = {
+	loadPackageSet,
+	diffPackageSets,
+	diffLists,
+};
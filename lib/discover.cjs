@@ -0,0 +1,61 @@
+/**
+ * 検査対象プロジェクトの検出モジュール
+ * 親ディレクトリ配下から package.json または node_modules を持つディレクトリを探す
+ * node_modules の中（依存パッケージ）とドットディレクトリ（.git など）は探索しない
+ * ワークスペースのメンバーはルートの検査に含まれるため、個別のプロジェクトとしては扱わない
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findWorkspaces } = require('./workspaces.cjs');
+
+/**
+ * プロジェクトのルートか判定
+ * @param {Set<string>} names - ディレクトリ内のエントリ名
+ * @returns {boolean}
+ */
+function isProjectRoot(names) {
+	return names.has('package.json') || names.has('node_modules');
+}
+
+/**
+ * 親ディレクトリ配下のプロジェクトを検出
+ * @param {string} rootDir - 探索を開始するディレクトリ
+ * @param {Object} options - { maxDepth: 探索する最大深度 }
+ * @returns {string[]} プロジェクトのディレクトリ（絶対パス、探索順）
+ */
+function discoverProjects(rootDir, options = {}) {
+	const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 4;
+	const projects = [];
+	const workspaceMembers = new Set();
+
+	const walk = (dir, depth) => {
+		let entries;
+		try {
+			entries = fs.readdirSync(dir, { withFileTypes: true });
+		} catch (error) {
+			return; // アクセス権限エラーなどは無視
+		}
+
+		if (isProjectRoot(new Set(entries.map((entry) => entry.name))) && !workspaceMembers.has(dir)) {
+			projects.push(dir);
+			findWorkspaces(dir).forEach((member) => workspaceMembers.add(member.dir));
+		}
+
+		if (depth >= maxDepth) return;
+
+		for (const entry of entries) {
+			// シンボリックリンクは辿らない（同じプロジェクトの重複検査を防ぐ）
+			if (!entry.isDirectory()) continue;
+			if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+			walk(path.join(dir, entry.name), depth + 1);
+		}
+	};
+
+	walk(path.resolve(rootDir), 0);
+	return projects;
+}
+
+module.exports = {
+	discoverProjects,
+};
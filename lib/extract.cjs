@@ -0,0 +1,247 @@
+/**
+ * 侵害パッケージリストの抽出モジュール
+ * blacklists/ のリストを読み込み、compromised_packages.csv / compromised_packages.json の内容を作成する
+ * extract_packages.cjs と、index.cjs の自動再生成（プロセスを起動せずに実行）の両方から使う
+ *
+ * 生成する JSON の metadata.inputHash には入力のリストの内容のハッシュを記録し、
+ * isStale() でリストが変更されたか（生成済みのファイルが古いか）を判定する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isSupportedList, importList } = require('./importers.cjs');
+const { validateLists } = require('./validate.cjs');
+
+const DEFAULT_INPUT_DIR = path.join(__dirname, '..', 'blacklists');
+const DEFAULT_OUTPUT_CSV = path.join(__dirname, '..', 'compromised_packages.csv');
+const DEFAULT_OUTPUT_JSON = path.join(__dirname, '..', 'compromised_packages.json');
+
+// 抽出モード
+const MODES = ['merge', 'keep-all', 'first-only'];
+
+// リストごとに異なりうる情報（OSV / GitHub Security Advisory などではレコードごとに異なる）
+const CONTEXT_KEYS = ['campaign', 'source', 'firstSeen', 'severity'];
+
+/**
+ * 入力ディレクトリ内の対応する形式のリストファイル
+ * @param {string} inputDir - リストのディレクトリ
+ * @returns {string[]} ファイル名（名前順）
+ */
+function listFiles(inputDir) {
+	return fs.readdirSync(inputDir).filter(isSupportedList).sort();
+}
+
+/**
+ * 入力のリストの内容のハッシュを計算
+ * ファイル名と内容の両方を含めるため、リストの追加・削除・変更・改名のいずれでも変わる
+ * @param {string} inputDir - リストのディレクトリ
+ * @returns {string} 例: "sha256:3f2a..."
+ */
+function hashInputs(inputDir) {
+	const hash = crypto.createHash('sha256');
+	listFiles(inputDir).forEach((file) => {
+		hash.update(file + '\0');
+		hash.update(fs.readFileSync(path.join(inputDir, file)));
+		hash.update('\0');
+	});
+	return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * 生成済みのリストが入力のリストより古いか判定
+ * @param {string} listFile - compromised_packages.json のパス
+ * @param {string} inputDir - リストのディレクトリ
+ * @returns {{stale: boolean, reason: string|null}} reason: 'missing'（ファイルがない）| 'noHash'（ハッシュが記録されていない）| 'changed'（リストが変更された）
+ */
+function isStale(listFile, inputDir) {
+	if (!fs.existsSync(listFile)) return { stale: true, reason: 'missing' };
+	// 入力のディレクトリがない場合は比較できないため、生成済みのファイルをそのまま使う
+	if (!fs.existsSync(inputDir)) return { stale: false, reason: null };
+
+	let metadata;
+	try {
+		metadata = JSON.parse(fs.readFileSync(listFile, 'utf8')).metadata || {};
+	} catch (error) {
+		return { stale: false, reason: null }; // 読み込みエラーは検査時に報告する
+	}
+
+	if (!metadata.inputHash) return { stale: true, reason: 'noHash' };
+	if (metadata.inputHash !== hashInputs(inputDir)) return { stale: true, reason: 'changed' };
+	return { stale: false, reason: null };
+}
+
+/**
+ * エントリーの出典（バージョン・範囲ごとのリストファイルと行番号）
+ * バージョン情報のないエントリーは version: null とする
+ * キャンペーンなどがリストのヘッダーと異なるエントリーは、その値も記録する
+ * @param {Object} entry - { name, versions, ranges, list, line, info, listInfo }
+ * @returns {Array<{version?: string|null, range?: string, list: string, line: number|null}>}
+ */
+function provenanceOf(entry) {
+	const context = {};
+	CONTEXT_KEYS.filter((key) => entry.info[key] !== entry.listInfo[key]).forEach((key) => {
+		context[key] = entry.info[key];
+	});
+
+	if (entry.versions.length === 0 && entry.ranges.length === 0) {
+		return [{ version: null, list: entry.list, line: entry.line, ...context }];
+	}
+	return [
+		...entry.versions.map((version) => ({ version, list: entry.list, line: entry.line, ...context })),
+		...entry.ranges.map((range) => ({ range, list: entry.list, line: entry.line, ...context })),
+	];
+}
+
+/**
+ * 抽出モードに従ってエントリーをパッケージにまとめる
+ * - merge: 同じパッケージのバージョン・範囲を合算（'v' の有無は区別しない）
+ * - keep-all: すべてのエントリーをそのまま保持
+ * - first-only: 最初に現れたエントリーのみ保持
+ * @param {Object[]} entries - リストの出現順のエントリー
+ * @param {string} mode - 'merge' | 'keep-all' | 'first-only'
+ * @returns {{packages: Object[], duplicates: number}} パッケージと重複エントリー数
+ */
+function combineEntries(entries, mode) {
+	const packages = [];
+	const byName = new Map();
+	let duplicates = 0;
+
+	entries.forEach((entry) => {
+		const existing = byName.get(entry.name);
+		if (existing) duplicates++;
+
+		// キャンペーンなどの情報は最初に記載されたリストのものを使う（バージョンごとの出典は provenance を参照）
+		if (!existing || mode === 'keep-all') {
+			const { campaign, source, firstSeen, severity } = entry.info;
+			const pkg = {
+				name: entry.name,
+				versions: [...entry.versions],
+				ranges: [...entry.ranges],
+				campaign,
+				source,
+				firstSeen,
+				severity,
+				provenance: provenanceOf(entry),
+			};
+			if (!existing) byName.set(entry.name, pkg);
+			packages.push(pkg);
+			return;
+		}
+
+		if (mode === 'first-only') return;
+
+		const normalize = (version) => version.replace(/^v/, '');
+		const known = new Set(existing.versions.map(normalize));
+		entry.versions.forEach((version) => {
+			if (!known.has(normalize(version))) {
+				known.add(normalize(version));
+				existing.versions.push(version);
+			}
+		});
+		entry.ranges.forEach((range) => {
+			if (!existing.ranges.includes(range)) existing.ranges.push(range);
+		});
+		existing.provenance.push(...provenanceOf(entry));
+	});
+
+	return { packages, duplicates };
+}
+
+/**
+ * リストを読み込み、パッケージを抽出
+ * ファイルごとに形式に応じて読み込み、行番号はファイル内の行で記録する
+ * @param {Object} options - 抽出オプション
+ * @param {string} [options.inputDir] - リストのディレクトリ（デフォルト: blacklists/）
+ * @param {string} [options.mode] - 抽出モード（デフォルト: 'merge'）
+ * @param {Function} [options.onEvent] - 進捗の通知 (type, data)。'file' { file, format } をファイルごとに通知
+ * @param {Function} [options.t] - 翻訳関数（読み込みのエラーメッセージ用）
+ * @returns {{mode: string, inputHash: string, lists: Object[], packages: Object[], duplicates: number, issues: Object[]}}
+ *   issues は lib/validate.cjs の検証結果
+ * @throws {Error} リストを読み込めない場合（error.file に対象のファイル名）
+ */
+function extractPackages(options = {}) {
+	const inputDir = options.inputDir || DEFAULT_INPUT_DIR;
+	const mode = options.mode || 'merge';
+	const emit = options.onEvent || (() => {});
+
+	const entries = [];
+	const imports = [];
+	const lists = listFiles(inputDir).map((file) => {
+		emit('file', { file, format: path.extname(file).slice(1).toUpperCase() });
+
+		let imported;
+		try {
+			imported = importList(file, fs.readFileSync(path.join(inputDir, file), 'utf8'), { t: options.t });
+		} catch (error) {
+			throw Object.assign(new Error(error.message), { file });
+		}
+
+		imported.entries.forEach((entry) => entries.push({ ...entry, list: file, listInfo: imported.info }));
+		imports.push({ file, entries: imported.entries, unparsed: imported.unparsed });
+		return imported.info;
+	});
+
+	const { packages, duplicates } = combineEntries(entries, mode);
+
+	return { mode, inputHash: hashInputs(inputDir), lists, packages, duplicates, issues: validateLists(imports) };
+}
+
+/**
+ * 抽出結果を CSV に整形
+ * @param {Object[]} packages - extractPackages() の packages
+ * @returns {string} compromised_packages.csv の内容
+ */
+function renderCsv(packages) {
+	const csvLines = ['package_name,versions,ranges,campaign,first_seen,severity,source'];
+
+	packages.forEach((pkg) => {
+		const versionsStr = pkg.versions.join(';');
+		const rangesStr = pkg.ranges.join(';');
+		csvLines.push(`"${pkg.name}","${versionsStr}","${rangesStr}","${pkg.campaign || ''}","${pkg.firstSeen || ''}","${pkg.severity}","${pkg.source || ''}"`);
+	});
+
+	return csvLines.join('\n');
+}
+
+/**
+ * 抽出結果を compromised_packages.json の形式に整形
+ * @param {Object} result - extractPackages() の結果
+ * @returns {Object} { metadata, packages }
+ */
+function buildJson(result) {
+	return {
+		metadata: {
+			sources: [...new Set(result.lists.map((list) => list.source).filter(Boolean))],
+			extractedAt: new Date().toISOString(),
+			mode: result.mode,
+			inputHash: result.inputHash,
+			lists: result.lists,
+			totalPackages: result.packages.length,
+		},
+		packages: result.packages.map((pkg) => ({
+			name: pkg.name,
+			versions: pkg.versions,
+			ranges: pkg.ranges,
+			campaign: pkg.campaign,
+			source: pkg.source,
+			firstSeen: pkg.firstSeen,
+			severity: pkg.severity,
+			provenance: pkg.provenance,
+		})),
+	};
+}
+
+module.exports = {
+	DEFAULT_INPUT_DIR,
+	DEFAULT_OUTPUT_CSV,
+	DEFAULT_OUTPUT_JSON,
+	MODES,
+	listFiles,
+	hashInputs,
+	isStale,
+	combineEntries,
+	extractPackages,
+	renderCsv,
+	buildJson,
+};
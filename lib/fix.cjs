@@ -0,0 +1,297 @@
+/**
+ * 自動修正モジュール (--fix / --fix-dry-run)
+ * 検出された侵害パッケージを、ルートの package.json の上書き設定で安全なバージョンに固定する
+ *
+ *   npm / bun - overrides
+ *   yarn      - resolutions
+ *   pnpm      - pnpm.overrides
+ *
+ * 固定するバージョンは、ローカルで確認できる侵害されていないバージョン（ロックファイル・インストール済みのツリー、
+ * ブラックリストの範囲の上限（OSV の fixed など））のうち、検出されたバージョンに最も近いものを選ぶ
+ * レジストリには問い合わせないため、候補がない場合は修正せずに報告する
+ *
+ * 修正案の形式:
+ *   {
+ *     targetDir, file: '/p/package.json', manager: 'npm', field: 'overrides',
+ *     fixes: [{ package, versions: ['4.1.1'], version: '4.1.0', source: 'lockfile', previous: null, directDependencies: ['dependencies'] }],
+ *     unresolved: [{ package, versions }],
+ *     diff: '--- a/package.json\n+++ b/package.json\n@@ ...', applied: false, error: null
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('./semver.cjs');
+const { findLockfiles, parseLockfile } = require('./lockfiles.cjs');
+const { isCompromised, loadInstalledInventory } = require('./scanner.cjs');
+
+// パッケージマネージャー -> 上書き設定のフィールド（package.json のキーのパス）
+const OVERRIDE_FIELDS = {
+	npm: ['overrides'],
+	yarn: ['resolutions'],
+	pnpm: ['pnpm', 'overrides'],
+	bun: ['overrides'],
+};
+
+// 直接依存を書き換えるセクション（npm は直接依存と食い違う overrides をエラーにする）
+const DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// 差分の前後に表示する行数
+const DIFF_CONTEXT = 3;
+
+/**
+ * プロジェクトのパッケージマネージャーを判定
+ * package.json の packageManager、ロックファイル、Yarn PnP のファイルの順に判定し、いずれもなければ npm
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @returns {string} 'npm' | 'yarn' | 'pnpm' | 'bun'
+ */
+function detectPackageManager(targetDir) {
+	try {
+		const pkgJson = JSON.parse(fs.readFileSync(path.join(targetDir, 'package.json'), 'utf8'));
+		// 例: "pnpm@9.12.0", "yarn@4.5.0+sha512..."
+		const name = String(pkgJson.packageManager || '').split('@')[0];
+		if (OVERRIDE_FIELDS[name]) return name;
+	} catch (error) {
+		// package.json がない・壊れている場合はロックファイルで判定
+	}
+
+	const lockfile = findLockfiles(targetDir)[0];
+	if (lockfile) {
+		const base = path.basename(lockfile);
+		if (base === 'yarn.lock') return 'yarn';
+		if (base === 'pnpm-lock.yaml') return 'pnpm';
+		if (base === 'bun.lock') return 'bun';
+		return 'npm';
+	}
+	if (['.pnp.cjs', '.yarnrc.yml'].some((name) => fs.existsSync(path.join(targetDir, name)))) return 'yarn';
+	return 'npm';
+}
+
+/**
+ * ローカルで確認できるパッケージのバージョンを収集
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @param {Set<string>} names - 収集するパッケージ名
+ * @param {Map} compromised - 侵害パッケージのマップ
+ * @param {Object} [options] - { maxDepth: node_modules の最大検索深度 }
+ * @returns {Map<string, Map<string, string>>} パッケージ名 -> (バージョン -> 出所 'lockfile' | 'installed' | 'blacklist')
+ */
+function collectKnownVersions(targetDir, names, compromised, options = {}) {
+	const known = new Map();
+	const add = (name, version, source) => {
+		if (!names.has(name) || !semver.valid(version)) return;
+		if (!known.has(name)) known.set(name, new Map());
+		if (!known.get(name).has(version)) known.get(name).set(version, source);
+	};
+
+	findLockfiles(targetDir).forEach((lockfilePath) => {
+		try {
+			for (const pkg of parseLockfile(lockfilePath).packages.values()) add(pkg.name, pkg.version, 'lockfile');
+		} catch (error) {
+			// 解析できないロックファイルは検査の段階で報告済み
+		}
+	});
+
+	const { inventory } = loadInstalledInventory(targetDir, { maxDepth: options.maxDepth });
+	if (inventory) {
+		names.forEach((name) => (inventory.get(name) || []).forEach((instance) => add(name, instance.version, 'installed')));
+	}
+
+	// 範囲の上限（"<1.2.0" や OSV の fixed）は侵害されていないことが分かっているバージョン
+	names.forEach((name) => {
+		(compromised.get(name) || []).forEach((entry) => {
+			for (const match of String(entry).matchAll(/<(?!=)\s*v?(\d+\.\d+\.\d+[^\s|]*)/g)) add(name, match[1], 'blacklist');
+		});
+	});
+
+	return known;
+}
+
+/**
+ * 検出されたバージョンに最も近い、侵害されていないバージョンを選ぶ
+ * 検出されたバージョンと同じメジャーバージョン（依存元の ^ の範囲を満たしやすい）を優先し、
+ * 直後のバージョン（修正版）、なければ直前のバージョン（ダウングレード）を選ぶ
+ * @param {string} name - パッケージ名
+ * @param {string[]} versions - 検出された侵害バージョン
+ * @param {Map<string, string>} candidates - バージョン -> 出所
+ * @param {Map} compromised - 侵害パッケージのマップ
+ * @returns {{version: string, source: string}|null} 候補がない場合は null
+ */
+function chooseSafeVersion(name, versions, candidates, compromised) {
+	const safe = [...candidates.keys()].filter((version) => !isCompromised(compromised, name, version)).sort(semver.compare);
+	if (safe.length === 0) return null;
+
+	const found = versions.filter((version) => semver.valid(version)).sort(semver.compare);
+	let version = safe[safe.length - 1]; // 検出されたバージョンが不明な場合は最新
+	if (found.length > 0) {
+		const reference = found[0];
+		const sameMajor = safe.filter((candidate) => semver.parse(candidate).major === semver.parse(reference).major);
+		const pool = sameMajor.length > 0 ? sameMajor : safe;
+		const below = pool.filter((candidate) => semver.compare(candidate, reference) < 0);
+		const above = pool.filter((candidate) => semver.compare(candidate, reference) > 0);
+		version = above.length > 0 ? above[0] : below[below.length - 1];
+	}
+	return { version, source: candidates.get(version) };
+}
+
+/**
+ * 2 つのテキストの統一形式の差分を作成
+ * @param {string} before - 変更前のテキスト
+ * @param {string} after - 変更後のテキスト
+ * @param {string} file - ヘッダーに表示するファイル名
+ * @returns {string} 差分（変更がない場合は空文字列）
+ */
+function unifiedDiff(before, after, file) {
+	if (before === after) return '';
+	// 末尾の改行は最後の行の一部として扱う
+	const a = before.replace(/\n$/, '').split('\n');
+	const b = after.replace(/\n$/, '').split('\n');
+
+	// 最長共通部分列の表（package.json は小さいため O(n*m) で十分）
+	const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	// 編集操作の列: [' ' | '-' | '+', 行, 変更前の行番号, 変更後の行番号]
+	const ops = [];
+	let i = 0;
+	let j = 0;
+	while (i < a.length || j < b.length) {
+		if (i < a.length && j < b.length && a[i] === b[j]) ops.push([' ', a[i++], i, ++j]);
+		else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push(['-', a[i++], i, j]);
+		else ops.push(['+', b[j++], i, j]);
+	}
+
+	// 変更箇所の前後 DIFF_CONTEXT 行をまとめてハンクにする
+	const changed = ops.map((op, index) => (op[0] !== ' ' ? index : -1)).filter((index) => index !== -1);
+	const hunks = [];
+	changed.forEach((index) => {
+		const start = Math.max(0, index - DIFF_CONTEXT);
+		const end = Math.min(ops.length, index + DIFF_CONTEXT + 1);
+		const last = hunks[hunks.length - 1];
+		if (last && start <= last.end) last.end = end;
+		else hunks.push({ start, end });
+	});
+
+	const lines = [`--- a/${file}`, `+++ b/${file}`];
+	hunks.forEach(({ start, end }) => {
+		const slice = ops.slice(start, end);
+		const oldCount = slice.filter((op) => op[0] !== '+').length;
+		const newCount = slice.filter((op) => op[0] !== '-').length;
+		// 開始行: 最初の操作の直前までに消費した行数 + 1
+		const oldStart = slice[0][0] === '+' ? slice[0][2] + 1 : slice[0][2];
+		const newStart = slice[0][0] === '-' ? slice[0][3] + 1 : slice[0][3];
+		lines.push(`@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`);
+		slice.forEach(([type, line]) => lines.push(`${type}${line}`));
+	});
+	return lines.join('\n');
+}
+
+/**
+ * 検出結果から固定するパッケージと検出されたバージョンを集める
+ * @param {Object} results - scanProject の戻り値
+ * @returns {Map<string, string[]>} パッケージ名 -> 検出された侵害バージョン
+ */
+function compromisedVersionsOf(results) {
+	const found = new Map();
+	const add = (name, versions) => {
+		if (!found.has(name)) found.set(name, []);
+		versions.filter((version) => !found.get(name).includes(version)).forEach((version) => found.get(name).push(version));
+	};
+
+	results.foundInNodeModules.forEach((item) => add(item.package, [item.version]));
+	results.foundInLockfiles.forEach((item) => add(item.package, [item.version]));
+	// package.json は範囲に含まれる侵害バージョン（範囲のエントリーは除く）
+	results.foundInPackageJson.forEach((item) => add(item.package, item.matchingVersions.filter((version) => semver.valid(version))));
+	return found;
+}
+
+/**
+ * プロジェクトの修正案を作成し、write が true の場合は package.json に書き込む
+ * @param {Object} results - scanProject の戻り値
+ * @param {Map} compromised - 侵害パッケージのマップ
+ * @param {Object} [options] - { write: package.json に書き込むか（デフォルト: false）, maxDepth: node_modules の最大検索深度 }
+ * @returns {Object} 修正案（先頭のコメントを参照）
+ */
+function fixProject(results, compromised, options = {}) {
+	const targetDir = results.targetDirectory;
+	const manager = detectPackageManager(targetDir);
+	const file = path.join(targetDir, 'package.json');
+	const plan = { targetDir, file, manager, field: OVERRIDE_FIELDS[manager].join('.'), fixes: [], unresolved: [], diff: '', applied: false, error: null };
+
+	const found = compromisedVersionsOf(results);
+	if (found.size === 0) return plan;
+
+	let before;
+	let pkgJson;
+	try {
+		before = fs.readFileSync(file, 'utf8');
+		pkgJson = JSON.parse(before);
+	} catch (error) {
+		// レポート (JSON) に出力するためメッセージで記録
+		plan.error = error.message;
+		return plan;
+	}
+
+	const known = collectKnownVersions(targetDir, new Set(found.keys()), compromised, { maxDepth: options.maxDepth });
+
+	// 上書き設定のオブジェクト（pnpm は pnpm.overrides）
+	const [section, key] = OVERRIDE_FIELDS[manager];
+	const container = key ? (pkgJson[section] = pkgJson[section] || {}) : pkgJson;
+	const field = key || section;
+	const overrides = (container[field] = container[field] || {});
+
+	found.forEach((versions, name) => {
+		const choice = chooseSafeVersion(name, versions, known.get(name) || new Map(), compromised);
+		if (!choice) {
+			plan.unresolved.push({ package: name, versions });
+			return;
+		}
+
+		const previous = typeof overrides[name] === 'string' && overrides[name] !== choice.version ? overrides[name] : null;
+		// npm の入れ子の overrides（{ ".": "1.0.0", "dep": ... }）はパッケージ自身の "." を書き換える
+		if (overrides[name] && typeof overrides[name] === 'object') overrides[name]['.'] = choice.version;
+		else overrides[name] = choice.version;
+
+		// ルートの直接依存の指定が侵害バージョンを含む場合は、固定したバージョンに合わせる
+		const directDependencies = DEPENDENCY_TYPES.filter((type) => {
+			const spec = pkgJson[type] && pkgJson[type][name];
+			if (typeof spec !== 'string' || spec.startsWith('npm:')) return false;
+			const matching = semver.matchingVersions(spec, compromised.get(name) || []);
+			if (!matching || matching.length === 0) return false;
+			pkgJson[type][name] = choice.version;
+			return true;
+		});
+
+		plan.fixes.push({ package: name, versions, version: choice.version, source: choice.source, previous, directDependencies });
+	});
+
+	// 固定できるパッケージがない場合は package.json を書き換えない（整形だけの差分を出さない）
+	if (plan.fixes.length === 0) return plan;
+
+	// 元のインデントと末尾の改行を保つ
+	const indent = (before.match(/^[ \t]+(?=")/m) || ['  '])[0];
+	const after = JSON.stringify(pkgJson, null, indent) + (before.endsWith('\n') ? '\n' : '');
+	plan.diff = unifiedDiff(before, after, 'package.json');
+
+	if (options.write && plan.diff) {
+		try {
+			fs.writeFileSync(file, after, 'utf8');
+			plan.applied = true;
+		} catch (error) {
+			plan.error = error.message;
+		}
+	}
+	return plan;
+}
+
+module.exports = {
+	OVERRIDE_FIELDS,
+	detectPackageManager,
+	collectKnownVersions,
+	chooseSafeVersion,
+	unifiedDiff,
+	fixProject,
+};
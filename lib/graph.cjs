@@ -0,0 +1,216 @@
+/**
+ * 依存グラフと依存経路のモジュール
+ * ロックファイル（lib/lockfiles.cjs の共通形式）またはインストール済みのツリーから、
+ * ルートの package.json から侵害パッケージに至るすべての依存経路（ルート > a > b > 侵害パッケージ）を求める
+ *
+ * グラフの形式（ロックファイルの共通形式と同じ）:
+ *   {
+ *     packages: Map<key, { key, name, version, dependencies: key[] }>,
+ *     importers: Map<importerPath, { label, dependencies: key[] }>,
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('./semver.cjs');
+
+// 1 つのパッケージについて列挙する依存経路の上限（0 はハードリミットまで）
+const DEFAULT_MAX_PATHS = 100;
+// 経路の数は依存関係の深さに対して指数的に増えるため、指定にかかわらずこの件数で打ち切る
+const MAX_PATHS_LIMIT = 10000;
+
+// グラフ -> 逆引きの索引（同じグラフで何度も経路を求めるためキャッシュする）
+const ANALYSES = new WeakMap();
+
+/**
+ * パッケージの指定を名前とバージョンに分解
+ * @param {string} spec - 例: "pkg", "pkg@1.2.3", "@scope/pkg@^1.0.0"
+ * @returns {{name: string, version: string|null}} version はバージョンまたは範囲（指定がなければ null）
+ */
+function parsePackageSpec(spec) {
+	const at = spec.indexOf('@', spec.startsWith('@') ? 1 : 0);
+	if (at === -1) return { name: spec, version: null };
+	return { name: spec.slice(0, at), version: spec.slice(at + 1) || null };
+}
+
+/**
+ * バージョンが指定に一致するか判定
+ * @param {string} version - バージョン
+ * @param {string|null} wanted - バージョンまたは範囲（null はすべてに一致）
+ * @returns {boolean} 一致する場合 true
+ */
+function matchesVersion(version, wanted) {
+	if (!wanted) return true;
+	return version === wanted.replace(/^v/, '') || semver.satisfies(version, wanted);
+}
+
+/**
+ * インストール済みのツリーから依存グラフを作成
+ * 依存関係は Node.js と同じ規則（祖先ディレクトリの node_modules）で解決し、
+ * 解決できない場合（Yarn PnP の zip など）は名前と範囲が一致するインスタンスに結び付ける
+ * インストール済みパッケージの devDependencies はインストールされないため辿らない
+ * @param {Map} inventory - lib/inventory.cjs の buildInventory の戻り値
+ * @param {Array<{label: string, dir: string}>} importers - ルートと各ワークスペース（dir の package.json を読む）
+ * @returns {Object} グラフ（キーはインスタンスの実体のパス、keys にインスタンスのパス -> キー）
+ */
+function buildInstalledGraph(inventory, importers) {
+	const keyOf = (file) => {
+		try {
+			return fs.realpathSync(file);
+		} catch (error) {
+			return null; // 存在しない場合
+		}
+	};
+
+	const packages = new Map();
+	const byName = new Map(); // パッケージ名 -> キーの配列
+	const instances = new Map(); // キー -> インスタンス
+	const keys = new Map(); // インスタンスのパス -> キー
+	for (const [name, list] of inventory) {
+		list.forEach((instance) => {
+			const key = keyOf(instance.path) || instance.path;
+			keys.set(instance.path, key);
+			if (packages.has(key)) return; // シンボリックリンクと実体は同じパッケージ
+			packages.set(key, { key, name, version: instance.version, dependencies: [] });
+			instances.set(key, instance);
+			if (!byName.has(name)) byName.set(name, []);
+			byName.get(name).push(key);
+		});
+	}
+
+	const resolve = (fromDir, name, range) => {
+		for (let dir = fromDir; ; dir = path.dirname(dir)) {
+			if (path.basename(dir) !== 'node_modules') {
+				const key = keyOf(path.join(dir, 'node_modules', name));
+				if (key && packages.has(key)) return key;
+			}
+			if (path.dirname(dir) === dir) break;
+		}
+		const candidates = byName.get(name) || [];
+		return candidates.find((key) => semver.satisfies(packages.get(key).version, range)) || (candidates.length === 1 ? candidates[0] : null);
+	};
+
+	const resolveAll = (fromDir, dependencies, skip = {}) =>
+		Object.entries(dependencies)
+			.filter(([name]) => !(name in skip))
+			.map(([name, range]) => resolve(fromDir, name, range))
+			.filter((key, index, keys) => key !== null && keys.indexOf(key) === index);
+
+	for (const [key, pkg] of packages) {
+		const instance = instances.get(key);
+		pkg.dependencies = resolveAll(instance.path, instance.dependencies, instance.devDependencies).filter((depKey) => depKey !== key);
+	}
+
+	const importerMap = new Map();
+	importers.forEach(({ label, dir }) => {
+		let dependencies = {};
+		try {
+			const pkgJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+			dependencies = { ...pkgJson.dependencies, ...pkgJson.devDependencies, ...pkgJson.peerDependencies, ...pkgJson.optionalDependencies };
+		} catch (error) {
+			// package.json がない場合は依存関係なし
+		}
+		importerMap.set(dir, { label, dependencies: resolveAll(dir, dependencies) });
+	});
+
+	return { packages, importers: importerMap, keys };
+}
+
+/**
+ * グラフの逆引きの索引を作成
+ * @param {Object} graph - グラフ
+ * @returns {{dependents: Map, roots: Map, distance: Map}} 依存元、直接依存しているインポーター、インポーターからの距離
+ */
+function analyze(graph) {
+	if (ANALYSES.has(graph)) return ANALYSES.get(graph);
+
+	const dependents = new Map(); // キー -> 依存元のキーの配列
+	const roots = new Map(); // キー -> 直接依存しているインポーターのラベルの配列
+	const distance = new Map(); // キー -> インポーターからの最短距離（辿れないパッケージは含まない）
+	const queue = [];
+
+	for (const [importerPath, importer] of graph.importers) {
+		importer.dependencies.forEach((key) => {
+			if (!graph.packages.has(key)) return;
+			if (!roots.has(key)) roots.set(key, []);
+			roots.get(key).push(importer.label || importerPath);
+			if (!distance.has(key)) {
+				distance.set(key, 0);
+				queue.push(key);
+			}
+		});
+	}
+
+	for (const [key, pkg] of graph.packages) {
+		pkg.dependencies.forEach((depKey) => {
+			if (!dependents.has(depKey)) dependents.set(depKey, []);
+			dependents.get(depKey).push(key);
+		});
+	}
+
+	while (queue.length > 0) {
+		const key = queue.shift();
+		graph.packages.get(key).dependencies.forEach((depKey) => {
+			if (distance.has(depKey) || !graph.packages.has(depKey)) return;
+			distance.set(depKey, distance.get(key) + 1);
+			queue.push(depKey);
+		});
+	}
+
+	const analysis = { dependents, roots, distance };
+	ANALYSES.set(graph, analysis);
+	return analysis;
+}
+
+/**
+ * パッケージに至るすべての依存経路を列挙
+ * パッケージから依存元を遡り、インポーター（ルートやワークスペース）に到達した経路を記録する（循環は辿らない）
+ * @param {Object} graph - グラフ
+ * @param {string} key - パッケージのキー
+ * @param {Object} [options] - { maxPaths: 列挙する経路の上限（デフォルト: 100、0 で MAX_PATHS_LIMIT まで） }
+ * @returns {{paths: string[][], truncated: boolean}} 依存経路（先頭はインポーターのラベル、短い順）と、上限で打ち切ったか
+ */
+function findDependencyPaths(graph, key, options = {}) {
+	const requested = options.maxPaths !== undefined ? options.maxPaths : DEFAULT_MAX_PATHS;
+	const maxPaths = requested > 0 ? Math.min(requested, MAX_PATHS_LIMIT) : MAX_PATHS_LIMIT;
+	const { dependents, roots, distance } = analyze(graph);
+	const label = (k) => `${graph.packages.get(k).name}@${graph.packages.get(k).version}`;
+
+	const paths = [];
+	let truncated = false;
+	const onPath = new Set();
+
+	// chain: current からパッケージまでのラベル
+	const walk = (current, chain) => {
+		for (const importer of roots.get(current) || []) {
+			if (paths.length >= maxPaths) {
+				truncated = true;
+				return;
+			}
+			paths.push([importer, ...chain]);
+		}
+
+		onPath.add(current);
+		// インポーターに近い依存元から辿り、上限で打ち切っても短い経路が残るようにする
+		const parents = (dependents.get(current) || []).filter((parent) => distance.has(parent) && !onPath.has(parent));
+		parents.sort((a, b) => distance.get(a) - distance.get(b));
+		for (const parent of parents) {
+			if (truncated) break;
+			walk(parent, [label(parent), ...chain]);
+		}
+		onPath.delete(current);
+	};
+
+	if (distance.has(key)) walk(key, [label(key)]);
+	paths.sort((a, b) => a.length - b.length);
+	return { paths, truncated };
+}
+
+module.exports = {
+	DEFAULT_MAX_PATHS,
+	MAX_PATHS_LIMIT,
+	parsePackageSpec,
+	matchesVersion,
+	buildInstalledGraph,
+	findDependencyPaths,
+};
@@ -0,0 +1,129 @@
+/**
+ * ホストの検査モジュール (--host)
+ * Shai-Hulud はプロジェクトの外（ホームディレクトリやランナーの作業ディレクトリ）にも痕跡を残し、
+ * ホーム配下の認証情報を TruffleHog で収集して持ち出す
+ * ホームディレクトリの既知の場所を検査し、感染の痕跡と、ローテーションが必要な認証情報を報告する
+ *
+ * ホームディレクトリは options.home で差し替えられるため、偽のホームディレクトリで検査できる
+ * 認証情報の値は読み取るだけで、結果には含めない
+ *
+ * 検査結果の形式:
+ *   {
+ *     home: '/home/user',
+ *     artifacts:   [{ id: 'truffler-cache', path, severity: 'critical' | 'warning', description }],
+ *     credentials: [{ service: 'npm', path, modifiedAt, recent }],
+ *     rotate: ['npm', 'aws']
+ *   }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IOCS, scanIocs } = require('./ioc.cjs');
+
+// 最近変更された認証情報とみなす日数
+const DEFAULT_RECENT_DAYS = 14;
+
+// 感染の痕跡（ホームディレクトリからの相対パス、説明は i18n.cjs の host.artifact.<id>）
+const HOST_ARTIFACTS = [
+	{ id: 'truffler-cache', path: '.truffler-cache', severity: 'critical', description: 'TruffleHog のキャッシュ（認証情報の収集に使われる）' },
+	{ id: 'dev-env-runner', path: '.dev-env', severity: 'critical', description: 'Shai-Hulud が登録する自己ホストランナー' },
+	{ id: 'bun-install', path: '.bun', severity: 'warning', description: 'Bun のインストール（ドロッパーがインストールする）' },
+];
+
+// IOC のファイル名を探すランナーの作業ディレクトリ（ホームディレクトリからの相対パス）
+const RUNNER_WORK_DIRS = ['.dev-env', path.join('actions-runner', '_work')];
+
+// 認証情報のファイル（contains を指定したものは、認証情報が書かれている場合のみ報告）
+const CREDENTIAL_FILES = [
+	{ service: 'npm', path: '.npmrc', contains: /_authToken\s*=|_auth\s*=|_password\s*=/ },
+	{ service: 'npm', path: '.yarnrc.yml', contains: /npmAuthToken/ },
+	{ service: 'github', path: path.join('.config', 'gh', 'hosts.yml'), contains: /oauth_token/ },
+	{ service: 'git', path: '.git-credentials' },
+	{ service: 'aws', path: path.join('.aws', 'credentials') },
+	{ service: 'gcp', path: path.join('.config', 'gcloud', 'application_default_credentials.json') },
+	{ service: 'azure', path: path.join('.azure', 'msal_token_cache.json') },
+	{ service: 'azure', path: path.join('.azure', 'accessTokens.json') },
+	{ service: 'docker', path: path.join('.docker', 'config.json'), contains: /"auth"\s*:/ },
+	{ service: 'netrc', path: '.netrc' },
+	{ service: 'ssh', path: path.join('.ssh', 'id_rsa') },
+	{ service: 'ssh', path: path.join('.ssh', 'id_ecdsa') },
+	{ service: 'ssh', path: path.join('.ssh', 'id_ed25519') },
+];
+
+/**
+ * ホームディレクトリを検査
+ * @param {Object} [options] - 検査オプション
+ * @param {string} [options.home] - ホームディレクトリ（デフォルト: os.homedir()）
+ * @param {number} [options.recentDays] - 最近変更されたとみなす日数（デフォルト: 14）
+ * @param {Date} [options.now] - 現在時刻（テスト用）
+ * @returns {Object} 検査結果（{ home, artifacts, credentials, rotate }）
+ */
+function inspectHost(options = {}) {
+	const home = path.resolve(options.home || os.homedir());
+	const recentDays = options.recentDays !== undefined ? options.recentDays : DEFAULT_RECENT_DAYS;
+	const now = options.now || new Date();
+	const stat = (file) => {
+		try {
+			return fs.statSync(file);
+		} catch (error) {
+			return null;
+		}
+	};
+
+	// 感染の痕跡
+	const artifacts = HOST_ARTIFACTS.filter((artifact) => stat(path.join(home, artifact.path))).map((artifact) => ({
+		id: artifact.id,
+		path: path.join(home, artifact.path),
+		severity: artifact.severity,
+		description: artifact.description,
+	}));
+
+	// ホーム直下とランナーの作業ディレクトリにある IOC のファイル（cloud.json, truffleSecrets.json など）
+	const fileNames = IOCS.filter((ioc) => ioc.type === 'filename');
+	fileNames
+		.filter((ioc) => stat(path.join(home, ioc.value)))
+		.forEach((ioc) => artifacts.push({ id: ioc.id, path: path.join(home, ioc.value), severity: 'critical', description: ioc.description }));
+	RUNNER_WORK_DIRS.map((dir) => path.join(home, dir))
+		.filter((dir) => stat(dir))
+		.forEach((dir) => {
+			scanIocs(dir, { iocs: fileNames, maxFileSize: 0 }).files.forEach((file) => {
+				file.paths.forEach((filePath) => artifacts.push({ id: file.name, path: filePath, severity: 'critical', description: file.description }));
+			});
+		});
+
+	// 認証情報のファイル（感染していた場合はすべてローテーションが必要）
+	const credentials = [];
+	CREDENTIAL_FILES.forEach((credential) => {
+		const file = path.join(home, credential.path);
+		const stats = stat(file);
+		if (!stats || !stats.isFile()) return;
+
+		if (credential.contains) {
+			let text = '';
+			try {
+				text = fs.readFileSync(file, 'utf8');
+			} catch (error) {
+				// 読み込めない場合は認証情報があるものとして扱う
+				text = null;
+			}
+			if (text !== null && !credential.contains.test(text)) return;
+		}
+
+		credentials.push({
+			service: credential.service,
+			path: file,
+			modifiedAt: stats.mtime.toISOString(),
+			recent: now - stats.mtime <= recentDays * 24 * 60 * 60 * 1000,
+		});
+	});
+
+	return { home, artifacts, credentials, rotate: [...new Set(credentials.map((credential) => credential.service))] };
+}
+
+module.exports = {
+	DEFAULT_RECENT_DAYS,
+	HOST_ARTIFACTS,
+	CREDENTIAL_FILES,
+	inspectHost,
+};
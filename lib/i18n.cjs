@@ -0,0 +1,795 @@
+/**
+ * メッセージカタログ（日本語 / 英語）
+ * コンソールに表示するメッセージはすべてここで管理する
+ *
+ *   const t = createTranslator('en');
+ *   t('list.loaded', { count: 977 }); // "✅ Loaded 977 packages (with version info)\n"
+ *
+ * {name} はパラメーターで置換する。英語に訳がないキーは日本語にフォールバックする
+ */
+
+const MESSAGES = {
+	ja: {
+		// バナー・CLI
+		'banner.title': '🔍 Shai-Hulud 侵害パッケージ検査（汎用版）',
+		'error.prefix': '❌ エラー: {message}',
+		'target.notFound': '\n❌ エラー: ターゲットディレクトリが見つかりません',
+		'target.notDirectory': '\n❌ エラー: 指定されたパスはディレクトリではありません\n',
+		'target.noProjects': '\n❌ エラー: 検査対象のプロジェクトが見つかりません (package.json または node_modules を持つディレクトリ)\n',
+		'target.multiple': '📁 ターゲットディレクトリ: {count} プロジェクト',
+		'target.single': '📁 ターゲットディレクトリ: {dir}',
+		'list.notFound': '❌ パッケージリストが見つかりません: {file}',
+		'list.missing': '📦 {file} が見つかりません',
+		'list.stale': '⚠️  {file} は blacklists/ のリストより古くなっています（{reason}）',
+		'list.staleReason.noHash': '入力のリストのハッシュが記録されていません',
+		'list.staleReason.changed': 'リストが追加・変更されました',
+		'list.staleRefused': '❌ --no-regenerate が指定されているため、古いパッケージリストでは検査しません。再生成してください:',
+		'list.generating': '📝 パッケージリストを自動生成します...\n',
+		'list.generated': '✅ パッケージリストの生成が完了しました\n',
+		'list.lintIssues': '⚠️  リストに {count} 件の問題があります（詳細: node extract_packages.cjs）',
+		'list.generateFailed': '❌ パッケージリストの生成に失敗しました',
+		'list.generateError': '   エラー: {message}',
+		'list.runManually': '\n手動で実行してください:',
+		'list.loading': '📂 パッケージリストを読み込み中: {file}',
+		'list.loaded': '✅ {count} 個のパッケージ（バージョン情報付き）を読み込みました\n',
+		'list.loadFailed': '❌ パッケージリストの読み込みに失敗: {message}',
+		'osv.notFound': '❌ OSV のアドバイザリーのディレクトリが見つかりません: {dir}',
+		'osv.dirMissing': 'OSV のディレクトリが見つかりません: {dir}',
+		'osv.loading': '📂 OSV のアドバイザリーを読み込み中: {dir}',
+		'osv.loaded': '✅ {advisories} 件の悪意のあるパッケージのアドバイザリー (MAL-*) を読み込みました',
+		'osv.skipped': '⚠️  読み込めなかったファイル: {count} 件（{file}: {message} など）',
+		'osv.loadFailed': '❌ OSV のアドバイザリーの読み込みに失敗: {message}',
+		'report.saved': '📝 詳細レポートを保存: {file}',
+		'report.saveFailed': '⚠️  レポートの保存に失敗: {message}',
+		'report.moreInfo': '詳細情報:',
+
+		// コマンドライン引数
+		'cli.unknownOption': '不明なオプションです: {arg}',
+		'cli.valueRequired': '--{name} には値が必要です',
+		'cli.invalidNumber': '--{name} には 0 以上の整数を指定してください: {value}',
+		'cli.invalidChoice': '--{name} の値が不正です: {value} ({choices})',
+		'cli.unknownFormat': '未対応のレポート形式です: {format} ({formats})',
+		'cli.packageRequired': 'explain にはパッケージ名を指定してください',
+		'usage.title': '使用方法:',
+		'usage.command': '  node index.cjs [オプション] [ターゲットディレクトリ...]',
+		'usage.explain': '  node index.cjs explain <パッケージ>[@<バージョン>] [オプション] [ターゲットディレクトリ...]',
+		'usage.options': 'オプション:',
+		'usage.default': 'デフォルト',
+		'usage.examples': '例:',
+		'option.output': 'レポートの出力先（デフォルト: reports/security_check_report_<日時>.<拡張子>）',
+		'option.format': 'レポートの形式',
+		'option.list': '侵害パッケージリスト (JSON) のパス（デフォルト: compromised_packages.json）',
+		'option.osv-dir': 'OSV のアドバイザリーのディレクトリ（ローカルミラー）も照合する',
+		'option.regenerate': 'compromised_packages.json が古い場合に再生成せず、エラーで終了する',
+		'option.ioc-node-modules': 'node_modules の中のファイルを IOC と照合しない（ファイル名・内容とも）',
+		'option.ioc-node-modules-content': 'node_modules の中のすべてのファイルの内容を IOC と照合（デフォルトは IOC のファイル名に一致するファイルのみ）',
+		'option.ioc-max-file-size': 'IOC の内容（SHA-256・シグネチャ）を照合するファイルの最大サイズ（MB、0 でファイル名のみ）',
+		'option.strict-scripts': '経験則のパターン（curl / node -e など）に一致したインストールスクリプトも HIGH として検出件数・終了コードに含める',
+		'option.global': 'npm のグローバルプレフィックス（npm prefix -g）のパッケージも検査する',
+		'option.npm-cache': 'npm のキャッシュ（npm config get cache）のパッケージも検査する',
+		'option.pnpm-store': 'pnpm のストア（pnpm store path）のパッケージも検査する',
+		'option.yarn-cache': 'yarn のキャッシュ（yarn cache dir、.yarn/cache）のパッケージも検査する',
+		'option.host': 'ホームディレクトリの感染の痕跡と、ローテーションが必要な認証情報も検査する',
+		'option.home': '--host で検査するホームディレクトリ（指定すると --host も有効）',
+		'option.max-depth': 'node_modules を再帰的に検索する最大深度',
+		'option.max-paths': '検出結果・explain で列挙する依存経路の上限（0 で 10,000 件まで）',
+		'option.discover': 'ターゲット配下のプロジェクト (package.json / node_modules) をすべて検出して検査',
+		'option.discover-depth': '--discover でプロジェクトを探索する最大深度',
+		'option.fix': '侵害パッケージを安全なバージョンに固定する上書き設定（overrides / resolutions / pnpm.overrides）を package.json に書き込む',
+		'option.fix-dry-run': '--fix の修正案と package.json の差分を表示する（書き込まない）',
+		'option.fail-on': '終了コード 1 を返すリスクレベルの閾値 (critical | high | any)',
+		'option.quiet': '結果の 1 行サマリーとエラーのみを出力',
+		'option.color': 'カラー出力を無効化（環境変数 NO_COLOR でも無効化）',
+		'option.lang': '表示言語 (en | ja)（デフォルト: 環境変数 LANG から判定）',
+		'option.help': 'このヘルプを表示',
+
+		// 検査の経過
+		'project.heading': '📦 プロジェクト: {dir}',
+		'project.workspaces': '📚 ワークスペース: {count} パッケージ',
+		'label.location': '場所',
+		'label.compromisedVersions': '侵害バージョン',
+		'label.matchingVersions': '範囲内の侵害バージョン',
+		'label.referencedBy': '依存元',
+		'label.required': '要求',
+		'label.depth': '深度',
+		'label.dependencyPath': '依存経路',
+		'label.expectedPath': '期待パス',
+		'label.riskLevel': 'リスクレベル',
+		'label.workspace': 'ワークスペース',
+		'label.campaign': 'キャンペーン',
+		'label.unknownCampaign': '不明なキャンペーン',
+		'label.firstSeen': '初出',
+		'label.severity': '深刻度',
+		'label.source': '出典',
+		'label.script': 'スクリプト',
+		'label.reason': '理由',
+		'suspicious.title': '🔍 疑わしいファイルのチェック',
+		'suspicious.error': '⚠️  疑わしいファイルのチェック中にエラーが発生: {message}',
+		'suspicious.found': '🚨 {count} 種類の疑わしいファイルが検出されました！\n',
+		'suspicious.malware': '⚠️  これらのファイルはマルウェアの可能性があります！',
+		'suspicious.infected': '   システムが感染している可能性が高いため、即座に対応してください。',
+		'suspicious.actions': '推奨される対応:\n',
+		'suspicious.action1': 'これらのファイルを即座に削除してください',
+		'suspicious.action2': 'すべての認証情報（API キー、トークン、パスワード）をローテーションしてください',
+		'suspicious.action3': 'システムの完全なセキュリティ監査を実施してください',
+		'suspicious.action4': '詳細:',
+		'suspicious.none': '✅ 疑わしいファイルは検出されませんでした',
+		'suspicious.warnings': '⚠️  {count} 件のルールに一致した確認が必要なファイルがあります（正規の用途もあるため検出件数には含めません）',
+		'suspicious.scanned': '📄 {count} 個のファイルの内容を IOC（SHA-256・シグネチャ）と照合しました',
+		'suspicious.skipped': '⚠️  {count} 個のファイルはサイズの上限（--ioc-max-file-size）を超えたため、ファイル名のみ照合しました',
+		'suspiciousFile.setup_bun.js': 'ドロッパー（マルウェア配布スクリプト）',
+		'suspiciousFile.bun_environment.js': 'メインペイロード（難読化ファイル）',
+		'suspiciousFile.cloud.json': 'クラウド認証情報',
+		'suspiciousFile.environment.json': '環境変数',
+		'suspiciousFile.actionsSecrets.json': 'GitHub Actions シークレット',
+		'suspiciousFile.truffleSecrets.json': 'TruffleHog で収集した認証情報（公開リポジトリへの持ち出し用）',
+		'suspiciousFile.payload-sha256': '既知のマルウェアのペイロード（SHA-256 が一致）',
+		'suspiciousFile.dropper-bun-install': 'Bun をインストールしてペイロードを実行するドロッパー',
+		'suspiciousFile.trufflehog-download': '認証情報の探索ツール TruffleHog のダウンロード',
+		'suspiciousFile.webhook-site-exfil': 'webhook.site への情報の送信',
+		'suspiciousFile.workflow-shai-hulud': 'Shai-Hulud が追加するワークフロー',
+		'suspiciousFile.workflow-formatter': 'シークレットを持ち出すワークフロー（formatter_<数字>.yml）',
+		'suspiciousFile.workflow-runner-label': 'Shai-Hulud が登録する自己ホストランナーのラベル',
+		'suspiciousFile.workflow-discussion-injection': '自己ホストランナーでディスカッションの本文をそのまま実行するワークフロー（バックドア）',
+		'suspiciousFile.workflow-secrets-dump': 'すべてのシークレットを書き出すワークフロー',
+		'suspiciousFile.workflow-secrets-artifact': 'シークレットをアーティファクトとしてアップロードするワークフロー',
+		'suspiciousFile.workflow-webhook-exfil': 'webhook.site へ情報を送信するワークフロー',
+		'nodeModules.title': '📂 node_modules を検査中（実体およびシンボリックリンク）...',
+		'nodeModules.notFound': '  ⚠️  node_modules が見つかりません',
+		'nodeModules.pnp': '  🧶 Yarn Plug\'n\'Play のプロジェクトです（{file} から索引化）',
+		'nodeModules.indexed': '  📦 {packages} パッケージ ({instances} インスタンス) を索引化しました',
+		'nodeModules.checkingInstalled': '  🔍 インストール済みパッケージの検査...',
+		'nodeModules.duplicate': '重複インストール',
+		'nodeModules.installedNone': '  ✅ インストール済みパッケージに検出なし',
+		'nodeModules.instancesFound': '  ⚠️  {count} 個のインスタンスが検出されました',
+		'nodeModules.checked': '  📊 {count} パッケージを検査しました',
+		'nodeModules.totalFound': '  📊 合計 {count} 件の問題を検出',
+		'nodeModules.checkingReferences': '  🔍 インストール済みパッケージの依存関係を検査...',
+		'nodeModules.notInstalled': '(未インストール)',
+		'nodeModules.mayResolve': '注意: バージョン範囲が侵害バージョンに解決される可能性があります',
+		'nodeModules.referencesFound': '  ⚠️  {count} 個の侵害された依存関係参照が検出されました',
+		'nodeModules.referencesNone': '  ✅ パッケージの依存関係に検出なし',
+		'caches.title': '🗄️  グローバル・キャッシュのパッケージを検査中...',
+		'caches.notFound': '❌ グローバル・キャッシュのディレクトリが見つかりません: {dir}',
+		'caches.missing.global': 'node_modules が見つかりません: {dir}',
+		'caches.missing.npm-cache': 'npm のキャッシュのインデックスが見つかりません: {dir}',
+		'caches.missing.pnpm-store': 'pnpm のストアが見つかりません: {dir}',
+		'caches.missing.yarn-cache': 'yarn のキャッシュが見つかりません: {dir}',
+		'caches.unknownType': '不明な場所の種類です: {type}',
+		'zip.noEndRecord': 'ZIP の終端レコードが見つかりません: {file}',
+		'caches.type.global': 'グローバルプレフィックス',
+		'caches.type.npm-cache': 'npm のキャッシュ',
+		'caches.type.pnpm-store': 'pnpm のストア',
+		'caches.type.yarn-cache': 'yarn のキャッシュ',
+		'caches.error': '  ❌ 読み込みエラー: {message}',
+		'caches.clean': '  ✅ 検出なし（{count} パッケージを検査）',
+		'caches.found': '  ⚠️  {count} 件の侵害バージョンが検出されました（{total} パッケージ中）',
+		'caches.remove': '削除',
+		'caches.command.global': 'npm uninstall -g {packages}',
+		'caches.command.npm-cache': 'npm cache clean --force',
+		'caches.command.pnpm-store': 'pnpm store prune（使用中のプロジェクトから削除した後）',
+		'caches.command.yarn-cache': 'yarn cache clean {packages}（Berry は .yarn/cache の zip を削除）',
+		'explain.title': '🔎 {name} がインストールされている理由: {dir}',
+		'explain.noSources': '  ⚠️  node_modules とロックファイルが見つかりません',
+		'explain.source.node-modules': 'インストール済みのツリー',
+		'explain.source.pnp': 'インストール済みのツリー (Yarn PnP)',
+		'explain.source.lockfile': 'ロックファイル',
+		'explain.notFound': '  ✅ 該当するパッケージはありません',
+		'explain.unreachable': '     ルートから辿れる依存経路がありません（どのパッケージからも依存されていません）',
+		'explain.truncated': '     … 依存経路が多いため {count} 件で打ち切りました（--max-paths で変更できます）',
+		'explain.direct': '📌 ルートの直接依存（削除または overrides の候補）: {list}',
+		'explain.noMatch': '⚠️  {name} はどのプロジェクトにも見つかりませんでした',
+		'fix.title': '🔧 修正案: {file} ({field})',
+		'fix.pin': '  ● {name}: {from} → {to}（{source}）',
+		'fix.source.lockfile': 'ロックファイルに記録されたバージョン',
+		'fix.source.installed': 'インストール済みのバージョン',
+		'fix.source.blacklist': 'ブラックリストの範囲の上限',
+		'fix.direct': '     直接依存の指定も変更: {types}',
+		'fix.previous': '     既存の上書き設定を置き換え: {version}',
+		'fix.unresolved': '  ⚠️  {name} ({from}): 安全なバージョンがローカルに見つかりません。{field} に手動で指定してください',
+		'fix.error': '  ❌ package.json を更新できません: {message}',
+		'fix.noChanges': '  ✅ package.json の変更は不要です',
+		'fix.dryRun': 'ℹ️  --fix-dry-run のため package.json は変更していません（--fix で書き込みます）',
+		'fix.applied': '✅ package.json を更新しました。{command} で再インストールしてください',
+		'fix.verify': '⚠️  固定するバージョンはローカルのデータから選んでいます。レジストリや公開元で安全性を確認してください',
+		'host.title': '🏠 ホストの検査: {dir}',
+		'host.homeNotFound': '❌ ホームディレクトリが見つかりません: {dir}',
+		'host.artifact.truffler-cache': 'TruffleHog のキャッシュ（認証情報の収集に使われる）',
+		'host.artifact.dev-env-runner': 'Shai-Hulud が登録する自己ホストランナー',
+		'host.artifact.bun-install': 'Bun のインストール（ドロッパーがインストールする。意図したものか確認してください）',
+		'host.noArtifacts': '✅ 感染の痕跡は検出されませんでした',
+		'host.noCredentials': '✅ 既知の場所に認証情報のファイルはありません',
+		'host.credentials': '🔑 {count} 個の認証情報のファイルがあります（値は表示しません）',
+		'host.modifiedAt': '最終更新',
+		'host.recent': '[最近変更]',
+		'host.rotateNow': '🚨 感染の痕跡があります。次の認証情報を即座にローテーションしてください: {services}',
+		'host.rotateIfInfected': 'ℹ️  感染が確認された場合は、次の認証情報をローテーションしてください: {services}',
+		'installScripts.title': '📜 インストールスクリプトを監査中...',
+		'installScripts.none': '  ✅ ライフサイクルスクリプト (preinstall / install / postinstall / prepare) を持つパッケージはありません',
+		'installScripts.count': '  📊 {count} 個のパッケージがライフサイクルスクリプトを持っています',
+		'installScripts.flagged': '  ⚠️  {count} 件のスクリプトが不審なパターンに一致しました',
+		'installScripts.noneFlagged': '  ✅ 不審なパターンに一致するスクリプトはありません',
+		'installScripts.flag.knownPayload': 'Shai-Hulud のドロッパー・ペイロードの実行',
+		'installScripts.flag.bun': 'Bun の実行・インストール',
+		'installScripts.flag.download': 'curl / wget などによるダウンロード',
+		'installScripts.flag.pipeToShell': 'ダウンロードした内容をシェルで実行',
+		'installScripts.flag.inlineCode': 'インラインのコード・エンコードされたコードの実行',
+		'installScripts.flag.trufflehog': 'TruffleHog の実行',
+		'packageJson.title': '📄 package.json を検査中...',
+		'packageJson.notFound': '  ⚠️  package.json が見つかりません',
+		'scan.parseError': '  ❌ {file} の解析エラー: {message}',
+		'packageJson.nameOnly': '注意: 範囲を評価できないため、パッケージ名のみで判定しました',
+		'packageJson.none': '  ✅ 検出なし',
+		'lockfiles.title': '🔒 ロックファイルを検査中...',
+		'lockfiles.bunBinary': '  ⚠️  bun.lockb (バイナリ形式) は解析できません',
+		'lockfiles.bunHint': '     bun install --save-text-lockfile で bun.lock を生成してください',
+		'lockfiles.notFound': '  ⚠️  ロックファイルが見つかりません',
+		'lockfiles.checking': '  🔍 {file} ({type}) の解決済みパッケージを検査...',
+		'lockfiles.clean': '  ✅ {count} パッケージに検出なし',
+		'lockfiles.found': '  ⚠️  {count} 個の侵害バージョンが解決されています',
+		'lockfiles.unsupported': '未対応のロックファイルです: {file}',
+
+		// サマリー
+		'summary.title': '📊 検査結果サマリー',
+		'summary.titleFor': '📊 検査結果サマリー: {dir}',
+		'summary.target': '検査対象',
+		'summary.checkedCount': '検査パッケージ数: {count}',
+		'summary.safe': '✅ プロジェクトは安全です',
+		'summary.safeDetail': '   侵害されたパッケージは検出されませんでした\n',
+		'summary.issues': '🚨 {count} 件の問題が検出されました',
+		'summary.locations': '検出箇所:',
+		'summary.count': '{count} 件',
+		'summary.lockfiles': 'ロックファイル',
+		'summary.suspiciousFiles': '疑わしいファイル',
+		'summary.installScripts': '不審なインストールスクリプト',
+		'summary.caches': 'グローバル・キャッシュ',
+		'summary.host': 'ホストの感染の痕跡',
+		'summary.details': '検出されたパッケージ詳細:',
+		'summary.installedTag': '[実体]',
+		'summary.referenceTag': '[依存元]',
+		'summary.declaredTag': '[定義]',
+		'summary.lockedTag': '[ロック]',
+		'summary.inRange': '範囲内',
+		'summary.morePaths': '(他 {count} 件の依存経路: node index.cjs explain {name})',
+		'combined.title': '📊 統合サマリー',
+		'combined.projects': '検査プロジェクト数: {count}',
+		'combined.projectIssues': '{dir}: {count} 件 ({level})',
+		'combined.allSafe': '✅ すべてのプロジェクトは安全です\n',
+		'combined.affected': '🚨 {affected} / {total} プロジェクトで {issues} 件の問題が検出されました',
+		'combined.breakdown': '   内訳: CRITICAL {critical} / HIGH {high} / NONE {none} プロジェクト\n',
+		'remediation.title': '⚠️  至急対応が必要です！',
+		'remediation.steps': '推奨される対応手順:\n',
+		'remediation.step1': 'すべての API キー、トークン、パスワードを即座にローテーション',
+		'remediation.step2': 'ターゲットディレクトリで以下のコマンドを実行:',
+		'remediation.step3': 'package.json から依存関係を削除または更新',
+		'remediation.fixHint': '   （--fix-dry-run で上書き設定の修正案を確認できます）',
+		'remediation.step4': '{command} で再インストール',
+		'remediation.step5': "GitHub で 'Sha1-Hulud: The Second Coming' という",
+		'remediation.step5b': '   説明のリポジトリがないか確認\n',
+		'quiet.safe': '✅ {dir}: 侵害されたパッケージは検出されませんでした',
+		'quiet.issues': '🚨 {dir}: {count} 件の問題 (リスクレベル: {level})',
+		'quiet.total': '合計: {affected} / {total} プロジェクトで {issues} 件の問題',
+
+		// レポート (sarif / junit / markdown)
+		'report.title': '🛡️ Shai-Hulud 侵害パッケージ検査結果',
+		'report.category.suspicious-files': '疑わしいファイル',
+		'report.category.installed': 'インストール済みパッケージ',
+		'report.category.dependency-references': '依存関係の参照',
+		'report.category.install-scripts': '不審なインストールスクリプト',
+		'report.category.package-json': 'package.json',
+		'report.category.lockfiles': 'ロックファイル',
+		'report.column.item': '項目',
+		'report.column.value': '値',
+		'report.column.category': '検査項目',
+		'report.column.result': '結果',
+		'report.column.project': 'プロジェクト',
+		'report.column.finding': 'パッケージ / ファイル',
+		'report.column.detail': '詳細',
+		'report.checkedCount': '検査パッケージ数',
+		'report.totalIssues': '検出件数',
+		'report.noFindings': '✅ 検出なし',
+		'report.findingCount': '❌ {count} 件',
+		'report.findingCountPlain': '{count} 件検出',
+		'report.morePaths': '(他 {count} 件)',
+		'report.combined': '**{affected} / {total} プロジェクトで {issues} 件の問題**（リスクレベル: {level}、検査パッケージ数: {checked}）',
+		'report.timestamp': '検査日時: {timestamp}',
+		'report.sarif.rule.compromised-package-installed': '侵害バージョンのパッケージが node_modules にインストールされています',
+		'report.sarif.rule.compromised-dependency-reference': 'インストール済みパッケージが侵害パッケージに依存しています',
+		'report.sarif.rule.compromised-package-locked': 'ロックファイルで侵害バージョンが解決されています',
+		'report.sarif.rule.compromised-package-declared': 'package.json に宣言された範囲が侵害バージョンを含んでいます',
+		'report.sarif.rule.suspicious-install-script': 'インストール済みパッケージのライフサイクルスクリプトが不審なパターンに一致しています',
+		'report.sarif.rule.suspicious-file': 'Shai-Hulud のマルウェアの IOC（ファイル名・SHA-256・シグネチャ）に一致するファイルが存在します',
+		'report.sarif.installed': '{package}@{version} がインストールされています（侵害バージョン: {versions}）',
+		'report.sarif.reference': '{referencedBy} が {package}@{version} に依存しています（侵害バージョン: {versions}）',
+		'report.sarif.declared': '{package}@{version} が {type} に宣言されています（{matching}）',
+		'report.sarif.locked': '{package}@{version} が解決されています（依存経路: {path}）',
+		'report.sarif.installScript': '{package}@{version} の {hook} スクリプトが不審なパターンに一致しています: {script}',
+		'report.sarif.suspiciousFile': '疑わしいファイル {name} が検出されました（{description}）',
+
+		// パッケージリストの読み込み (lib/importers.cjs)
+		'import.unsupported': '未対応の形式です: {file}',
+		'import.csvNoNameColumn': 'CSV のヘッダー行（{line} 行目）にパッケージ名の列（{columns}）がありません',
+
+		// パッケージリストの抽出 (extract_packages.cjs)
+		'extract.usage': '使用方法: node extract_packages.cjs [--merge-versions | --no-dedup | --keep-first] [--strict] [--lang en|ja]',
+		'extract.start': '📝 パッケージリスト抽出開始\n',
+		'extract.mode': '🔀 抽出モード: {mode}',
+		'extract.mode.merge': 'マージ（重複パッケージのバージョンを統合）',
+		'extract.mode.keep-all': 'すべてのエントリーを保持',
+		'extract.mode.first-only': '最初のエントリーのみ保持',
+		'extract.noDir': '❌ エラー: {dir} ディレクトリが見つかりません',
+		'extract.noFiles': '❌ エラー: {dir} ディレクトリにリストファイル (.txt / .csv / .json) が見つかりません',
+		'extract.reading': '📂 読み込み中: {file} ({format})',
+		'extract.importFailed': '❌ エラー: {file} を読み込めませんでした: {message}',
+		'extract.lint.title': '🔎 リストを検証しています',
+		'extract.lint.ok': '✅ 問題は見つかりませんでした',
+		'extract.lint.count': '⚠️  {count} 件の問題が見つかりました（--strict を指定すると、問題がある場合にファイルを生成せずに終了します）',
+		'extract.lint.strictFailed': '❌ エラー: --strict が指定されているため、ファイルを生成せずに終了します',
+		'extract.lint.unparsedLine': '  ⚠️  {location} 解析できない行: {value}',
+		'extract.lint.invalidName': '  ⚠️  {location} 不正なパッケージ名: {name}（{reason}）',
+		'extract.lint.invalidVersion': '  ⚠️  {location} {name}: 不正なバージョン: {value}',
+		'extract.lint.invalidRange': '  ⚠️  {location} {name}: 不正なバージョン範囲: {value}',
+		'extract.lint.conflictingVersions': '  ⚠️  {location} {name}: バージョンなしで記載されていますが、バージョン付きの記載もあります（{value}）',
+		'extract.lint.duplicateEntry': '  ⚠️  {location} {name}: 同じ記載が重複しています（{value}）',
+		'extract.lint.reason.empty': '空の名前',
+		'extract.lint.reason.tooLong': '214 文字を超えています',
+		'extract.lint.reason.whitespace': '前後に空白があります',
+		'extract.lint.reason.leadingDotOrUnderscore': '. または _ で始まっています',
+		'extract.lint.reason.uppercase': '大文字を含んでいます',
+		'extract.lint.reason.specialCharacters': "~'!()* を含んでいます",
+		'extract.lint.reason.reserved': '予約された名前です',
+		'extract.lint.reason.scope': 'スコープの形式 (@scope/name) が不正です',
+		'extract.lint.reason.urlUnsafe': 'URL に使えない文字を含んでいます',
+		'extract.extracted': '✅ {count} 個のユニークなパッケージを抽出しました\n',
+		'extract.csvGenerating': '📄 CSV ファイルを生成中: {file}',
+		'extract.csvGenerated': '✅ CSV ファイルを生成しました: {file}\n',
+		'extract.jsonGenerating': '📄 JSON ファイルを生成中: {file}',
+		'extract.jsonGenerated': '✅ JSON ファイルを生成しました: {file}\n',
+		'extract.statsTitle': '📊 抽出結果統計',
+		'extract.total': '総パッケージ数: {count}',
+		'extract.scoped': 'スコープ付きパッケージ: {count}',
+		'extract.unscoped': 'スコープなしパッケージ: {count}',
+		'extract.withVersions': 'バージョン情報あり: {count}',
+		'extract.multipleVersions': '複数バージョンあり: {count}',
+		'extract.duplicates': '重複エントリー: {count}',
+		'extract.campaigns': '\nキャンペーン別:',
+		'extract.unknownCampaign': '(不明)',
+		'extract.campaignCount': '  {campaign}: {count} パッケージ',
+		'extract.topScopes': '\n上位10のスコープ:',
+		'extract.scopeCount': '  {scope}: {count} パッケージ',
+		'extract.done': '\n✅ 完了！',
+		'extract.files': '\n生成されたファイル:',
+		'extract.csvFile': '  - {file} (CSV形式)',
+		'extract.jsonFile': '  - {file} (詳細JSON - バージョン情報付き)',
+		'extract.next': '\n次のステップ: index.cjs でこれらのファイルを使用できます',
+		'diff.usage': '使用方法: node diff_packages.cjs <比較元> <比較先> [--format text|json] [--output <file>] [--lang en|ja]',
+		'diff.twoFiles': '比較する 2 つのファイル（リストファイルまたは compromised_packages.json）を指定してください',
+		'diff.loadFailed': '❌ エラー: リストを読み込めませんでした: {message}',
+		'diff.title': '📋 侵害パッケージリストの差分: {old} → {new}',
+		'diff.added': '➕ 追加されたパッケージ: {count} 個',
+		'diff.removed': '➖ 削除されたパッケージ: {count} 個',
+		'diff.changed': '🔄 バージョンが変わったパッケージ: {count} 個',
+		'diff.none': '   （なし）',
+		'diff.noVersions': 'バージョン指定なし',
+		'diff.summary': '📊 追加 {added} / 削除 {removed} / 変更 {changed} / 変更なし {unchanged}',
+		'diff.rescan': '⚠️  追加・変更されたパッケージを利用しているプロジェクトは再検査してください: node index.cjs <プロジェクト>',
+		'diff.saved': '📝 差分を保存しました: {file}',
+	},
+
+	en: {
+		// Banner / CLI
+		'banner.title': '🔍 Shai-Hulud Compromised Package Scan (Generic)',
+		'error.prefix': '❌ Error: {message}',
+		'target.notFound': '\n❌ Error: target directory not found',
+		'target.notDirectory': '\n❌ Error: the specified path is not a directory\n',
+		'target.noProjects': '\n❌ Error: no projects to scan were found (directories with package.json or node_modules)\n',
+		'target.multiple': '📁 Target directories: {count} projects',
+		'target.single': '📁 Target directory: {dir}',
+		'list.notFound': '❌ Package list not found: {file}',
+		'list.missing': '📦 {file} not found',
+		'list.stale': '⚠️  {file} is older than the lists in blacklists/ ({reason})',
+		'list.staleReason.noHash': 'no input hash recorded',
+		'list.staleReason.changed': 'lists were added or changed',
+		'list.staleRefused': '❌ --no-regenerate is set, so the stale package list is not used. Regenerate it:',
+		'list.generating': '📝 Generating the package list automatically...\n',
+		'list.generated': '✅ Package list generated\n',
+		'list.lintIssues': '⚠️  The lists have {count} problems (details: node extract_packages.cjs)',
+		'list.generateFailed': '❌ Failed to generate the package list',
+		'list.generateError': '   Error: {message}',
+		'list.runManually': '\nRun it manually:',
+		'list.loading': '📂 Loading package list: {file}',
+		'list.loaded': '✅ Loaded {count} packages (with version info)\n',
+		'list.loadFailed': '❌ Failed to load the package list: {message}',
+		'osv.notFound': '❌ OSV advisory directory not found: {dir}',
+		'osv.dirMissing': 'OSV directory not found: {dir}',
+		'osv.loading': '📂 Loading OSV advisories: {dir}',
+		'osv.loaded': '✅ Loaded {advisories} malicious package advisories (MAL-*)',
+		'osv.skipped': '⚠️  Unreadable files: {count} (e.g. {file}: {message})',
+		'osv.loadFailed': '❌ Failed to load the OSV advisories: {message}',
+		'report.saved': '📝 Detailed report saved: {file}',
+		'report.saveFailed': '⚠️  Failed to save the report: {message}',
+		'report.moreInfo': 'More info:',
+
+		// Command-line arguments
+		'cli.unknownOption': 'Unknown option: {arg}',
+		'cli.valueRequired': '--{name} requires a value',
+		'cli.invalidNumber': '--{name} must be an integer of 0 or more: {value}',
+		'cli.invalidChoice': 'Invalid value for --{name}: {value} ({choices})',
+		'cli.unknownFormat': 'Unsupported report format: {format} ({formats})',
+		'cli.packageRequired': 'explain requires a package name',
+		'usage.title': 'Usage:',
+		'usage.command': '  node index.cjs [options] [target directory...]',
+		'usage.explain': '  node index.cjs explain <package>[@<version>] [options] [target directory...]',
+		'usage.options': 'Options:',
+		'usage.default': 'default',
+		'usage.examples': 'Examples:',
+		'option.output': 'Report output path (default: reports/security_check_report_<timestamp>.<ext>)',
+		'option.format': 'Report format',
+		'option.list': 'Path to the compromised package list (JSON) (default: compromised_packages.json)',
+		'option.osv-dir': 'Also check against a directory of OSV advisories (local mirror)',
+		'option.regenerate': 'Exit with an error instead of regenerating a stale compromised_packages.json',
+		'option.ioc-node-modules': 'Do not check files inside node_modules against IOCs (neither names nor contents)',
+		'option.ioc-node-modules-content': 'Check the contents of every file inside node_modules against IOCs (by default only files with IOC names)',
+		'option.ioc-max-file-size': 'Maximum size of files whose contents (SHA-256, signatures) are checked against IOCs (MB, 0 for names only)',
+		'option.strict-scripts': 'Also count install scripts matching heuristic patterns (curl, node -e, ...) as HIGH issues that affect the exit code',
+		'option.global': 'Also scan packages in the npm global prefix (npm prefix -g)',
+		'option.npm-cache': 'Also scan packages in the npm cache (npm config get cache)',
+		'option.pnpm-store': 'Also scan packages in the pnpm store (pnpm store path)',
+		'option.yarn-cache': 'Also scan packages in the yarn cache (yarn cache dir, .yarn/cache)',
+		'option.host': 'Also inspect the home directory for infection traces and credentials that need rotating',
+		'option.home': 'Home directory inspected by --host (implies --host)',
+		'option.max-depth': 'Maximum recursion depth in node_modules',
+		'option.max-paths': 'Maximum number of dependency paths listed per finding and by explain (0 for up to 10,000)',
+		'option.discover': 'Find and scan every project (package.json / node_modules) under the targets',
+		'option.discover-depth': 'Maximum directory depth searched by --discover',
+		'option.fix': 'Write overrides (overrides / resolutions / pnpm.overrides) to package.json that pin compromised packages to safe versions',
+		'option.fix-dry-run': 'Show the --fix plan and the package.json diff without writing',
+		'option.fail-on': 'Risk level that makes the exit code 1 (critical | high | any)',
+		'option.quiet': 'Print only a one-line summary and errors',
+		'option.color': 'Disable colored output (also disabled by the NO_COLOR environment variable)',
+		'option.lang': 'Output language (en | ja) (default: from the LANG environment variable)',
+		'option.help': 'Show this help',
+
+		// Scan progress
+		'project.heading': '📦 Project: {dir}',
+		'project.workspaces': '📚 Workspaces: {count} packages',
+		'label.location': 'Location',
+		'label.compromisedVersions': 'Compromised versions',
+		'label.matchingVersions': 'Compromised versions in range',
+		'label.referencedBy': 'Referenced by',
+		'label.required': 'requires',
+		'label.depth': 'depth',
+		'label.dependencyPath': 'Dependency path',
+		'label.expectedPath': 'Expected path',
+		'label.riskLevel': 'Risk level',
+		'label.workspace': 'workspace',
+		'label.campaign': 'Campaign',
+		'label.unknownCampaign': 'unknown campaign',
+		'label.firstSeen': 'first seen',
+		'label.severity': 'severity',
+		'label.source': 'Source',
+		'label.script': 'Script',
+		'label.reason': 'Reason',
+		'suspicious.title': '🔍 Checking for suspicious files',
+		'suspicious.error': '⚠️  Error while checking for suspicious files: {message}',
+		'suspicious.found': '🚨 {count} kinds of suspicious files detected!\n',
+		'suspicious.malware': '⚠️  These files may be malware!',
+		'suspicious.infected': '   The system is likely infected. Respond immediately.',
+		'suspicious.actions': 'Recommended actions:\n',
+		'suspicious.action1': 'Delete these files immediately',
+		'suspicious.action2': 'Rotate all credentials (API keys, tokens, passwords)',
+		'suspicious.action3': 'Run a full security audit of the system',
+		'suspicious.action4': 'Details:',
+		'suspicious.none': '✅ No suspicious files detected',
+		'suspicious.warnings': '⚠️  Files matching {count} workflow rule(s) need review (they have legitimate uses, so they are not counted as issues)',
+		'suspicious.scanned': '📄 Checked the contents of {count} files against IOCs (SHA-256, signatures)',
+		'suspicious.skipped': '⚠️  {count} files exceeded the size limit (--ioc-max-file-size); only their names were checked',
+		'suspiciousFile.setup_bun.js': 'Dropper (malware installer script)',
+		'suspiciousFile.bun_environment.js': 'Main payload (obfuscated)',
+		'suspiciousFile.cloud.json': 'Cloud credentials',
+		'suspiciousFile.environment.json': 'Environment variables',
+		'suspiciousFile.actionsSecrets.json': 'GitHub Actions secrets',
+		'suspiciousFile.truffleSecrets.json': 'Credentials collected by TruffleHog (staged for exfiltration to a public repository)',
+		'suspiciousFile.payload-sha256': 'Known malware payload (SHA-256 match)',
+		'suspiciousFile.dropper-bun-install': 'Dropper that installs Bun and runs the payload',
+		'suspiciousFile.trufflehog-download': 'Download of the TruffleHog credential scanner',
+		'suspiciousFile.webhook-site-exfil': 'Data exfiltration to webhook.site',
+		'suspiciousFile.workflow-shai-hulud': 'Workflow added by Shai-Hulud',
+		'suspiciousFile.workflow-formatter': 'Secret-exfiltrating workflow (formatter_<digits>.yml)',
+		'suspiciousFile.workflow-runner-label': 'Self-hosted runner label registered by Shai-Hulud',
+		'suspiciousFile.workflow-discussion-injection': 'Workflow that runs discussion bodies as code on a self-hosted runner (backdoor)',
+		'suspiciousFile.workflow-secrets-dump': 'Workflow that dumps all secrets',
+		'suspiciousFile.workflow-secrets-artifact': 'Workflow that uploads secrets as an artifact',
+		'suspiciousFile.workflow-webhook-exfil': 'Workflow that sends data to webhook.site',
+		'nodeModules.title': '📂 Scanning node_modules (real files and symlinks)...',
+		'nodeModules.notFound': '  ⚠️  node_modules not found',
+		'nodeModules.pnp': '  🧶 Yarn Plug\'n\'Play project (indexed from {file})',
+		'nodeModules.indexed': '  📦 Indexed {packages} packages ({instances} instances)',
+		'nodeModules.checkingInstalled': '  🔍 Checking installed packages...',
+		'nodeModules.duplicate': 'Duplicate install',
+		'nodeModules.installedNone': '  ✅ Nothing detected in installed packages',
+		'nodeModules.instancesFound': '  ⚠️  {count} instances detected',
+		'nodeModules.checked': '  📊 Checked {count} packages',
+		'nodeModules.totalFound': '  📊 {count} issues detected in total',
+		'nodeModules.checkingReferences': '  🔍 Checking dependencies of installed packages...',
+		'nodeModules.notInstalled': '(not installed)',
+		'nodeModules.mayResolve': 'Note: the version range may resolve to a compromised version',
+		'nodeModules.referencesFound': '  ⚠️  {count} compromised dependency references detected',
+		'nodeModules.referencesNone': '  ✅ Nothing detected in package dependencies',
+		'caches.title': '🗄️  Scanning global and cached packages...',
+		'caches.notFound': '❌ Global or cache directory not found: {dir}',
+		'caches.missing.global': 'node_modules not found: {dir}',
+		'caches.missing.npm-cache': 'npm cache index not found: {dir}',
+		'caches.missing.pnpm-store': 'pnpm store not found: {dir}',
+		'caches.missing.yarn-cache': 'yarn cache not found: {dir}',
+		'caches.unknownType': 'Unknown location type: {type}',
+		'zip.noEndRecord': 'ZIP end of central directory record not found: {file}',
+		'caches.type.global': 'Global prefix',
+		'caches.type.npm-cache': 'npm cache',
+		'caches.type.pnpm-store': 'pnpm store',
+		'caches.type.yarn-cache': 'yarn cache',
+		'caches.error': '  ❌ Failed to read: {message}',
+		'caches.clean': '  ✅ Nothing detected ({count} packages checked)',
+		'caches.found': '  ⚠️  {count} compromised versions detected (out of {total} packages)',
+		'caches.remove': 'Remove with',
+		'caches.command.global': 'npm uninstall -g {packages}',
+		'caches.command.npm-cache': 'npm cache clean --force',
+		'caches.command.pnpm-store': 'pnpm store prune (after removing it from the projects that use it)',
+		'caches.command.yarn-cache': 'yarn cache clean {packages} (for Berry, delete the zips in .yarn/cache)',
+		'explain.title': '🔎 Why {name} is installed: {dir}',
+		'explain.noSources': '  ⚠️  No node_modules or lockfile found',
+		'explain.source.node-modules': 'Installed tree',
+		'explain.source.pnp': 'Installed tree (Yarn PnP)',
+		'explain.source.lockfile': 'Lockfile',
+		'explain.notFound': '  ✅ No matching package',
+		'explain.unreachable': '     No dependency path from the root (nothing depends on it)',
+		'explain.truncated': '     … stopped after {count} dependency paths (change with --max-paths)',
+		'explain.direct': '📌 Direct dependencies of the root (candidates to remove or override): {list}',
+		'explain.noMatch': '⚠️  {name} was not found in any project',
+		'fix.title': '🔧 Fix plan: {file} ({field})',
+		'fix.pin': '  ● {name}: {from} → {to} ({source})',
+		'fix.source.lockfile': 'version recorded in a lockfile',
+		'fix.source.installed': 'installed version',
+		'fix.source.blacklist': 'upper bound of a blacklisted range',
+		'fix.direct': '     Direct dependency also changed: {types}',
+		'fix.previous': '     Replaces the existing override: {version}',
+		'fix.unresolved': '  ⚠️  {name} ({from}): no safe version found locally; set one in {field} by hand',
+		'fix.error': '  ❌ Cannot update package.json: {message}',
+		'fix.noChanges': '  ✅ No changes to package.json needed',
+		'fix.dryRun': 'ℹ️  package.json was not changed because of --fix-dry-run (use --fix to write it)',
+		'fix.applied': '✅ package.json updated. Reinstall with {command}',
+		'fix.verify': '⚠️  The pinned versions are chosen from local data. Confirm they are safe on the registry or with the publisher',
+		'host.title': '🏠 Host inspection: {dir}',
+		'host.homeNotFound': '❌ Home directory not found: {dir}',
+		'host.artifact.truffler-cache': 'TruffleHog cache (used to harvest credentials)',
+		'host.artifact.dev-env-runner': 'Self-hosted runner registered by Shai-Hulud',
+		'host.artifact.bun-install': 'Bun installation (installed by the dropper; check whether it is intended)',
+		'host.noArtifacts': '✅ No infection traces detected',
+		'host.noCredentials': '✅ No credential files in the well-known locations',
+		'host.credentials': '🔑 {count} credential files found (values are not shown)',
+		'host.modifiedAt': 'modified',
+		'host.recent': '[recently modified]',
+		'host.rotateNow': '🚨 Infection traces found. Rotate these credentials immediately: {services}',
+		'host.rotateIfInfected': 'ℹ️  If an infection is confirmed, rotate these credentials: {services}',
+		'installScripts.title': '📜 Auditing install scripts...',
+		'installScripts.none': '  ✅ No package has lifecycle scripts (preinstall / install / postinstall / prepare)',
+		'installScripts.count': '  📊 {count} packages have lifecycle scripts',
+		'installScripts.flagged': '  ⚠️  {count} scripts match suspicious patterns',
+		'installScripts.noneFlagged': '  ✅ No script matches a suspicious pattern',
+		'installScripts.flag.knownPayload': 'runs a Shai-Hulud dropper or payload',
+		'installScripts.flag.bun': 'runs or installs Bun',
+		'installScripts.flag.download': 'downloads with curl / wget or similar',
+		'installScripts.flag.pipeToShell': 'pipes downloaded content into a shell',
+		'installScripts.flag.inlineCode': 'runs inline or encoded code',
+		'installScripts.flag.trufflehog': 'runs TruffleHog',
+		'packageJson.title': '📄 Scanning package.json...',
+		'packageJson.notFound': '  ⚠️  package.json not found',
+		'scan.parseError': '  ❌ Failed to parse {file}: {message}',
+		'packageJson.nameOnly': 'Note: the range cannot be evaluated, so only the package name was matched',
+		'packageJson.none': '  ✅ Nothing detected',
+		'lockfiles.title': '🔒 Scanning lockfiles...',
+		'lockfiles.bunBinary': '  ⚠️  bun.lockb (binary format) cannot be parsed',
+		'lockfiles.bunHint': '     Generate bun.lock with bun install --save-text-lockfile',
+		'lockfiles.notFound': '  ⚠️  No lockfile found',
+		'lockfiles.checking': '  🔍 Checking resolved packages in {file} ({type})...',
+		'lockfiles.clean': '  ✅ Nothing detected in {count} packages',
+		'lockfiles.found': '  ⚠️  {count} compromised versions are resolved',
+		'lockfiles.unsupported': 'Unsupported lockfile: {file}',
+
+		// Summary
+		'summary.title': '📊 Scan Results Summary',
+		'summary.titleFor': '📊 Scan Results Summary: {dir}',
+		'summary.target': 'Scan target',
+		'summary.checkedCount': 'Packages checked: {count}',
+		'summary.safe': '✅ Project is safe',
+		'summary.safeDetail': '   No compromised packages detected\n',
+		'summary.issues': '🚨 {count} issues detected',
+		'summary.locations': 'Detection locations:',
+		'summary.count': '{count}',
+		'summary.lockfiles': 'Lockfiles',
+		'summary.suspiciousFiles': 'Suspicious files',
+		'summary.installScripts': 'Suspicious install scripts',
+		'summary.caches': 'Global and caches',
+		'summary.host': 'Host infection traces',
+		'summary.details': 'Detected package details:',
+		'summary.installedTag': '[installed]',
+		'summary.referenceTag': '[referenced by]',
+		'summary.declaredTag': '[declared]',
+		'summary.lockedTag': '[locked]',
+		'summary.inRange': 'in range',
+		'summary.morePaths': '({count} more dependency paths: node index.cjs explain {name})',
+		'combined.title': '📊 Combined Summary',
+		'combined.projects': 'Projects scanned: {count}',
+		'combined.projectIssues': '{dir}: {count} issues ({level})',
+		'combined.allSafe': '✅ All projects are safe\n',
+		'combined.affected': '🚨 {issues} issues detected in {affected} / {total} projects',
+		'combined.breakdown': '   Breakdown: CRITICAL {critical} / HIGH {high} / NONE {none} projects\n',
+		'remediation.title': '⚠️  Immediate action required!',
+		'remediation.steps': 'Recommended response steps:\n',
+		'remediation.step1': 'Immediately rotate all API keys, tokens, and passwords',
+		'remediation.step2': 'Run the following commands in the target directory:',
+		'remediation.step3': 'Remove or update the dependency in package.json',
+		'remediation.fixHint': '   (preview a fix with overrides using --fix-dry-run)',
+		'remediation.step4': 'Reinstall with {command}',
+		'remediation.step5': "Check GitHub for repositories with the description",
+		'remediation.step5b': "   'Sha1-Hulud: The Second Coming'\n",
+		'quiet.safe': '✅ {dir}: no compromised packages detected',
+		'quiet.issues': '🚨 {dir}: {count} issues (risk level: {level})',
+		'quiet.total': 'Total: {issues} issues in {affected} / {total} projects',
+
+		// Reports (sarif / junit / markdown)
+		'report.title': '🛡️ Shai-Hulud Compromised Package Scan Results',
+		'report.category.suspicious-files': 'Suspicious files',
+		'report.category.installed': 'Installed packages',
+		'report.category.dependency-references': 'Dependency references',
+		'report.category.install-scripts': 'Suspicious install scripts',
+		'report.category.package-json': 'package.json',
+		'report.category.lockfiles': 'Lockfiles',
+		'report.column.item': 'Item',
+		'report.column.value': 'Value',
+		'report.column.category': 'Check',
+		'report.column.result': 'Result',
+		'report.column.project': 'Project',
+		'report.column.finding': 'Package / file',
+		'report.column.detail': 'Details',
+		'report.checkedCount': 'Packages checked',
+		'report.totalIssues': 'Issues',
+		'report.noFindings': '✅ None found',
+		'report.findingCount': '❌ {count} found',
+		'report.findingCountPlain': '{count} found',
+		'report.morePaths': '({count} more)',
+		'report.combined': '**{issues} issue(s) in {affected} / {total} projects** (risk level: {level}, packages checked: {checked})',
+		'report.timestamp': 'Scanned at: {timestamp}',
+		'report.sarif.rule.compromised-package-installed': 'A compromised version of a package is installed in node_modules',
+		'report.sarif.rule.compromised-dependency-reference': 'An installed package depends on a compromised package',
+		'report.sarif.rule.compromised-package-locked': 'A compromised version is resolved in a lockfile',
+		'report.sarif.rule.compromised-package-declared': 'A range declared in package.json includes a compromised version',
+		'report.sarif.rule.suspicious-install-script': 'A lifecycle script of an installed package matches a suspicious pattern',
+		'report.sarif.rule.suspicious-file': 'A file matches a Shai-Hulud malware IOC (file name, SHA-256 or signature)',
+		'report.sarif.installed': '{package}@{version} is installed (compromised versions: {versions})',
+		'report.sarif.reference': '{referencedBy} depends on {package}@{version} (compromised versions: {versions})',
+		'report.sarif.declared': '{package}@{version} is declared in {type} ({matching})',
+		'report.sarif.locked': '{package}@{version} is resolved (dependency path: {path})',
+		'report.sarif.installScript': 'The {hook} script of {package}@{version} matches a suspicious pattern: {script}',
+		'report.sarif.suspiciousFile': 'Suspicious file {name} detected ({description})',
+
+		// Package list import (lib/importers.cjs)
+		'import.unsupported': 'Unsupported list format: {file}',
+		'import.csvNoNameColumn': 'The CSV header row (line {line}) has no package name column ({columns})',
+
+		// Package list extraction (extract_packages.cjs)
+		'extract.usage': 'Usage: node extract_packages.cjs [--merge-versions | --no-dedup | --keep-first] [--strict] [--lang en|ja]',
+		'extract.start': '📝 Extracting the package list\n',
+		'extract.mode': '🔀 Extraction mode: {mode}',
+		'extract.mode.merge': 'merge (combine versions of duplicate packages)',
+		'extract.mode.keep-all': 'keep all entries',
+		'extract.mode.first-only': 'keep only the first entry',
+		'extract.noDir': '❌ Error: {dir} directory not found',
+		'extract.noFiles': '❌ Error: no list files (.txt / .csv / .json) found in the {dir} directory',
+		'extract.reading': '📂 Reading: {file} ({format})',
+		'extract.importFailed': '❌ Error: failed to read {file}: {message}',
+		'extract.lint.title': '🔎 Validating the lists',
+		'extract.lint.ok': '✅ No problems found',
+		'extract.lint.count': '⚠️  Found {count} problems (with --strict, extraction stops without writing files when problems are found)',
+		'extract.lint.strictFailed': '❌ Error: --strict is set, exiting without writing files',
+		'extract.lint.unparsedLine': '  ⚠️  {location} Unparsed line: {value}',
+		'extract.lint.invalidName': '  ⚠️  {location} Invalid package name: {name} ({reason})',
+		'extract.lint.invalidVersion': '  ⚠️  {location} {name}: invalid version: {value}',
+		'extract.lint.invalidRange': '  ⚠️  {location} {name}: invalid version range: {value}',
+		'extract.lint.conflictingVersions': '  ⚠️  {location} {name}: listed without versions, but also listed with versions ({value})',
+		'extract.lint.duplicateEntry': '  ⚠️  {location} {name}: duplicate of an earlier entry ({value})',
+		'extract.lint.reason.empty': 'empty name',
+		'extract.lint.reason.tooLong': 'longer than 214 characters',
+		'extract.lint.reason.whitespace': 'leading or trailing whitespace',
+		'extract.lint.reason.leadingDotOrUnderscore': 'starts with . or _',
+		'extract.lint.reason.uppercase': 'contains uppercase letters',
+		'extract.lint.reason.specialCharacters': "contains ~'!()*",
+		'extract.lint.reason.reserved': 'reserved name',
+		'extract.lint.reason.scope': 'malformed scope (@scope/name)',
+		'extract.lint.reason.urlUnsafe': 'contains URL-unsafe characters',
+		'extract.extracted': '✅ Extracted {count} unique packages\n',
+		'extract.csvGenerating': '📄 Generating CSV file: {file}',
+		'extract.csvGenerated': '✅ CSV file generated: {file}\n',
+		'extract.jsonGenerating': '📄 Generating JSON file: {file}',
+		'extract.jsonGenerated': '✅ JSON file generated: {file}\n',
+		'extract.statsTitle': '📊 Extraction Statistics',
+		'extract.total': 'Total packages: {count}',
+		'extract.scoped': 'Scoped packages: {count}',
+		'extract.unscoped': 'Unscoped packages: {count}',
+		'extract.withVersions': 'With version info: {count}',
+		'extract.multipleVersions': 'With multiple versions: {count}',
+		'extract.duplicates': 'Duplicate entries: {count}',
+		'extract.campaigns': '\nBy campaign:',
+		'extract.unknownCampaign': '(unknown)',
+		'extract.campaignCount': '  {campaign}: {count} packages',
+		'extract.topScopes': '\nTop 10 scopes:',
+		'extract.scopeCount': '  {scope}: {count} packages',
+		'extract.done': '\n✅ Done!',
+		'extract.files': '\nGenerated files:',
+		'extract.csvFile': '  - {file} (CSV format)',
+		'extract.jsonFile': '  - {file} (detailed JSON with versions)',
+		'extract.next': '\nNext step: index.cjs can use these files',
+		'diff.usage': 'Usage: node diff_packages.cjs <old> <new> [--format text|json] [--output <file>] [--lang en|ja]',
+		'diff.twoFiles': 'Specify two files to compare (list files or compromised_packages.json)',
+		'diff.loadFailed': '❌ Error: failed to read a list: {message}',
+		'diff.title': '📋 Compromised package list diff: {old} → {new}',
+		'diff.added': '➕ Added packages: {count}',
+		'diff.removed': '➖ Removed packages: {count}',
+		'diff.changed': '🔄 Packages with changed versions: {count}',
+		'diff.none': '   (none)',
+		'diff.noVersions': 'no versions specified',
+		'diff.summary': '📊 {added} added / {removed} removed / {changed} changed / {unchanged} unchanged',
+		'diff.rescan': '⚠️  Re-scan projects that use the added or changed packages: node index.cjs <project>',
+		'diff.saved': '📝 Diff saved: {file}',
+	},
+};
+
+const LANGUAGES = Object.keys(MESSAGES);
+
+/**
+ * 環境変数から表示言語を判定
+ * LC_ALL > LC_MESSAGES > LANG の順に参照し、ja で始まる場合のみ日本語
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {string} 'ja' | 'en'
+ */
+function detectLang(env = process.env) {
+	const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+	return /^ja/i.test(locale) ? 'ja' : 'en';
+}
+
+/**
+ * コマンドライン引数の --lang から表示言語を決定
+ * 引数の解析より前（解析エラーの表示など）にも使えるよう、--lang だけを先に読む
+ * @param {string[]} argv - process.argv.slice(2)
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {string} 'ja' | 'en'（--lang がない、または不正な値の場合は環境変数から判定）
+ */
+function langFromArgs(argv, env = process.env) {
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] === '--') break;
+		const value = argv[i].startsWith('--lang=') ? argv[i].slice('--lang='.length) : argv[i] === '--lang' ? argv[i + 1] : undefined;
+		if (LANGUAGES.includes(value)) return value;
+	}
+	return detectLang(env);
+}
+
+/**
+ * 翻訳関数を作成
+ * @param {string} lang - 'ja' | 'en'
+ * @returns {Function} t(key, params) => メッセージ
+ */
+function createTranslator(lang) {
+	const messages = MESSAGES[lang] || MESSAGES.ja;
+	return (key, params = {}) => {
+		const template = messages[key] !== undefined ? messages[key] : MESSAGES.ja[key] !== undefined ? MESSAGES.ja[key] : key;
+		return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+	};
+}
+
+module.exports = {
+	LANGUAGES,
+	MESSAGES,
+	detectLang,
+	langFromArgs,
+	createTranslator,
+};
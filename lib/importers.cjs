@@ -0,0 +1,551 @@
+/**
+ * 侵害パッケージリストのインポーター
+ * blacklists/ に置かれたベンダーの IOC リストを、形式ごとに共通のエントリーへ変換する
+ *
+ * 対応する形式:
+ *   .txt  - テキスト（"pkg (v1.2.3, v1.2.4)" / "pkg - 1.2.3, 1.2.4" / "pkg"）と "--- key : value ---" ヘッダー
+ *           （キーは source, campaign, first_seen, severity。ヘッダーはそれ以降の行に適用し、
+ *            最初のヘッダーより前の行にはリスト全体の情報（各キーの最初のヘッダー）を使う）
+ *   .csv  - ヘッダー行の列名（package_name, versions, ranges, campaign, first_seen, severity, source）で列を判定
+ *           （ヘッダー行にパッケージ名の列がない場合はエラー）
+ *   .json - 次のいずれか（単一のオブジェクトまたは配列）
+ *           - { name, versions, ranges, ... } の配列、"pkg@1.2.3" 形式の文字列の配列
+ *           - compromised_packages.json 形式（{ packages: [...] }）
+ *           - OSV レコード（affected[].package / versions / ranges[].events）
+ *           - GitHub Security Advisory（REST API の vulnerabilities[].vulnerable_version_range）
+ *
+ * エントリーの形式:
+ *   { name, versions: ['1.2.3'], ranges: ['>=1.0.0 <1.2.0'], line, info: { campaign, source, firstSeen, severity } }
+ *   line はリスト内の行番号（特定できない場合 null）
+ * 解析できなかった行・レコードは unparsed: [{ line, text }] として返す（読み飛ばさずに検証で報告する）
+ */
+
+const path = require('path');
+const semver = require('./semver.cjs');
+const { detectLang, createTranslator } = require('./i18n.cjs');
+
+const DEFAULT_SEVERITY = 'critical';
+
+// ベンダーごとの深刻度の表記 -> 共通の表記
+const SEVERITY_ALIASES = {
+	critical: 'critical',
+	high: 'high',
+	moderate: 'medium',
+	medium: 'medium',
+	low: 'low',
+};
+
+// CSV の列名（小文字）-> エントリーの項目
+const CSV_COLUMNS = {
+	name: ['package_name', 'package', 'name', 'package name'],
+	versions: ['versions', 'version', 'affected_versions'],
+	ranges: ['ranges', 'range', 'vulnerable_version_range'],
+	campaign: ['campaign'],
+	source: ['source', 'url', 'reference'],
+	firstSeen: ['first_seen', 'firstseen', 'published', 'date'],
+	severity: ['severity'],
+};
+
+// テキスト形式の正規表現パターン
+// バージョンはプレリリース (1.0.0-beta.1) なども含めてそのまま取り出し、形式の検証は validate.cjs で行う
+// パターン1: @scope/package (v1.2.3) または package (v1.2.3)
+// パターン1: @scope/package (v1.2.3, v1.2.4) - 複数バージョン
+const pattern1 = /^(@?[\w-]+\/)?([a-z0-9-_.]+)\s+\(([^\s,()]+(?:,\s*[^\s,()]+)*)\)/i;
+// パターン2: @scope/package または package（バージョンなし）
+const pattern2 = /^(@?[\w-]+\/)?([a-z0-9-_.]+)$/i;
+// パターン3: @scope/package - 1.2.3, 1.2.4 (ハイフン区切り、vなし)
+const pattern3 = /^(@?[\w-]+\/)?([a-z0-9-_.]+)\s+-\s+([^\s,]+(?:,\s*[^\s,]+)*)/i;
+
+/**
+ * 深刻度の表記を正規化
+ * @param {string} value - 例: "CRITICAL", "moderate"
+ * @returns {string|null} 'critical' | 'high' | 'medium' | 'low'（不明な表記はそのまま小文字で返す）
+ */
+function normalizeSeverity(value) {
+	if (!value) return null;
+	const lower = String(value).trim().toLowerCase();
+	return SEVERITY_ALIASES[lower] || lower;
+}
+
+/**
+ * 日付を YYYY-MM-DD に揃える
+ * @param {string} value - 例: "2025-11-28T00:00:00Z"
+ * @returns {string|null}
+ */
+function normalizeDate(value) {
+	const match = value ? String(value).match(/^(\d{4})-?(\d{2})-?(\d{2})/) : null;
+	return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * ファイル名からリストの情報の初期値を作成（初出日はファイル名の日付）
+ * @param {string} file - リストのファイル名（例: npm_black_list_20251128.txt）
+ * @returns {{file: string, source: null, campaign: null, firstSeen: string|null, severity: string}}
+ */
+function listInfoFromName(file) {
+	const date = path.basename(file).match(/(\d{4})(\d{2})(\d{2})/);
+	return { file, source: null, campaign: null, firstSeen: date ? `${date[1]}-${date[2]}-${date[3]}` : null, severity: DEFAULT_SEVERITY };
+}
+
+/**
+ * 脆弱性の範囲の表記を、バージョンと npm 形式の範囲に分ける
+ * GitHub Security Advisory の ">= 1.0.0, < 1.2.0" は ">=1.0.0 <1.2.0"、"= 1.2.3" は単一のバージョンになる
+ * @param {string} text - 範囲の表記
+ * @returns {{versions: string[], ranges: string[]}}
+ */
+function splitRange(text) {
+	const parts = String(text)
+		.split(',')
+		.map((part) => part.trim().replace(/^(>=|<=|>|<|=)\s+/, '$1'))
+		.filter(Boolean);
+
+	if (parts.length === 0) return { versions: [], ranges: [] };
+	if (parts.length === 1 && semver.valid(parts[0].replace(/^=/, '')) && !/^[<>]/.test(parts[0])) {
+		return { versions: [parts[0].replace(/^=/, '')], ranges: [] };
+	}
+	return { versions: [], ranges: [parts.join(' ')] };
+}
+
+/**
+ * OSV の ranges（introduced / fixed / last_affected のイベント列）を npm 形式の範囲に変換
+ * @param {Object[]} osvRanges - affected[].ranges
+ * @returns {string[]} 例: [">=1.0.0 <1.2.0", "*"]
+ */
+function rangesFromOsv(osvRanges) {
+	const ranges = [];
+
+	osvRanges
+		.filter((range) => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+		.forEach((range) => {
+			let introduced = null;
+			(range.events || []).forEach((event) => {
+				if (event.introduced !== undefined) {
+					introduced = event.introduced;
+				} else if (introduced !== null && event.fixed !== undefined) {
+					ranges.push(introduced === '0' ? `<${event.fixed}` : `>=${introduced} <${event.fixed}`);
+					introduced = null;
+				} else if (introduced !== null && event.last_affected !== undefined) {
+					ranges.push(introduced === '0' ? `<=${event.last_affected}` : `>=${introduced} <=${event.last_affected}`);
+					introduced = null;
+				}
+			});
+			// 修正版のない範囲（introduced: "0" はプレリリース版も含めたすべてのバージョン。検査時は "*" をそのように照合する）
+			if (introduced !== null) ranges.push(introduced === '0' ? '*' : `>=${introduced}`);
+		});
+
+	return ranges;
+}
+
+/**
+ * JSON のテキスト内で値が現れる行を、先頭から順に探す関数を作成
+ * @param {string} text - JSON のテキスト
+ * @returns {Function} (value) => 行番号（見つからない場合 null）
+ */
+function createLineLocator(text) {
+	let offset = 0;
+	let line = 1;
+	return (value) => {
+		const index = text.indexOf(JSON.stringify(value), offset);
+		if (index === -1) return null;
+		for (let i = offset; i < index; i++) {
+			if (text[i] === '\n') line++;
+		}
+		offset = index;
+		return line;
+	};
+}
+
+/**
+ * テキスト形式のヘッダー行（"--- key : value ---"）を解析
+ * @param {string} trimmedLine - 前後の空白を除いた行
+ * @returns {{key: string, value: string}|null} ヘッダー行でない場合は null
+ */
+function parseHeader(trimmedLine) {
+	const match = trimmedLine.match(/^---\s*([\w-]+)\s*:\s*(.+?)\s*---$/);
+	return match ? { key: match[1].toLowerCase(), value: match[2] } : null;
+}
+
+/**
+ * テキスト形式の 1 行からパッケージ名とバージョンを取り出す
+ * @param {string} trimmedLine - 前後の空白を除いた行
+ * @returns {{name: string, versions: string[]}|null} 空行・コメント行・解析できない行は null
+ */
+function parseLine(trimmedLine) {
+	// 空行やコメント行をスキップ
+	if (!trimmedLine || trimmedLine.startsWith('---') || trimmedLine.startsWith('#')) {
+		return null;
+	}
+
+	// パターン1: バージョン情報あり (v1.2.3)
+	const match1 = trimmedLine.match(pattern1);
+	if (match1) {
+		return { name: (match1[1] || '') + match1[2], versions: match1[3].split(',').map((v) => v.trim()) };
+	}
+
+	// パターン3: バージョン情報あり (ハイフン区切り)
+	const match3 = trimmedLine.match(pattern3);
+	if (match3) {
+		return { name: (match3[1] || '') + match3[2], versions: match3[3].split(',').map((v) => v.trim()) };
+	}
+
+	// パターン2: バージョン情報なし
+	const match2 = trimmedLine.match(pattern2);
+	if (match2) {
+		return { name: (match2[1] || '') + match2[2], versions: [] };
+	}
+
+	return null;
+}
+
+/**
+ * ヘッダー行の値をリストの情報に反映
+ * キーは CSV の列名と同じ（source, campaign, first_seen, severity など）
+ * @param {Object} info - リストの情報（書き換える）
+ * @param {{key: string, value: string}} header - parseHeader() の結果
+ * @returns {string|null} 反映した項目（対象外のキーは null）
+ */
+function applyHeader(info, header) {
+	const field = ['source', 'campaign', 'firstSeen', 'severity'].find((key) => CSV_COLUMNS[key].includes(header.key));
+	if (!field) return null;
+	if (field === 'severity') info.severity = normalizeSeverity(header.value);
+	else if (field === 'firstSeen') info.firstSeen = normalizeDate(header.value) || info.firstSeen;
+	else info[field] = header.value;
+	return field;
+}
+
+/**
+ * テキスト形式のリストを読み込む
+ * リストの情報は各キーの最初のヘッダー、エントリーの情報はその行より前の最も近いヘッダーから決める
+ * @param {string} file - リストのファイル名
+ * @param {string} text - ファイルの内容
+ * @returns {{info: Object, entries: Object[], unparsed: Object[]}}
+ */
+function importText(file, text) {
+	const info = listInfoFromName(file);
+	const lines = text.split('\n');
+
+	const applied = new Set();
+	lines.forEach((line) => {
+		const header = parseHeader(line.trim());
+		if (!header) return;
+		const scratch = { ...info };
+		const field = applyHeader(scratch, header);
+		if (field && !applied.has(field)) {
+			applied.add(field);
+			info[field] = scratch[field];
+		}
+	});
+
+	const entries = [];
+	const unparsed = [];
+	let current = info;
+	lines.forEach((line, index) => {
+		const trimmedLine = line.trim();
+		const header = parseHeader(trimmedLine);
+		if (header) {
+			const next = { ...current };
+			if (applyHeader(next, header)) current = next;
+			return;
+		}
+
+		const parsed = parseLine(trimmedLine);
+		if (parsed) entries.push({ ...parsed, ranges: [], line: index + 1, info: current });
+		else if (trimmedLine && !trimmedLine.startsWith('---') && !trimmedLine.startsWith('#')) unparsed.push({ line: index + 1, text: trimmedLine });
+	});
+
+	return { info, entries, unparsed };
+}
+
+/**
+ * CSV の 1 行をセルに分割（ダブルクォートと "" のエスケープに対応）
+ * @param {string} line - CSV の行
+ * @returns {string[]} セル（前後の空白を除く）
+ */
+function parseCsvLine(line) {
+	const cells = [];
+	let cell = '';
+	let quoted = false;
+
+	for (let i = 0; i < line.length; i++) {
+		const ch = line[i];
+		if (quoted) {
+			if (ch === '"' && line[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (ch === '"') {
+				quoted = false;
+			} else {
+				cell += ch;
+			}
+		} else if (ch === '"') {
+			quoted = true;
+		} else if (ch === ',') {
+			cells.push(cell.trim());
+			cell = '';
+		} else {
+			cell += ch;
+		}
+	}
+	cells.push(cell.trim());
+
+	return cells;
+}
+
+/**
+ * CSV 形式のリストを読み込む
+ * 最初の行が既知の列名を含む場合はヘッダー行とみなし、ない場合は 1 列目をパッケージ名、2 列目をバージョンとみなす
+ * バージョンは ; | , 区切り、範囲は ; | 区切り
+ * @param {string} file - リストのファイル名
+ * @param {string} text - ファイルの内容
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用） }
+ * @returns {{info: Object, entries: Object[], unparsed: Object[]}}
+ * @throws {Error} ヘッダー行にパッケージ名の列がない場合（ヘッダー行をデータとして読み込まない）
+ */
+function importCsv(file, text, options = {}) {
+	const info = listInfoFromName(file);
+	const lines = text.split('\n');
+	const entries = [];
+	const unparsed = [];
+
+	let columns = null;
+	lines.forEach((line, index) => {
+		if (!line.trim() || line.trim().startsWith('#')) return;
+		const cells = parseCsvLine(line.replace(/\r$/, ''));
+
+		// 最初の行: ヘッダー行の判定
+		if (columns === null) {
+			const header = cells.map((cell) => cell.toLowerCase());
+			const known = Object.values(CSV_COLUMNS).flat();
+			if (header.some((cell) => known.includes(cell))) {
+				if (!header.some((cell) => CSV_COLUMNS.name.includes(cell))) {
+					const t = options.t || createTranslator(detectLang());
+					throw new Error(t('import.csvNoNameColumn', { line: index + 1, columns: CSV_COLUMNS.name.join(', ') }));
+				}
+				columns = {};
+				Object.entries(CSV_COLUMNS).forEach(([key, names]) => {
+					const column = header.findIndex((cell) => names.includes(cell));
+					if (column !== -1) columns[key] = column;
+				});
+				return;
+			}
+			columns = { name: 0, versions: 1 };
+		}
+
+		const cell = (key) => (columns[key] !== undefined && cells[columns[key]] ? cells[columns[key]] : '');
+		const name = cell('name');
+		if (!name) {
+			unparsed.push({ line: index + 1, text: line.trim() });
+			return;
+		}
+
+		const versions = cell('versions')
+			.split(/[;|,]/)
+			.map((version) => version.trim())
+			.filter(Boolean);
+		const ranges = cell('ranges')
+			.split(/[;|]/)
+			.flatMap((range) => {
+				const split = splitRange(range);
+				versions.push(...split.versions);
+				return split.ranges;
+			});
+
+		entries.push({
+			name,
+			versions,
+			ranges,
+			line: index + 1,
+			info: {
+				...info,
+				campaign: cell('campaign') || info.campaign,
+				source: cell('source') || info.source,
+				firstSeen: normalizeDate(cell('firstSeen')) || info.firstSeen,
+				severity: normalizeSeverity(cell('severity')) || info.severity,
+			},
+		});
+	});
+
+	return { info, entries, unparsed };
+}
+
+/**
+ * OSV レコードからエントリーを作成（npm エコシステムのみ）
+ * キャンペーンにはアドバイザリー ID（MAL-2025-1234 など）を使う
+ * @param {Object} record - OSV レコード
+ * @param {Object} info - リストの情報
+ * @param {Function} locate - 行番号の検索関数
+ * @returns {Object[]} エントリー
+ */
+function fromOsv(record, info, locate) {
+	const databaseSpecific = record.database_specific || {};
+	const context = {
+		...info,
+		campaign: record.id || info.campaign,
+		source: record.id ? `https://osv.dev/vulnerability/${record.id}` : info.source,
+		firstSeen: normalizeDate(record.published) || info.firstSeen,
+		severity: normalizeSeverity(databaseSpecific.severity) || info.severity,
+	};
+
+	return (record.affected || [])
+		.filter((affected) => affected.package && String(affected.package.ecosystem).toLowerCase() === 'npm')
+		.map((affected) => ({
+			name: affected.package.name,
+			versions: [...(affected.versions || [])],
+			ranges: rangesFromOsv(affected.ranges || []),
+			line: locate(affected.package.name),
+			info: context,
+		}));
+}
+
+/**
+ * GitHub Security Advisory（REST API / GraphQL の形式）からエントリーを作成（npm エコシステムのみ）
+ * キャンペーンにはアドバイザリー ID（GHSA-xxxx-xxxx-xxxx）を使う
+ * @param {Object} record - アドバイザリー
+ * @param {Object} info - リストの情報
+ * @param {Function} locate - 行番号の検索関数
+ * @returns {Object[]} エントリー
+ */
+function fromGhsa(record, info, locate) {
+	const vulnerabilities = Array.isArray(record.vulnerabilities) ? record.vulnerabilities : record.vulnerabilities.nodes || [];
+	const id = record.ghsa_id || record.ghsaId;
+	const context = {
+		...info,
+		campaign: id || info.campaign,
+		source: record.html_url || record.permalink || info.source,
+		firstSeen: normalizeDate(record.published_at || record.publishedAt) || info.firstSeen,
+		severity: normalizeSeverity(record.severity) || info.severity,
+	};
+
+	return vulnerabilities
+		.filter((vulnerability) => vulnerability.package && String(vulnerability.package.ecosystem).toLowerCase() === 'npm')
+		.map((vulnerability) => {
+			const { versions, ranges } = splitRange(vulnerability.vulnerable_version_range || vulnerability.vulnerableVersionRange || '');
+			return { name: vulnerability.package.name, versions, ranges, line: locate(vulnerability.package.name), info: context };
+		});
+}
+
+/**
+ * JSON の 1 要素からエントリーを作成
+ * @param {*} record - 配列の要素、またはファイル全体のオブジェクト
+ * @param {Object} info - リストの情報
+ * @param {Function} locate - 行番号の検索関数
+ * @returns {Object[]|null} エントリー（認識できない要素は null）
+ */
+function fromJsonRecord(record, info, locate) {
+	// "pkg@1.2.3" / "@scope/pkg@1.2.3" / "pkg"
+	if (typeof record === 'string') {
+		const at = record.lastIndexOf('@');
+		const line = locate(record);
+		if (at > 0) return [{ name: record.slice(0, at), versions: [record.slice(at + 1)], ranges: [], line, info }];
+		return [{ name: record, versions: [], ranges: [], line, info }];
+	}
+
+	if (!record || typeof record !== 'object') return null;
+	if (Array.isArray(record.affected)) return fromOsv(record, info, locate);
+	if (record.vulnerabilities && (record.ghsa_id || record.ghsaId)) return fromGhsa(record, info, locate);
+	if (Array.isArray(record.packages)) return record.packages.flatMap((pkg) => fromJsonRecord(pkg, info, locate) || []);
+
+	const name = record.name || record.package;
+	if (typeof name !== 'string') return null;
+
+	const list = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]).map(String);
+	const versions = list(record.versions !== undefined ? record.versions : record.version);
+	const ranges = list(record.ranges !== undefined ? record.ranges : record.range).flatMap((range) => {
+		const split = splitRange(range);
+		versions.push(...split.versions);
+		return split.ranges;
+	});
+
+	return [
+		{
+			name,
+			versions,
+			ranges,
+			line: locate(name),
+			info: {
+				...info,
+				campaign: record.campaign || info.campaign,
+				source: record.source || info.source,
+				firstSeen: normalizeDate(record.firstSeen || record.first_seen) || info.firstSeen,
+				severity: normalizeSeverity(record.severity) || info.severity,
+			},
+		},
+	];
+}
+
+/**
+ * JSON 形式のリストを読み込む
+ * @param {string} file - リストのファイル名
+ * @param {string} text - ファイルの内容
+ * @returns {{info: Object, entries: Object[], unparsed: Object[]}}
+ * @throws {SyntaxError} JSON として不正な場合
+ */
+function importJson(file, text) {
+	const info = listInfoFromName(file);
+	const data = JSON.parse(text);
+	const locate = createLineLocator(text);
+	const records = Array.isArray(data) ? data : [data];
+	const entries = [];
+	const unparsed = [];
+	records.forEach((record) => {
+		const recordEntries = fromJsonRecord(record, info, locate);
+		if (recordEntries) entries.push(...recordEntries);
+		else unparsed.push({ line: null, text: JSON.stringify(record).slice(0, 80) });
+	});
+	return { info, entries, unparsed };
+}
+
+/**
+ * 解析済みの OSV レコードを読み込む（OSV のミラーの読み込み用）
+ * @param {string} file - レコードのファイル名（provenance に使う）
+ * @param {Object} record - OSV レコード
+ * @param {string} text - ファイルの内容（行番号の特定に使う）
+ * @returns {{info: Object, entries: Object[], unparsed: Object[]}}
+ */
+function importOsv(file, record, text) {
+	const info = listInfoFromName(file);
+	return { info, entries: fromOsv(record, info, createLineLocator(text)), unparsed: [] };
+}
+
+// 拡張子 -> インポーター
+const IMPORTERS = {
+	'.txt': importText,
+	'.csv': importCsv,
+	'.json': importJson,
+};
+
+/**
+ * 対応している形式のファイルか判定
+ * @param {string} file - ファイル名
+ * @returns {boolean}
+ */
+function isSupportedList(file) {
+	return Object.prototype.hasOwnProperty.call(IMPORTERS, path.extname(file).toLowerCase());
+}
+
+/**
+ * リストを形式（拡張子）に応じて読み込む
+ * @param {string} file - リストのファイル名（provenance や初出日の判定に使う）
+ * @param {string} text - ファイルの内容
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語） }
+ * @returns {{info: Object, entries: Object[], unparsed: Object[]}} リストの情報・エントリー・解析できなかった行
+ * @throws {Error} 対応していない形式、または内容が不正な場合
+ */
+function importList(file, text, options = {}) {
+	const importer = IMPORTERS[path.extname(file).toLowerCase()];
+	if (!importer) {
+		const t = options.t || createTranslator(detectLang());
+		throw new Error(t('import.unsupported', { file }));
+	}
+	return importer(file, text, options);
+}
+
+module.exports = {
+	IMPORTERS,
+	isSupportedList,
+	importList,
+	importOsv,
+	rangesFromOsv,
+	splitRange,
+	parseCsvLine,
+};
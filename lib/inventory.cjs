@@ -0,0 +1,176 @@
+/**
+ * インストール済みパッケージのインベントリ作成モジュール
+ * node_modules を一度だけ走査し、パッケージ名 -> インスタンスの一覧を作成する
+ * ブラックリストのパッケージ数に関係なく、走査は 1 回で済む
+ *
+ * インスタンスの形式:
+ *   { name, version, path, depth, dependencies: { 依存名: 範囲 }, devDependencies: { 依存名: 範囲 }, scripts: package.json の scripts }
+ *   dependencies は devDependencies も含むすべての依存関係（devDependencies は依存経路の計算で除外するために別に記録）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * package.json の内容からインスタンスを作成
+ * @param {string} name - パッケージ名
+ * @param {string} packagePath - パッケージのディレクトリ
+ * @param {number} depth - 検索深度
+ * @param {Object|null} pkgJson - package.json の内容（読み込めなかった場合は null）
+ * @returns {Object} インスタンス
+ */
+function createInstance(name, packagePath, depth, pkgJson) {
+	const instance = { name, version: 'unknown', path: packagePath, depth, dependencies: {}, devDependencies: {}, scripts: {} };
+	if (!pkgJson || typeof pkgJson !== 'object') return instance;
+
+	instance.version = pkgJson.version || 'unknown';
+	instance.dependencies = {
+		...pkgJson.dependencies,
+		...pkgJson.devDependencies,
+		...pkgJson.peerDependencies,
+		...pkgJson.optionalDependencies,
+	};
+	instance.devDependencies = { ...pkgJson.devDependencies };
+	// インストールスクリプトの監査 (lib/scripts.cjs) に使う
+	if (pkgJson.scripts && typeof pkgJson.scripts === 'object') instance.scripts = pkgJson.scripts;
+	return instance;
+}
+
+/**
+ * パッケージディレクトリの package.json を読み込んでインスタンスを作成
+ * @param {string} name - パッケージ名
+ * @param {string} packagePath - パッケージのディレクトリ
+ * @param {number} depth - 検索深度
+ * @returns {Object} インスタンス
+ */
+function readInstance(name, packagePath, depth) {
+	let pkgJson = null;
+	try {
+		pkgJson = JSON.parse(fs.readFileSync(path.join(packagePath, 'package.json'), 'utf8'));
+	} catch (error) {
+		// package.json の読み込みエラーは無視（バージョン不明として記録）
+	}
+	return createInstance(name, packagePath, depth, pkgJson);
+}
+
+/**
+ * .pnpm ディレクトリ名からパッケージ名を取得
+ * @param {string} dirName - 例: "@scope+pkg@1.2.3_peer@1.0.0", "pkg@1.2.3(react@18.0.0)"
+ * @returns {string|null} パッケージ名（例: "@scope/pkg"）
+ */
+function packageNameFromPnpmDir(dirName) {
+	const at = dirName.indexOf('@', dirName.startsWith('@') ? 1 : 0);
+	if (at <= 0) return null;
+	// pnpm はスコープの / を + に置換している
+	return dirName.slice(0, at).replace('+', '/');
+}
+
+/**
+ * node_modules を走査してインベントリを作成
+ * @param {string} nodeModulesPath - 走査する node_modules のパス
+ * @param {Object} options - { maxDepth: 最大検索深度 }
+ * @returns {Map} パッケージ名 -> インスタンスの配列
+ */
+function buildInventory(nodeModulesPath, options = {}) {
+	const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 5;
+	const inventory = new Map();
+	const visitedPaths = new Set(); // 循環参照防止用
+
+	const record = (name, packagePath, depth) => {
+		if (!inventory.has(name)) inventory.set(name, []);
+		inventory.get(name).push(readInstance(name, packagePath, depth));
+	};
+
+	const isDirLike = (entry) => entry.isDirectory() || entry.isSymbolicLink();
+
+	const walk = (dir, depth) => {
+		if (depth > maxDepth || !fs.existsSync(dir)) return;
+
+		// 循環参照チェック
+		try {
+			const realPath = fs.realpathSync(dir);
+			if (visitedPaths.has(realPath)) return;
+			visitedPaths.add(realPath);
+		} catch (e) {
+			// realpath 取得失敗時は続行
+		}
+
+		let entries;
+		try {
+			entries = fs.readdirSync(dir, { withFileTypes: true });
+		} catch (error) {
+			return; // アクセス権限エラーなどは無視
+		}
+
+		for (const entry of entries) {
+			if (!isDirLike(entry)) continue;
+			const entryPath = path.join(dir, entry.name);
+
+			// .pnpm/<name>@<version>/node_modules/<name> が実体
+			if (entry.name === '.pnpm') {
+				let pnpmEntries = [];
+				try {
+					pnpmEntries = fs.readdirSync(entryPath, { withFileTypes: true });
+				} catch (error) {
+					// エラーは無視
+				}
+
+				for (const pnpmEntry of pnpmEntries) {
+					if (!isDirLike(pnpmEntry)) continue;
+					const name = packageNameFromPnpmDir(pnpmEntry.name);
+					if (!name) continue;
+					const packagePath = path.join(entryPath, pnpmEntry.name, 'node_modules', name);
+					if (fs.existsSync(packagePath)) record(name, packagePath, depth + 1);
+				}
+				continue; // .pnpm の中は再帰しない（各パッケージの実体を記録済み）
+			}
+
+			// .bin などのドットディレクトリはパッケージではない
+			if (entry.name.startsWith('.')) continue;
+
+			// スコープディレクトリ (@scope)
+			if (entry.name.startsWith('@')) {
+				let scopedEntries = [];
+				try {
+					scopedEntries = fs.readdirSync(entryPath, { withFileTypes: true });
+				} catch (error) {
+					// スコープディレクトリの読み込みエラーは無視
+				}
+
+				for (const scopedEntry of scopedEntries) {
+					if (!isDirLike(scopedEntry)) continue;
+					const packagePath = path.join(entryPath, scopedEntry.name);
+					record(`${entry.name}/${scopedEntry.name}`, packagePath, depth);
+					walk(path.join(packagePath, 'node_modules'), depth + 1);
+				}
+				continue;
+			}
+
+			// 通常のパッケージ
+			record(entry.name, entryPath, depth);
+			walk(path.join(entryPath, 'node_modules'), depth + 1);
+		}
+	};
+
+	walk(nodeModulesPath, 0);
+	return inventory;
+}
+
+/**
+ * インベントリ内のインスタンス総数を取得
+ * @param {Map} inventory - buildInventory の戻り値
+ * @returns {number} インスタンス数
+ */
+function countInstances(inventory) {
+	let count = 0;
+	for (const instances of inventory.values()) count += instances.length;
+	return count;
+}
+
+module.exports = {
+	createInstance,
+	readInstance,
+	buildInventory,
+	countInstances,
+	packageNameFromPnpmDir,
+};
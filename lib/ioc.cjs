@@ -0,0 +1,185 @@
+/**
+ * IOC（侵害の痕跡）の検査モジュール
+ * プロジェクト配下のファイルを、ファイル名・内容の SHA-256・内容のシグネチャ（正規表現）で既知の IOC と照合する
+ * ドロッパーのペイロードは依存パッケージに含まれるため、node_modules の中も検査する
+ * ただし node_modules の中では、内容の照合は IOC のファイル名に一致するファイルに限る（すべてのファイルの照合はオプション）
+ *
+ * IOC の形式:
+ *   { id, type: 'filename', value: 'setup_bun.js', description, projectOnly? }  projectOnly は node_modules の外でのみファイル名を照合
+ *   { id, type: 'sha256', values: ['a389...'], description }
+ *   { id, type: 'signature', patterns: [/.../], description }  すべての正規表現に一致するファイルを検出
+ *
+ * シグネチャの正規表現は、このファイル自体（node_modules にインストールされた本ツール）に一致しないよう、
+ * 一致させる文字列をそのまま書かずにエスケープ（\.）を使って記述する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 内容を検査するファイルの最大サイズ（bun_environment.js は約 10MB）
+const DEFAULT_MAX_FILE_SIZE = 16 * 1024 * 1024;
+
+// バイナリファイルの判定に使う先頭のバイト数（NUL を含むファイルはシグネチャを照合しない）
+const BINARY_CHECK_BYTES = 8000;
+
+// 既知の IOC（Shai-Hulud の公開されている解析結果より）
+const IOCS = [
+	// Shai-Hulud が生成するファイル
+	{ id: 'setup_bun.js', type: 'filename', value: 'setup_bun.js', description: 'ドロッパー（マルウェア配布スクリプト）' },
+	{ id: 'bun_environment.js', type: 'filename', value: 'bun_environment.js', description: 'メインペイロード（難読化ファイル）' },
+	// 一般的なファイル名のため、依存パッケージに同名のファイルがあっても検出しない
+	{ id: 'cloud.json', type: 'filename', value: 'cloud.json', description: 'クラウド認証情報', projectOnly: true },
+	{ id: 'environment.json', type: 'filename', value: 'environment.json', description: '環境変数', projectOnly: true },
+	{ id: 'actionsSecrets.json', type: 'filename', value: 'actionsSecrets.json', description: 'GitHub Actions シークレット' },
+	{ id: 'truffleSecrets.json', type: 'filename', value: 'truffleSecrets.json', description: 'TruffleHog で収集した認証情報（公開リポジトリへの持ち出し用）' },
+
+	// 既知のペイロード（ファイル名を変えても検出する）
+	{
+		id: 'payload-sha256',
+		type: 'sha256',
+		values: [
+			// Shai-Hulud 2.0: setup_bun.js
+			'a3894003ad1d293ba96d77881ccd2071446dc3f65f434669b49b3da92421901a',
+			// Shai-Hulud 2.0: bun_environment.js
+			'62ee164b9b306250c1172583f138c9614139264f889fa99614903c12755468d0',
+			'cbb9bc5a8496243e02f3cc080efbe3e4a1430ba0671f2e43a202bf45b05479cd',
+			'f099c5d9ec417d4445a0328ac0ada9cde79fc37410914103ae9c609cbc0ee068',
+			// Shai-Hulud (2025-09): bundle.js
+			'46faab8ab153fae6e80e7cca38eab363075bb524edd79e42269217a083628f09',
+		],
+		description: '既知のマルウェアのペイロード（SHA-256 が一致）',
+	},
+
+	// 内容のシグネチャ
+	{
+		id: 'dropper-bun-install',
+		type: 'signature',
+		patterns: [/bun_environment\.js/, /bun\.sh\/install/],
+		description: 'Bun をインストールしてペイロードを実行するドロッパー',
+	},
+	{
+		id: 'trufflehog-download',
+		type: 'signature',
+		patterns: [/github\.com\/trufflesecurity\/trufflehog\/releases\/download/],
+		description: '認証情報の探索ツール TruffleHog のダウンロード',
+	},
+	{
+		id: 'webhook-site-exfil',
+		type: 'signature',
+		patterns: [/https?:\/\/webhook\.site\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i],
+		description: 'webhook.site への情報の送信',
+	},
+];
+
+/**
+ * ディレクトリ配下のファイルを IOC と照合
+ * シンボリックリンクはたどらない（node_modules の循環を避ける）。.git は検査しない
+ * @param {string} rootDir - 検査を開始するディレクトリ
+ * @param {Object} [options] - 検査オプション
+ * @param {Object[]} [options.iocs] - IOC の定義（デフォルト: IOCS）
+ * @param {boolean} [options.nodeModules] - node_modules の中も検査（デフォルト: true）
+ * @param {boolean} [options.nodeModulesContent] - node_modules の中のすべてのファイルの内容を照合
+ *   （デフォルト: false。IOC のファイル名に一致するファイルのみ照合）
+ * @param {number} [options.maxFileSize] - 内容を検査するファイルの最大サイズ（バイト、0 の場合はファイル名のみ照合）
+ * @returns {{files: Array<{name: string, type: string, description: string, paths: string[]}>, scanned: number, skipped: number}}
+ *   files は一致した IOC ごとのファイル（IOC の定義順）、scanned は内容を検査したファイル数、skipped はサイズの上限を超えたファイル数
+ */
+function scanIocs(rootDir, options = {}) {
+	const iocs = options.iocs || IOCS;
+	const includeNodeModules = options.nodeModules !== false;
+	const nodeModulesContent = Boolean(options.nodeModulesContent);
+	const maxFileSize = options.maxFileSize !== undefined ? options.maxFileSize : DEFAULT_MAX_FILE_SIZE;
+
+	const byName = iocs.filter((ioc) => ioc.type === 'filename');
+	const hashes = new Map();
+	iocs.filter((ioc) => ioc.type === 'sha256').forEach((ioc) => ioc.values.forEach((value) => hashes.set(value.toLowerCase(), ioc)));
+	const signatures = iocs.filter((ioc) => ioc.type === 'signature');
+	const checkContent = maxFileSize > 0 && (hashes.size > 0 || signatures.length > 0);
+
+	const found = new Map();
+	const record = (ioc, filePath) => {
+		if (!found.has(ioc)) found.set(ioc, []);
+		if (!found.get(ioc).includes(filePath)) found.get(ioc).push(filePath);
+	};
+	let scanned = 0;
+	let skipped = 0;
+
+	const inspect = (filePath) => {
+		let size;
+		try {
+			size = fs.statSync(filePath).size;
+		} catch (error) {
+			return;
+		}
+		if (size > maxFileSize) {
+			skipped++;
+			return;
+		}
+
+		let content;
+		try {
+			content = fs.readFileSync(filePath);
+		} catch (error) {
+			return; // アクセス権限エラーなどは無視
+		}
+		scanned++;
+
+		const hashIoc = hashes.get(crypto.createHash('sha256').update(content).digest('hex'));
+		if (hashIoc) record(hashIoc, filePath);
+
+		if (signatures.length === 0 || content.subarray(0, BINARY_CHECK_BYTES).includes(0)) return;
+		const text = content.toString('latin1');
+		signatures.filter((ioc) => ioc.patterns.every((pattern) => pattern.test(text))).forEach((ioc) => record(ioc, filePath));
+	};
+
+	const walk = (dir, inNodeModules) => {
+		let entries;
+		try {
+			entries = fs.readdirSync(dir, { withFileTypes: true });
+		} catch (error) {
+			return; // アクセス権限エラーなどは無視
+		}
+
+		for (const entry of entries) {
+			const fullPath = path.join(dir, entry.name);
+
+			if (entry.isDirectory()) {
+				if (entry.name === '.git' || (entry.name === 'node_modules' && !includeNodeModules)) continue;
+				walk(fullPath, inNodeModules || entry.name === 'node_modules');
+			} else if (entry.isFile()) {
+				const named = byName.filter((ioc) => ioc.value === entry.name && !(inNodeModules && ioc.projectOnly));
+				named.forEach((ioc) => record(ioc, fullPath));
+				// node_modules の中は、すべてのファイルを読むと時間がかかるため IOC のファイル名に一致するものに限る
+				if (checkContent && (!inNodeModules || nodeModulesContent || named.length > 0)) inspect(fullPath);
+			}
+		}
+	};
+
+	walk(rootDir, false);
+
+	const files = iocs
+		.filter((ioc) => found.has(ioc))
+		.map((ioc) => ({ name: ioc.id, type: ioc.type, description: ioc.description, paths: found.get(ioc) }));
+	return { files, scanned, skipped };
+}
+
+/**
+ * 疑わしいファイル（IOC・ワークフローの検出結果）のうち、感染の痕跡として数えるファイル数を返す
+ * 1 つのファイルが複数のルール（ファイル名と内容など）に一致しても 1 件と数え、
+ * 正規の用途もある記述（severity: 'warning'）のみに一致したファイルは数えない
+ * @param {Array<{severity?: string, paths: string[]}>} [items] - 疑わしいファイル
+ * @returns {number} ファイル数
+ */
+function countInfectedFiles(items = []) {
+	const paths = new Set();
+	items.filter((item) => item.severity !== 'warning').forEach((item) => item.paths.forEach((p) => paths.add(p)));
+	return paths.size;
+}
+
+module.exports = {
+	DEFAULT_MAX_FILE_SIZE,
+	IOCS,
+	scanIocs,
+	countInfectedFiles,
+};
@@ -0,0 +1,662 @@
+/**
+ * ロックファイル解析モジュール
+ * package-lock.json / npm-shrinkwrap.json / yarn.lock / pnpm-lock.yaml / bun.lock を読み込み、
+ * 解決済みパッケージ（name@version）と依存グラフを共通の形式に変換する
+ *
+ * 共通形式:
+ *   {
+ *     type: 'npm' | 'yarn' | 'pnpm' | 'bun',
+ *     file: ロックファイルの絶対パス,
+ *     packages: Map<key, { key, name, version, dependencies: key[], line }>,
+ *     importers: Map<importerPath, { label, dependencies: key[] }>,
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml.cjs');
+const { findWorkspaces } = require('./workspaces.cjs');
+const { detectLang, createTranslator } = require('./i18n.cjs');
+
+// 検出対象のロックファイル（優先順）
+const LOCKFILE_NAMES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lock'];
+
+/**
+ * エントリ（値がオブジェクトや配列のキー）の行番号の索引を作成
+ * 大きなロックファイルでもパッケージごとに全文検索しないよう、一度だけ走査する
+ * @param {string} text - ファイル内容
+ * @returns {Map} キー -> 1 始まりの行番号（最初の出現位置）
+ */
+function indexEntryLines(text) {
+	const lines = new Map();
+	const pattern = /^\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|([^\s'"#][^]*?))\s*:(?:\s*$|\s*[{[])/;
+	text.split('\n').forEach((line, index) => {
+		const match = line.match(pattern);
+		if (!match) return;
+		const key = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+		if (!lines.has(key)) lines.set(key, index + 1);
+	});
+	return lines;
+}
+
+/**
+ * 依存関係の記述子（name@range）からパッケージ名と範囲を分離
+ * @param {string} descriptor - 例: "@scope/pkg@^1.0.0"
+ * @returns {{name: string, range: string}}
+ */
+function splitDescriptor(descriptor) {
+	const at = descriptor.indexOf('@', descriptor.startsWith('@') ? 1 : 0);
+	if (at <= 0) return { name: descriptor, range: '' };
+	return { name: descriptor.slice(0, at), range: descriptor.slice(at + 1) };
+}
+
+/**
+ * package.json の直接依存関係を取得
+ * @param {Object} pkgJson - package.json の内容
+ * @returns {Object} 依存名 -> 範囲
+ */
+function directDependencies(pkgJson) {
+	return {
+		...(pkgJson.peerDependencies || {}),
+		...(pkgJson.optionalDependencies || {}),
+		...(pkgJson.devDependencies || {}),
+		...(pkgJson.dependencies || {}),
+	};
+}
+
+/**
+ * ディレクトリの package.json を読み込む
+ * @param {string} dir - ディレクトリ
+ * @returns {Object|null} package.json の内容
+ */
+function readPackageJson(dir) {
+	try {
+		return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * ロックファイルと同じディレクトリの package.json を読み込む
+ * @param {string} lockfilePath - ロックファイルのパス
+ * @returns {Object|null} package.json の内容
+ */
+function readSiblingPackageJson(lockfilePath) {
+	return readPackageJson(path.dirname(lockfilePath));
+}
+
+/**
+ * node_modules 形式のパス（a/node_modules/b）に対してモジュール解決を行う
+ * @param {Object} entries - ロケーション -> エントリのオブジェクト
+ * @param {string} fromLocation - 依存元のロケーション
+ * @param {string} depName - 依存パッケージ名
+ * @returns {string|null} 解決されたロケーション
+ */
+function resolveNodeModulesLocation(entries, fromLocation, depName) {
+	let base = fromLocation;
+	while (true) {
+		const candidate = (base ? base + '/' : '') + 'node_modules/' + depName;
+		if (entries[candidate]) return candidate;
+		if (!base) return null;
+		const index = base.lastIndexOf('node_modules/');
+		base = index === -1 ? '' : base.slice(0, index).replace(/\/$/, '');
+	}
+}
+
+/**
+ * ロケーションのパスからパッケージ名を取得
+ * @param {string} location - 例: "node_modules/a/node_modules/@scope/b"
+ * @returns {string} パッケージ名
+ */
+function nameFromLocation(location) {
+	const index = location.lastIndexOf('node_modules/');
+	return index === -1 ? path.basename(location) : location.slice(index + 'node_modules/'.length);
+}
+
+/**
+ * package-lock.json / npm-shrinkwrap.json を解析
+ * @param {string} file - ロックファイルのパス
+ * @param {string} text - ファイル内容
+ * @returns {Object} 共通形式のロックファイル情報
+ */
+function parseNpmLockfile(file, text) {
+	const lock = JSON.parse(text);
+	const packages = new Map();
+	const importers = new Map();
+
+	if (lock.packages) {
+		// lockfileVersion 2 / 3
+		const entries = lock.packages;
+
+		const entryLines = indexEntryLines(text);
+
+		// ワークスペースのフォルダ -> パッケージ名（ワークスペースのエントリには name がない場合があるため、リンクの名前を使う）
+		const workspaceNames = new Map();
+		for (const [location, entry] of Object.entries(entries)) {
+			if (entry.link && entry.resolved) workspaceNames.set(entry.resolved, nameFromLocation(location));
+		}
+		const workspaceLabel = (location) => {
+			const pkgJson = workspaceNames.has(location) ? null : readPackageJson(path.join(path.dirname(file), location));
+			return workspaceNames.get(location) || (pkgJson && pkgJson.name) || location;
+		};
+
+		const resolveDep = (fromLocation, depName) => {
+			const location = resolveNodeModulesLocation(entries, fromLocation, depName);
+			if (location === null) return null;
+			// ワークスペースへのリンクはリンク先（インポーター）を辿る
+			return entries[location].link ? null : location;
+		};
+
+		for (const [location, entry] of Object.entries(entries)) {
+			if (location === '' || !location.includes('node_modules/') || entry.link) continue;
+			packages.set(location, {
+				key: location,
+				name: entry.name || nameFromLocation(location),
+				version: entry.version || 'unknown',
+				dependencies: [],
+				line: entryLines.get(location) || null,
+			});
+		}
+
+		for (const [location, entry] of Object.entries(entries)) {
+			if (entry.link) continue;
+			const deps = Object.keys({
+				...entry.dependencies,
+				...entry.optionalDependencies,
+				...entry.peerDependencies,
+				...(location.includes('node_modules/') ? {} : entry.devDependencies),
+			});
+			const resolved = deps.map((dep) => resolveDep(location, dep)).filter(Boolean);
+
+			if (location.includes('node_modules/')) {
+				packages.get(location).dependencies = resolved;
+			} else {
+				// ルート ("") およびワークスペースのフォルダ
+				importers.set(location || '.', {
+					label: entry.name || (location ? workspaceLabel(location) : lock.name || '.'),
+					dependencies: resolved,
+				});
+			}
+		}
+	} else if (lock.dependencies) {
+		// lockfileVersion 1: ネストした dependencies を node_modules 形式のロケーションに展開
+		const entries = {};
+		const walk = (deps, parentLocation) => {
+			for (const [name, entry] of Object.entries(deps)) {
+				const location = (parentLocation ? parentLocation + '/' : '') + 'node_modules/' + name;
+				entries[location] = entry;
+				if (entry.dependencies) walk(entry.dependencies, location);
+			}
+		};
+		walk(lock.dependencies, '');
+
+		for (const [location, entry] of Object.entries(entries)) {
+			let name = nameFromLocation(location);
+			let version = entry.version || 'unknown';
+			// エイリアス (npm:real@1.0.0)
+			if (version.startsWith('npm:')) {
+				const alias = splitDescriptor(version.slice(4));
+				name = alias.name;
+				version = alias.range;
+			}
+			packages.set(location, { key: location, name, version, dependencies: [], line: null });
+		}
+
+		for (const [location, entry] of Object.entries(entries)) {
+			packages.get(location).dependencies = Object.keys(entry.requires || {})
+				.map((dep) => resolveNodeModulesLocation(entries, location, dep))
+				.filter(Boolean);
+		}
+
+		// v1 にはルートの依存情報がないため package.json から取得
+		const pkgJson = readSiblingPackageJson(file);
+		const rootDeps = pkgJson ? Object.keys(directDependencies(pkgJson)) : Object.keys(lock.dependencies);
+		importers.set('.', {
+			label: (pkgJson && pkgJson.name) || lock.name || '.',
+			dependencies: rootDeps.map((dep) => resolveNodeModulesLocation(entries, '', dep)).filter(Boolean),
+		});
+
+		// 行番号はネスト位置まで特定できないため、パッケージ名の最初の出現位置を使う
+		const entryLines = indexEntryLines(text);
+		for (const pkg of packages.values()) {
+			pkg.line = entryLines.get(nameFromLocation(pkg.key)) || null;
+		}
+	}
+
+	return { type: 'npm', file, packages, importers };
+}
+
+/**
+ * yarn.lock (v1 classic) の独自形式をエントリの配列に変換
+ * @param {string} text - ファイル内容
+ * @returns {Array} { descriptors, version, dependencies, line } の配列
+ */
+function parseYarnClassicEntries(text) {
+	const entries = [];
+	const unquote = (s) => s.trim().replace(/^"(.*)"$/, '$1');
+	let current = null;
+	let section = null;
+
+	text.split(/\r?\n/).forEach((line, index) => {
+		if (!line.trim() || line.trim().startsWith('#')) return;
+		const indent = line.length - line.trimStart().length;
+		const content = line.trim();
+
+		if (indent === 0) {
+			// 例: "@babel/core@^7.0.0", "@babel/core@^7.1.0":
+			current = {
+				descriptors: content
+					.replace(/:$/, '')
+					.split(',')
+					.map((d) => unquote(d)),
+				version: 'unknown',
+				dependencies: {},
+				line: index + 1,
+			};
+			entries.push(current);
+			section = null;
+			return;
+		}
+
+		if (!current) return;
+
+		if (indent <= 2) {
+			section = content.endsWith(':') ? content.slice(0, -1) : null;
+			const match = content.match(/^version\s+"?([^"]+)"?$/);
+			if (match) current.version = match[1];
+			return;
+		}
+
+		if (section === 'dependencies' || section === 'optionalDependencies') {
+			const match = content.match(/^("(?:[^"]+)"|\S+)\s+(.+)$/);
+			if (match) current.dependencies[unquote(match[1])] = unquote(match[2]);
+		}
+	});
+
+	return entries;
+}
+
+/**
+ * yarn.lock (v1 classic / Berry) を解析
+ * @param {string} file - ロックファイルのパス
+ * @param {string} text - ファイル内容
+ * @returns {Object} 共通形式のロックファイル情報
+ */
+function parseYarnLockfile(file, text) {
+	const packages = new Map();
+	const importers = new Map();
+	const descriptorMap = new Map(); // 記述子 -> キー
+	const isBerry = /^__metadata:/m.test(text);
+	let entries;
+
+	if (isBerry) {
+		const entryLines = indexEntryLines(text);
+		const doc = yaml.parse(text) || {};
+		entries = Object.entries(doc)
+			.filter(([key]) => key !== '__metadata')
+			.map(([key, entry]) => ({
+				descriptors: key.split(',').map((d) => d.trim()),
+				version: entry.version != null ? String(entry.version) : 'unknown',
+				resolution: entry.resolution,
+				dependencies: { ...entry.dependencies, ...entry.optionalDependencies },
+				line: entryLines.get(key) || null,
+			}));
+	} else {
+		entries = parseYarnClassicEntries(text);
+	}
+
+	const workspaceEntries = [];
+
+	entries.forEach((entry) => {
+		const key = entry.resolution || entry.descriptors[0];
+		let { name, range } = splitDescriptor(entry.descriptors[0]);
+
+		// エイリアス (alias@npm:real@^1.0.0) は実パッケージ名を使う
+		const resolutionName = entry.resolution ? splitDescriptor(entry.resolution).name : null;
+		if (resolutionName) {
+			name = resolutionName;
+		} else if (range.startsWith('npm:') && range.slice(4).includes('@')) {
+			name = splitDescriptor(range.slice(4)).name;
+		}
+
+		entry.descriptors.forEach((descriptor) => descriptorMap.set(descriptor, key));
+
+		if (entry.descriptors.some((d) => d.includes('@workspace:'))) {
+			workspaceEntries.push({ key, name, entry });
+			return;
+		}
+
+		packages.set(key, { key, name, version: entry.version, dependencies: [], line: entry.line, _deps: entry.dependencies });
+	});
+
+	const resolveDep = (depName, depRange) => {
+		const candidates = [`${depName}@${depRange}`, `${depName}@npm:${depRange}`];
+		for (const candidate of candidates) {
+			const key = descriptorMap.get(candidate);
+			if (key && packages.has(key)) return key;
+		}
+		return null;
+	};
+
+	for (const pkg of packages.values()) {
+		pkg.dependencies = Object.entries(pkg._deps || {})
+			.map(([depName, depRange]) => resolveDep(depName, String(depRange)))
+			.filter(Boolean);
+		delete pkg._deps;
+	}
+
+	if (workspaceEntries.length > 0) {
+		// Berry はワークスペース自体がロックファイルのエントリとして記録される
+		workspaceEntries.forEach(({ key, name, entry }) => {
+			const workspacePath = key.slice(key.indexOf('@workspace:') + '@workspace:'.length);
+			importers.set(workspacePath, {
+				label: name,
+				dependencies: Object.entries(entry.dependencies || {})
+					.map(([depName, depRange]) => resolveDep(depName, String(depRange)))
+					.filter(Boolean),
+			});
+		});
+	} else {
+		// classic はルートとワークスペースの依存情報を package.json から取得
+		const pkgJson = readSiblingPackageJson(file);
+		const importerDeps = (json) =>
+			Object.entries(json ? directDependencies(json) : {})
+				.map(([depName, depRange]) => resolveDep(depName, depRange))
+				.filter(Boolean);
+
+		importers.set('.', { label: (pkgJson && pkgJson.name) || '.', dependencies: importerDeps(pkgJson) });
+		findWorkspaces(path.dirname(file)).forEach((member) => {
+			importers.set(member.relativePath, { label: member.name, dependencies: importerDeps(readPackageJson(member.dir)) });
+		});
+	}
+
+	return { type: 'yarn', file, packages, importers };
+}
+
+/**
+ * pnpm のパッケージキーから名前とバージョンを取得
+ * @param {string} key - 例: "/foo/1.0.0" (v5), "/foo@1.0.0" (v6), "foo@1.0.0(react@18.0.0)" (v9)
+ * @returns {{name: string, version: string}}
+ */
+function parsePnpmKey(key) {
+	// ピア依存のサフィックスを除去
+	let bare = key.replace(/^\//, '');
+	const parenIndex = bare.indexOf('(');
+	if (parenIndex !== -1) bare = bare.slice(0, parenIndex);
+
+	// v5: name/version_peer（ピア依存のサフィックスに "@" を含むため先に判定する）
+	const v5 = bare.match(/^((?:@[^/@]+\/)?[^/@]+)\/(\d[^/_]*)(?:_.*)?$/);
+	if (v5) return { name: v5[1], version: v5[2] };
+
+	const at = bare.indexOf('@', bare.startsWith('@') ? 1 : 0);
+	if (at > 0) {
+		return { name: bare.slice(0, at), version: bare.slice(at + 1) };
+	}
+
+	const segments = bare.split('/');
+	const version = segments.pop().split('_')[0];
+	return { name: segments.join('/'), version };
+}
+
+/**
+ * pnpm-lock.yaml を解析
+ * @param {string} file - ロックファイルのパス
+ * @param {string} text - ファイル内容
+ * @returns {Object} 共通形式のロックファイル情報
+ */
+function parsePnpmLockfile(file, text) {
+	const doc = yaml.parse(text) || {};
+	const packages = new Map();
+	const importers = new Map();
+	const lockfileVersion = parseFloat(doc.lockfileVersion) || 0;
+
+	// v9 は snapshots が依存グラフ、v5/v6 は packages が依存グラフ
+	const graph = doc.snapshots || doc.packages || {};
+	const entryLines = indexEntryLines(text);
+
+	const refToKey = (depName, ref) => {
+		if (ref == null) return null;
+		let version = typeof ref === 'object' ? ref.version : String(ref);
+		if (!version || version.startsWith('link:') || version.startsWith('workspace:')) return null;
+
+		const candidates = [];
+		if (version.startsWith('/')) {
+			candidates.push(version);
+		} else if (lockfileVersion >= 9) {
+			// エイリアスは "real@1.0.0" 形式で記録される
+			candidates.push(/^@?[^@(]+@/.test(version) && !/^\d/.test(version) ? version : `${depName}@${version}`);
+		} else if (lockfileVersion >= 6) {
+			candidates.push(`/${depName}@${version}`);
+		} else {
+			candidates.push(`/${depName}/${version}`);
+		}
+		candidates.push(version);
+
+		return candidates.find((candidate) => graph[candidate] !== undefined) || null;
+	};
+
+	const collectDeps = (depName, entry) => {
+		const deps = { ...(entry && entry.dependencies), ...(entry && entry.optionalDependencies) };
+		return Object.entries(deps)
+			.map(([name, ref]) => refToKey(name, ref))
+			.filter(Boolean);
+	};
+
+	for (const [key, entry] of Object.entries(graph)) {
+		const { name, version } = parsePnpmKey(key);
+		packages.set(key, {
+			key,
+			name: (entry && entry.name) || name,
+			version: (entry && entry.version) || version,
+			dependencies: collectDeps(name, entry),
+			line: entryLines.get(key) || null,
+		});
+	}
+
+	const importerDeps = (importer) => {
+		const deps = { ...importer.dependencies, ...importer.devDependencies, ...importer.optionalDependencies };
+		return Object.entries(deps)
+			.map(([name, ref]) => refToKey(name, ref))
+			.filter(Boolean);
+	};
+
+	if (doc.importers) {
+		for (const [importerPath, importer] of Object.entries(doc.importers)) {
+			// ワークスペースはパッケージ名で表示する
+			const pkgJson = importerPath === '.' ? null : readPackageJson(path.join(path.dirname(file), importerPath));
+			importers.set(importerPath, { label: (pkgJson && pkgJson.name) || importerPath, dependencies: importerDeps(importer || {}) });
+		}
+	} else {
+		importers.set('.', { label: '.', dependencies: importerDeps(doc) });
+	}
+
+	const rootPkgJson = readSiblingPackageJson(file);
+	if (rootPkgJson && rootPkgJson.name && importers.has('.')) {
+		importers.get('.').label = rootPkgJson.name;
+	}
+
+	return { type: 'pnpm', file, packages, importers };
+}
+
+/**
+ * JSON の末尾カンマを除去（bun.lock は末尾カンマを含む）
+ * @param {string} text - JSONC 文字列
+ * @returns {string} JSON 文字列
+ */
+function stripTrailingCommas(text) {
+	let result = '';
+	let inString = false;
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		if (inString) {
+			result += ch;
+			if (ch === '\\') {
+				result += text[++i];
+			} else if (ch === '"') {
+				inString = false;
+			}
+			continue;
+		}
+		if (ch === '"') {
+			inString = true;
+		} else if (ch === ',') {
+			const rest = text.slice(i + 1).trimStart();
+			if (rest.startsWith('}') || rest.startsWith(']')) continue;
+		}
+		result += ch;
+	}
+	return result;
+}
+
+/**
+ * bun.lock のパッケージキーをパッケージ名のセグメントに分割
+ * @param {string} key - 例: "foo/@scope/bar"
+ * @returns {string[]} 例: ["foo", "@scope/bar"]
+ */
+function splitBunKey(key) {
+	const parts = key.split('/');
+	const segments = [];
+	for (let i = 0; i < parts.length; i++) {
+		if (parts[i].startsWith('@') && i + 1 < parts.length) {
+			segments.push(`${parts[i]}/${parts[i + 1]}`);
+			i++;
+		} else {
+			segments.push(parts[i]);
+		}
+	}
+	return segments;
+}
+
+/**
+ * bun.lock (テキスト形式) を解析
+ * @param {string} file - ロックファイルのパス
+ * @param {string} text - ファイル内容
+ * @returns {Object} 共通形式のロックファイル情報
+ */
+function parseBunLockfile(file, text) {
+	const lock = JSON.parse(stripTrailingCommas(text));
+	const packages = new Map();
+	const importers = new Map();
+	const entries = lock.packages || {};
+	const entryLines = indexEntryLines(text);
+
+	const resolveDep = (fromSegments, depName) => {
+		for (let length = fromSegments.length; length >= 0; length--) {
+			const candidate = [...fromSegments.slice(0, length), depName].join('/');
+			if (packages.has(candidate)) return candidate;
+		}
+		return null;
+	};
+
+	for (const [key, entry] of Object.entries(entries)) {
+		if (!Array.isArray(entry) || typeof entry[0] !== 'string') continue;
+		const { name, range: version } = splitDescriptor(entry[0]);
+		// ワークスペースやローカルパスはパッケージとして扱わない
+		if (/^(workspace|link|file):/.test(version)) continue;
+		const info = entry.find((item, index) => index > 0 && item && typeof item === 'object' && !Array.isArray(item)) || {};
+		packages.set(key, { key, name, version, dependencies: [], line: entryLines.get(key) || null, _deps: info });
+	}
+
+	for (const pkg of packages.values()) {
+		const deps = Object.keys({ ...pkg._deps.dependencies, ...pkg._deps.optionalDependencies, ...pkg._deps.peerDependencies });
+		pkg.dependencies = deps.map((dep) => resolveDep(splitBunKey(pkg.key), dep)).filter(Boolean);
+		delete pkg._deps;
+	}
+
+	for (const [workspacePath, workspace] of Object.entries(lock.workspaces || {})) {
+		const deps = Object.keys(directDependencies(workspace));
+		const base = workspacePath && workspace.name ? [workspace.name] : [];
+		importers.set(workspacePath || '.', {
+			label: workspace.name || workspacePath || '.',
+			dependencies: deps.map((dep) => resolveDep(base, dep)).filter(Boolean),
+		});
+	}
+
+	return { type: 'bun', file, packages, importers };
+}
+
+/**
+ * ロックファイルを読み込んで共通形式に変換
+ * @param {string} file - ロックファイルのパス
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語） }
+ * @returns {Object} 共通形式のロックファイル情報
+ */
+function parseLockfile(file, options = {}) {
+	const text = fs.readFileSync(file, 'utf8');
+	const base = path.basename(file);
+
+	if (base === 'package-lock.json' || base === 'npm-shrinkwrap.json') return parseNpmLockfile(file, text);
+	if (base === 'yarn.lock') return parseYarnLockfile(file, text);
+	if (base === 'pnpm-lock.yaml') return parsePnpmLockfile(file, text);
+	if (base === 'bun.lock') return parseBunLockfile(file, text);
+
+	const t = options.t || createTranslator(detectLang());
+	throw new Error(t('lockfiles.unsupported', { file: base }));
+}
+
+/**
+ * ディレクトリ内のロックファイルを検出
+ * @param {string} dir - 検索するディレクトリ
+ * @returns {string[]} 見つかったロックファイルのパス
+ */
+function findLockfiles(dir) {
+	return LOCKFILE_NAMES.map((name) => path.join(dir, name)).filter((file) => fs.existsSync(file));
+}
+
+/**
+ * 各パッケージに至る最短の依存経路を計算
+ * インポーター（ルートやワークスペース）から幅優先探索を行う
+ * @param {Object} lock - 共通形式のロックファイル情報
+ * @returns {Map} キー -> 依存経路（ラベルの配列）
+ */
+function computeDependencyPaths(lock) {
+	const parents = new Map(); // キー -> { parent: キー | null, importer }
+	const queue = [];
+
+	for (const [importerPath, importer] of lock.importers) {
+		for (const key of importer.dependencies) {
+			if (parents.has(key)) continue;
+			parents.set(key, { parent: null, importer: importer.label || importerPath });
+			queue.push(key);
+		}
+	}
+
+	while (queue.length > 0) {
+		const key = queue.shift();
+		const pkg = lock.packages.get(key);
+		if (!pkg) continue;
+		for (const depKey of pkg.dependencies) {
+			if (parents.has(depKey)) continue;
+			parents.set(depKey, { parent: key, importer: parents.get(key).importer });
+			queue.push(depKey);
+		}
+	}
+
+	const label = (key) => {
+		const pkg = lock.packages.get(key);
+		return `${pkg.name}@${pkg.version}`;
+	};
+
+	const paths = new Map();
+	for (const key of lock.packages.keys()) {
+		if (!parents.has(key)) continue;
+		const chain = [];
+		let current = key;
+		while (current !== null) {
+			chain.unshift(label(current));
+			current = parents.get(current).parent;
+		}
+		chain.unshift(parents.get(key).importer);
+		paths.set(key, chain);
+	}
+	return paths;
+}
+
+module.exports = {
+	LOCKFILE_NAMES,
+	findLockfiles,
+	parseLockfile,
+	parsePnpmKey,
+	computeDependencyPaths,
+};
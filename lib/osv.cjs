@@ -0,0 +1,116 @@
+/**
+ * OSV のローカルミラーの読み込みモジュール
+ * OSV のダンプ（npm エコシステムの all.zip を展開したディレクトリなど）から、
+ * 悪意のあるパッケージ（MAL-*）のアドバイザリーを読み込み、侵害パッケージリストと同じ形式に変換する
+ * ネットワークには接続せず、ディレクトリ内の .json ファイルだけを参照する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importOsv } = require('./importers.cjs');
+const { detectLang, createTranslator } = require('./i18n.cjs');
+
+/**
+ * 悪意のあるパッケージのアドバイザリーか判定
+ * ID または別名が MAL- で始まるものを対象とし、取り下げられたもの (withdrawn) は除く
+ * @param {Object} record - OSV レコード
+ * @returns {boolean}
+ */
+function isMalicious(record) {
+	if (!record || typeof record !== 'object' || record.withdrawn) return false;
+	return [record.id, ...(record.aliases || [])].some((id) => typeof id === 'string' && id.startsWith('MAL-'));
+}
+
+/**
+ * ディレクトリ配下の .json ファイルを列挙（サブディレクトリも含む）
+ * @param {string} dir - 探索するディレクトリ
+ * @returns {string[]} ファイルのパス（探索順）
+ */
+function findRecordFiles(dir) {
+	const files = [];
+
+	const walk = (current) => {
+		let entries;
+		try {
+			entries = fs.readdirSync(current, { withFileTypes: true });
+		} catch (error) {
+			return; // アクセス権限エラーなどは無視
+		}
+
+		for (const entry of entries) {
+			const entryPath = path.join(current, entry.name);
+			if (entry.isDirectory() && !entry.name.startsWith('.')) walk(entryPath);
+			else if (entry.isFile() && entry.name.endsWith('.json')) files.push(entryPath);
+		}
+	};
+
+	walk(dir);
+	return files;
+}
+
+/**
+ * OSV のミラーを読み込み、侵害パッケージリストの形式に変換
+ * 範囲（affected[].ranges のイベント）は ranges、列挙されたバージョンは versions に入る
+ * @param {string} dir - OSV レコードのディレクトリ
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語） }
+ * @returns {Object} { metadata: { osvDir, advisories, errors }, packages: [{ name, versions, ranges, campaign, source, firstSeen, severity, provenance }] }
+ * @throws {Error} ディレクトリが存在しない場合
+ */
+function loadOsvDirectory(dir, options = {}) {
+	const root = path.resolve(dir);
+	if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+		const t = options.t || createTranslator(detectLang());
+		throw new Error(t('osv.dirMissing', { dir: root }));
+	}
+
+	const packages = [];
+	const errors = [];
+	let advisories = 0;
+
+	findRecordFiles(root).forEach((file) => {
+		const list = path.relative(root, file);
+
+		let text;
+		let data;
+		try {
+			text = fs.readFileSync(file, 'utf8');
+			data = JSON.parse(text);
+		} catch (error) {
+			errors.push({ file: list, message: error.message });
+			return;
+		}
+
+		// 1 ファイルに 1 レコードが通常だが、配列にまとめたファイルも受け付ける
+		const records = (Array.isArray(data) ? data : [data]).filter(isMalicious);
+		records.forEach((record) => {
+			const { entries } = importOsv(list, record, text);
+			if (entries.length > 0) advisories++;
+
+			entries.forEach((entry) => {
+				// レコードごとの情報（アドバイザリー ID など）は provenance にも記録し、バージョンごとに参照できるようにする
+				const { campaign, source, firstSeen, severity } = entry.info;
+				const context = { list, line: entry.line, campaign, source, firstSeen, severity };
+				packages.push({
+					name: entry.name,
+					versions: entry.versions,
+					ranges: entry.ranges,
+					campaign,
+					source,
+					firstSeen,
+					severity,
+					provenance: [
+						...entry.versions.map((version) => ({ version, ...context })),
+						...entry.ranges.map((range) => ({ range, ...context })),
+					],
+				});
+			});
+		});
+	});
+
+	return { metadata: { osvDir: root, advisories, errors }, packages };
+}
+
+module.exports = {
+	isMalicious,
+	loadOsvDirectory,
+};
@@ -0,0 +1,212 @@
+/**
+ * Yarn Plug'n'Play (PnP) のインベントリ作成モジュール
+ * PnP のプロジェクトには node_modules がなく、パッケージは .yarn/cache の zip に格納される
+ * .pnp.cjs（または .pnp.data.json）のパッケージレジストリから、lib/inventory.cjs と同じ形式のインベントリを作成する
+ * .pnp.cjs は実行せず、埋め込まれた JSON（RAW_RUNTIME_STATE）を文字列として取り出す
+ *
+ * PnP のデータがない場合（.pnp.cjs を git 管理していない Zero-Install など）は、
+ * .yarn/cache/*.zip の package.json からインベントリを作成する
+ *
+ * PnP はパッケージをネストしないため、インスタンスの depth は常に 0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createInstance } = require('./inventory.cjs');
+const zip = require('./zip.cjs');
+
+// PnP のデータを探すファイル（優先順）
+const PNP_FILES = ['.pnp.cjs', '.pnp.js', '.pnp.data.json'];
+
+/**
+ * .pnp.cjs に埋め込まれた RAW_RUNTIME_STATE の文字列リテラルを取り出す
+ * @param {string} text - .pnp.cjs の内容
+ * @returns {string|null} JSON 文字列（埋め込まれていない場合は null）
+ */
+function extractRuntimeState(text) {
+	const marker = text.indexOf('RAW_RUNTIME_STATE');
+	if (marker === -1) return null;
+	const start = text.indexOf("'", marker);
+	if (start === -1) return null;
+
+	// エスケープされていない ' までを文字列リテラルとして読む
+	let end = start + 1;
+	while (end < text.length && text[end] !== "'") end += text[end] === '\\' ? 2 : 1;
+	if (end >= text.length) return null;
+
+	// 改行は行継続（\ + 改行）で書き出されている
+	const escapes = { n: '\n', r: '\r', t: '\t' };
+	return text.slice(start + 1, end).replace(/\\(\r\n|[\s\S])/g, (match, char) => (char === '\n' || char === '\r\n' ? '' : escapes[char] || char));
+}
+
+/**
+ * プロジェクトの PnP のデータを読み込む
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @returns {{file: string, data: Object}|null} PnP のデータ（見つからない場合は null）
+ * @throws {Error} PnP のファイルがあるのに解析できない場合（error.file に該当ファイル）
+ */
+function loadPnpData(targetDir) {
+	for (const name of PNP_FILES) {
+		const file = path.join(targetDir, name);
+		if (!fs.existsSync(file)) continue;
+
+		const text = fs.readFileSync(file, 'utf8');
+		// pnpEnableInlining: false の場合、.pnp.cjs にデータはなく .pnp.data.json にある
+		const json = name.endsWith('.json') ? text : extractRuntimeState(text);
+		if (json === null) continue;
+
+		try {
+			return { file, data: JSON.parse(json) };
+		} catch (error) {
+			error.file = file; // 表示用に解析できなかったファイルを記録
+			throw error;
+		}
+	}
+	return null;
+}
+
+/**
+ * PnP の参照からバージョンを取得
+ * @param {string} reference - 例: "npm:1.2.3", "virtual:<hash>#npm:1.2.3", "patch:pkg@npm%3A1.2.3#..."
+ * @returns {string|null} バージョン（npm 以外の参照は null）
+ */
+function versionFromReference(reference) {
+	let ref = String(reference);
+	if (ref.startsWith('virtual:') && ref.includes('#')) ref = ref.slice(ref.indexOf('#') + 1);
+	if (ref.startsWith('patch:')) {
+		// patch:<name>@<元の参照（エンコード済み）>#<パッチ>
+		const source = decodeURIComponent(ref.slice('patch:'.length).split('#')[0]);
+		ref = source.slice(source.indexOf('@', source.startsWith('@') ? 1 : 0) + 1);
+	}
+	return ref.startsWith('npm:') ? ref.slice('npm:'.length) : null;
+}
+
+/**
+ * 仮想パッケージ（ピア依存ごとのコピー）の場所を実体の場所に変換
+ * @param {string} location - 例: ".yarn/__virtual__/pkg-virtual-abc/0/cache/pkg-npm-1.0.0-hash.zip/node_modules/pkg"
+ * @returns {string} 実体の場所（例: ".yarn/cache/pkg-npm-1.0.0-hash.zip/node_modules/pkg"）
+ */
+function devirtualize(location) {
+	const match = location.match(/^(.*?)[\\/]?__virtual__[\\/][^\\/]+[\\/](\d+)[\\/](.*)$/);
+	if (!match) return location;
+	return path.join(match[1] || '.', '../'.repeat(Number(match[2])), match[3]);
+}
+
+/**
+ * パッケージの package.json を読み込む（zip の中のパッケージにも対応）
+ * @param {string} packagePath - パッケージの場所（例: /p/.yarn/cache/pkg.zip/node_modules/pkg）
+ * @returns {Object|null} package.json の内容（読み込めない場合は null）
+ */
+function readPackageJson(packagePath) {
+	try {
+		const zipMatch = packagePath.match(/^(.*?\.zip)[\\/](.*)$/);
+		if (zipMatch) {
+			const entry = zip.readEntry(zipMatch[1], `${zipMatch[2].split(path.sep).join('/')}/package.json`);
+			return entry ? JSON.parse(entry.toString('utf8')) : null;
+		}
+		return JSON.parse(fs.readFileSync(path.join(packagePath, 'package.json'), 'utf8'));
+	} catch (error) {
+		return null; // 読み込みエラーは無視（PnP のデータのバージョンを使う）
+	}
+}
+
+/**
+ * PnP のパッケージレジストリからインベントリを作成
+ * @param {string} baseDir - PnP のファイルがあるディレクトリ（packageLocation の基準）
+ * @param {Object} data - PnP のデータ
+ * @returns {Map} パッケージ名 -> インスタンスの配列
+ */
+function inventoryFromPnpData(baseDir, data) {
+	const inventory = new Map();
+	const seen = new Set(); // 仮想パッケージと実体の重複防止用
+
+	(data.packageRegistryData || []).forEach(([name, references]) => {
+		// name が null のエントリはトップレベルの参照（ワークスペースとして別に記録されている）
+		if (!name || !Array.isArray(references)) return;
+
+		references.forEach(([reference, info]) => {
+			if (!reference || !info || typeof info.packageLocation !== 'string') return;
+
+			const packagePath = path.resolve(baseDir, devirtualize(info.packageLocation));
+			if (seen.has(`${name}\0${packagePath}`)) return;
+			seen.add(`${name}\0${packagePath}`);
+
+			const instance = createInstance(name, packagePath, 0, readPackageJson(packagePath));
+			if (instance.version === 'unknown') instance.version = versionFromReference(reference) || 'unknown';
+
+			// package.json を読めない場合は、PnP で解決されたバージョンを依存関係の範囲として使う
+			if (Object.keys(instance.dependencies).length === 0) {
+				(info.packageDependencies || []).forEach(([depName, depReference]) => {
+					if (depName === name || depReference === null) return;
+					// エイリアス: [依存名, [実際のパッケージ名, 参照]]
+					const [actualName, actualReference] = Array.isArray(depReference) ? depReference : [depName, depReference];
+					const version = versionFromReference(actualReference);
+					if (version) instance.dependencies[actualName] = version;
+				});
+			}
+
+			if (!inventory.has(name)) inventory.set(name, []);
+			inventory.get(name).push(instance);
+		});
+	});
+
+	return inventory;
+}
+
+/**
+ * .yarn/cache/*.zip の package.json からインベントリを作成
+ * @param {string} cacheDir - キャッシュのディレクトリ
+ * @returns {Map} パッケージ名 -> インスタンスの配列
+ */
+function inventoryFromYarnCache(cacheDir) {
+	const inventory = new Map();
+	let files = [];
+	try {
+		files = fs.readdirSync(cacheDir).filter((file) => file.endsWith('.zip'));
+	} catch (error) {
+		return inventory;
+	}
+
+	files.forEach((file) => {
+		const zipFile = path.join(cacheDir, file);
+		try {
+			// パッケージは node_modules/<name>/ に格納されている
+			const manifest = zip.listEntries(zipFile).find((entry) => /^node_modules\/(?:@[^/]+\/)?[^/]+\/package\.json$/.test(entry));
+			if (!manifest) return;
+			const name = manifest.slice('node_modules/'.length, -'/package.json'.length);
+			const packagePath = path.join(zipFile, ...path.posix.dirname(manifest).split('/'));
+
+			if (!inventory.has(name)) inventory.set(name, []);
+			inventory.get(name).push(createInstance(name, packagePath, 0, readPackageJson(packagePath)));
+		} catch (error) {
+			// 壊れた zip は無視
+		}
+	});
+
+	return inventory;
+}
+
+/**
+ * Yarn PnP のプロジェクトのインベントリを作成
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @returns {{file: string, inventory: Map}|null} 読み込んだファイル（.pnp.cjs / .pnp.data.json / .yarn/cache）と
+ *   インベントリ（PnP のプロジェクトでない場合は null）
+ * @throws {Error} PnP のデータを解析できない場合
+ */
+function buildPnpInventory(targetDir) {
+	const pnp = loadPnpData(targetDir);
+	if (pnp) return { file: pnp.file, inventory: inventoryFromPnpData(path.dirname(pnp.file), pnp.data) };
+
+	const cacheDir = path.join(targetDir, '.yarn', 'cache');
+	if (fs.existsSync(cacheDir)) return { file: cacheDir, inventory: inventoryFromYarnCache(cacheDir) };
+	return null;
+}
+
+module.exports = {
+	PNP_FILES,
+	extractRuntimeState,
+	loadPnpData,
+	versionFromReference,
+	devirtualize,
+	buildPnpInventory,
+};
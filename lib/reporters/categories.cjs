@@ -0,0 +1,133 @@
+/**
+ * 検査カテゴリごとの検出結果の整理（JUnit / Markdown レポーターで共通）
+ * プロジェクトの検査結果を、検査項目ごとに表示用の検出結果の一覧へ変換する
+ *
+ * criticalLevel はそのカテゴリで検出された場合のリスクレベル（リスクレベルの判定と同じ規則）
+ * カテゴリ名と詳細の文言はメッセージカタログ（i18n.cjs）から取得する
+ *
+ * 検出結果の形式:
+ *   { title: 'pkg@1.0.0', location: 'node_modules/pkg', detail: 補足（なければ null） }
+ */
+
+const path = require('path');
+
+/**
+ * 検出位置をプロジェクトからの相対パスで表す
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @param {string} file - 絶対パス
+ * @param {number|null} line - 行番号
+ * @returns {string} 例: "package-lock.json:12"
+ */
+function location(targetDir, file, line) {
+	const relativePath = path.relative(targetDir, file) || '.';
+	return line ? `${relativePath}:${line}` : relativePath;
+}
+
+/**
+ * 疑わしいファイルの説明
+ * カタログに登録された説明を使い、未登録のものは検査エンジンの説明を使う
+ * @param {Object} item - 検査結果の suspiciousFiles の要素
+ * @param {Function} t - 翻訳関数
+ * @returns {string} 説明
+ */
+function describeSuspiciousFile(item, t) {
+	const key = `suspiciousFile.${item.name}`;
+	return t(key) === key ? item.description : t(key);
+}
+
+/**
+ * 検査カテゴリごとに検出結果を整理
+ * @param {Object} project - scanProject の戻り値
+ * @param {Function} t - 翻訳関数
+ * @returns {Object[]} { id, title, criticalLevel, findings } の配列（検査順）
+ */
+function categorize(project, t) {
+	const dir = project.targetDirectory;
+	const workspace = (item) => (item.workspace ? ` [${t('label.workspace')}: ${item.workspace}]` : '');
+	// キャンペーンと初出日（リストに情報がある場合のみ）
+	const campaign = (item) =>
+		item.advisory && item.advisory.campaign
+			? ` [${item.advisory.campaign}${item.advisory.firstSeen ? `, ${t('label.firstSeen')}: ${item.advisory.firstSeen}` : ''}]`
+			: '';
+	// ルートからの最短の依存経路（他の経路は件数のみ）
+	const morePaths = (item) => (item.dependencyPaths && item.dependencyPaths.length > 1 ? ` ${t('report.morePaths', { count: item.dependencyPaths.length - 1 })}` : '');
+	const pathText = (item) => `${t('label.dependencyPath')}: ${item.dependencyPath.join(' > ')}${morePaths(item)}`;
+	const dependencyPath = (item) => (item.dependencyPath ? ` / ${pathText(item)}` : '');
+
+	return [
+		{
+			id: 'suspicious-files',
+			title: t('report.category.suspicious-files'),
+			// 正規の用途もあるワークフローの記述（warning）のみの場合は warning
+			criticalLevel: (project.suspiciousFiles || []).every((item) => item.severity === 'warning') ? 'warning' : 'critical',
+			findings: (project.suspiciousFiles || []).flatMap((item) =>
+				item.paths.map((filePath) => ({ title: item.name, location: location(dir, filePath, null), detail: describeSuspiciousFile(item, t) })),
+			),
+		},
+		{
+			id: 'installed',
+			title: t('report.category.installed'),
+			criticalLevel: 'critical',
+			findings: project.foundInNodeModules
+				.filter((item) => item.type === 'installed')
+				.map((item) => ({
+					title: `${item.package}@${item.version}`,
+					location: location(dir, item.path, null),
+					detail: `${t('label.compromisedVersions')}: ${item.compromisedVersions.join(', ')}${dependencyPath(item)}${campaign(item)}${workspace(item)}`,
+				})),
+		},
+		{
+			id: 'dependency-references',
+			title: t('report.category.dependency-references'),
+			criticalLevel: 'critical',
+			findings: project.foundInNodeModules
+				.filter((item) => item.type === 'dependency-reference')
+				.map((item) => ({
+					title: `${item.package}@${item.version}`,
+					location: location(dir, item.path, null),
+					detail: `${t('label.referencedBy')}: ${item.referencedBy}${dependencyPath(item)}${campaign(item)}${workspace(item)}`,
+				})),
+		},
+		{
+			id: 'install-scripts',
+			title: t('report.category.install-scripts'),
+			// 最も高いスクリプトのリスクレベル（既知のペイロードなどの実行を含む場合は critical、経験則のパターンのみの場合は warning）
+			criticalLevel: ['critical', 'high', 'warning'].find((level) => (project.installScripts || []).some((item) => item.severity === level)) || 'high',
+			findings: (project.installScripts || [])
+				.filter((item) => item.flags.length > 0)
+				.map((item) => ({
+					title: `${item.package}@${item.version}`,
+					location: location(dir, item.path, null),
+					detail: `${item.hook}: ${item.script}${workspace(item)}`,
+				})),
+		},
+		{
+			id: 'package-json',
+			title: t('report.category.package-json'),
+			criticalLevel: 'high',
+			findings: project.foundInPackageJson.map((item) => ({
+				title: `${item.package}@${item.version}`,
+				location: location(dir, item.file || path.join(dir, 'package.json'), item.line),
+				detail:
+					(item.matchingVersions.length > 0 ? `${item.type}, ${t('label.matchingVersions')}: ${item.matchingVersions.join(', ')}` : item.type) +
+					campaign(item) +
+					workspace(item),
+			})),
+		},
+		{
+			id: 'lockfiles',
+			title: t('report.category.lockfiles'),
+			criticalLevel: 'critical',
+			findings: project.foundInLockfiles.map((item) => ({
+				title: `${item.package}@${item.version}`,
+				location: location(dir, item.lockfile, item.line),
+				detail: `${pathText(item)}${campaign(item)}${workspace(item)}`,
+			})),
+		},
+	];
+}
+
+module.exports = {
+	describeSuspiciousFile,
+	categorize,
+};
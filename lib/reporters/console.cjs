@@ -0,0 +1,759 @@
+/**
+ * コンソールレポーター
+ * 検査エンジンの進捗イベント (onEvent) を受け取り、検査の経過と結果をカラー表示する
+ * ファイルに出力するレポーター（json, sarif など）とは異なり、REPORTERS には登録しない
+ * 表示するメッセージは i18n.cjs のカタログから options.lang の言語で取得する
+ */
+
+const path = require('path');
+const { detectLang, createTranslator } = require('../i18n.cjs');
+const { countInfectedFiles } = require('../ioc.cjs');
+
+const COLORS = {
+	reset: '\x1b[0m',
+	red: '\x1b[31m',
+	green: '\x1b[32m',
+	yellow: '\x1b[33m',
+	blue: '\x1b[34m',
+	magenta: '\x1b[35m',
+	cyan: '\x1b[36m',
+	bold: '\x1b[1m',
+};
+
+// サマリーに表示する依存経路の数（残りは explain コマンドで確認）
+const SUMMARY_PATHS = 3;
+
+/**
+ * コンソールレポーターを作成
+ * @param {Object} options - { color: カラー出力, quiet: 1 行サマリーとエラーのみ, multi: 複数プロジェクトの検査, lang: 'ja' | 'en' }
+ * @returns {Object} レポーター（onEvent と各種サマリーの表示関数、print / log / t ヘルパー）
+ */
+function createConsoleReporter(reporterOptions = {}) {
+	const options = { ...reporterOptions };
+	const t = createTranslator(options.lang || detectLang());
+	const c = { ...COLORS };
+	// --no-color または環境変数 NO_COLOR が指定された場合はエスケープシーケンスを出力しない
+	if (options.color === false || process.env.NO_COLOR) {
+		Object.keys(c).forEach((key) => {
+			c[key] = '';
+		});
+	}
+
+	// カラー出力ヘルパー（--quiet 指定時は fatal 以外を抑制）
+	const print = (msg = '') => {
+		if (!options.quiet) console.log(msg);
+	};
+	const log = {
+		error: (msg) => print(`${c.red}${msg}${c.reset}`),
+		warning: (msg) => print(`${c.yellow}${msg}${c.reset}`),
+		success: (msg) => print(`${c.green}${msg}${c.reset}`),
+		info: (msg) => print(`${c.blue}${msg}${c.reset}`),
+		title: (msg) => print(`${c.cyan}${c.bold}${msg}${c.reset}`),
+		fatal: (msg) => console.error(`${c.red}${msg}${c.reset}`),
+	};
+
+	// 侵害バージョンの出典情報（キャンペーン・初出日・深刻度・出典 URL）
+	const advisoryText = (advisory) => {
+		const details = [
+			advisory.firstSeen && `${t('label.firstSeen')}: ${advisory.firstSeen}`,
+			advisory.severity && `${t('label.severity')}: ${advisory.severity}`,
+		].filter(Boolean);
+		return `${advisory.campaign || t('label.unknownCampaign')}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+	};
+	const printAdvisory = (advisory) => {
+		if (!advisory) return;
+		print(`     ${t('label.campaign')}: ${advisoryText(advisory)}`);
+		if (advisory.source) print(`     ${t('label.source')}: ${c.cyan}${advisory.source}${c.reset}`);
+	};
+
+	// 検査イベントごとの表示
+	const handlers = {
+		project({ targetDir, workspaces }) {
+			if (options.multi) {
+				print('');
+				print('#'.repeat(70));
+				log.title(t('project.heading', { dir: targetDir }));
+				print('#'.repeat(70));
+			}
+
+			if (workspaces.length > 0) {
+				print('');
+				log.info(t('project.workspaces', { count: workspaces.length }));
+				workspaces.forEach((member) => print(`   - ${member.name} ${c.cyan}(${member.relativePath})${c.reset}`));
+			}
+
+			print('');
+		},
+
+		suspiciousFiles({ targetDir, files, scanned, skipped, error }) {
+			print('');
+			print('='.repeat(70));
+			log.title(t('suspicious.title'));
+			print('='.repeat(70) + '\n');
+
+			// 内容（SHA-256・シグネチャ）を照合したファイル数と、サイズの上限を超えて照合しなかったファイル数
+			if (!error) {
+				log.info(t('suspicious.scanned', { count: scanned }));
+				if (skipped > 0) log.warning(t('suspicious.skipped', { count: skipped }));
+				print('');
+			}
+
+			// 説明はファイル名ごとにカタログから取得（未登録のファイルは検査エンジンの説明を使用）
+			const printFiles = (list, logger) =>
+				list.forEach(({ name, description, paths }) => {
+					const key = `suspiciousFile.${name}`;
+					const label = t(key) === key ? description : t(key);
+					logger(`  ⚠️  ${name} (${label})`);
+					paths.forEach((p) => {
+						print(`     ${t('label.location')}: ${c.yellow}${path.relative(targetDir, p)}${c.reset}`);
+					});
+					print('');
+				});
+
+			// 正規の用途もあるワークフローの記述（severity: 'warning'）は確認を促すのみ
+			const infected = files.filter((item) => item.severity !== 'warning');
+			const warnings = files.filter((item) => item.severity === 'warning');
+			if (!error && warnings.length > 0) {
+				log.warning(t('suspicious.warnings', { count: warnings.length }));
+				printFiles(warnings, log.warning);
+			}
+
+			if (error) {
+				log.warning(t('suspicious.error', { message: error.message }));
+			} else if (infected.length > 0) {
+				log.error(t('suspicious.found', { count: infected.length }));
+				printFiles(infected, log.error);
+
+				print(`${c.red}${c.bold}${t('suspicious.malware')}${c.reset}\n`);
+				print(`${c.red}${c.bold}${t('suspicious.infected')}${c.reset}\n`);
+				print(t('suspicious.actions'));
+				print(`${c.red}1.${c.reset} ${t('suspicious.action1')}`);
+				print(`${c.red}2.${c.reset} ${t('suspicious.action2')}`);
+				print(`${c.red}3.${c.reset} ${t('suspicious.action3')}`);
+				print(`${c.red}4.${c.reset} ${t('suspicious.action4')} ${c.cyan}https://zenn.dev/hand_dot/articles/04542a91bc432e${c.reset}\n`);
+			} else if (warnings.length === 0) {
+				log.success(t('suspicious.none'));
+			}
+
+			print('');
+		},
+
+		nodeModules(event) {
+			log.title(t('nodeModules.title'));
+
+			if (!event.found) {
+				if (event.error) log.error(t('scan.parseError', { file: path.relative(event.targetDir, event.error.file), message: event.error.message }));
+				log.warning(t('nodeModules.notFound'));
+				log.info(`     ${t('label.expectedPath')}: ${event.path}`);
+				print('');
+				return;
+			}
+
+			print('');
+			if (event.linker === 'pnp') log.info(t('nodeModules.pnp', { file: path.relative(event.targetDir, event.path) }));
+			log.info(t('nodeModules.indexed', { packages: event.packages, instances: event.instances }));
+			print('');
+			log.info(t('nodeModules.checkingInstalled'));
+			print('');
+
+			// 同じパッケージの 2 件目以降は重複インストールとして表示
+			const shown = new Set();
+			event.installed.forEach((item) => {
+				const depthInfo = item.depth > 0 ? ` (${t('label.depth')}: ${item.depth})` : '';
+				if (!shown.has(item.package)) {
+					shown.add(item.package);
+					log.error(`  🚨 ${item.package}@${item.version}${depthInfo}`);
+					log.error(`     ${t('label.compromisedVersions')}: ${item.compromisedVersions.join(', ')}`);
+					printAdvisory(item.advisory);
+				} else {
+					log.warning(`     ├─ ${t('nodeModules.duplicate')}: ${item.version}${depthInfo}`);
+				}
+				// 検出された場所（パス）を明確に表示
+				print(`     ${c.magenta}${t('label.location')}: ${path.relative(event.targetDir, item.path)}${c.reset}`);
+			});
+
+			if (event.installed.length === 0) {
+				log.success(t('nodeModules.installedNone'));
+			} else {
+				log.warning(t('nodeModules.instancesFound', { count: event.installed.length }));
+			}
+
+			print('');
+			log.info(t('nodeModules.checked', { count: event.checkedCount }));
+			if (event.installed.length > 0) {
+				log.warning(t('nodeModules.totalFound', { count: event.installed.length }));
+			}
+
+			// node_modules 内のパッケージの依存関係
+			print('');
+			log.info(t('nodeModules.checkingReferences'));
+			print('');
+
+			event.references.forEach((item) => {
+				const relativePath = path.relative(event.targetDir, item.path);
+				if (item.matchingVersions) {
+					log.warning(`  ⚠️  ${item.package}@${item.version} ${t('nodeModules.notInstalled')}`);
+					log.warning(`     ${t('label.referencedBy')}: ${item.referencedBy}`);
+					log.warning(`     ${t('label.location')}: ${relativePath}`);
+					log.warning(`     ${t('label.compromisedVersions')}: ${item.compromisedVersions.join(', ')}`);
+					log.warning(`     ${t('label.matchingVersions')}: ${item.matchingVersions.join(', ')}`);
+					log.warning(`     ${t('nodeModules.mayResolve')}`);
+				} else {
+					log.warning(`  ⚠️  ${item.package}@${item.version}`);
+					log.warning(`     ${t('label.referencedBy')}: ${item.referencedBy} (${t('label.required')}: ${item.range})`);
+					log.warning(`     ${t('label.location')}: ${relativePath}`);
+					log.warning(`     ${t('label.compromisedVersions')}: ${item.compromisedVersions.join(', ')}`);
+				}
+				printAdvisory(item.advisory);
+			});
+
+			if (event.references.length > 0) {
+				log.warning(t('nodeModules.referencesFound', { count: event.references.length }));
+			} else {
+				log.success(t('nodeModules.referencesNone'));
+			}
+
+			print('');
+		},
+
+		installScripts({ targetDir, scripts }) {
+			log.title(t('installScripts.title'));
+			print('');
+
+			if (scripts.length === 0) {
+				log.success(t('installScripts.none'));
+				print('');
+				return;
+			}
+
+			log.info(t('installScripts.count', { count: new Set(scripts.map((item) => item.path)).size }));
+			print('');
+
+			// 不審なパターンに一致したものは詳細、それ以外は 1 行で列挙（監査結果は不審なものが先）
+			scripts.forEach((item) => {
+				const relativePath = path.relative(targetDir, item.path);
+				if (item.flags.length > 0) {
+					// 経験則のパターンのみに一致したもの（warning）は警告として表示
+					const logger = item.severity === 'warning' ? log.warning : log.error;
+					logger(`  ${item.severity === 'warning' ? '⚠️ ' : '🚨'} ${item.package}@${item.version} (${item.hook})`);
+					logger(`     ${t('label.script')}: ${item.script}`);
+					logger(`     ${t('label.reason')}: ${item.flags.map((flag) => t(`installScripts.flag.${flag}`)).join(', ')}`);
+					print(`     ${c.magenta}${t('label.location')}: ${relativePath}${c.reset}`);
+				} else {
+					const script = item.script.length > 100 ? `${item.script.slice(0, 100)}…` : item.script;
+					print(`  - ${item.package}@${item.version} (${item.hook}): ${script}`);
+				}
+			});
+
+			const flagged = scripts.filter((item) => item.flags.length > 0).length;
+			print('');
+			if (flagged > 0) {
+				log.warning(t('installScripts.flagged', { count: flagged }));
+			} else {
+				log.success(t('installScripts.noneFlagged'));
+			}
+
+			print('');
+		},
+
+		packageJson({ targetDir, path: rootPackageJson, manifests }) {
+			log.title(t('packageJson.title'));
+
+			if (!manifests.some((manifest) => manifest.file === rootPackageJson)) {
+				log.warning(t('packageJson.notFound'));
+				log.info(`     ${t('label.expectedPath')}: ${rootPackageJson}`);
+			}
+
+			manifests.forEach((manifest) => {
+				const relativePath = path.relative(targetDir, manifest.file);
+				// ワークスペースのメンバーは見出しを表示
+				if (manifest.file !== rootPackageJson) {
+					log.info(`  📦 ${manifest.workspace} (${relativePath})`);
+				}
+
+				if (manifest.error) {
+					log.error(t('scan.parseError', { file: relativePath, message: manifest.error.message }));
+					return;
+				}
+
+				manifest.findings.forEach((item) => {
+					log.warning(`  ⚠️  ${item.package}@${item.version} (${item.type})`);
+					log.warning(`     ${t('label.compromisedVersions')}: ${item.compromisedVersions.join(', ')}`);
+					if (item.matchingVersions.length > 0) {
+						log.warning(`     ${t('label.matchingVersions')}: ${item.matchingVersions.join(', ')}`);
+					} else {
+						log.warning(`     ${t('packageJson.nameOnly')}`);
+					}
+					printAdvisory(item.advisory);
+				});
+			});
+
+			if (manifests.length > 0 && manifests.every((manifest) => manifest.findings.length === 0)) {
+				log.success(t('packageJson.none'));
+			}
+
+			print('');
+		},
+
+		caches({ locations }) {
+			print('');
+			print('='.repeat(70));
+			log.title(t('caches.title'));
+			print('='.repeat(70) + '\n');
+
+			locations.forEach((location) => {
+				log.info(`  📦 ${t(`caches.type.${location.type}`)}: ${c.cyan}${location.dir}${c.reset}`);
+
+				if (location.error) {
+					log.error(t('caches.error', { message: location.error }));
+					print('');
+					return;
+				}
+
+				location.findings.forEach((item) => {
+					log.error(`  🚨 ${item.package}@${item.version}`);
+					log.error(`     ${t('label.compromisedVersions')}: ${item.compromisedVersions.join(', ')}`);
+					print(`     ${c.magenta}${t('label.location')}: ${item.source || item.path}${c.reset}`);
+					printAdvisory(item.advisory);
+				});
+
+				if (location.findings.length === 0) {
+					log.success(t('caches.clean', { count: location.packageCount }));
+				} else {
+					// 検出された場所の種類ごとの削除方法
+					const packages = [...new Set(location.findings.map((item) => item.package))].join(' ');
+					log.warning(t('caches.found', { count: location.findings.length, total: location.packageCount }));
+					log.warning(`     ${t('caches.remove')}: ${t(`caches.command.${location.type}`, { packages })}`);
+				}
+				print('');
+			});
+		},
+
+		explain({ targetDir, package: name, version, sources }) {
+			print('');
+			log.title(t('explain.title', { name: version ? `${name}@${version}` : name, dir: targetDir }));
+			print('');
+
+			if (sources.length === 0) {
+				log.warning(t('explain.noSources'));
+				print('');
+				return;
+			}
+
+			// ルートの直接依存（削除・上書きの候補）
+			const direct = new Set();
+			sources.forEach((source) => {
+				const file = path.relative(targetDir, source.file);
+				const label = t(`explain.source.${source.type === 'node-modules' || source.type === 'pnp' ? source.type : 'lockfile'}`);
+				log.info(`  📂 ${label}: ${file}`);
+
+				if (source.error) {
+					log.error(t('scan.parseError', { file, message: source.error }));
+					print('');
+					return;
+				}
+				if (source.matches.length === 0) log.success(t('explain.notFound'));
+
+				source.matches.forEach((match) => {
+					const location = match.line ? `${file}:${match.line}` : path.relative(targetDir, match.path);
+					print(`  ${c.red}● ${name}@${match.version}${c.reset} ${c.magenta}(${location})${c.reset}`);
+					match.paths.forEach((chain, index) => {
+						print(`     ${index + 1}. ${chain.join(' > ')}`);
+						if (chain.length > 1) direct.add(chain[1]);
+					});
+					if (match.paths.length === 0) log.warning(t('explain.unreachable'));
+					if (match.truncated) log.warning(t('explain.truncated', { count: match.paths.length }));
+				});
+				print('');
+			});
+
+			if (direct.size > 0) log.info(t('explain.direct', { list: [...direct].join(', ') }) + '\n');
+		},
+
+		fix({ file, manager, field, fixes, unresolved, diff, applied, error, dryRun }) {
+			print('');
+			log.title(t('fix.title', { file, field }));
+			print('');
+
+			fixes.forEach((fix) => {
+				const from = fix.versions.length > 0 ? fix.versions.join(', ') : '*';
+				print(`${c.green}${t('fix.pin', { name: fix.package, from, to: fix.version, source: t(`fix.source.${fix.source}`) })}${c.reset}`);
+				if (fix.previous) print(t('fix.previous', { version: fix.previous }));
+				if (fix.directDependencies.length > 0) print(t('fix.direct', { types: fix.directDependencies.join(', ') }));
+			});
+			unresolved.forEach((item) => log.warning(t('fix.unresolved', { name: item.package, from: item.versions.join(', ') || '*', field })));
+
+			if (error) {
+				log.error(t('fix.error', { message: error }));
+				print('');
+				return;
+			}
+			if (!diff) {
+				if (unresolved.length === 0) log.success(t('fix.noChanges'));
+				print('');
+				return;
+			}
+
+			// 差分（追加は緑、削除は赤）
+			print('');
+			diff.split('\n').forEach((line) => {
+				if (line.startsWith('+++') || line.startsWith('---')) print(`${c.bold}${line}${c.reset}`);
+				else if (line.startsWith('@@')) print(`${c.cyan}${line}${c.reset}`);
+				else if (line.startsWith('+')) print(`${c.green}${line}${c.reset}`);
+				else if (line.startsWith('-')) print(`${c.red}${line}${c.reset}`);
+				else print(line);
+			});
+			print('');
+
+			if (applied) log.success(t('fix.applied', { command: `${c.cyan}${manager} install${c.reset}` }));
+			else if (dryRun) log.info(t('fix.dryRun'));
+			if (fixes.length > 0) log.warning(t('fix.verify'));
+			print('');
+		},
+
+		host({ home, artifacts, credentials, rotate }) {
+			print('');
+			print('='.repeat(70));
+			log.title(t('host.title', { dir: home }));
+			print('='.repeat(70) + '\n');
+
+			// 感染の痕跡（説明はカタログから取得、IOC のファイルは疑わしいファイルの説明を使用）
+			artifacts.forEach((artifact) => {
+				const label = [`host.artifact.${artifact.id}`, `suspiciousFile.${artifact.id}`].map((key) => (t(key) === key ? null : t(key))).find(Boolean);
+				const logger = artifact.severity === 'critical' ? log.error : log.warning;
+				logger(`  ${artifact.severity === 'critical' ? '🚨' : '⚠️ '} ${label || artifact.description}`);
+				print(`     ${t('label.location')}: ${c.yellow}${artifact.path}${c.reset}`);
+			});
+			if (artifacts.length === 0) log.success(t('host.noArtifacts'));
+			print('');
+
+			// 認証情報（値は表示しない）
+			if (credentials.length === 0) {
+				log.success(t('host.noCredentials'));
+			} else {
+				log.info(t('host.credentials', { count: credentials.length }));
+				credentials.forEach((credential) => {
+					const recent = credential.recent ? ` ${c.yellow}${t('host.recent')}${c.reset}` : '';
+					print(`  🔑 ${credential.service}: ${path.relative(home, credential.path)} (${t('host.modifiedAt')}: ${credential.modifiedAt.slice(0, 10)})${recent}`);
+				});
+				print('');
+
+				// 感染の痕跡がある場合は即座に、ない場合も感染が確認されたらローテーションが必要
+				if (artifacts.some((artifact) => artifact.severity === 'critical')) {
+					log.error(t('host.rotateNow', { services: rotate.join(', ') }));
+				} else {
+					log.info(t('host.rotateIfInfected', { services: rotate.join(', ') }));
+				}
+			}
+
+			print('');
+		},
+
+		lockfiles({ targetDir, binaryBunLockfile, lockfiles }) {
+			log.title(t('lockfiles.title'));
+
+			if (binaryBunLockfile) {
+				log.warning(t('lockfiles.bunBinary'));
+				log.info(t('lockfiles.bunHint'));
+			}
+
+			if (lockfiles.length === 0) {
+				log.warning(t('lockfiles.notFound'));
+				return;
+			}
+
+			lockfiles.forEach((lockfile) => {
+				const lockfileName = path.relative(targetDir, lockfile.file);
+
+				if (lockfile.error) {
+					log.error(t('scan.parseError', { file: lockfileName, message: lockfile.error.message }));
+					return;
+				}
+
+				print('');
+				log.info(t('lockfiles.checking', { file: lockfileName, type: lockfile.type }));
+
+				lockfile.findings.forEach((item) => {
+					const location = item.line ? `${lockfileName}:${item.line}` : lockfileName;
+					log.error(`  🚨 ${item.package}@${item.version}`);
+					log.error(`     ${t('label.compromisedVersions')}: ${item.compromisedVersions.join(', ')}`);
+					print(`     ${c.magenta}${t('label.location')}: ${location}${c.reset}`);
+					print(`     ${t('label.dependencyPath')}: ${item.dependencyPath.join(' > ')}`);
+					printAdvisory(item.advisory);
+				});
+
+				if (lockfile.findings.length === 0) {
+					log.success(t('lockfiles.clean', { count: lockfile.packageCount }));
+				} else {
+					log.warning(t('lockfiles.found', { count: lockfile.findings.length }));
+				}
+			});
+		},
+	};
+
+	/**
+	 * 侵害パッケージ以外の検出箇所の件数（サマリーの totalIssues の数え方と同じ、キャッシュ・ホストは単一プロジェクトの場合のみ）
+	 * @param {Object} results - scanProject の戻り値
+	 * @returns {Array<[string, number]>} [表示名, 件数]
+	 */
+	function summaryExtras(results) {
+		return [
+			[t('summary.suspiciousFiles'), countInfectedFiles(results.suspiciousFiles)],
+			[t('summary.installScripts'), (results.installScripts || []).filter((item) => item.severity === 'critical' || item.severity === 'high').length],
+			[t('summary.caches'), (results.caches || []).reduce((sum, location) => sum + location.findings.length, 0)],
+			[t('summary.host'), results.host ? results.host.artifacts.filter((artifact) => artifact.severity === 'critical').length : 0],
+		];
+	}
+
+	/**
+	 * プロジェクトの検査結果サマリーを表示
+	 * @param {Object} results - scanProject の戻り値
+	 */
+	function printProjectSummary(results) {
+		print('');
+		print('='.repeat(70));
+		log.title(options.multi ? t('summary.titleFor', { dir: results.targetDirectory }) : t('summary.title'));
+		print('='.repeat(70) + '\n');
+
+		// 検査対象の情報
+		print(`${t('summary.target')}: ${c.cyan}${results.targetDirectory}${c.reset}`);
+		print(t('summary.checkedCount', { count: results.totalChecked }) + '\n');
+
+		if (results.summary.safe) {
+			log.success(t('summary.safe'));
+			print(t('summary.safeDetail'));
+			return;
+		}
+
+		log.error(t('summary.issues', { count: results.summary.totalIssues }));
+		log.error(`   ${t('label.riskLevel')}: ${results.summary.criticalLevel.toUpperCase()}\n`);
+
+		// 検出箇所（疑わしいファイルなどは検出された場合のみ表示）
+		const locations = [
+			['node_modules', results.foundInNodeModules.length],
+			['package.json', results.foundInPackageJson.length],
+			[t('summary.lockfiles'), results.foundInLockfiles.length],
+			...summaryExtras(results).filter(([, count]) => count > 0),
+		];
+		print(t('summary.locations'));
+		locations.forEach(([label, count], index) => {
+			const branch = index === locations.length - 1 ? '└─' : '├─';
+			print(`  ${c.yellow}${branch}${c.reset} ${label}: ${t('summary.count', { count })}`);
+		});
+		print('');
+
+		const allFoundPkgs = new Set([
+			...results.foundInNodeModules.map((p) => p.package),
+			...results.foundInPackageJson.map((p) => p.package),
+			...results.foundInLockfiles.map((p) => p.package),
+		]);
+		if (allFoundPkgs.size === 0) return;
+
+		// 検出されたパッケージの一覧と詳細
+		print(t('summary.details'));
+
+		// ワークスペースの場合は帰属先のパッケージを併記
+		const workspaceOf = (item) => (item.workspace ? ` ${c.cyan}[${t('label.workspace')}: ${item.workspace}]${c.reset}` : '');
+
+		// ルートの package.json からの依存経路（多い場合は先頭の数件と explain コマンドの案内）
+		const printPaths = (item) => {
+			const dependencyPaths = item.dependencyPaths || (item.dependencyPath ? [item.dependencyPath] : []);
+			dependencyPaths.slice(0, SUMMARY_PATHS).forEach((chain) => print(`       (${t('label.dependencyPath')}: ${chain.join(' > ')})`));
+			if (dependencyPaths.length > SUMMARY_PATHS) {
+				print(`       ${t('summary.morePaths', { count: dependencyPaths.length - SUMMARY_PATHS, name: item.package })}`);
+			}
+		};
+
+		Array.from(allFoundPkgs).forEach((pkg) => {
+			// このパッケージで検出されたすべてのバージョンを収集
+			const allVersions = new Set();
+
+			// node_modules から検出されたバージョン
+			results.foundInNodeModules
+				.filter((p) => p.package === pkg)
+				.forEach((item) => {
+					if (item.version && item.version !== 'unknown') {
+						allVersions.add(item.version);
+					}
+				});
+
+			// package.json から検出されたバージョン（範囲指定の可能性あり）
+			results.foundInPackageJson
+				.filter((p) => p.package === pkg)
+				.forEach((item) => {
+					if (item.version) {
+						allVersions.add(item.version);
+					}
+				});
+
+			// ロックファイルで解決されたバージョン
+			results.foundInLockfiles
+				.filter((p) => p.package === pkg)
+				.forEach((item) => allVersions.add(item.version));
+
+			// バージョン情報を表示
+			const versionStr = allVersions.size > 0 ? `(${Array.from(allVersions).join(', ')})` : '';
+			print(`  ${c.red}● ${pkg}${versionStr}${c.reset}`);
+
+			// 検出されたバージョンのキャンペーン（複数のキャンペーンにまたがる場合はすべて）
+			const campaigns = new Set(
+				[...results.foundInNodeModules, ...results.foundInPackageJson, ...results.foundInLockfiles]
+					.filter((p) => p.package === pkg && p.advisory)
+					.map((p) => advisoryText(p.advisory)),
+			);
+			campaigns.forEach((campaign) => print(`    ${c.magenta}${t('label.campaign')}: ${campaign}${c.reset}`));
+
+			// node_modules での検出（実体）
+			const installed = results.foundInNodeModules.filter((p) => p.package === pkg && p.type === 'installed');
+			installed.forEach((item) => {
+				const relativePath = path.relative(results.targetDirectory, item.path);
+				print(`    └─ ${t('summary.installedTag')} ${relativePath}${workspaceOf(item)}`);
+				printPaths(item);
+			});
+
+			// node_modules での検出（依存関係）
+			const deps = results.foundInNodeModules.filter((p) => p.package === pkg && p.type === 'dependency-reference');
+			deps.forEach((item) => {
+				const relativePath = path.relative(results.targetDirectory, item.path);
+				print(`    └─ ${t('summary.referenceTag')} ${item.referencedBy} (${relativePath})${workspaceOf(item)}`);
+				printPaths(item);
+			});
+
+			// package.json での検出
+			const inPkgJson = results.foundInPackageJson.filter((p) => p.package === pkg);
+			inPkgJson.forEach((item) => {
+				const matching = item.matchingVersions.length > 0 ? ` (${t('summary.inRange')}: ${item.matchingVersions.join(', ')})` : '';
+				const relativePath = path.relative(results.targetDirectory, item.file);
+				const location = item.line ? `${relativePath}:${item.line}` : relativePath;
+				print(`    └─ ${t('summary.declaredTag')} ${location} > ${item.type}${matching}${workspaceOf(item)}`);
+			});
+
+			// ロックファイルでの検出
+			const inLockfiles = results.foundInLockfiles.filter((p) => p.package === pkg);
+			inLockfiles.forEach((item) => {
+				const relativePath = path.relative(results.targetDirectory, item.lockfile);
+				const location = item.line ? `${relativePath}:${item.line}` : relativePath;
+				print(`    └─ ${t('summary.lockedTag')} ${location}${workspaceOf(item)}`);
+				printPaths(item);
+			});
+		});
+	}
+
+	/**
+	 * 複数プロジェクトの統合サマリーを表示
+	 * @param {Object} aggregate - aggregateResults の戻り値
+	 */
+	function printCombinedSummary(aggregate) {
+		print('');
+		print('='.repeat(70));
+		log.title(t('combined.title'));
+		print('='.repeat(70) + '\n');
+
+		print(t('combined.projects', { count: aggregate.summary.totalProjects }));
+		print(t('summary.checkedCount', { count: aggregate.totalChecked }) + '\n');
+
+		aggregate.projects.forEach((results) => {
+			const level = results.summary.criticalLevel.toUpperCase();
+			if (results.summary.safe) {
+				print(`  ${c.green}✅ ${results.targetDirectory}${c.reset}`);
+			} else {
+				print(`  ${c.red}🚨 ${t('combined.projectIssues', { dir: results.targetDirectory, count: results.summary.totalIssues, level })}${c.reset}`);
+			}
+		});
+		print('');
+
+		if (aggregate.summary.safe) {
+			log.success(t('combined.allSafe'));
+		} else {
+			const { affectedProjects, totalProjects, totalIssues, levels } = aggregate.summary;
+			log.error(t('combined.affected', { affected: affectedProjects, total: totalProjects, issues: totalIssues }));
+			log.error(`   ${t('label.riskLevel')}: ${aggregate.summary.criticalLevel.toUpperCase()}`);
+			log.error(t('combined.breakdown', { critical: levels.critical, high: levels.high, none: levels.none }));
+		}
+	}
+
+	/**
+	 * 推奨される対応手順を表示
+	 * @param {string[]} affectedDirs - 問題が検出されたプロジェクトのディレクトリ
+	 */
+	function printRemediation(affectedDirs) {
+		print('');
+		print('='.repeat(70));
+		log.error(t('remediation.title'));
+		print('='.repeat(70) + '\n');
+
+		print(t('remediation.steps'));
+		print(`${c.red}1.${c.reset} ${t('remediation.step1')}`);
+		print(`${c.red}2.${c.reset} ${t('remediation.step2')}`);
+		affectedDirs.forEach((dir) => {
+			print(`   ${c.cyan}cd ${dir}${c.reset}`);
+			print(`   ${c.cyan}rm -rf node_modules${c.reset}`);
+		});
+		print(`   ${c.cyan}npm cache clean --force${c.reset}`);
+		print(`${c.red}3.${c.reset} ${t('remediation.step3')}`);
+		print(t('remediation.fixHint'));
+		print(`${c.red}4.${c.reset} ${t('remediation.step4', { command: `${c.cyan}npm install${c.reset}` })}`);
+		print(`${c.red}5.${c.reset} ${t('remediation.step5')}`);
+		print(t('remediation.step5b'));
+	}
+
+	/**
+	 * プロジェクトごとの 1 行サマリーを表示（--quiet 用。quiet でも出力する）
+	 * @param {Object} report - 単一プロジェクトの検査結果、または集計結果
+	 */
+	function printQuietSummary(report) {
+		const projects = report.projects || [report];
+		projects.forEach((results) => {
+			if (results.summary.safe) {
+				console.log(`${c.green}${t('quiet.safe', { dir: results.targetDirectory })}${c.reset}`);
+			} else {
+				const params = { dir: results.targetDirectory, count: results.summary.totalIssues, level: results.summary.criticalLevel.toUpperCase() };
+				console.log(`${c.red}${t('quiet.issues', params)}${c.reset}`);
+			}
+		});
+		if (report.projects) {
+			console.log(t('quiet.total', { affected: report.summary.affectedProjects, total: report.summary.totalProjects, issues: report.summary.totalIssues }));
+		}
+	}
+
+	/**
+	 * 検査結果全体を表示（プロジェクトごとのサマリー、統合サマリー、対応手順）
+	 * @param {Object} report - 単一プロジェクトの検査結果、または集計結果
+	 */
+	function printReport(report) {
+		const projects = report.projects || [report];
+		projects.forEach((results) => printProjectSummary(results));
+
+		if (report.projects) {
+			printCombinedSummary(report);
+		}
+
+		const affectedDirs = projects.filter((results) => !results.summary.safe).map((results) => results.targetDirectory);
+		if (affectedDirs.length > 0) {
+			printRemediation(affectedDirs);
+		}
+	}
+
+	return {
+		colors: c,
+		print,
+		log,
+		t,
+		onEvent(type, data) {
+			if (handlers[type]) handlers[type](data);
+		},
+		// 検査対象が確定した後に、複数プロジェクトの表示（見出しなど）を切り替える
+		setMulti(multi) {
+			options.multi = multi;
+		},
+		printProjectSummary,
+		printCombinedSummary,
+		printRemediation,
+		printQuietSummary,
+		printReport,
+	};
+}
+
+module.exports = {
+	createConsoleReporter,
+};
@@ -0,0 +1,36 @@
+/**
+ * レポーターの登録
+ * 各レポーターは { name, extension, render(results, { t }) } を公開する（t は翻訳関数）
+ * 新しい形式を追加する場合は、このディレクトリにモジュールを置いて REPORTERS に登録する
+ * コンソール表示 (console.cjs) は検査の進捗を受け取るため、ここには登録しない
+ */
+
+const { detectLang, createTranslator } = require('../i18n.cjs');
+
+const REPORTERS = {
+	json: require('./json.cjs'),
+	sarif: require('./sarif.cjs'),
+	junit: require('./junit.cjs'),
+	markdown: require('./markdown.cjs'),
+};
+
+/**
+ * レポート形式に対応するレポーターを取得
+ * @param {string} format - レポート形式
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語） }
+ * @returns {Object} レポーター
+ * @throws {Error} 未対応の形式の場合
+ */
+function getReporter(format, options = {}) {
+	const reporter = REPORTERS[format];
+	if (!reporter) {
+		const t = options.t || createTranslator(detectLang());
+		throw new Error(t('cli.unknownFormat', { format, formats: Object.keys(REPORTERS).join(' | ') }));
+	}
+	return reporter;
+}
+
+module.exports = {
+	REPORTERS,
+	getReporter,
+};
@@ -0,0 +1,18 @@
+/**
+ * JSON レポーター
+ * 検査結果オブジェクトをそのまま JSON として出力する
+ */
+
+module.exports = {
+	name: 'json',
+	extension: '.json',
+
+	/**
+	 * 検査結果を JSON 文字列に変換
+	 * @param {Object} results - 検査結果
+	 * @returns {string} レポート本文
+	 */
+	render(results) {
+		return JSON.stringify(results, null, 2);
+	},
+};
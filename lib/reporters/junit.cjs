@@ -0,0 +1,81 @@
+/**
+ * JUnit XML レポーター
+ * プロジェクトごとに 1 つの testsuite、検査カテゴリごとに 1 つの testcase を出力する
+ * 検出がある testcase は failure となり、本文に検出結果を列挙する
+ */
+
+const { detectLang, createTranslator } = require('../i18n.cjs');
+const { categorize } = require('./categories.cjs');
+
+/**
+ * XML の特殊文字をエスケープ
+ * @param {string} text - 文字列
+ * @returns {string} エスケープ済みの文字列
+ */
+function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * 1 プロジェクトの testsuite を生成
+ * @param {Object} project - scanProject の戻り値
+ * @param {string} timestamp - 検査日時
+ * @param {Function} t - 翻訳関数
+ * @returns {string[]} XML の行
+ */
+function renderSuite(project, timestamp, t) {
+	const categories = categorize(project, t);
+	const failures = categories.filter((category) => category.findings.length > 0).length;
+	const lines = [
+		`  <testsuite name="${escapeXml(project.targetDirectory)}" tests="${categories.length}" failures="${failures}" errors="0" skipped="0" timestamp="${escapeXml(timestamp)}">`,
+	];
+
+	categories.forEach((category) => {
+		const testcase = `    <testcase classname="npm-attack-detect.${category.id}" name="${escapeXml(category.title)}"`;
+		if (category.findings.length === 0) {
+			lines.push(`${testcase} />`);
+			return;
+		}
+
+		const body = category.findings.map((finding) => `${finding.title} (${finding.location})${finding.detail ? ` - ${finding.detail}` : ''}`).join('\n');
+		lines.push(`${testcase}>`);
+		const message = t('report.findingCountPlain', { count: category.findings.length });
+		lines.push(`      <failure message="${escapeXml(message)}" type="${category.criticalLevel}">${escapeXml(body)}</failure>`);
+		lines.push('    </testcase>');
+	});
+
+	lines.push('  </testsuite>');
+	return lines;
+}
+
+module.exports = {
+	name: 'junit',
+	extension: '.xml',
+
+	/**
+	 * 検査結果を JUnit XML に変換
+	 * @param {Object} results - 検査結果（単一プロジェクト、または projects を持つ集計結果）
+	 * @param {Object} [options] - { t: 翻訳関数（デフォルト: 環境変数の言語） }
+	 * @returns {string} レポート本文
+	 */
+	render(results, options = {}) {
+		const t = options.t || createTranslator(detectLang());
+		const projects = results.projects || [results];
+		const suites = projects.flatMap((project) => renderSuite(project, results.timestamp, t));
+		const tests = projects.length * categorize(projects[0], t).length;
+		const failures = projects.reduce((sum, project) => sum + categorize(project, t).filter((category) => category.findings.length > 0).length, 0);
+
+		return [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			`<testsuites name="npm-attack-detect-project" tests="${tests}" failures="${failures}" errors="0">`,
+			...suites,
+			'</testsuites>',
+			'',
+		].join('\n');
+	},
+};
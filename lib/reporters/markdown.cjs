@@ -0,0 +1,110 @@
+/**
+ * Markdown レポーター
+ * $GITHUB_STEP_SUMMARY や PR コメントにそのまま貼り付けられるサマリーを出力する
+ */
+
+const { detectLang, createTranslator } = require('../i18n.cjs');
+const { categorize } = require('./categories.cjs');
+
+// リスクレベルの表示
+const LEVEL_LABELS = {
+	critical: '🚨 **CRITICAL**',
+	high: '⚠️ **HIGH**',
+	none: '✅ NONE',
+};
+
+/**
+ * 表のセル用に文字列をエスケープ
+ * @param {string} text - 文字列
+ * @returns {string} エスケープ済みの文字列
+ */
+function cell(text) {
+	return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * 表の見出し行と区切り行を生成
+ * @param {string[]} columns - 列の見出し
+ * @returns {string[]} Markdown の行
+ */
+function tableHeader(columns) {
+	return [`| ${columns.map(cell).join(' | ')} |`, `|${columns.map(() => '------').join('|')}|`];
+}
+
+/**
+ * 1 プロジェクトの検査項目と検出結果を生成
+ * @param {Object} project - scanProject の戻り値
+ * @param {string} heading - 見出しの接頭辞（"###" など）
+ * @param {Function} t - 翻訳関数
+ * @returns {string[]} Markdown の行
+ */
+function renderProject(project, heading, t) {
+	const categories = categorize(project, t);
+	const lines = tableHeader([t('report.column.category'), t('report.column.result')]);
+
+	categories.forEach((category) => {
+		const status = category.findings.length === 0 ? t('report.noFindings') : t('report.findingCount', { count: category.findings.length });
+		lines.push(`| ${cell(category.title)} | ${status} |`);
+	});
+
+	categories
+		.filter((category) => category.findings.length > 0)
+		.forEach((category) => {
+			lines.push('', `${heading} ${category.title} (${category.findings.length})`, '');
+			lines.push(...tableHeader([t('report.column.finding'), t('label.location'), t('report.column.detail')]));
+			category.findings.forEach((finding) => {
+				lines.push(`| \`${cell(finding.title)}\` | \`${cell(finding.location)}\` | ${cell(finding.detail || '')} |`);
+			});
+		});
+
+	return lines;
+}
+
+module.exports = {
+	name: 'markdown',
+	extension: '.md',
+
+	/**
+	 * 検査結果を Markdown に変換
+	 * @param {Object} results - 検査結果（単一プロジェクト、または projects を持つ集計結果）
+	 * @param {Object} [options] - { t: 翻訳関数（デフォルト: 環境変数の言語） }
+	 * @returns {string} レポート本文
+	 */
+	render(results, options = {}) {
+		const t = options.t || createTranslator(detectLang());
+		const lines = [`## ${t('report.title')}`, ''];
+
+		if (!results.projects) {
+			lines.push(...tableHeader([t('report.column.item'), t('report.column.value')]));
+			lines.push(`| ${t('summary.target')} | \`${cell(results.targetDirectory)}\` |`);
+			lines.push(`| ${t('report.checkedCount')} | ${results.totalChecked} |`);
+			lines.push(`| ${t('report.totalIssues')} | ${results.summary.totalIssues} |`);
+			lines.push(`| ${t('label.riskLevel')} | ${LEVEL_LABELS[results.summary.criticalLevel]} |`);
+			lines.push('', ...renderProject(results, '###', t));
+		} else {
+			lines.push(...tableHeader([t('report.column.project'), t('report.totalIssues'), t('label.riskLevel')]));
+			results.projects.forEach((project) => {
+				lines.push(`| \`${cell(project.targetDirectory)}\` | ${project.summary.totalIssues} | ${LEVEL_LABELS[project.summary.criticalLevel]} |`);
+			});
+			lines.push('');
+			lines.push(
+				t('report.combined', {
+					affected: results.summary.affectedProjects,
+					total: results.summary.totalProjects,
+					issues: results.summary.totalIssues,
+					level: LEVEL_LABELS[results.summary.criticalLevel],
+					checked: results.totalChecked,
+				}),
+			);
+
+			results.projects
+				.filter((project) => !project.summary.safe || project.suspiciousFiles || (project.installScripts || []).some((item) => item.flags.length > 0))
+				.forEach((project) => {
+					lines.push('', `### \`${cell(project.targetDirectory)}\``, '', ...renderProject(project, '####', t));
+				});
+		}
+
+		lines.push('', `_${t('report.timestamp', { timestamp: results.timestamp })}_`, '');
+		return lines.join('\n');
+	},
+};
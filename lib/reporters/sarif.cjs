@@ -0,0 +1,246 @@
+/**
+ * SARIF 2.1.0 レポーター
+ * GitHub code scanning などのダッシュボードに取り込める形式で出力する
+ * 侵害パッケージ・依存関係の参照・疑わしいファイルをそれぞれ 1 件の result に変換する
+ *
+ * 位置情報は検査ルート（単一プロジェクトはターゲット、複数の場合は共通の親ディレクトリ）からの相対パス
+ * ルールの説明とメッセージはメッセージカタログ（i18n.cjs の report.sarif.*）から取得する
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { detectLang, createTranslator } = require('../i18n.cjs');
+const { describeSuspiciousFile } = require('./categories.cjs');
+
+const INFORMATION_URI = 'https://github.com/tech-takkwatanabe/npm-attack-detect-project';
+
+// リスクレベル -> SARIF のレベルと GitHub の security-severity
+const SEVERITY = {
+	critical: { level: 'error', securitySeverity: '9.8' },
+	high: { level: 'warning', securitySeverity: '7.5' },
+	warning: { level: 'note', securitySeverity: '4.0' },
+};
+
+// ルール定義（criticalLevel はリスクレベルの判定と同じ規則、説明は report.sarif.rule.<ID>）
+const RULES = {
+	'compromised-package-installed': {
+		name: 'CompromisedPackageInstalled',
+		criticalLevel: 'critical',
+	},
+	'compromised-dependency-reference': {
+		name: 'CompromisedDependencyReference',
+		criticalLevel: 'critical',
+	},
+	'compromised-package-locked': {
+		name: 'CompromisedPackageLocked',
+		criticalLevel: 'critical',
+	},
+	'compromised-package-declared': {
+		name: 'CompromisedPackageDeclared',
+		criticalLevel: 'high',
+	},
+	'suspicious-install-script': {
+		name: 'SuspiciousInstallScript',
+		criticalLevel: 'high',
+	},
+	'suspicious-file': {
+		name: 'SuspiciousFile',
+		criticalLevel: 'critical',
+	},
+};
+
+/**
+ * 複数のディレクトリに共通する親ディレクトリを取得
+ * @param {string[]} dirs - 絶対パスの配列
+ * @returns {string} 共通の親ディレクトリ
+ */
+function commonRoot(dirs) {
+	const split = dirs.map((dir) => path.resolve(dir).split(path.sep));
+	const common = [];
+	for (let i = 0; i < split[0].length; i++) {
+		if (!split.every((parts) => parts[i] === split[0][i])) break;
+		common.push(split[0][i]);
+	}
+	return common.join(path.sep) || path.sep;
+}
+
+/**
+ * result を作成
+ * @param {string} ruleId - ルール ID
+ * @param {string} message - メッセージ
+ * @param {string} root - 検査ルート
+ * @param {string} file - 位置のファイル（絶対パス）
+ * @param {number|null} line - 行番号
+ * @param {Object} properties - 追加情報
+ * @param {string} [criticalLevel] - この result のリスクレベル（デフォルト: ルールのリスクレベル）
+ * @returns {Object} SARIF の result
+ */
+function createResult(ruleId, message, root, file, line, properties, criticalLevel) {
+	const physicalLocation = {
+		artifactLocation: {
+			uri: path.relative(root, file).split(path.sep).join('/'),
+			uriBaseId: 'SRCROOT',
+		},
+	};
+	if (line) physicalLocation.region = { startLine: line };
+
+	return {
+		ruleId,
+		level: SEVERITY[criticalLevel || RULES[ruleId].criticalLevel].level,
+		message: { text: message },
+		locations: [{ physicalLocation }],
+		properties,
+	};
+}
+
+/**
+ * 1 プロジェクトの検査結果を result の配列に変換
+ * @param {Object} project - scanProject の戻り値
+ * @param {string} root - 検査ルート
+ * @param {Function} t - 翻訳関数
+ * @returns {Object[]} SARIF の result
+ */
+function projectResults(project, root, t) {
+	const sarifResults = [];
+	const versions = (item) => item.compromisedVersions.join(', ');
+	const workspace = (item) => (item.workspace ? { workspace: item.workspace } : {});
+	// キャンペーン・出典・初出日・深刻度（リストに情報がある場合のみ）
+	const advisory = (item) => (item.advisory ? { advisory: item.advisory } : {});
+	// ルートの package.json からのすべての依存経路
+	const dependencyPaths = (item) => (item.dependencyPaths ? { dependencyPaths: item.dependencyPaths } : {});
+
+	project.foundInNodeModules.forEach((item) => {
+		if (item.type === 'installed') {
+			sarifResults.push(
+				createResult(
+					'compromised-package-installed',
+					t('report.sarif.installed', { package: item.package, version: item.version, versions: versions(item) }),
+					root,
+					path.join(item.path, 'package.json'),
+					null,
+					{ package: item.package, version: item.version, depth: item.depth, ...dependencyPaths(item), ...workspace(item), ...advisory(item) },
+				),
+			);
+		} else {
+			sarifResults.push(
+				createResult(
+					'compromised-dependency-reference',
+					t('report.sarif.reference', { referencedBy: item.referencedBy, package: item.package, version: item.version, versions: versions(item) }),
+					root,
+					path.join(item.path, 'package.json'),
+					null,
+					{ package: item.package, version: item.version, referencedBy: item.referencedBy, ...dependencyPaths(item), ...workspace(item), ...advisory(item) },
+				),
+			);
+		}
+	});
+
+	project.foundInPackageJson.forEach((item) => {
+		const matching =
+			item.matchingVersions.length > 0 ? `${t('label.matchingVersions')}: ${item.matchingVersions.join(', ')}` : `${t('label.compromisedVersions')}: ${versions(item)}`;
+		sarifResults.push(
+			createResult(
+				'compromised-package-declared',
+				t('report.sarif.declared', { package: item.package, version: item.version, type: item.type, matching }),
+				root,
+				item.file || path.join(project.targetDirectory, 'package.json'),
+				item.line,
+				{ package: item.package, range: item.version, dependencyType: item.type, ...workspace(item), ...advisory(item) },
+			),
+		);
+	});
+
+	project.foundInLockfiles.forEach((item) => {
+		sarifResults.push(
+			createResult(
+				'compromised-package-locked',
+				t('report.sarif.locked', { package: item.package, version: item.version, path: item.dependencyPath.join(' > ') }),
+				root,
+				item.lockfile,
+				item.line,
+				{ package: item.package, version: item.version, dependencyPath: item.dependencyPath, ...dependencyPaths(item), ...workspace(item), ...advisory(item) },
+			),
+		);
+	});
+
+	(project.installScripts || [])
+		.filter((item) => item.flags.length > 0)
+		.forEach((item) => {
+			sarifResults.push(
+				createResult(
+					'suspicious-install-script',
+					t('report.sarif.installScript', { package: item.package, version: item.version, hook: item.hook, script: item.script }),
+					root,
+					path.join(item.path, 'package.json'),
+					null,
+					{ package: item.package, version: item.version, hook: item.hook, script: item.script, flags: item.flags, ...workspace(item) },
+					item.severity,
+				),
+			);
+		});
+
+	(project.suspiciousFiles || []).forEach((item) => {
+		item.paths.forEach((filePath) => {
+			sarifResults.push(
+				createResult('suspicious-file', t('report.sarif.suspiciousFile', { name: item.name, description: describeSuspiciousFile(item, t) }), root, filePath, null, {
+					fileName: path.basename(filePath),
+					ioc: item.name,
+					iocType: item.type,
+				}, item.severity),
+			);
+		});
+	});
+
+	return sarifResults;
+}
+
+module.exports = {
+	name: 'sarif',
+	extension: '.sarif',
+
+	/**
+	 * 検査結果を SARIF 2.1.0 の JSON 文字列に変換
+	 * @param {Object} results - 検査結果（単一プロジェクト、または projects を持つ集計結果）
+	 * @param {Object} [options] - { t: 翻訳関数（デフォルト: 環境変数の言語） }
+	 * @returns {string} レポート本文
+	 */
+	render(results, options = {}) {
+		const t = options.t || createTranslator(detectLang());
+		const projects = results.projects || [results];
+		const root = commonRoot(projects.map((project) => project.targetDirectory));
+
+		const sarif = {
+			$schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+			version: '2.1.0',
+			runs: [
+				{
+					tool: {
+						driver: {
+							name: 'npm-attack-detect-project',
+							informationUri: INFORMATION_URI,
+							rules: Object.entries(RULES).map(([id, rule]) => ({
+								id,
+								name: rule.name,
+								shortDescription: { text: t(`report.sarif.rule.${id}`) },
+								helpUri: INFORMATION_URI,
+								defaultConfiguration: { level: SEVERITY[rule.criticalLevel].level },
+								properties: {
+									tags: ['security', 'supply-chain'],
+									'security-severity': SEVERITY[rule.criticalLevel].securitySeverity,
+									criticalLevel: rule.criticalLevel,
+								},
+							})),
+						},
+					},
+					originalUriBaseIds: {
+						SRCROOT: { uri: pathToFileURL(root + (root.endsWith(path.sep) ? '' : path.sep)).href },
+					},
+					invocations: [{ executionSuccessful: true, endTimeUtc: results.timestamp }],
+					results: projects.flatMap((project) => projectResults(project, root, t)),
+				},
+			],
+		};
+
+		return JSON.stringify(sarif, null, 2);
+	},
+};
@@ -0,0 +1,866 @@
+/**
+ * 検査エンジン
+ * コンソールへの出力は行わず、構造化された検査結果を返す
+ * ライブラリとして require() し、プロセスを起動せずに検査できる
+ *
+ *   const { scan } = require('./lib/scanner.cjs');
+ *   const report = scan({ targetDir: '../my-project', lists: ['compromised_packages.json'] });
+ *
+ * 検査の進捗は onEvent(type, data) で通知される（表示はレポーター側で行う）:
+ *   'project'         { targetDir, workspaces }  プロジェクトの検査開始
+ *   'suspiciousFiles' { targetDir, files, scanned, skipped, error }  IOC（ファイル名・SHA-256・シグネチャ）と悪意のあるワークフローに一致したファイル
+ *   'nodeModules'     { targetDir, path, found, linker, packages, instances, checkedCount, installed, references, error }
+ *                     linker は 'node-modules' または 'pnp'（Yarn PnP の場合、path は .pnp.cjs / .pnp.data.json / .yarn/cache）
+ *   'installScripts'  { targetDir, scripts }  ライフサイクルスクリプトを持つインストール済みパッケージ（node_modules / PnP がある場合のみ）
+ *   'packageJson'     { targetDir, path, manifests: [{ file, workspace, error, findings }] }
+ *   'lockfiles'       { targetDir, binaryBunLockfile, lockfiles: [{ file, type, packageCount, error, findings }] }
+ *   'explain'         { targetDir, package, version, sources }  explainPackage の結果（index.cjs の explain コマンド）
+ *   'host'            { home, artifacts, credentials, rotate }  ホームディレクトリの検査（options.host 指定時、全プロジェクトの後）
+ *   'caches'          { locations: [{ type, dir, packageCount, error, findings }] }  グローバル・キャッシュの検査（options.caches 指定時）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findLockfiles, parseLockfile, computeDependencyPaths } = require('./lockfiles.cjs');
+const semver = require('./semver.cjs');
+const { buildInventory, countInstances } = require('./inventory.cjs');
+const { PNP_FILES, buildPnpInventory } = require('./pnp.cjs');
+const { DEFAULT_MAX_PATHS, parsePackageSpec, matchesVersion, buildInstalledGraph, findDependencyPaths } = require('./graph.cjs');
+const { discoverProjects } = require('./discover.cjs');
+const { findWorkspaces } = require('./workspaces.cjs');
+const { loadOsvDirectory } = require('./osv.cjs');
+const { IOCS, scanIocs, countInfectedFiles } = require('./ioc.cjs');
+const { auditInstallScripts } = require('./scripts.cjs');
+const { inspectWorkflows } = require('./workflows.cjs');
+const { inspectHost } = require('./host.cjs');
+const { listCachedPackages } = require('./caches.cjs');
+
+const DEFAULT_PACKAGE_LIST_FILE = path.join(__dirname, '..', 'compromised_packages.json');
+
+// Shai-Hulud が生成するファイル（ファイル名の IOC、内容の照合は lib/ioc.cjs）
+const SUSPICIOUS_FILES = IOCS.filter((ioc) => ioc.type === 'filename').map((ioc) => ({ name: ioc.value, description: ioc.description }));
+
+// 侵害パッケージのマップ -> (パッケージ名 -> (バージョンまたは範囲 -> 出典情報))
+// マップの値（バージョンの配列）は従来どおりに保ち、キャンペーンなどの情報はここで引く
+// バージョンごとの情報がない場合は '*' をパッケージ全体の情報として使う
+const ADVISORIES = new WeakMap();
+
+/**
+ * 侵害パッケージリスト (JSON) を読み込む
+ * @param {string} file - compromised_packages.json のパス
+ * @returns {Object} リストの内容（{ metadata, packages: [{ name, versions, ranges, campaign, source, firstSeen, severity, provenance }] }）
+ */
+function loadCompromisedList(file) {
+	return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * リストのエントリーから出典情報を取り出す
+ * @param {Object} info - { campaign, source, firstSeen, severity } を持つオブジェクト
+ * @returns {Object|null} 出典情報（いずれの情報もない場合は null）
+ */
+function advisoryFrom(info) {
+	if (!info || (!info.campaign && !info.source && !info.firstSeen && !info.severity)) return null;
+	return { campaign: info.campaign || null, source: info.source || null, firstSeen: info.firstSeen || null, severity: info.severity || null };
+}
+
+/**
+ * 侵害パッケージのマップを作成
+ * 複数のリストはバージョンを合算する
+ * 範囲で指定されたエントリー（ranges: [">=1.0.0 <1.2.0"]）は、範囲の文字列のままバージョンの配列に含める
+ * キャンペーン・出典・初出日・深刻度はバージョンごとに記録し、advisoryOf() で参照する
+ * @param {Array<string|Object|Map>} lists - リストのパス、読み込み済みのリスト、またはマップ
+ * @returns {Map} パッケージ名 -> 侵害バージョン（または範囲）の配列
+ */
+function createCompromisedMap(lists) {
+	const map = new Map();
+	const advisories = new Map();
+	ADVISORIES.set(map, advisories);
+
+	// 先に読み込んだリストの情報を優先する
+	const addAdvisory = (name, version, advisory) => {
+		if (!advisory) return;
+		if (!advisories.has(name)) advisories.set(name, new Map());
+		const byVersion = advisories.get(name);
+		const key = version === null ? '*' : String(version).replace(/^v/, '');
+		if (!byVersion.has(key)) byVersion.set(key, advisory);
+	};
+
+	const add = (name, versions) => {
+		if (!map.has(name)) map.set(name, []);
+		const merged = map.get(name);
+		versions.forEach((version) => {
+			// バージョンから 'v' プレフィックスを削除して正規化
+			const normalized = String(version).replace(/^v/, '');
+			if (!merged.includes(normalized)) merged.push(normalized);
+		});
+	};
+
+	lists.forEach((list) => {
+		if (list instanceof Map) {
+			list.forEach((versions, name) => add(name, versions));
+			(ADVISORIES.get(list) || new Map()).forEach((byVersion, name) => {
+				byVersion.forEach((advisory, version) => addAdvisory(name, version === '*' ? null : version, advisory));
+			});
+			return;
+		}
+		const data = typeof list === 'string' ? loadCompromisedList(list) : list;
+		// provenance のリスト名 -> リストの情報（metadata.lists）
+		const listInfo = new Map(((data.metadata && data.metadata.lists) || []).filter((info) => info && info.file).map((info) => [info.file, info]));
+
+		data.packages.forEach((pkg) => {
+			add(pkg.name, [...(pkg.versions || []), ...(pkg.ranges || [])]);
+			(pkg.provenance || []).forEach((item) => {
+				const version = item.version || item.range;
+				// レコードごとに異なる情報（OSV のアドバイザリー ID など）は provenance に記録されている
+				if (version) addAdvisory(pkg.name, version, advisoryFrom({ ...listInfo.get(item.list), ...item }));
+			});
+			addAdvisory(pkg.name, null, advisoryFrom(pkg));
+		});
+	});
+
+	return map;
+}
+
+/**
+ * 侵害バージョンの出典情報を取得
+ * @param {Map} compromised - 侵害パッケージのマップ
+ * @param {string} packageName - パッケージ名
+ * @param {string|null} version - バージョン（null の場合はパッケージ全体の情報）
+ * @returns {{campaign: string|null, source: string|null, firstSeen: string|null, severity: string|null}|null} 情報がない場合は null
+ */
+function advisoryOf(compromised, packageName, version) {
+	const advisories = ADVISORIES.get(compromised);
+	const byVersion = advisories && advisories.get(packageName);
+	if (!byVersion) return null;
+	if (version) {
+		const normalized = String(version).replace(/^v/, '');
+		if (byVersion.has(normalized)) return byVersion.get(normalized);
+		// 範囲で指定されたエントリー
+		for (const [key, advisory] of byVersion) {
+			if (key !== '*' && !semver.valid(key) && semver.satisfies(normalized, key, { includePrerelease: true })) return advisory;
+		}
+	}
+	return byVersion.get('*') || null;
+}
+
+/**
+ * パッケージとバージョンが侵害されているかチェック
+ * @param {Map} compromised - 侵害パッケージのマップ
+ * @param {string} packageName - パッケージ名
+ * @param {string} version - バージョン
+ * @returns {boolean} 侵害されている場合 true
+ */
+function isCompromised(compromised, packageName, version) {
+	if (!compromised.has(packageName)) {
+		return false;
+	}
+
+	const compromisedVersions = compromised.get(packageName);
+	const normalizedVersion = version.replace(/^v/, '');
+
+	// 範囲で指定されたエントリーは、バージョンが範囲に含まれるかで判定
+	// 侵害された範囲はプレリリース版も含む（OSV の introduced: "0" から変換した "*" はすべてのバージョン）
+	return (
+		compromisedVersions.includes(normalizedVersion) ||
+		compromisedVersions.some((entry) => !semver.valid(entry) && semver.satisfies(normalizedVersion, entry, { includePrerelease: true }))
+	);
+}
+
+/**
+ * プロジェクトのルートの表示名（package.json の name）
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @returns {string} package.json の name（ない場合は "."）
+ */
+function projectLabel(targetDir) {
+	try {
+		return JSON.parse(fs.readFileSync(path.join(targetDir, 'package.json'), 'utf8')).name || '.';
+	} catch (error) {
+		return '.'; // package.json がない場合は "." で表示
+	}
+}
+
+/**
+ * プロジェクトのインストール済みパッケージのインベントリを作成
+ * ルートと各ワークスペースの node_modules を走査し、Yarn PnP のデータ（.pnp.cjs など）がある場合や
+ * node_modules にパッケージがない場合は Yarn PnP（.pnp.cjs / .yarn/cache）から作成する
+ * 各インスタンスには所属するワークスペース（workspace）を記録する
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @param {Object} [options] - { maxDepth, workspaces: findWorkspaces の戻り値, rootLabel: ルートの表示名,
+ *   declaredBy: パッケージ名 -> 直接宣言しているワークスペース（ルートに巻き上げられたパッケージの帰属先） }
+ * @returns {{inventory: Map|null, linker: string|null, path: string, error: Error|null}} linker は 'node-modules' / 'pnp'
+ *   （どちらもない場合は inventory と共に null）、path は node_modules または PnP のファイル、error は PnP のデータの解析エラー
+ */
+function loadInstalledInventory(targetDir, options = {}) {
+	const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 5;
+	const workspaces = options.workspaces || [];
+	const rootLabel = options.rootLabel || projectLabel(targetDir);
+	const declaredBy = options.declaredBy || new Map();
+	const rootNodeModules = path.join(targetDir, 'node_modules');
+
+	// 実体がワークスペースのメンバーのフォルダにあるインスタンス（シンボリックリンクで参照されるメンバー自身や
+	// メンバーの node_modules）は、そのメンバーに帰属させる（入れ子のメンバーは深い方を優先）
+	const realpathOf = (target) => {
+		try {
+			return fs.realpathSync(target);
+		} catch (error) {
+			return path.resolve(target);
+		}
+	};
+	const memberDirs = workspaces.map((member) => ({ name: member.name, dir: realpathOf(member.dir) })).sort((a, b) => b.dir.length - a.dir.length);
+	const memberOf = (realPath) => memberDirs.find(({ dir }) => realPath === dir || realPath.startsWith(dir + path.sep)) || null;
+
+	// ルートと各ワークスペースの node_modules
+	const nodeModulesDirs = [
+		{ workspace: rootLabel, dir: rootNodeModules },
+		...workspaces.map((member) => ({ workspace: member.name, dir: path.join(member.dir, 'node_modules') })),
+	].filter(({ dir }) => fs.existsSync(dir));
+
+	// PnP のプロジェクトにもツールが作成する node_modules（node_modules/.cache など）があるため、PnP のデータを優先する
+	const hasPnpData = PNP_FILES.some((name) => fs.existsSync(path.join(targetDir, name)));
+
+	if (nodeModulesDirs.length > 0 && !hasPnpData) {
+		// node_modules を一度だけ走査し、以降の検査はすべてインベントリから回答する
+		// ワークスペースの node_modules もまとめ、各インスタンスに所属するワークスペースを記録する
+		const inventory = new Map();
+		nodeModulesDirs.forEach(({ workspace, dir }) => {
+			for (const [name, instances] of buildInventory(dir, { maxDepth })) {
+				// ルートの node_modules にあるパッケージは、宣言しているワークスペースに帰属させる
+				const owner = dir === rootNodeModules ? declaredBy.get(name) || workspace : workspace;
+				instances.forEach((instance) => {
+					const realPath = memberDirs.length > 0 ? realpathOf(instance.path) : null;
+					const member = realPath && memberOf(realPath);
+					// ルートからメンバーへのリンクを経由したメンバーの node_modules は、メンバーの node_modules の走査で記録する
+					if (dir === rootNodeModules && member && realPath.startsWith(path.join(member.dir, 'node_modules') + path.sep)) return;
+					if (!inventory.has(name)) inventory.set(name, []);
+					inventory.get(name).push({ ...instance, workspace: member ? member.name : owner });
+				});
+			}
+		});
+		// パッケージのない node_modules で .yarn/cache がある場合は、PnP（.yarn/cache）のインベントリを使う
+		if (inventory.size > 0 || !fs.existsSync(path.join(targetDir, '.yarn', 'cache'))) {
+			return { inventory, linker: 'node-modules', path: rootNodeModules, error: null };
+		}
+	}
+
+	// node_modules がない場合は Yarn PnP（.pnp.cjs / .yarn/cache）のインベントリを使う
+	// PnP はすべてのパッケージがルートにあるものとして、宣言しているワークスペースに帰属させる
+	try {
+		const pnp = buildPnpInventory(targetDir);
+		if (!pnp) return { inventory: null, linker: null, path: rootNodeModules, error: null };
+
+		const inventory = new Map();
+		for (const [name, instances] of pnp.inventory) {
+			inventory.set(
+				name,
+				instances.map((instance) => {
+					const member = memberDirs.length > 0 ? memberOf(realpathOf(instance.path)) : null;
+					return { ...instance, workspace: member ? member.name : declaredBy.get(name) || rootLabel };
+				}),
+			);
+		}
+		return { inventory, linker: 'pnp', path: pnp.file, error: null };
+	} catch (error) {
+		return { inventory: null, linker: null, path: rootNodeModules, error };
+	}
+}
+
+/**
+ * 依存経路の一覧を検出結果に付ける形式に変換
+ * @param {string[][]} found - findDependencyPaths で求めた経路
+ * @param {string[]} fallback - 経路がない場合（ルートから辿れない場合）の経路
+ * @returns {{dependencyPath: string[], dependencyPaths: string[][]}} 最短の経路とすべての経路
+ */
+function withDependencyPaths(found, fallback) {
+	const dependencyPaths = found.length > 0 ? found : [fallback];
+	return { dependencyPath: dependencyPaths[0], dependencyPaths };
+}
+
+/**
+ * 1 つのプロジェクトを検査
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @param {Object} options - { compromised: 侵害パッケージのマップ, maxDepth: node_modules の最大検索深度,
+ *   iocNodeModules: node_modules の中も IOC と照合（デフォルト: true）,
+ *   iocNodeModulesContent: node_modules の中のすべてのファイルの内容を照合（デフォルト: false）,
+ *   strictScripts: 経験則のパターンに一致したインストールスクリプトも high として数える（デフォルト: false）, iocMaxFileSize: 内容を照合するファイルの最大サイズ（バイト）,
+ *   maxPaths: 検出結果ごとに記録する依存経路の上限（デフォルト: 100、0 で 10,000 件まで）, t: 翻訳関数（エラーメッセージ用）, onEvent }
+ * @returns {Object} 検査結果
+ */
+function scanProject(targetDir, options) {
+	const compromised = options.compromised;
+	const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 5;
+	const maxPaths = options.maxPaths !== undefined ? options.maxPaths : DEFAULT_MAX_PATHS;
+	const emit = options.onEvent || (() => {});
+
+	// 検査対象ファイルのパス
+	const paths = {
+		packageJson: path.join(targetDir, 'package.json'),
+	};
+
+	// 結果を格納するオブジェクト
+	const results = {
+		timestamp: new Date().toISOString(),
+		targetDirectory: targetDir,
+		totalChecked: compromised.size,
+		foundInNodeModules: [],
+		foundInPackageJson: [],
+		foundInLockfiles: [],
+		summary: {
+			safe: true,
+			totalIssues: 0,
+			criticalLevel: 'none', // none, high, critical
+		},
+	};
+
+	// ワークスペース（モノレポ）のメンバー
+	// 検出結果は依存関係を宣言しているワークスペースのパッケージに帰属させる
+	const workspaces = findWorkspaces(targetDir);
+	const rootLabel = projectLabel(targetDir);
+	// ワークスペースでない場合は帰属先を記録しない（レポートの形式は従来どおり）
+	const attribute = (finding, workspace) => (workspaces.length > 0 ? { ...finding, workspace } : finding);
+
+	// パッケージ名 -> 直接宣言しているワークスペース（ルートに巻き上げられたパッケージの帰属先）
+	const declaredBy = new Map();
+	[{ name: rootLabel, dir: targetDir }, ...workspaces].forEach((member) => {
+		if (workspaces.length === 0) return;
+		try {
+			const pkgJson = JSON.parse(fs.readFileSync(path.join(member.dir, 'package.json'), 'utf8'));
+			const deps = { ...pkgJson.dependencies, ...pkgJson.devDependencies, ...pkgJson.peerDependencies, ...pkgJson.optionalDependencies };
+			Object.keys(deps).forEach((dep) => {
+				if (!declaredBy.has(dep)) declaredBy.set(dep, member.name);
+			});
+		} catch (error) {
+			// package.json の読み込みエラーは無視
+		}
+	});
+
+	emit('project', { targetDir, workspaces });
+
+	// 疑わしいファイルのチェック（最優先）
+	// ファイル名に加えて内容（SHA-256・シグネチャ）も照合し、node_modules の中のペイロードも検出する
+	// GitHub Actions のワークフロー（.github/workflows/）は既知の悪意のあるワークフローと照合する
+	try {
+		const iocs = scanIocs(targetDir, {
+			nodeModules: options.iocNodeModules,
+			nodeModulesContent: options.iocNodeModulesContent,
+			maxFileSize: options.iocMaxFileSize,
+		});
+		const { scanned, skipped } = iocs;
+		const files = [...iocs.files, ...inspectWorkflows(targetDir)];
+
+		if (files.length > 0) {
+			results.suspiciousFiles = files;
+		}
+		emit('suspiciousFiles', { targetDir, files, scanned, skipped, error: null });
+	} catch (error) {
+		emit('suspiciousFiles', { targetDir, files: [], scanned: 0, skipped: 0, error });
+	}
+
+	// インストール済みパッケージ（node_modules、ない場合は Yarn PnP）
+	const installedTree = loadInstalledInventory(targetDir, { maxDepth, workspaces, rootLabel, declaredBy });
+
+	if (installedTree.inventory) {
+		const inventory = installedTree.inventory;
+
+		// 実際にインストールされているパッケージを検索
+		const installed = [];
+		for (const [pkg, compromisedVersions] of compromised) {
+			(inventory.get(pkg) || []).forEach((instance) => {
+				// バージョンチェック: 侵害されたバージョンのみを報告
+				if (!isCompromised(compromised, pkg, instance.version)) return;
+
+				installed.push(
+					attribute(
+						{
+							package: pkg,
+							version: instance.version,
+							path: instance.path,
+							depth: instance.depth,
+							type: 'installed',
+							compromisedVersions: compromisedVersions, // 侵害されたバージョンリストを追加
+							advisory: advisoryOf(compromised, pkg, instance.version),
+						},
+						instance.workspace,
+					),
+				);
+			});
+		}
+
+		// インストール済みパッケージの package.json に宣言された依存関係から侵害パッケージを抽出
+		const references = [];
+		for (const instances of inventory.values()) {
+			for (const instance of instances) {
+				for (const [depName, range] of Object.entries(instance.dependencies)) {
+					if (!compromised.has(depName)) continue;
+
+					const compromisedVersions = compromised.get(depName);
+					const installedInstances = inventory.get(depName) || [];
+
+					// 実際にインストールされているバージョンが侵害されているかチェック
+					const installedCompromisedVersions = installedInstances
+						.filter((depInstance) => isCompromised(compromised, depName, depInstance.version))
+						.map((depInstance) => depInstance.version);
+
+					const reference = {
+						package: depName,
+						path: instance.path,
+						depth: instance.depth,
+						type: 'dependency-reference',
+						referencedBy: instance.name,
+						range: range,
+						compromisedVersions: compromisedVersions,
+					};
+
+					if (installedCompromisedVersions.length > 0) {
+						// 侵害されたバージョンが実際にインストールされている場合
+						const advisory = advisoryOf(compromised, depName, installedCompromisedVersions[0]);
+						references.push(attribute({ ...reference, version: installedCompromisedVersions.join(', '), advisory }, instance.workspace));
+					} else if (installedInstances.length === 0) {
+						// インストールされていない場合、宣言された範囲が侵害バージョンに解決される可能性をチェック
+						const matchingVersions = semver.matchingVersions(range, compromisedVersions) || [];
+						if (matchingVersions.length > 0) {
+							const advisory = advisoryOf(compromised, depName, matchingVersions[0]);
+							references.push(attribute({ ...reference, version: range, matchingVersions: matchingVersions, advisory }, instance.workspace));
+						}
+					}
+				}
+			}
+		}
+
+		// ルートの package.json から検出されたパッケージ（依存関係の参照は依存元）に至る依存経路
+		if (installed.length + references.length > 0) {
+			const graph = buildInstalledGraph(inventory, [
+				{ label: rootLabel, dir: targetDir },
+				...workspaces.map((member) => ({ label: member.name, dir: member.dir })),
+			]);
+			const pathsTo = (item) => findDependencyPaths(graph, graph.keys.get(item.path), { maxPaths }).paths;
+			// どのワークスペースも直接宣言していない（推移的に巻き上げられた）パッケージは、
+			// ルートに帰属させず、最短の依存経路の起点のワークスペースに帰属させる
+			const memberNames = new Set(workspaces.map((member) => member.name));
+			const ownerOf = (item, name, found) =>
+				item.workspace === rootLabel && !declaredBy.has(name) && found.length > 0 && memberNames.has(found[0][0]) ? found[0][0] : item.workspace;
+			installed.forEach((item, index) => {
+				const found = pathsTo(item);
+				installed[index] = attribute({ ...item, ...withDependencyPaths(found, [`${item.package}@${item.version}`]) }, ownerOf(item, item.package, found));
+			});
+			references.forEach((item, index) => {
+				const target = `${item.package}@${item.version}`;
+				const found = pathsTo(item).map((chain) => [...chain, target]);
+				references[index] = attribute({ ...item, ...withDependencyPaths(found, [item.referencedBy, target]) }, ownerOf(item, item.referencedBy, found));
+			});
+		}
+
+		results.foundInNodeModules.push(...installed, ...references);
+		emit('nodeModules', {
+			targetDir,
+			path: installedTree.path,
+			found: true,
+			linker: installedTree.linker,
+			error: null,
+			packages: inventory.size,
+			instances: countInstances(inventory),
+			checkedCount: compromised.size,
+			installed,
+			references,
+		});
+
+		// インストールスクリプト（preinstall / install / postinstall / prepare）の監査
+		// 不審なパターンに一致したものだけでなく、スクリプトを持つパッケージをすべて記録する
+		const workspaceOf = new Map();
+		inventory.forEach((instances) => instances.forEach((instance) => workspaceOf.set(instance.path, instance.workspace)));
+		results.installScripts = auditInstallScripts(inventory, { strict: options.strictScripts }).map((audit) => attribute(audit, workspaceOf.get(audit.path)));
+		emit('installScripts', { targetDir, scripts: results.installScripts });
+	} else {
+		emit('nodeModules', { targetDir, path: installedTree.path, found: false, error: installedTree.error });
+	}
+
+	// package.json の検査（ルートと各ワークスペース）
+	const manifests = [];
+	const manifestFiles = [
+		...(fs.existsSync(paths.packageJson) ? [{ file: paths.packageJson, workspace: rootLabel }] : []),
+		...workspaces.map((member) => ({ file: path.join(member.dir, 'package.json'), workspace: member.name })),
+	];
+
+	manifestFiles.forEach(({ file, workspace }) => {
+		const manifest = { file, workspace, error: null, findings: [] };
+		manifests.push(manifest);
+
+		try {
+			const text = fs.readFileSync(file, 'utf8');
+			const packageJson = JSON.parse(text);
+			const lines = text.split('\n');
+
+			// 依存関係が宣言されている行番号（セクション内の最初の出現位置）
+			const lineOf = (type, pkg) => {
+				const section = lines.findIndex((line) => line.includes(`"${type}"`));
+				const index = lines.findIndex((line, i) => i >= section && line.includes(`"${pkg}"`));
+				return section === -1 || index === -1 ? null : index + 1;
+			};
+
+			const checkDeps = (deps, type) => {
+				if (!deps) return;
+
+				Object.keys(deps).forEach((pkg) => {
+					if (!compromised.has(pkg)) return;
+
+					// package.json のバージョンは範囲指定（^1.0.0など）なので、
+					// 範囲が侵害バージョンを含むかを評価する
+					const compromisedVersions = compromised.get(pkg);
+					const matchingVersions = semver.matchingVersions(deps[pkg], compromisedVersions);
+
+					// 範囲を評価でき、侵害バージョンを含まない場合は安全
+					// （バージョン情報のないエントリや git/URL 指定などはパッケージ名のみで判定）
+					if (compromisedVersions.length > 0 && matchingVersions !== null && matchingVersions.length === 0) return;
+
+					manifest.findings.push(
+						attribute(
+							{
+								package: pkg,
+								version: deps[pkg],
+								type,
+								file,
+								line: lineOf(type, pkg),
+								compromisedVersions: compromisedVersions,
+								matchingVersions: matchingVersions || [],
+								advisory: advisoryOf(compromised, pkg, matchingVersions && matchingVersions.length > 0 ? matchingVersions[0] : null),
+							},
+							workspace,
+						),
+					);
+				});
+			};
+
+			checkDeps(packageJson.dependencies, 'dependencies');
+			checkDeps(packageJson.devDependencies, 'devDependencies');
+			checkDeps(packageJson.peerDependencies, 'peerDependencies');
+			checkDeps(packageJson.optionalDependencies, 'optionalDependencies');
+		} catch (error) {
+			manifest.error = error;
+		}
+
+		results.foundInPackageJson.push(...manifest.findings);
+	});
+
+	emit('packageJson', { targetDir, path: paths.packageJson, manifests });
+
+	// ロックファイルの検査
+	const lockfiles = findLockfiles(targetDir).map((lockfilePath) => {
+		const lockfile = { file: lockfilePath, type: null, packageCount: 0, error: null, findings: [] };
+
+		try {
+			const lock = parseLockfile(lockfilePath, { t: options.t });
+			const dependencyPaths = computeDependencyPaths(lock);
+			lockfile.type = lock.type;
+			lockfile.packageCount = lock.packages.size;
+
+			for (const [key, pkg] of lock.packages) {
+				if (!isCompromised(compromised, pkg.name, pkg.version)) continue;
+
+				// ルートから辿れない場合（孤立したエントリ）はパッケージ自身のみ
+				const dependencyPath = dependencyPaths.get(key) || [`${pkg.name}@${pkg.version}`];
+				const { paths: allPaths } = findDependencyPaths(lock, key, { maxPaths });
+
+				// 依存経路の先頭は、そのパッケージを導入したインポーター（ルートまたはワークスペース）
+				lockfile.findings.push(
+					attribute(
+						{
+							package: pkg.name,
+							version: pkg.version,
+							lockfile: lockfilePath,
+							lockfileType: lock.type,
+							line: pkg.line,
+							dependencyPath: dependencyPath,
+							dependencyPaths: allPaths.length > 0 ? allPaths : [dependencyPath],
+							compromisedVersions: compromised.get(pkg.name),
+							advisory: advisoryOf(compromised, pkg.name, pkg.version),
+						},
+						dependencyPaths.has(key) ? dependencyPath[0] : null,
+					),
+				);
+			}
+		} catch (error) {
+			lockfile.error = error;
+		}
+
+		results.foundInLockfiles.push(...lockfile.findings);
+		return lockfile;
+	});
+
+	emit('lockfiles', { targetDir, binaryBunLockfile: fs.existsSync(path.join(targetDir, 'bun.lockb')), lockfiles });
+
+	// 結果の集計とリスクレベルの判定
+	// ロックファイルで解決済みの侵害バージョンは、次回のインストールで確実に導入されるため critical
+	addIssues(results.summary, results.foundInNodeModules.length + results.foundInLockfiles.length, 'critical');
+	addIssues(results.summary, results.foundInPackageJson.length, 'high');
+
+	// IOC・悪意のあるワークフローに一致したファイルは感染の痕跡そのものなので critical（ファイルごとに数える）
+	addIssues(results.summary, countInfectedFiles(results.suspiciousFiles), 'critical');
+
+	// 不審なパターンに一致したインストールスクリプトは、パターンのリスクレベルで数える（warning は報告のみ）
+	const flaggedScripts = results.installScripts || [];
+	addIssues(results.summary, flaggedScripts.filter((item) => item.severity === 'critical').length, 'critical');
+	addIssues(results.summary, flaggedScripts.filter((item) => item.severity === 'high').length, 'high');
+
+	return results;
+}
+
+// リスクレベルの順位（summary.criticalLevel の比較用）
+const LEVEL_RANK = { none: 0, high: 1, critical: 2 };
+
+/**
+ * サマリーに問題を加算し、リスクレベルを引き上げる
+ * @param {Object} summary - 検査結果の summary（safe, totalIssues, criticalLevel）
+ * @param {number} count - 問題の件数
+ * @param {string} level - 問題のリスクレベル（'high' | 'critical'）
+ */
+function addIssues(summary, count, level) {
+	if (count === 0) return;
+	summary.totalIssues += count;
+	summary.safe = false;
+	if (LEVEL_RANK[level] > LEVEL_RANK[summary.criticalLevel]) summary.criticalLevel = level;
+}
+
+/**
+ * パッケージがインストールされている理由を調べる (explain)
+ * インストール済みのツリー（node_modules / Yarn PnP）と各ロックファイルで、パッケージに一致するインスタンスごとに
+ * ルートの package.json（またはワークスペース）からのすべての依存経路を求める
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @param {string} spec - パッケージの指定（例: "pkg", "pkg@1.2.3", "@scope/pkg@^1.0.0"）
+ * @param {Object} [options] - { maxDepth: node_modules の最大検索深度, maxPaths: インスタンスごとの依存経路の上限（デフォルト: 100、0 で 10,000 件まで）,
+ *   t: 翻訳関数（エラーメッセージ用） }
+ * @returns {Object} { targetDir, package, version, sources: [{ type, file, error, matches: [{ version, path, line, paths, truncated }] }] }
+ *   error は解析できなかった場合のメッセージ、type は 'node-modules' / 'pnp' / ロックファイルの種類（'npm' など）、path はインストール済みのツリー、line はロックファイルの場合のみ
+ */
+function explainPackage(targetDir, spec, options = {}) {
+	const { name, version } = parsePackageSpec(spec);
+	const maxPaths = options.maxPaths !== undefined ? options.maxPaths : DEFAULT_MAX_PATHS;
+	const workspaces = findWorkspaces(targetDir);
+	const rootLabel = projectLabel(targetDir);
+	const sources = [];
+
+	// インストール済みのツリー
+	const installedTree = loadInstalledInventory(targetDir, { maxDepth: options.maxDepth, workspaces, rootLabel });
+	if (installedTree.inventory) {
+		const graph = buildInstalledGraph(installedTree.inventory, [
+			{ label: rootLabel, dir: targetDir },
+			...workspaces.map((member) => ({ label: member.name, dir: member.dir })),
+		]);
+		// pnpm のシンボリックリンクと実体は 1 つのインスタンスとして扱う
+		const seen = new Set();
+		const matches = (installedTree.inventory.get(name) || [])
+			.filter((instance) => matchesVersion(instance.version, version))
+			.filter((instance) => !seen.has(graph.keys.get(instance.path)) && seen.add(graph.keys.get(instance.path)))
+			.map((instance) => ({
+				version: instance.version,
+				path: instance.path,
+				...findDependencyPaths(graph, graph.keys.get(instance.path), { maxPaths }),
+			}));
+		sources.push({ type: installedTree.linker, file: installedTree.path, error: null, matches });
+	} else if (installedTree.error) {
+		// レポート (JSON) に出力するためメッセージで記録
+		sources.push({ type: 'pnp', file: installedTree.error.file, error: installedTree.error.message, matches: [] });
+	}
+
+	// ロックファイル
+	findLockfiles(targetDir).forEach((lockfilePath) => {
+		const source = { type: null, file: lockfilePath, error: null, matches: [] };
+		try {
+			const lock = parseLockfile(lockfilePath, { t: options.t });
+			source.type = lock.type;
+			for (const [key, pkg] of lock.packages) {
+				if (pkg.name !== name || !matchesVersion(pkg.version, version)) continue;
+				source.matches.push({ version: pkg.version, line: pkg.line, ...findDependencyPaths(lock, key, { maxPaths }) });
+			}
+		} catch (error) {
+			source.error = error.message;
+		}
+		sources.push(source);
+	});
+
+	return { targetDir, package: name, version, sources };
+}
+
+/**
+ * グローバルプレフィックス・キャッシュのパッケージを検査
+ * @param {Array<{type: string, dir: string}>} locations - 場所（type: 'global' | 'npm-cache' | 'pnpm-store' | 'yarn-cache'）
+ * @param {Map} compromised - 侵害パッケージのマップ
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用） }
+ * @returns {Object[]} 場所ごとの結果 { type, dir, packageCount, error, findings: [{ package, version, path, source?, compromisedVersions, advisory }] }
+ */
+function scanCaches(locations, compromised, options = {}) {
+	return locations.map(({ type, dir }) => {
+		const location = { type, dir: path.resolve(dir), packageCount: 0, error: null, findings: [] };
+
+		try {
+			const packages = listCachedPackages(type, dir, { t: options.t });
+			location.packageCount = packages.length;
+
+			packages.forEach((pkg) => {
+				// yarn (Berry) のスコープ付きパッケージは名前の候補のいずれかで照合
+				const name = (pkg.names || [pkg.name]).find((candidate) => isCompromised(compromised, candidate, pkg.version));
+				if (!name) return;
+
+				location.findings.push({
+					package: name,
+					version: pkg.version,
+					path: pkg.path,
+					...(pkg.source ? { source: pkg.source } : {}),
+					compromisedVersions: compromised.get(name),
+					advisory: advisoryOf(compromised, name, pkg.version),
+				});
+			});
+		} catch (error) {
+			// レポート (JSON) に出力するためメッセージで記録
+			location.error = error.message;
+		}
+
+		return location;
+	});
+}
+
+/**
+ * プロジェクトの外の検出結果（グローバル・キャッシュ、ホスト）をレポートのサマリーに加える
+ * scanProject・aggregateResults のサマリーはプロジェクトの検出結果のみなので、caches / host を付け加えた後に一度だけ呼び出す
+ * @param {Object} report - 単一プロジェクトの検査結果、または集計結果
+ * @returns {Object} report（summary を更新）
+ */
+function addReportFindings(report) {
+	// グローバル・キャッシュの侵害バージョンは、再インストールで確実に導入されるため critical
+	if (report.caches) {
+		addIssues(report.summary, report.caches.reduce((sum, location) => sum + location.findings.length, 0), 'critical');
+	}
+	// ホストの感染の痕跡は critical。Bun のインストール（warning）は正規の利用もあるため数えない
+	if (report.host) {
+		addIssues(report.summary, report.host.artifacts.filter((artifact) => artifact.severity === 'critical').length, 'critical');
+	}
+	return report;
+}
+
+/**
+ * 複数プロジェクトの検査結果を集計
+ * @param {Object[]} projectResults - scanProject の戻り値の配列
+ * @param {number} totalChecked - 検査したパッケージ数（侵害パッケージのリストの件数）
+ * @returns {Object} 集計結果（レポートの本体）
+ */
+function aggregateResults(projectResults, totalChecked) {
+	const levels = { critical: 0, high: 0, none: 0 };
+	projectResults.forEach((results) => {
+		levels[results.summary.criticalLevel]++;
+	});
+
+	const totalIssues = projectResults.reduce((sum, results) => sum + results.summary.totalIssues, 0);
+	let criticalLevel = 'none';
+	if (levels.critical > 0) {
+		criticalLevel = 'critical';
+	} else if (levels.high > 0) {
+		criticalLevel = 'high';
+	}
+
+	return {
+		timestamp: new Date().toISOString(),
+		totalChecked: totalChecked,
+		projects: projectResults,
+		summary: {
+			safe: totalIssues === 0,
+			totalProjects: projectResults.length,
+			affectedProjects: projectResults.filter((results) => !results.summary.safe).length,
+			totalIssues: totalIssues,
+			criticalLevel: criticalLevel,
+			levels: levels,
+		},
+	};
+}
+
+/**
+ * 検査対象のプロジェクトを解決
+ * @param {string[]} targets - ターゲットディレクトリ
+ * @param {Object} options - { discover: 配下のプロジェクトを検出, discoverDepth: 探索の最大深度 }
+ * @returns {string[]} プロジェクトのディレクトリ（絶対パス、重複なし）
+ */
+function resolveTargets(targets, options = {}) {
+	const targetDirs = [];
+	targets.forEach((target) => {
+		const targetDir = path.resolve(target);
+		// --discover 指定時は配下のプロジェクトをすべて検査対象にする
+		const dirs = options.discover ? discoverProjects(targetDir, { maxDepth: options.discoverDepth }) : [targetDir];
+		dirs.forEach((dir) => {
+			if (!targetDirs.includes(dir)) targetDirs.push(dir);
+		});
+	});
+	return targetDirs;
+}
+
+/**
+ * プロジェクトを検査（ライブラリとしてのエントリーポイント）
+ * @param {Object} options - 検査オプション
+ * @param {string} [options.targetDir] - 検査するディレクトリ
+ * @param {string[]} [options.targetDirs] - 複数のディレクトリを検査する場合
+ * @param {Array<string|Object|Map>} [options.lists] - 侵害パッケージリスト（デフォルト: compromised_packages.json）
+ * @param {string} [options.osvDir] - 併せて照合する OSV のアドバイザリーのディレクトリ（悪意のあるパッケージ MAL-* のみ）
+ * @param {number} [options.maxDepth] - node_modules の最大検索深度（デフォルト: 5）
+ * @param {boolean} [options.iocNodeModules] - node_modules の中も IOC と照合（デフォルト: true）
+ * @param {boolean} [options.iocNodeModulesContent] - node_modules の中のすべてのファイルの内容を IOC と照合（デフォルト: false）
+ * @param {number} [options.iocMaxFileSize] - IOC の内容を照合するファイルの最大サイズ（バイト、デフォルト: 16MB）
+ * @param {boolean} [options.strictScripts] - 経験則のパターンに一致したインストールスクリプトも high として数える（デフォルト: false）
+ * @param {number} [options.maxPaths] - 検出結果ごとに記録する依存経路の上限（デフォルト: 100、0 で 10,000 件まで）
+ * @param {boolean} [options.discover] - ターゲット配下のプロジェクトをすべて検出して検査
+ * @param {number} [options.discoverDepth] - プロジェクトを探索する最大深度（デフォルト: 4）
+ * @param {boolean} [options.host] - ホームディレクトリの感染の痕跡と認証情報も検査（結果は host に入る）
+ * @param {string} [options.home] - ホストの検査で使うホームディレクトリ（デフォルト: os.homedir()）
+ * @param {Array<{type: string, dir: string}>} [options.caches] - 併せて検査するグローバルプレフィックス・キャッシュ（結果は caches に入る）
+ * @param {Function} [options.t] - 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語）
+ * @param {Function} [options.onEvent] - 進捗の通知 (type, data)
+ * @returns {Object} 単一プロジェクトは検査結果、複数プロジェクトは集計結果（projects に各結果）
+ */
+function scan(options = {}) {
+	const targets = options.targetDirs || [options.targetDir || '.'];
+	const lists = [...(options.lists || [DEFAULT_PACKAGE_LIST_FILE]), ...(options.osvDir ? [loadOsvDirectory(options.osvDir, { t: options.t })] : [])];
+	const compromised = options.compromised || createCompromisedMap(lists);
+	const targetDirs = resolveTargets(targets, options);
+
+	const projectResults = targetDirs.map((targetDir) =>
+		scanProject(targetDir, {
+			compromised,
+			maxDepth: options.maxDepth,
+			iocNodeModules: options.iocNodeModules,
+			iocNodeModulesContent: options.iocNodeModulesContent,
+			iocMaxFileSize: options.iocMaxFileSize,
+			strictScripts: options.strictScripts,
+			maxPaths: options.maxPaths,
+			t: options.t,
+			onEvent: options.onEvent,
+		}),
+	);
+
+	// 単一プロジェクトは従来どおりの形式、複数プロジェクトは集計結果
+	const multiple = targetDirs.length !== 1 || Boolean(options.discover);
+	const report = multiple ? aggregateResults(projectResults, compromised.size) : projectResults[0];
+
+	if (options.caches && options.caches.length > 0) {
+		report.caches = scanCaches(options.caches, compromised, { t: options.t });
+		if (options.onEvent) options.onEvent('caches', { locations: report.caches });
+	}
+
+	if (options.host) {
+		report.host = inspectHost({ home: options.home });
+		if (options.onEvent) options.onEvent('host', report.host);
+	}
+	return addReportFindings(report);
+}
+
+module.exports = {
+	DEFAULT_PACKAGE_LIST_FILE,
+	SUSPICIOUS_FILES,
+	loadCompromisedList,
+	createCompromisedMap,
+	advisoryOf,
+	isCompromised,
+	loadInstalledInventory,
+	scanProject,
+	explainPackage,
+	scanCaches,
+	addReportFindings,
+	aggregateResults,
+	resolveTargets,
+	scan,
+};
@@ -0,0 +1,76 @@
+/**
+ * インストールスクリプトの監査モジュール
+ * Shai-Hulud はいずれも preinstall / postinstall などのライフサイクルスクリプトで感染を広げたため、
+ * インストール済みパッケージのライフサイクルスクリプトを列挙し、既知の不審なパターンに一致するものを検出する
+ *
+ * 監査結果の形式:
+ *   { package, version, path, depth, hook: 'postinstall', script: 'node setup_bun.js', flags: ['knownPayload'], severity: 'critical' }
+ *   flags が空のものは、スクリプトがあるだけで不審なパターンには一致していない（severity は null）
+ *   severity は一致したパターンのうち最も高いリスクレベル（'critical' | 'warning'、strict の場合は warning の代わりに 'high'）
+ */
+
+// npm install で実行されるライフサイクルスクリプト
+const LIFECYCLE_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare'];
+
+// 不審なパターン（説明は i18n.cjs の scripts.flag.<id>）
+// severity は一致した場合のリスクレベル。既知のペイロードと TruffleHog の実行は感染そのものなので critical
+// それ以外は正規のパッケージ（core-js の node -e など）にも一致する経験則のため warning（報告のみ、検出件数には含めない）
+const SCRIPT_RULES = [
+	{ id: 'knownPayload', pattern: /setup_bun\.js|bun_environment\.js/, severity: 'critical', description: 'Shai-Hulud のドロッパー・ペイロードの実行' },
+	{ id: 'bun', pattern: /(?:^|[\s;&|(])bunx?(?:\s|$)|bun\.sh/, severity: 'warning', description: 'Bun の実行・インストール' },
+	{ id: 'download', pattern: /(?:^|[\s;&|(])(?:curl|wget)(?:\s|$)|Invoke-WebRequest|\biwr\s/i, severity: 'warning', description: 'スクリプトやバイナリのダウンロード' },
+	{ id: 'pipeToShell', pattern: /\|\s*(?:ba|z|da)?sh\b|\|\s*iex\b/, severity: 'warning', description: 'ダウンロードした内容をシェルで実行' },
+	{ id: 'inlineCode', pattern: /\bnode\s+(?:-e|--eval|-p|--print)\b|\beval\s*\(|base64/, severity: 'warning', description: 'インラインのコード・エンコードされたコードの実行' },
+	{ id: 'trufflehog', pattern: /trufflehog/i, severity: 'critical', description: '認証情報の探索ツール TruffleHog の実行' },
+];
+
+/**
+ * スクリプトが一致する不審なパターン
+ * @param {string} script - スクリプトの内容
+ * @returns {string[]} 一致したパターンの ID（SCRIPT_RULES の順）
+ */
+function flagScript(script) {
+	return SCRIPT_RULES.filter((rule) => rule.pattern.test(script)).map((rule) => rule.id);
+}
+
+/**
+ * 一致したパターンのリスクレベル
+ * @param {string[]} flags - flagScript の戻り値
+ * @param {Object} [options] - { strict: 経験則のパターン（warning）も high として扱う }
+ * @returns {string|null} 'critical' | 'high' | 'warning'（一致したパターンがない場合は null）
+ */
+function scriptSeverity(flags, options = {}) {
+	if (flags.length === 0) return null;
+	if (SCRIPT_RULES.some((rule) => rule.severity === 'critical' && flags.includes(rule.id))) return 'critical';
+	return options.strict ? 'high' : 'warning';
+}
+
+/**
+ * インベントリのライフサイクルスクリプトを監査
+ * @param {Map} inventory - lib/inventory.cjs の buildInventory の戻り値（インスタンスに scripts を持つ）
+ * @param {Object} [options] - { strict: 経験則のパターンに一致したスクリプトも high として扱う }
+ * @returns {Object[]} スクリプトごとの監査結果（不審なものが先、同じ場合はパッケージ名順）
+ */
+function auditInstallScripts(inventory, options = {}) {
+	const audits = [];
+
+	for (const [name, instances] of inventory) {
+		instances.forEach((instance) => {
+			LIFECYCLE_SCRIPTS.filter((hook) => typeof (instance.scripts || {})[hook] === 'string').forEach((hook) => {
+				const script = instance.scripts[hook];
+				const flags = flagScript(script);
+				audits.push({ package: name, version: instance.version, path: instance.path, depth: instance.depth, hook, script, flags, severity: scriptSeverity(flags, options) });
+			});
+		});
+	}
+
+	return audits.sort((a, b) => Number(b.flags.length > 0) - Number(a.flags.length > 0) || (a.package < b.package ? -1 : a.package > b.package ? 1 : 0));
+}
+
+module.exports = {
+	LIFECYCLE_SCRIPTS,
+	SCRIPT_RULES,
+	flagScript,
+	scriptSeverity,
+	auditInstallScripts,
+};
@@ -0,0 +1,338 @@
+/**
+ * セマンティックバージョニングの範囲評価モジュール
+ * npm の semver と同じ規則で、宣言された範囲（^1.2.3, ~1.2, 1.x, 1.0.0 - 2.0.0, >=1 <2 || 3 など）に
+ * 特定のバージョンが含まれるかを判定する
+ *
+ * プレリリース版 (1.0.0-beta.1) は、範囲内の比較子が同じ major.minor.patch の
+ * プレリリースを明示している場合のみ一致する（npm の既定動作と同じ）
+ */
+
+const VERSION_PATTERN = /^[v=\s]*(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+([0-9A-Za-z.-]+))?$/;
+const PARTIAL_PATTERN = /^[v=\s]*(\d+|[xX*])(?:\.(\d+|[xX*])(?:\.(\d+|[xX*])(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?)?)?$/;
+
+/**
+ * バージョン文字列を解析
+ * @param {string} version - 例: "1.2.3", "v1.2.3-beta.1"
+ * @returns {Object|null} { major, minor, patch, prerelease } （不正な場合 null）
+ */
+function parse(version) {
+	const match = String(version).trim().match(VERSION_PATTERN);
+	if (!match) return null;
+	return {
+		major: Number(match[1]),
+		minor: Number(match[2]),
+		patch: Number(match[3]),
+		prerelease: match[4] ? match[4].split('.') : [],
+	};
+}
+
+/**
+ * 有効なバージョンか判定
+ * @param {string} version - バージョン文字列
+ * @returns {boolean}
+ */
+function valid(version) {
+	return parse(version) !== null;
+}
+
+/**
+ * プレリリース識別子を比較
+ * @param {string[]} a - 識別子の配列
+ * @param {string[]} b - 識別子の配列
+ * @returns {number} -1, 0, 1
+ */
+function comparePrerelease(a, b) {
+	// プレリリースなし > プレリリースあり
+	if (a.length === 0 && b.length === 0) return 0;
+	if (a.length === 0) return 1;
+	if (b.length === 0) return -1;
+
+	for (let i = 0; i < Math.max(a.length, b.length); i++) {
+		if (a[i] === undefined) return -1;
+		if (b[i] === undefined) return 1;
+		if (a[i] === b[i]) continue;
+
+		const aNum = /^\d+$/.test(a[i]);
+		const bNum = /^\d+$/.test(b[i]);
+		if (aNum && bNum) return Number(a[i]) < Number(b[i]) ? -1 : 1;
+		if (aNum) return -1;
+		if (bNum) return 1;
+		return a[i] < b[i] ? -1 : 1;
+	}
+	return 0;
+}
+
+/**
+ * 2 つのバージョンを比較
+ * @param {Object|string} a - バージョン
+ * @param {Object|string} b - バージョン
+ * @returns {number} a < b なら -1、等しければ 0、a > b なら 1
+ */
+function compare(a, b) {
+	const va = typeof a === 'string' ? parse(a) : a;
+	const vb = typeof b === 'string' ? parse(b) : b;
+	for (const key of ['major', 'minor', 'patch']) {
+		if (va[key] !== vb[key]) return va[key] < vb[key] ? -1 : 1;
+	}
+	return comparePrerelease(va.prerelease, vb.prerelease);
+}
+
+/**
+ * 比較子を生成
+ * @param {string} operator - '>=', '>', '<', '<=', '='
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @param {string[]} prerelease - プレリリース識別子
+ * @returns {Object} 比較子
+ */
+function comparator(operator, major, minor, patch, prerelease = []) {
+	return { operator, version: { major, minor, patch, prerelease } };
+}
+
+/**
+ * 部分的なバージョン（1, 1.2, 1.x など）を解析
+ * @param {string} text - バージョン文字列
+ * @returns {Object|null} { major, minor, patch, prerelease }（ワイルドカードは null）
+ */
+function parsePartial(text) {
+	const match = text.match(PARTIAL_PATTERN);
+	if (!match) return null;
+	const num = (value) => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+	const major = num(match[1]);
+	const minor = major === null ? null : num(match[2]);
+	const patch = minor === null ? null : num(match[3]);
+	return { major, minor, patch, prerelease: patch !== null && match[4] ? match[4].split('.') : [] };
+}
+
+/**
+ * 単一の比較子（演算子付きの部分バージョン）を基本比較子の配列に変換
+ * @param {string} token - 例: "^1.2.3", ">=1.2", "~1", "1.x"
+ * @returns {Object[]|null} 比較子の配列（解析できない場合 null）
+ */
+function desugar(token) {
+	const match = token.match(/^(~>|~|\^|>=|<=|>|<|=)?(.*)$/);
+	const operator = match[1] || '';
+	const p = parsePartial(match[2]);
+	if (!p) return null;
+
+	const { major, minor, patch, prerelease } = p;
+
+	// ワイルドカード（*, x）
+	if (major === null) {
+		return operator === '<' || operator === '>' ? [comparator('<', 0, 0, 0, ['0'])] : [];
+	}
+
+	if (operator === '~' || operator === '~>') {
+		if (minor === null) return [comparator('>=', major, 0, 0), comparator('<', major + 1, 0, 0, ['0'])];
+		return [comparator('>=', major, minor, patch || 0, prerelease), comparator('<', major, minor + 1, 0, ['0'])];
+	}
+
+	if (operator === '^') {
+		const lower = comparator('>=', major, minor || 0, patch || 0, prerelease);
+		if (major > 0 || minor === null) return [lower, comparator('<', major + 1, 0, 0, ['0'])];
+		if (minor > 0 || patch === null) return [lower, comparator('<', 0, minor + 1, 0, ['0'])];
+		return [lower, comparator('<', 0, 0, patch + 1, ['0'])];
+	}
+
+	// X レンジ（1, 1.2, 1.2.x など）
+	if (patch === null) {
+		const nextMinor = minor === null ? [major + 1, 0, 0] : [major, minor + 1, 0];
+		switch (operator) {
+			case '>':
+				return [comparator('>=', ...nextMinor)];
+			case '>=':
+				return [comparator('>=', major, minor || 0, 0)];
+			case '<':
+				return [comparator('<', major, minor || 0, 0, ['0'])];
+			case '<=':
+				return [comparator('<', ...nextMinor, ['0'])];
+			default:
+				return [comparator('>=', major, minor || 0, 0), comparator('<', ...nextMinor, ['0'])];
+		}
+	}
+
+	return [comparator(operator || '=', major, minor, patch, prerelease)];
+}
+
+/**
+ * ハイフン範囲（1.2.3 - 2.3.4）を比較子の配列に変換
+ * @param {string} from - 下限
+ * @param {string} to - 上限
+ * @returns {Object[]|null} 比較子の配列
+ */
+function desugarHyphen(from, to) {
+	const lower = parsePartial(from);
+	const upper = parsePartial(to);
+	if (!lower || !upper) return null;
+
+	const set = [];
+	if (lower.major !== null) {
+		set.push(comparator('>=', lower.major, lower.minor || 0, lower.patch || 0, lower.prerelease));
+	}
+	if (upper.major !== null) {
+		if (upper.minor === null) {
+			set.push(comparator('<', upper.major + 1, 0, 0, ['0']));
+		} else if (upper.patch === null) {
+			set.push(comparator('<', upper.major, upper.minor + 1, 0, ['0']));
+		} else {
+			set.push(comparator('<=', upper.major, upper.minor, upper.patch, upper.prerelease));
+		}
+	}
+	return set;
+}
+
+/**
+ * 範囲文字列を比較子セットの配列に変換
+ * @param {string} range - 例: "^1.2.3 || >=2.0.0 <3"
+ * @returns {Object[][]|null} 比較子セットの配列（評価できない範囲は null）
+ */
+function parseRange(range) {
+	const sets = [];
+
+	for (const part of String(range).split('||')) {
+		// 演算子とバージョンの間の空白を詰める（">= 1.2.3" → ">=1.2.3"）
+		const normalized = part.trim().replace(/(~>|~|\^|>=|<=|>|<|=)\s+/g, '$1');
+
+		const hyphen = normalized.match(/^(\S+)\s+-\s+(\S+)$/);
+		if (hyphen) {
+			const set = desugarHyphen(hyphen[1], hyphen[2]);
+			if (!set) return null;
+			sets.push(set);
+			continue;
+		}
+
+		const set = [];
+		for (const token of normalized.split(/\s+/).filter(Boolean)) {
+			const comparators = desugar(token);
+			if (!comparators) return null;
+			set.push(...comparators);
+		}
+		sets.push(set);
+	}
+
+	return sets;
+}
+
+/**
+ * バージョンが比較子を満たすか判定
+ * @param {Object} version - 解析済みバージョン
+ * @param {Object} comp - 比較子
+ * @returns {boolean}
+ */
+function testComparator(version, comp) {
+	const result = compare(version, comp.version);
+	switch (comp.operator) {
+		case '>=':
+			return result >= 0;
+		case '>':
+			return result > 0;
+		case '<':
+			return result < 0;
+		case '<=':
+			return result <= 0;
+		default:
+			return result === 0;
+	}
+}
+
+/**
+ * バージョンが比較子セットを満たすか判定
+ * @param {Object} version - 解析済みバージョン
+ * @param {Object[]} set - 比較子セット
+ * @param {boolean} [includePrerelease] - プレリリース版も通常のバージョンと同じ順序で判定する
+ * @returns {boolean}
+ */
+function testSet(version, set, includePrerelease = false) {
+	if (!set.every((comp) => testComparator(version, comp))) return false;
+	if (version.prerelease.length === 0 || includePrerelease) return true;
+
+	// プレリリース版は、同じ major.minor.patch のプレリリースを明示した比較子がある場合のみ一致
+	return set.some(
+		(comp) =>
+			comp.version.prerelease.length > 0 &&
+			comp.version.major === version.major &&
+			comp.version.minor === version.minor &&
+			comp.version.patch === version.patch,
+	);
+}
+
+/**
+ * バージョンが範囲に含まれるか判定
+ * @param {string} version - バージョン
+ * @param {string} range - 範囲
+ * @param {Object} [options] - { includePrerelease: プレリリース版も範囲に含める（"*" はすべてのバージョン、デフォルト: false） }
+ * @returns {boolean} 含まれる場合 true（どちらかが不正な場合 false）
+ */
+function satisfies(version, range, options = {}) {
+	const parsed = parse(version);
+	const sets = parseRange(range);
+	if (!parsed || !sets) return false;
+	return sets.some((set) => testSet(parsed, set, options.includePrerelease));
+}
+
+/**
+ * 2 つの範囲に共通するバージョンがあるか判定
+ * 比較子の境界となるバージョン（とその次のパッチ）を候補にした近似で、プレリリース版は考慮しない
+ * @param {string} a - 範囲
+ * @param {string} b - 範囲
+ * @returns {boolean} 共通するバージョンがある場合 true（どちらかが不正な場合 false）
+ */
+function intersects(a, b) {
+	const setsA = parseRange(a);
+	const setsB = parseRange(b);
+	if (!setsA || !setsB) return false;
+
+	const candidates = [{ major: 0, minor: 0, patch: 0, prerelease: [] }];
+	[...setsA, ...setsB].forEach((set) =>
+		set.forEach(({ version: { major, minor, patch } }) => {
+			candidates.push({ major, minor, patch, prerelease: [] }, { major, minor, patch: patch + 1, prerelease: [] });
+		}),
+	);
+
+	return candidates.some((version) => setsA.some((set) => testSet(version, set)) && setsB.some((set) => testSet(version, set)));
+}
+
+/**
+ * 依存関係の指定から、評価対象の範囲を取り出す
+ * レジストリ以外の指定（git, URL, file:, link:, dist-tag など）は評価できないため null を返す
+ * @param {string} spec - package.json に書かれた指定（例: "^1.2.3", "npm:pkg@^1.0.0"）
+ * @returns {string|null} 範囲文字列
+ */
+function rangeFromSpec(spec) {
+	let range = String(spec).trim();
+
+	// エイリアス (npm:real-package@^1.0.0)
+	if (range.startsWith('npm:')) {
+		const body = range.slice(4);
+		const at = body.indexOf('@', body.startsWith('@') ? 1 : 0);
+		range = at === -1 ? '*' : body.slice(at + 1);
+	}
+
+	if (range === '' || range === 'latest') return range === '' ? '*' : null;
+	return parseRange(range) ? range : null;
+}
+
+/**
+ * 宣言された範囲に含まれるバージョンを抽出
+ * 候補に範囲（">=1.0.0 <1.2.0" など）が含まれる場合は、宣言された範囲と重なるものを含める
+ * @param {string} spec - package.json に書かれた指定
+ * @param {string[]} versions - 候補のバージョンまたは範囲（侵害バージョンのリストなど）
+ * @returns {string[]|null} 範囲に含まれるバージョン（範囲を評価できない場合 null）
+ */
+function matchingVersions(spec, versions) {
+	const range = rangeFromSpec(spec);
+	if (range === null) return null;
+	return versions.filter((version) => (valid(version) ? satisfies(version, range) : intersects(version, range)));
+}
+
+module.exports = {
+	parse,
+	valid,
+	compare,
+	parseRange,
+	satisfies,
+	intersects,
+	rangeFromSpec,
+	matchingVersions,
+};
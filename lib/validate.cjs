@@ -0,0 +1,115 @@
+/**
+ * 侵害パッケージリストの検証モジュール
+ * インポーターの結果を検査し、検出漏れにつながるリストの不備を報告する
+ *
+ * 報告する問題 (type):
+ *   unparsedLine        - 解析できなかった行・レコード（これまでは読み飛ばされていた）
+ *   invalidName         - npm のパッケージ名の規則に合わない名前
+ *   invalidVersion      - semver として不正なバージョン（例: "v.1.1.3", "1.2"）
+ *   invalidRange        - 評価できないバージョン範囲
+ *   conflictingVersions - 同じパッケージがバージョンなしとバージョン付きの両方で記載されている
+ *                         （バージョンなしの記載は侵害バージョンを特定できず、インストール済みのパッケージとして検出されない）
+ *   duplicateEntry      - 同じリストに同じパッケージ・バージョンの記載が重複している（転記ミスの可能性）
+ */
+
+const semver = require('./semver.cjs');
+
+// npm で予約されているパッケージ名
+const RESERVED_NAMES = ['node_modules', 'favicon.ico'];
+
+/**
+ * パッケージ名が npm の命名規則に合っているか判定
+ * 規則は npm の validate-npm-package-name（新規パッケージの規則）に従う
+ * @param {string} name - パッケージ名
+ * @returns {string|null} 規則に合わない理由（'empty' | 'tooLong' | 'whitespace' | 'leadingDotOrUnderscore' | 'uppercase' |
+ *   'specialCharacters' | 'reserved' | 'scope' | 'urlUnsafe'）、問題がない場合 null
+ */
+function packageNameProblem(name) {
+	if (typeof name !== 'string' || name.length === 0) return 'empty';
+	if (name.length > 214) return 'tooLong';
+	if (name.trim() !== name) return 'whitespace';
+	if (/^[._]/.test(name)) return 'leadingDotOrUnderscore';
+	if (name.toLowerCase() !== name) return 'uppercase';
+	if (/[~'!()*]/.test(name)) return 'specialCharacters';
+	if (RESERVED_NAMES.includes(name)) return 'reserved';
+
+	const scoped = name.match(/^@([^/]+)\/([^/]+)$/);
+	if (name.startsWith('@') && !scoped) return 'scope';
+	if (scoped && /^[._]/.test(scoped[2])) return 'leadingDotOrUnderscore';
+
+	const parts = scoped ? [scoped[1], scoped[2]] : [name];
+	if (parts.some((part) => encodeURIComponent(part) !== part)) return 'urlUnsafe';
+
+	return null;
+}
+
+/**
+ * インポートしたリストを検証
+ * @param {Array<{file: string, entries: Object[], unparsed: Object[]}>} lists - リストごとのインポート結果
+ * @returns {Array<{type: string, list: string, line: number|null, name?: string, value?: string, reason?: string}>} 問題（リストの順、行番号順）
+ */
+function validateLists(lists) {
+	const issues = [];
+
+	lists.forEach(({ file, entries, unparsed }) => {
+		const listIssues = [];
+
+		(unparsed || []).forEach(({ line, text }) => listIssues.push({ type: 'unparsedLine', list: file, line, value: text }));
+
+		// 名前とバージョン（範囲）の組 -> 最初の記載
+		const seen = new Map();
+
+		entries.forEach((entry) => {
+			const location = { list: file, line: entry.line, name: entry.name };
+
+			const key = JSON.stringify([entry.name, [...entry.versions].sort(), [...(entry.ranges || [])].sort()]);
+			if (seen.has(key)) {
+				const first = seen.get(key);
+				listIssues.push({ type: 'duplicateEntry', ...location, value: first.line === null ? file : `${file}:${first.line}` });
+			} else {
+				seen.set(key, entry);
+			}
+
+			const reason = packageNameProblem(entry.name);
+			if (reason) listIssues.push({ type: 'invalidName', ...location, reason });
+
+			entry.versions
+				.filter((version) => !semver.valid(version))
+				.forEach((version) => listIssues.push({ type: 'invalidVersion', ...location, value: version }));
+			(entry.ranges || [])
+				.filter((range) => semver.parseRange(range) === null)
+				.forEach((range) => listIssues.push({ type: 'invalidRange', ...location, value: range }));
+		});
+
+		// 行番号順（特定できない行は末尾）
+		listIssues.sort((a, b) => (a.line === null ? Infinity : a.line) - (b.line === null ? Infinity : b.line));
+		issues.push(...listIssues);
+	});
+
+	// 同じパッケージのバージョンなしの記載とバージョン付きの記載（リストをまたいで判定）
+	const byName = new Map();
+	lists.forEach(({ file, entries }) => {
+		entries.forEach((entry) => {
+			if (!byName.has(entry.name)) byName.set(entry.name, []);
+			byName.get(entry.name).push({ ...entry, list: file });
+		});
+	});
+
+	byName.forEach((entries, name) => {
+		const hasVersions = (entry) => entry.versions.length > 0 || (entry.ranges || []).length > 0;
+		const versioned = entries.filter(hasVersions);
+		if (versioned.length === 0) return;
+
+		const locations = versioned.map((entry) => (entry.line === null ? entry.list : `${entry.list}:${entry.line}`)).join(', ');
+		entries
+			.filter((entry) => !hasVersions(entry))
+			.forEach((entry) => issues.push({ type: 'conflictingVersions', list: entry.list, line: entry.line, name, value: locations }));
+	});
+
+	return issues;
+}
+
+module.exports = {
+	packageNameProblem,
+	validateLists,
+};
@@ -0,0 +1,98 @@
+/**
+ * GitHub Actions のワークフローの検査モジュール
+ * Shai-Hulud は感染したリポジトリに .github/workflows/ のワークフローを追加し、
+ * シークレットの持ち出しや、自己ホストランナー（ラベル SHA1HULUD）経由の任意コード実行に使う
+ * ターゲットの .github/workflows/*.yml / *.yaml を、既知のファイル名と内容のパターンで照合する
+ *
+ * ルールの形式:
+ *   { id, fileName: /.../, description, severity? }    ファイル名で検出
+ *   { id, patterns: [/.../], description, severity? }  すべての正規表現に一致するワークフローを検出
+ *   severity は 'critical'（デフォルト、感染の痕跡）または 'warning'（正規のワークフローにもある記述。報告のみ）
+ *
+ * 検出結果は疑わしいファイル（lib/ioc.cjs）と同じ形式に severity を加えて返す:
+ *   { name: ルール ID, type: 'workflow', severity, description, paths }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 既知の悪意のあるワークフロー（説明は i18n.cjs の suspiciousFile.<id>）
+const WORKFLOW_RULES = [
+	{ id: 'workflow-shai-hulud', fileName: /^shai-hulud(?:-workflow)?\.ya?ml$/i, description: 'Shai-Hulud が追加するワークフロー' },
+	{ id: 'workflow-formatter', fileName: /^formatter_\d+\.ya?ml$/, description: 'シークレットを持ち出すワークフロー（formatter_<数字>.yml）' },
+	{ id: 'workflow-runner-label', patterns: [/SHA1HULUD/i], description: 'Shai-Hulud が登録する自己ホストランナーのラベル' },
+	// Shai-Hulud のバックドアは、ディスカッションの本文を自己ホストランナー（感染したマシン）で実行する
+	{
+		id: 'workflow-discussion-injection',
+		patterns: [/\bdiscussion\b/, /\$\{\{\s*github\.event\.discussion\.body\s*\}\}/, /runs-on:.*self-hosted/],
+		description: '自己ホストランナーでディスカッションの本文をそのまま実行するワークフロー（バックドア）',
+	},
+	// シークレットの書き出しと webhook.site への送信は、デバッグ・通知用の正規のワークフローにもあるため報告のみ
+	// （書き出したシークレットをアップロードする場合は workflow-secrets-artifact で検出する）
+	{ id: 'workflow-secrets-dump', patterns: [/toJSON\(\s*secrets\s*\)/i], severity: 'warning', description: 'すべてのシークレットを書き出すワークフロー' },
+	{
+		id: 'workflow-secrets-artifact',
+		patterns: [/actions\/upload-artifact/, /actionsSecrets\.json|toJSON\(\s*secrets\s*\)/i],
+		description: 'シークレットをアーティファクトとしてアップロードするワークフロー',
+	},
+	{ id: 'workflow-webhook-exfil', patterns: [/webhook\.site/i], severity: 'warning', description: 'webhook.site へ情報を送信するワークフロー' },
+];
+
+/**
+ * ターゲットのワークフローファイルを列挙
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @returns {string[]} .github/workflows/ の .yml / .yaml ファイルのパス（名前順）
+ */
+function findWorkflowFiles(targetDir) {
+	const dir = path.join(targetDir, '.github', 'workflows');
+	try {
+		return fs
+			.readdirSync(dir, { withFileTypes: true })
+			.filter((entry) => entry.isFile() && /\.ya?ml$/i.test(entry.name))
+			.map((entry) => path.join(dir, entry.name))
+			.sort();
+	} catch (error) {
+		return []; // ディレクトリがない場合は検査対象なし
+	}
+}
+
+/**
+ * ターゲットのワークフローを検査
+ * @param {string} targetDir - プロジェクトのディレクトリ
+ * @param {Object} [options] - { rules: ルールの定義（デフォルト: WORKFLOW_RULES） }
+ * @returns {Array<{name: string, type: string, severity: string, description: string, paths: string[]}>} 一致したルールごとのファイル（ルールの定義順）
+ */
+function inspectWorkflows(targetDir, options = {}) {
+	const rules = options.rules || WORKFLOW_RULES;
+	const found = new Map();
+
+	findWorkflowFiles(targetDir).forEach((file) => {
+		let text;
+		try {
+			text = fs.readFileSync(file, 'utf8');
+		} catch (error) {
+			return; // 読み込みエラーは無視
+		}
+
+		rules
+			.filter((rule) => (rule.fileName ? rule.fileName.test(path.basename(file)) : rule.patterns.every((pattern) => pattern.test(text))))
+			.forEach((rule) => {
+				if (!found.has(rule)) found.set(rule, []);
+				found.get(rule).push(file);
+			});
+	});
+
+	return rules.filter((rule) => found.has(rule)).map((rule) => ({
+		name: rule.id,
+		type: 'workflow',
+		severity: rule.severity || 'critical',
+		description: rule.description,
+		paths: found.get(rule),
+	}));
+}
+
+module.exports = {
+	WORKFLOW_RULES,
+	findWorkflowFiles,
+	inspectWorkflows,
+};
@@ -0,0 +1,117 @@
+/**
+ * ワークスペース（モノレポ）の解決モジュール
+ * package.json の workspaces (npm / yarn) と pnpm-workspace.yaml の packages から
+ * ワークスペースのメンバー（各パッケージのディレクトリ）を列挙する
+ *
+ * メンバーの形式:
+ *   { name, dir, relativePath }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml.cjs');
+
+/**
+ * ワークスペースのパターンを読み込む
+ * @param {string} rootDir - ワークスペースのルート
+ * @returns {string[]} パターン（"packages/*", "!packages/legacy" など）
+ */
+function readWorkspacePatterns(rootDir) {
+	const patterns = [];
+
+	// pnpm-workspace.yaml
+	try {
+		const doc = yaml.parse(fs.readFileSync(path.join(rootDir, 'pnpm-workspace.yaml'), 'utf8')) || {};
+		if (Array.isArray(doc.packages)) patterns.push(...doc.packages);
+	} catch (error) {
+		// ファイルがない、または解析できない場合は無視
+	}
+
+	// package.json の workspaces（配列、または yarn の { packages: [...] }）
+	try {
+		const pkgJson = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8'));
+		const workspaces = Array.isArray(pkgJson.workspaces) ? pkgJson.workspaces : pkgJson.workspaces && pkgJson.workspaces.packages;
+		if (Array.isArray(workspaces)) patterns.push(...workspaces);
+	} catch (error) {
+		// package.json の読み込みエラーは無視
+	}
+
+	return patterns.filter((pattern) => typeof pattern === 'string' && pattern.trim() !== '').map((pattern) => pattern.trim());
+}
+
+/**
+ * glob パターンを正規表現に変換
+ * 対応: * (1 階層内の任意の文字列), ** (0 階層以上), ? (任意の 1 文字)
+ * @param {string} pattern - 例: "packages/*", "apps/**"
+ * @returns {RegExp} 先頭に / を付けた相対パス（"/packages/a"）に対する正規表現
+ */
+function globToRegExp(pattern) {
+	const source = pattern
+		.replace(/^\.\//, '')
+		.replace(/\/+$/, '')
+		.split('/')
+		.map((segment) => {
+			if (segment === '**') return '(?:/[^/]+)*';
+			return '/' + segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+		})
+		.join('');
+	return new RegExp('^' + source + '$');
+}
+
+/**
+ * ワークスペースのメンバーを列挙
+ * @param {string} rootDir - ワークスペースのルート
+ * @returns {Object[]} メンバーの配列（相対パス順）。ワークスペースでない場合は空配列
+ */
+function findWorkspaces(rootDir) {
+	const patterns = readWorkspacePatterns(rootDir);
+	const includes = patterns.filter((pattern) => !pattern.startsWith('!')).map(globToRegExp);
+	const excludes = patterns.filter((pattern) => pattern.startsWith('!')).map((pattern) => globToRegExp(pattern.slice(1)));
+	if (includes.length === 0) return [];
+
+	// ** を含むパターンがなければ、パターンの階層数より深くは探索しない
+	const maxDepth = patterns.some((pattern) => pattern.includes('**'))
+		? Infinity
+		: Math.max(...patterns.map((pattern) => pattern.replace(/^!?\.?\//, '').replace(/\/+$/, '').split('/').length));
+
+	const members = [];
+
+	const walk = (dir, relativePath, depth) => {
+		const matched = (re) => re.test('/' + relativePath);
+		if (depth > 0 && includes.some(matched) && !excludes.some(matched)) {
+			const packageJsonPath = path.join(dir, 'package.json');
+			if (fs.existsSync(packageJsonPath)) {
+				let name = relativePath;
+				try {
+					name = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).name || relativePath;
+				} catch (error) {
+					// 名前が取得できない場合は相対パスを使う
+				}
+				members.push({ name, dir, relativePath });
+			}
+		}
+
+		if (depth >= maxDepth) return;
+
+		let entries;
+		try {
+			entries = fs.readdirSync(dir, { withFileTypes: true });
+		} catch (error) {
+			return; // アクセス権限エラーなどは無視
+		}
+
+		for (const entry of entries) {
+			if (!entry.isDirectory()) continue;
+			if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+			walk(path.join(dir, entry.name), relativePath ? `${relativePath}/${entry.name}` : entry.name, depth + 1);
+		}
+	};
+
+	walk(rootDir, '', 0);
+	return members.sort((a, b) => (a.relativePath < b.relativePath ? -1 : a.relativePath > b.relativePath ? 1 : 0));
+}
+
+module.exports = {
+	findWorkspaces,
+	readWorkspacePatterns,
+};
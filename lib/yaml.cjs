@@ -0,0 +1,369 @@
+/**
+ * 最小限の YAML パーサー
+ * 外部依存を持たないため、ロックファイルやワークスペース定義の読み込みに必要な
+ * サブセットのみを扱う
+ *
+ * 対応範囲:
+ * - ブロック形式のマッピング / シーケンス
+ * - フロー形式のマッピング / シーケンス ({a: 1}, [a, b])
+ * - シングル / ダブルクォート文字列
+ * - ブロックスカラー (|, >)
+ * - コメント (#)
+ *
+ * アンカー・エイリアス・タグ・複数ドキュメントには対応していません。
+ */
+
+/**
+ * 行のインデント幅を取得
+ * @param {string} line - 行
+ * @returns {number} 先頭の空白数
+ */
+function indentOf(line) {
+	return line.length - line.trimStart().length;
+}
+
+/**
+ * クォート外の行末コメントを除去
+ * @param {string} text - 行の内容
+ * @returns {string} コメントを除去した内容
+ */
+function stripComment(text) {
+	let quote = null;
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		if (quote) {
+			if (ch === '\\' && quote === '"') {
+				i++;
+			} else if (ch === quote) {
+				quote = null;
+			}
+		} else if (ch === '"' || ch === "'") {
+			quote = ch;
+		} else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+			return text.slice(0, i).trimEnd();
+		}
+	}
+	return text.trimEnd();
+}
+
+/**
+ * 意味のある行（空行・コメント行・ドキュメント区切り以外）か判定
+ * @param {string} line - 行
+ * @returns {boolean}
+ */
+function isMeaningful(line) {
+	const trimmed = line.trim();
+	return trimmed !== '' && !trimmed.startsWith('#') && trimmed !== '---' && trimmed !== '...';
+}
+
+/**
+ * 次の意味のある行まで読み進める
+ * @param {Object} state - パーサーの状態
+ * @returns {string|null} 次の行（なければ null）
+ */
+function peek(state) {
+	while (state.index < state.lines.length && !isMeaningful(state.lines[state.index])) {
+		state.index++;
+	}
+	return state.index < state.lines.length ? state.lines[state.index] : null;
+}
+
+/**
+ * シーケンス要素の行か判定
+ * @param {string} content - インデントを除いた行の内容
+ * @returns {boolean}
+ */
+function isSequenceItem(content) {
+	return content === '-' || content.startsWith('- ');
+}
+
+/**
+ * "key: value" をキーと値に分割
+ * @param {string} content - 行の内容
+ * @returns {{key: string, rest: string}|null} マッピングでない場合は null
+ */
+function splitKey(content) {
+	let quote = null;
+	let depth = 0;
+	for (let i = 0; i < content.length; i++) {
+		const ch = content[i];
+		if (quote) {
+			if (ch === '\\' && quote === '"') {
+				i++;
+			} else if (ch === quote) {
+				quote = null;
+			}
+			continue;
+		}
+		if ((ch === '"' || ch === "'") && (i === 0 || depth > 0)) {
+			quote = ch;
+		} else if (ch === '{' || ch === '[') {
+			depth++;
+		} else if (ch === '}' || ch === ']') {
+			depth--;
+		} else if (ch === ':' && depth === 0 && (i === content.length - 1 || content[i + 1] === ' ')) {
+			return {
+				key: String(parseScalar(content.slice(0, i).trim(), true)),
+				rest: content.slice(i + 1).trim(),
+			};
+		}
+	}
+	return null;
+}
+
+/**
+ * スカラー値を変換
+ * @param {string} text - スカラー文字列
+ * @param {boolean} asKey - キーとして扱う場合 true（型変換しない）
+ * @returns {*} 変換後の値
+ */
+function parseScalar(text, asKey = false) {
+	if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+		try {
+			return JSON.parse(text);
+		} catch (error) {
+			return text.slice(1, -1);
+		}
+	}
+	if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+		return text.slice(1, -1).replace(/''/g, "'");
+	}
+	if (asKey) return text;
+	if (text === '' || text === '~' || text === 'null') return null;
+	if (text === 'true') return true;
+	if (text === 'false') return false;
+	if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+	return text;
+}
+
+/**
+ * フロー形式（{...} / [...]）の値を解析
+ * @param {string} text - フロー形式の文字列
+ * @returns {*} 解析結果
+ */
+function parseFlow(text) {
+	let pos = 0;
+
+	const skipSpaces = () => {
+		while (pos < text.length && /\s/.test(text[pos])) pos++;
+	};
+
+	const readScalar = () => {
+		skipSpaces();
+		const start = pos;
+		if (text[pos] === '"' || text[pos] === "'") {
+			const quote = text[pos++];
+			while (pos < text.length && text[pos] !== quote) {
+				if (text[pos] === '\\' && quote === '"') pos++;
+				pos++;
+			}
+			pos++;
+			return parseScalar(text.slice(start, pos));
+		}
+		while (pos < text.length && !',}]'.includes(text[pos]) && !(text[pos] === ':' && /[\s,}\]]/.test(text[pos + 1] || ' '))) {
+			pos++;
+		}
+		return parseScalar(text.slice(start, pos).trim());
+	};
+
+	const readValue = () => {
+		skipSpaces();
+		if (text[pos] === '{') {
+			pos++;
+			const obj = {};
+			skipSpaces();
+			while (pos < text.length && text[pos] !== '}') {
+				const key = String(readScalar());
+				skipSpaces();
+				let value = null;
+				if (text[pos] === ':') {
+					pos++;
+					value = readValue();
+				}
+				obj[key] = value;
+				skipSpaces();
+				if (text[pos] === ',') pos++;
+				skipSpaces();
+			}
+			pos++;
+			return obj;
+		}
+		if (text[pos] === '[') {
+			pos++;
+			const arr = [];
+			skipSpaces();
+			while (pos < text.length && text[pos] !== ']') {
+				arr.push(readValue());
+				skipSpaces();
+				if (text[pos] === ',') pos++;
+				skipSpaces();
+			}
+			pos++;
+			return arr;
+		}
+		return readScalar();
+	};
+
+	return readValue();
+}
+
+/**
+ * ブロックスカラー（| または >）を読み込む
+ * @param {Object} state - パーサーの状態
+ * @param {string} header - インジケーター（例: "|", ">-"）
+ * @param {number} parentIndent - 親のインデント
+ * @returns {string} 文字列値
+ */
+function parseBlockScalar(state, header, parentIndent) {
+	const folded = header.startsWith('>');
+	const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+	const collected = [];
+	let blockIndent = null;
+
+	while (state.index < state.lines.length) {
+		const line = state.lines[state.index];
+		if (line.trim() === '') {
+			collected.push('');
+			state.index++;
+			continue;
+		}
+		const indent = indentOf(line);
+		if (indent <= parentIndent) break;
+		if (blockIndent === null) blockIndent = indent;
+		if (indent < blockIndent) break;
+		collected.push(line.slice(blockIndent));
+		state.index++;
+	}
+
+	// 末尾の空行は後続要素との区切りなので、チョンプ指定に従って扱う
+	while (chomp !== 'keep' && collected.length > 0 && collected[collected.length - 1] === '') {
+		collected.pop();
+	}
+
+	let value = folded ? collected.join('\n').replace(/([^\n])\n(?=[^\n\s])/g, '$1 ') : collected.join('\n');
+	if (chomp !== 'strip' && value !== '') value += '\n';
+	return value;
+}
+
+/**
+ * キーの後ろに続く値を解析
+ * @param {Object} state - パーサーの状態
+ * @param {string} rest - キーと同じ行に書かれた値
+ * @param {number} parentIndent - キーのインデント
+ * @returns {*} 解析結果
+ */
+function parseValue(state, rest, parentIndent) {
+	if (rest === '') {
+		const next = peek(state);
+		if (next === null) return null;
+		const indent = indentOf(next);
+		if (indent > parentIndent) return parseBlock(state, indent);
+		if (indent === parentIndent && isSequenceItem(next.trim())) return parseSequence(state, indent);
+		return null;
+	}
+
+	if (/^[|>][-+]?\d*$/.test(rest)) {
+		return parseBlockScalar(state, rest, parentIndent);
+	}
+
+	if (rest.startsWith('{') || rest.startsWith('[')) {
+		// 複数行にまたがるフロー形式は括弧が閉じるまで連結する
+		let text = rest;
+		const balance = (s) => (s.match(/[{[]/g) || []).length - (s.match(/[}\]]/g) || []).length;
+		while (balance(text) > 0 && state.index < state.lines.length) {
+			text += ' ' + stripComment(state.lines[state.index].trim());
+			state.index++;
+		}
+		return parseFlow(text);
+	}
+
+	return parseScalar(rest);
+}
+
+/**
+ * ブロック形式のシーケンスを解析
+ * @param {Object} state - パーサーの状態
+ * @param {number} indent - シーケンスのインデント
+ * @returns {Array} 解析結果
+ */
+function parseSequence(state, indent) {
+	const arr = [];
+
+	while (true) {
+		const line = peek(state);
+		if (line === null || indentOf(line) !== indent) break;
+		const content = stripComment(line.trim());
+		if (!isSequenceItem(content)) break;
+
+		const after = content.slice(1).trimStart();
+		if (after !== '' && splitKey(after) && !after.startsWith('{') && !after.startsWith('[')) {
+			// "- key: value" は要素内のマッピングとして、行を書き換えて再解析する
+			const itemIndent = line.indexOf(after, indent + 1);
+			state.lines[state.index] = ' '.repeat(itemIndent) + after;
+			arr.push(parseMapping(state, itemIndent));
+		} else {
+			state.index++;
+			arr.push(parseValue(state, after, indent));
+		}
+	}
+
+	return arr;
+}
+
+/**
+ * ブロック形式のマッピングを解析
+ * @param {Object} state - パーサーの状態
+ * @param {number} indent - マッピングのインデント
+ * @returns {Object} 解析結果
+ */
+function parseMapping(state, indent) {
+	const obj = {};
+
+	while (true) {
+		const line = peek(state);
+		if (line === null || indentOf(line) !== indent) break;
+		const content = stripComment(line.trim());
+		if (isSequenceItem(content)) break;
+
+		const pair = splitKey(content);
+		state.index++;
+		if (!pair) continue; // 解釈できない行は無視
+		obj[pair.key] = parseValue(state, pair.rest, indent);
+	}
+
+	return obj;
+}
+
+/**
+ * インデントに応じてマッピングまたはシーケンスを解析
+ * @param {Object} state - パーサーの状態
+ * @param {number} indent - ブロックのインデント
+ * @returns {*} 解析結果
+ */
+function parseBlock(state, indent) {
+	const line = peek(state);
+	const content = stripComment(line.trim());
+	if (isSequenceItem(content)) return parseSequence(state, indent);
+	if (!splitKey(content)) {
+		state.index++;
+		return parseValue(state, content, indent - 1);
+	}
+	return parseMapping(state, indent);
+}
+
+/**
+ * YAML 文字列を解析
+ * @param {string} text - YAML 文字列
+ * @returns {*} 解析結果（空の場合 null）
+ */
+function parse(text) {
+	const state = {
+		lines: text.replace(/^﻿/, '').replace(/\r\n?/g, '\n').replace(/\t/g, '  ').split('\n'),
+		index: 0,
+	};
+	const first = peek(state);
+	if (first === null) return null;
+	return parseBlock(state, indentOf(first));
+}
+
+module.exports = { parse };
@@ -0,0 +1,128 @@
+/**
+ * 最小限の ZIP リーダー
+ * 外部依存を持たないため、Yarn Berry のキャッシュ（.yarn/cache/*.zip）から
+ * パッケージの package.json を読み込むのに必要なサブセットのみを扱う
+ *
+ * 対応範囲:
+ * - セントラルディレクトリのエントリ名の列挙
+ * - 無圧縮 (stored) / deflate で格納されたエントリの読み込み
+ *
+ * ZIP64・暗号化・分割アーカイブには対応していません。
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { detectLang, createTranslator } = require('./i18n.cjs');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+/**
+ * ファイルの指定範囲を読み込む
+ * @param {number} fd - ファイルディスクリプタ
+ * @param {number} position - 開始位置
+ * @param {number} length - 読み込むバイト数
+ * @returns {Buffer} 読み込んだ内容
+ */
+function readAt(fd, position, length) {
+	const buffer = Buffer.alloc(length);
+	const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+	return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * セントラルディレクトリを読み込む
+ * @param {number} fd - ファイルディスクリプタ
+ * @param {string} zipFile - ZIP ファイルのパス（エラーメッセージ用）
+ * @param {Object} options - { t: 翻訳関数（エラーメッセージ用） }
+ * @returns {Map<string, Object>} エントリ名 -> { method, compressedSize, localOffset }
+ * @throws {Error} ZIP ファイルでない場合
+ */
+function readDirectory(fd, zipFile, options) {
+	const size = fs.fstatSync(fd).size;
+	const tailSize = Math.min(size, EOCD_SIZE + MAX_COMMENT_SIZE);
+	const tail = readAt(fd, size - tailSize, tailSize);
+
+	// 末尾のコメントの後ろから終端レコードを探す
+	let eocd = -1;
+	for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+		if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+			eocd = i;
+			break;
+		}
+	}
+	if (eocd === -1) {
+		const t = options.t || createTranslator(detectLang());
+		throw new Error(t('zip.noEndRecord', { file: zipFile }));
+	}
+
+	const directorySize = tail.readUInt32LE(eocd + 12);
+	const directoryOffset = tail.readUInt32LE(eocd + 16);
+	const directory = readAt(fd, directoryOffset, directorySize);
+
+	const entries = new Map();
+	let offset = 0;
+	while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === CENTRAL_SIGNATURE) {
+		const nameLength = directory.readUInt16LE(offset + 28);
+		const extraLength = directory.readUInt16LE(offset + 30);
+		const commentLength = directory.readUInt16LE(offset + 32);
+		const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+		entries.set(name, {
+			method: directory.readUInt16LE(offset + 10),
+			compressedSize: directory.readUInt32LE(offset + 20),
+			localOffset: directory.readUInt32LE(offset + 42),
+		});
+		offset += 46 + nameLength + extraLength + commentLength;
+	}
+	return entries;
+}
+
+/**
+ * ZIP ファイルのエントリ名を列挙
+ * @param {string} zipFile - ZIP ファイルのパス
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語） }
+ * @returns {string[]} エントリ名（格納順）
+ * @throws {Error} 読み込めない場合、ZIP ファイルでない場合
+ */
+function listEntries(zipFile, options = {}) {
+	const fd = fs.openSync(zipFile, 'r');
+	try {
+		return [...readDirectory(fd, zipFile, options).keys()];
+	} finally {
+		fs.closeSync(fd);
+	}
+}
+
+/**
+ * ZIP ファイルのエントリを読み込む
+ * @param {string} zipFile - ZIP ファイルのパス
+ * @param {string} entryName - エントリ名（例: "node_modules/lodash/package.json"）
+ * @param {Object} [options] - { t: 翻訳関数（エラーメッセージ用、デフォルト: 環境変数の言語） }
+ * @returns {Buffer|null} エントリの内容（エントリがない場合、未対応の圧縮方式の場合は null）
+ * @throws {Error} 読み込めない場合、ZIP ファイルでない場合
+ */
+function readEntry(zipFile, entryName, options = {}) {
+	const fd = fs.openSync(zipFile, 'r');
+	try {
+		const entry = readDirectory(fd, zipFile, options).get(entryName);
+		if (!entry) return null;
+
+		// ローカルヘッダーのファイル名・拡張フィールドの長さはセントラルディレクトリと異なる場合がある
+		const header = readAt(fd, entry.localOffset, 30);
+		const dataOffset = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+		const data = readAt(fd, dataOffset, entry.compressedSize);
+
+		if (entry.method === 0) return data;
+		if (entry.method === 8) return zlib.inflateRawSync(data);
+		return null;
+	} finally {
+		fs.closeSync(fd);
+	}
+}
+
+module.exports = {
+	listEntries,
+	readEntry,
+};
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createTranslator } = require('../lib/i18n.cjs');
+const { packageFromTarballUrl, listYarnCachePackages } = require('../lib/caches.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createCache = useFixtures();
+
+describe('packageFromTarballUrl', () => {
+	it('tarball の URL からパッケージ名とバージョンを取得する', () => {
+		assert.deepEqual(packageFromTarballUrl('https://registry.npmjs.org/has-flag/-/has-flag-5.0.1.tgz'), { name: 'has-flag', version: '5.0.1' });
+		assert.deepEqual(packageFromTarballUrl('https://registry.npmjs.org/@scope%2fpkg/-/pkg-1.2.3-beta.1.tgz?x=1'), { name: '@scope/pkg', version: '1.2.3-beta.1' });
+		assert.equal(packageFromTarballUrl('https://registry.npmjs.org/has-flag'), null);
+	});
+});
+
+describe('listYarnCachePackages', () => {
+	it('classic はエントリの直下のパッケージの package.json を読み、同梱された依存関係は無視する', () => {
+		const dir = createCache({
+			'npm-has-flag-5.0.1-0123456789abcdef-integrity/node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' },
+			'npm-has-flag-5.0.1-0123456789abcdef-integrity/node_modules/has-flag/node_modules/aaa/package.json': { name: 'aaa', version: '1.0.0' },
+			'npm-@scope-pkg-1.0.0-fedcba9876543210-integrity/node_modules/@scope/pkg/package.json': { name: '@scope/pkg', version: '1.0.0' },
+		});
+		const packages = listYarnCachePackages(dir).map(({ name, version, path: entryPath }) => ({ name, version, entry: path.basename(entryPath) }));
+		assert.deepEqual(
+			packages.sort((a, b) => (a.name < b.name ? -1 : 1)),
+			[
+				{ name: '@scope/pkg', version: '1.0.0', entry: 'npm-@scope-pkg-1.0.0-fedcba9876543210-integrity' },
+				{ name: 'has-flag', version: '5.0.1', entry: 'npm-has-flag-5.0.1-0123456789abcdef-integrity' },
+			],
+		);
+	});
+
+	it('Berry は zip のファイル名から取得し、スコープ付きは名前の候補をすべて返す', () => {
+		const dir = createCache({
+			'has-flag-npm-5.0.1-0123456789-abcdef.zip': '',
+			'@my-scope-pkg-npm-1.0.0-0123456789.zip': '',
+		});
+		const packages = listYarnCachePackages(dir);
+		const scoped = packages.find((pkg) => pkg.names);
+		assert.deepEqual(scoped.names, ['@my/scope-pkg', '@my-scope/pkg']);
+		assert.equal(scoped.version, '1.0.0');
+		assert.ok(packages.some((pkg) => pkg.name === 'has-flag' && pkg.version === '5.0.1'));
+	});
+
+	it('キャッシュがない場合は翻訳されたエラーを投げる', () => {
+		assert.throws(() => listYarnCachePackages('/nonexistent/yarn-cache', { t: createTranslator('en') }), /\/nonexistent\/yarn-cache/);
+	});
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTranslator } = require('../lib/i18n.cjs');
+const { parseArgs, shouldFail } = require('../lib/cli.cjs');
+
+const t = createTranslator('en');
+
+describe('parseArgs（書式）', () => {
+	it('指定しなかったオプションはデフォルト値になる', () => {
+		const { targets, options } = parseArgs(['../my-project', '--lang', 'en'], { t });
+
+		assert.deepEqual(targets, ['../my-project']);
+		assert.equal(options.format, 'json');
+		assert.equal(options.maxDepth, 5);
+		assert.equal(options.failOn, 'any');
+		assert.equal(options.quiet, false);
+		assert.equal(options.color, true);
+		assert.equal(options.output, undefined);
+	});
+
+	it('--name value / --name=value / 短縮名を同じように解析し、名前をキャメルケースにする', () => {
+		const { targets, options } = parseArgs(['a', '--output', 'report.json', '--max-depth=8', '-q', '--list=lists/vendor.csv', 'b'], { t });
+
+		assert.deepEqual(targets, ['a', 'b']);
+		assert.equal(options.output, 'report.json');
+		assert.equal(options.maxDepth, 8);
+		assert.equal(options.quiet, true);
+		assert.equal(options.list, 'lists/vendor.csv');
+		assert.equal(parseArgs(['-o', 'out.sarif'], { t }).options.output, 'out.sarif');
+	});
+
+	it('--no-xxx と --xxx=false で真偽値オプションを否定する', () => {
+		assert.equal(parseArgs(['--no-color'], { t }).options.color, false);
+		assert.equal(parseArgs(['--no-regenerate'], { t }).options.regenerate, false);
+		assert.equal(parseArgs(['--ioc-node-modules=false'], { t }).options.iocNodeModules, false);
+		assert.equal(parseArgs(['--host=true'], { t }).options.host, true);
+	});
+
+	it('-- 以降と "-" 単体は位置引数として扱う', () => {
+		const { targets, options } = parseArgs(['-', '--', '--quiet', '-o'], { t });
+		assert.deepEqual(targets, ['-', '--quiet', '-o']);
+		assert.equal(options.quiet, false);
+		assert.equal(options.output, undefined);
+	});
+});
+
+describe('parseArgs（検証）', () => {
+	it('不明なオプションはエラーにする', () => {
+		assert.throws(() => parseArgs(['--outptu', 'x'], { t }), { message: 'Unknown option: --outptu' });
+		assert.throws(() => parseArgs(['-x'], { t }), { message: 'Unknown option: -x' });
+		// 文字列オプションには --no- を付けられない
+		assert.throws(() => parseArgs(['--no-output'], { t }), { message: 'Unknown option: --no-output' });
+	});
+
+	it('値のないオプションはエラーにする', () => {
+		assert.throws(() => parseArgs(['--output'], { t }), { message: '--output requires a value' });
+	});
+
+	it('数値のオプションは 0 以上の整数のみ受け付ける', () => {
+		assert.equal(parseArgs(['--max-paths', '0'], { t }).options.maxPaths, 0);
+		['-1', '1.5', 'abc'].forEach((value) => {
+			assert.throws(() => parseArgs([`--max-depth=${value}`], { t }), { message: `--max-depth must be an integer of 0 or more: ${value}` });
+		});
+	});
+
+	it('選択肢のあるオプションは選択肢以外をエラーにする', () => {
+		assert.equal(parseArgs(['--fail-on=critical'], { t }).options.failOn, 'critical');
+		assert.throws(() => parseArgs(['--fail-on', 'medium'], { t }), { message: 'Invalid value for --fail-on: medium (critical | high | any)' });
+		assert.throws(() => parseArgs(['--lang=fr'], { t }), /Invalid value for --lang: fr/);
+	});
+
+	it('翻訳関数を渡さない場合は --lang の言語でエラーメッセージを作る', () => {
+		assert.throws(() => parseArgs(['--lang', 'ja', '--bogus']), { message: '不明なオプションです: --bogus' });
+		assert.throws(() => parseArgs(['--bogus', '--lang=en']), { message: 'Unknown option: --bogus' });
+	});
+});
+
+describe('shouldFail（--fail-on）', () => {
+	const summaries = {
+		none: { safe: true, totalIssues: 0, criticalLevel: 'none' },
+		high: { safe: false, totalIssues: 1, criticalLevel: 'high' },
+		critical: { safe: false, totalIssues: 2, criticalLevel: 'critical' },
+		// 問題はあるがリスクレベルが付いていない場合（警告のみなど）は最も低いランクとして扱う
+		unranked: { safe: false, totalIssues: 1, criticalLevel: 'none' },
+	};
+
+	it('閾値ごとに失敗とするリスクレベルが変わる', () => {
+		const expected = {
+			critical: { none: false, high: false, critical: true, unranked: false },
+			high: { none: false, high: true, critical: true, unranked: false },
+			any: { none: false, high: true, critical: true, unranked: true },
+		};
+		for (const [failOn, levels] of Object.entries(expected)) {
+			for (const [level, fail] of Object.entries(levels)) {
+				assert.equal(shouldFail(summaries[level], failOn), fail, `--fail-on=${failOn} / ${level}`);
+			}
+		}
+	});
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createTranslator } = require('../lib/i18n.cjs');
+const { loadPackageSet, diffPackageSets, diffLists } = require('../lib/diff.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createDir = useFixtures();
+
+describe('loadPackageSet', () => {
+	it('同じパッケージの記載を合算し、v プレフィックスを除いてバージョン順に並べる', () => {
+		const dir = createDir({ 'list.txt': 'evil-pkg (v1.10.0, v1.2.0)\nevil-pkg - 1.2.0, 1.9.0\nbare-pkg\n' });
+		const packages = loadPackageSet(path.join(dir, 'list.txt'));
+
+		assert.deepEqual([...packages.entries()], [
+			['evil-pkg', { versions: ['1.2.0', '1.9.0', '1.10.0'], ranges: [] }],
+			['bare-pkg', { versions: [], ranges: [] }],
+		]);
+	});
+
+	it('生成済みの compromised_packages.json の範囲も読み込む', () => {
+		const dir = createDir({
+			'compromised_packages.json': { packages: [{ name: 'evil-pkg', versions: ['1.0.0'], ranges: ['>=2.0.0 <2.1.0'] }] },
+		});
+		assert.deepEqual(loadPackageSet(path.join(dir, 'compromised_packages.json')).get('evil-pkg'), { versions: ['1.0.0'], ranges: ['>=2.0.0 <2.1.0'] });
+	});
+});
+
+describe('diffPackageSets', () => {
+	it('追加・削除されたパッケージと、バージョン・範囲が変わったパッケージを名前順に返す', () => {
+		const before = new Map([
+			['removed-pkg', { versions: ['1.0.0'], ranges: [] }],
+			['changed-pkg', { versions: ['1.0.0', '1.0.1'], ranges: ['<0.5.0'] }],
+			['same-pkg', { versions: ['2.0.0'], ranges: [] }],
+		]);
+		const after = new Map([
+			['same-pkg', { versions: ['2.0.0'], ranges: [] }],
+			['changed-pkg', { versions: ['1.0.1', '1.0.2'], ranges: ['>=3.0.0'] }],
+			['added-pkg', { versions: [], ranges: ['*'] }],
+		]);
+
+		assert.deepEqual(diffPackageSets(before, after), {
+			added: [{ name: 'added-pkg', versions: [], ranges: ['*'] }],
+			removed: [{ name: 'removed-pkg', versions: ['1.0.0'], ranges: [] }],
+			changed: [{ name: 'changed-pkg', addedVersions: ['1.0.2'], removedVersions: ['1.0.0'], addedRanges: ['>=3.0.0'], removedRanges: ['<0.5.0'] }],
+			summary: { added: 1, removed: 1, changed: 1, unchanged: 1 },
+		});
+	});
+});
+
+describe('diffLists', () => {
+	it('形式の異なるリスト同士を比較し、v プレフィックスの違いは変更にしない', () => {
+		const dir = createDir({
+			'npm_black_list_20250919.txt': 'evil-pkg (v1.0.0)\nold-pkg (v0.1.0)\n',
+			'vendor_20251128.csv': 'package_name,versions\nevil-pkg,1.0.0;1.0.1\nnew-pkg,2.0.0\n',
+		});
+		const diff = diffLists(path.join(dir, 'npm_black_list_20250919.txt'), path.join(dir, 'vendor_20251128.csv'));
+
+		assert.equal(diff.old, 'npm_black_list_20250919.txt');
+		assert.equal(diff.new, 'vendor_20251128.csv');
+		assert.deepEqual(diff.added.map((pkg) => pkg.name), ['new-pkg']);
+		assert.deepEqual(diff.removed.map((pkg) => pkg.name), ['old-pkg']);
+		assert.deepEqual(diff.changed, [{ name: 'evil-pkg', addedVersions: ['1.0.1'], removedVersions: [], addedRanges: [], removedRanges: [] }]);
+		assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 0 });
+	});
+
+	it('対応していない形式はカタログのメッセージでエラーにする', () => {
+		const dir = createDir({ 'list.txt': 'evil-pkg (v1.0.0)\n', 'list.xml': '<list />' });
+		assert.throws(() => diffLists(path.join(dir, 'list.txt'), path.join(dir, 'list.xml'), { t: createTranslator('en') }), {
+			message: 'Unsupported list format: list.xml',
+		});
+	});
+
+	it('ファイルが読めない場合はエラーにする', () => {
+		const dir = createDir({ 'list.txt': 'evil-pkg (v1.0.0)\n' });
+		assert.throws(() => diffLists(path.join(dir, 'list.txt'), path.join(dir, 'missing.txt')), { code: 'ENOENT' });
+	});
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { discoverProjects } = require('../lib/discover.cjs');
+const { createCompromisedMap, scan } = require('../lib/scanner.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createDir = useFixtures();
+
+const compromised = createCompromisedMap([{ packages: [{ name: 'has-flag', versions: ['5.0.1'] }] }]);
+
+// htdocs 配下に複数のプロジェクトを置いたディレクトリ
+const HTDOCS = {
+	'service-a/package.json': { name: 'service-a', version: '1.0.0' },
+	'service-a/node_modules/dep/package.json': { name: 'dep', version: '1.0.0' },
+	'service-a/node_modules/dep/node_modules/nested/package.json': { name: 'nested', version: '1.0.0' },
+	'monorepo/package.json': { name: 'monorepo', private: true, workspaces: ['packages/*'] },
+	'monorepo/packages/web/package.json': { name: 'web', version: '1.0.0' },
+	'legacy/node_modules/dep/package.json': { name: 'dep', version: '1.0.0' },
+	'.cache/tool/package.json': { name: 'tool', version: '1.0.0' },
+	'docs/README.md': '# not a project',
+};
+
+describe('discoverProjects', () => {
+	it('package.json または node_modules を持つディレクトリを検出し、node_modules とワークスペースのメンバーは個別に扱わない', () => {
+		const root = createDir(HTDOCS);
+		const projects = discoverProjects(root).map((dir) => path.relative(root, dir));
+
+		assert.deepEqual(projects.sort(), ['legacy', 'monorepo', 'service-a']);
+	});
+
+	it('探索の深度は --discover-depth で制限する', () => {
+		const root = createDir({
+			'package.json': { name: 'root', version: '1.0.0' },
+			'a/package.json': { name: 'a', version: '1.0.0' },
+			'a/b/c/package.json': { name: 'c', version: '1.0.0' },
+		});
+		const relative = (options) => discoverProjects(root, options).map((dir) => path.relative(root, dir));
+
+		assert.deepEqual(relative({ maxDepth: 0 }), ['']);
+		assert.deepEqual(relative({ maxDepth: 1 }), ['', 'a']);
+		assert.deepEqual(relative({ maxDepth: 2 }), ['', 'a']);
+		assert.deepEqual(relative({ maxDepth: 3 }), ['', 'a', path.join('a', 'b', 'c')]);
+		// デフォルトは 4
+		assert.deepEqual(relative(), ['', 'a', path.join('a', 'b', 'c')]);
+	});
+
+	it('存在しないディレクトリは空の配列を返す', () => {
+		assert.deepEqual(discoverProjects(path.join(createDir(), 'missing')), []);
+	});
+});
+
+describe('scan（--discover）', () => {
+	it('検出したプロジェクトごとの結果と、リスクレベル別の件数を集計したサマリーを返す', () => {
+		const root = createDir({
+			'clean/package.json': { name: 'clean', version: '1.0.0' },
+			'declared/package.json': { name: 'declared', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' } },
+			'installed/package.json': { name: 'installed', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' } },
+			'installed/node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' },
+		});
+		const report = scan({ targetDir: root, discover: true, compromised });
+
+		assert.deepEqual(
+			report.projects.map((results) => [path.basename(results.targetDirectory), results.summary.criticalLevel]).sort(),
+			[
+				['clean', 'none'],
+				['declared', 'high'],
+				['installed', 'critical'],
+			],
+		);
+		const totalIssues = report.projects.reduce((sum, results) => sum + results.summary.totalIssues, 0);
+		assert.deepEqual(report.summary, {
+			safe: false,
+			totalProjects: 3,
+			affectedProjects: 2,
+			totalIssues,
+			criticalLevel: 'critical',
+			levels: { critical: 1, high: 1, none: 1 },
+		});
+	});
+
+	it('プロジェクトが 1 つでも集計結果の形式で返す', () => {
+		const root = createDir({ 'clean/package.json': { name: 'clean', version: '1.0.0' } });
+		const report = scan({ targetDir: root, discover: true, compromised });
+
+		assert.equal(report.projects.length, 1);
+		assert.deepEqual(report.summary, { safe: true, totalProjects: 1, affectedProjects: 0, totalIssues: 0, criticalLevel: 'none', levels: { critical: 0, high: 0, none: 1 } });
+	});
+});
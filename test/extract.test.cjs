@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { extractPackages, hashInputs, isStale, buildJson } = require('../lib/extract.cjs');
+const { useFixtures, writeFiles } = require('./helpers.cjs');
+
+const createDir = useFixtures();
+
+// 同じパッケージが 2 つのリストと同じリストの 2 行に現れる入力
+const LISTS = {
+	'npm_black_list_20250919.txt': 'evil-pkg (v1.0.0)\nother-pkg (v2.0.0)\n',
+	'npm_black_list_20251128.txt': 'evil-pkg (v1.0.1, 1.0.0)\nevil-pkg - 1.0.2\n',
+	'README.md': '# not a list',
+};
+
+/**
+ * パッケージから比較する項目だけを取り出す
+ * @param {Object[]} packages - extractPackages() の packages
+ * @returns {Object[]} { name, versions, provenance: ["リスト:行 バージョン"] }
+ */
+function simplify(packages) {
+	return packages.map(({ name, versions, provenance }) => ({
+		name,
+		versions,
+		provenance: provenance.map((item) => `${item.list}:${item.line} ${item.version}`),
+	}));
+}
+
+describe('extractPackages（抽出モード）', () => {
+	it('merge は同じパッケージのバージョンを合算し、すべての出典を記録する', () => {
+		const result = extractPackages({ inputDir: createDir(LISTS), mode: 'merge' });
+
+		assert.equal(result.mode, 'merge');
+		assert.equal(result.duplicates, 2);
+		assert.deepEqual(simplify(result.packages), [
+			{
+				name: 'evil-pkg',
+				versions: ['v1.0.0', 'v1.0.1', '1.0.2'],
+				provenance: [
+					'npm_black_list_20250919.txt:1 v1.0.0',
+					'npm_black_list_20251128.txt:1 v1.0.1',
+					'npm_black_list_20251128.txt:1 1.0.0',
+					'npm_black_list_20251128.txt:2 1.0.2',
+				],
+			},
+			{ name: 'other-pkg', versions: ['v2.0.0'], provenance: ['npm_black_list_20250919.txt:2 v2.0.0'] },
+		]);
+	});
+
+	it('keep-all はすべてのエントリーをそのまま保持する', () => {
+		const result = extractPackages({ inputDir: createDir(LISTS), mode: 'keep-all' });
+
+		assert.equal(result.duplicates, 2);
+		assert.deepEqual(
+			result.packages.map(({ name, versions }) => [name, versions]),
+			[
+				['evil-pkg', ['v1.0.0']],
+				['other-pkg', ['v2.0.0']],
+				['evil-pkg', ['v1.0.1', '1.0.0']],
+				['evil-pkg', ['1.0.2']],
+			],
+		);
+	});
+
+	it('first-only は最初に現れたエントリーのみ保持する', () => {
+		const result = extractPackages({ inputDir: createDir(LISTS), mode: 'first-only' });
+
+		assert.equal(result.duplicates, 2);
+		assert.deepEqual(simplify(result.packages), [
+			{ name: 'evil-pkg', versions: ['v1.0.0'], provenance: ['npm_black_list_20250919.txt:1 v1.0.0'] },
+			{ name: 'other-pkg', versions: ['v2.0.0'], provenance: ['npm_black_list_20250919.txt:2 v2.0.0'] },
+		]);
+	});
+
+	it('モードを指定しない場合は merge', () => {
+		const result = extractPackages({ inputDir: createDir(LISTS) });
+		assert.equal(result.mode, 'merge');
+		assert.equal(result.packages.length, 2);
+	});
+
+	it('リストのヘッダーと異なるキャンペーン・初出日は出典に記録する', () => {
+		const inputDir = createDir({
+			'npm_black_list_20251128.txt': '--- campaign : Shai-Hulud v2 ---\n--- first_seen : 2025-11-24 ---\nevil-pkg (v2.0.0)\n--- campaign : Shai-Hulud v1 ---\n--- first_seen : 2025-09-16 ---\nevil-pkg (v1.0.0)\n',
+		});
+		const [pkg] = extractPackages({ inputDir }).packages;
+
+		assert.equal(pkg.campaign, 'Shai-Hulud v2');
+		assert.equal(pkg.firstSeen, '2025-11-24');
+		assert.deepEqual(pkg.provenance, [
+			{ version: 'v2.0.0', list: 'npm_black_list_20251128.txt', line: 3 },
+			{ version: 'v1.0.0', list: 'npm_black_list_20251128.txt', line: 6, campaign: 'Shai-Hulud v1', firstSeen: '2025-09-16' },
+		]);
+	});
+
+	it('読み込めないリストはファイル名付きのエラーにする', () => {
+		assert.throws(() => extractPackages({ inputDir: createDir({ 'broken.json': '[{' }) }), (error) => error.file === 'broken.json');
+	});
+});
+
+describe('hashInputs / isStale', () => {
+	/**
+	 * リストのディレクトリと、その内容から生成した compromised_packages.json を作成
+	 * @returns {{root: string, inputDir: string, listFile: string}}
+	 */
+	function createGenerated() {
+		const root = createDir({ 'blacklists/npm_black_list_20250919.txt': 'evil-pkg (v1.0.0)\n', 'blacklists/notes.md': '# notes' });
+		const inputDir = path.join(root, 'blacklists');
+		const listFile = path.join(root, 'compromised_packages.json');
+		fs.writeFileSync(listFile, JSON.stringify(buildJson(extractPackages({ inputDir }))));
+		return { root, inputDir, listFile };
+	}
+
+	it('リストが変わらなければハッシュも変わらず、生成済みのファイルは古くない', () => {
+		const { inputDir, listFile } = createGenerated();
+		const hash = hashInputs(inputDir);
+
+		assert.match(hash, /^sha256:[0-9a-f]{64}$/);
+		// 対応する形式でないファイルはハッシュに含めない
+		writeFiles(inputDir, { 'notes.md': '# edited' });
+		assert.equal(hashInputs(inputDir), hash);
+		assert.deepEqual(isStale(listFile, inputDir), { stale: false, reason: null });
+	});
+
+	it('リストの編集・追加・削除・改名で古いと判定する', () => {
+		const cases = {
+			edited: (inputDir) => writeFiles(inputDir, { 'npm_black_list_20250919.txt': 'evil-pkg (v1.0.0, v1.0.1)\n' }),
+			added: (inputDir) => writeFiles(inputDir, { 'npm_black_list_20251128.txt': 'other-pkg (v2.0.0)\n' }),
+			removed: (inputDir) => fs.rmSync(path.join(inputDir, 'npm_black_list_20250919.txt')),
+			renamed: (inputDir) => fs.renameSync(path.join(inputDir, 'npm_black_list_20250919.txt'), path.join(inputDir, 'npm_black_list_20250920.txt')),
+		};
+		Object.entries(cases).forEach(([name, change]) => {
+			const { inputDir, listFile } = createGenerated();
+			const hash = hashInputs(inputDir);
+			change(inputDir);
+			assert.notEqual(hashInputs(inputDir), hash, name);
+			assert.deepEqual(isStale(listFile, inputDir), { stale: true, reason: 'changed' }, name);
+		});
+	});
+
+	it('生成済みのファイルがない、またはハッシュが記録されていない場合は古いと判定する', () => {
+		const { root, inputDir, listFile } = createGenerated();
+		assert.deepEqual(isStale(path.join(root, 'missing.json'), inputDir), { stale: true, reason: 'missing' });
+
+		fs.writeFileSync(listFile, JSON.stringify({ metadata: {}, packages: [] }));
+		assert.deepEqual(isStale(listFile, inputDir), { stale: true, reason: 'noHash' });
+	});
+
+	it('リストのディレクトリがない場合や読めないファイルは、生成済みのファイルをそのまま使う', () => {
+		const { root, listFile } = createGenerated();
+		assert.deepEqual(isStale(listFile, path.join(root, 'missing')), { stale: false, reason: null });
+
+		fs.writeFileSync(listFile, '{');
+		assert.deepEqual(isStale(listFile, path.join(root, 'blacklists')), { stale: false, reason: null });
+	});
+});
+
+describe('extract_packages.cjs（引数）', () => {
+	it('不明なオプションは抽出せずに終了コード 2 で終了する', () => {
+		const script = path.join(__dirname, '..', 'extract_packages.cjs');
+		const result = spawnSync(process.execPath, [script, '--mode=keepall', '--lang', 'en'], { encoding: 'utf8', timeout: 30000 });
+
+		assert.equal(result.status, 2);
+		assert.match(result.stderr, /Unknown option: --mode=keepall/);
+		assert.doesNotMatch(result.stdout, /Extracting/);
+	});
+});
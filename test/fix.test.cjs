@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createCompromisedMap, scanProject } = require('../lib/scanner.cjs');
+const { detectPackageManager, chooseSafeVersion, unifiedDiff, fixProject } = require('../lib/fix.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createProject = useFixtures();
+
+const compromised = createCompromisedMap([{ packages: [{ name: 'has-flag', versions: ['5.0.1'] }] }]);
+
+/**
+ * has-flag@5.0.1（侵害）と 5.0.0・4.0.0（安全）がロックファイルにある npm のプロジェクト
+ * @param {Object} [pkgJson] - ルートの package.json に追加する内容
+ * @returns {string} プロジェクトのディレクトリ
+ */
+function createNpmProject(pkgJson = {}) {
+	const root = createProject({
+		'package-lock.json': {
+			name: 'app',
+			lockfileVersion: 3,
+			packages: {
+				'': { name: 'app', dependencies: { 'has-flag': '^5.0.0', legacy: '^1.0.0' } },
+				'node_modules/has-flag': { version: '5.0.1' },
+				'node_modules/legacy': { version: '1.0.0', dependencies: { 'has-flag': '^4.0.0', modern: '^1.0.0' } },
+				'node_modules/legacy/node_modules/has-flag': { version: '4.0.0' },
+				'node_modules/modern': { version: '1.0.0', dependencies: { 'has-flag': '5.0.0' } },
+				'node_modules/modern/node_modules/has-flag': { version: '5.0.0' },
+			},
+		},
+	});
+	// 元のインデント（タブ）を保つことを確認するため、package.json はタブで書く
+	const content = { name: 'app', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0', legacy: '^1.0.0' }, ...pkgJson };
+	fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify(content, null, '\t') + '\n');
+	return root;
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+describe('detectPackageManager', () => {
+	it('packageManager、ロックファイル、Yarn のファイルの順に判定する', () => {
+		assert.equal(detectPackageManager(createProject({ 'package.json': { packageManager: 'pnpm@9.12.0' }, 'yarn.lock': '' })), 'pnpm');
+		assert.equal(detectPackageManager(createProject({ 'package.json': {}, 'yarn.lock': '' })), 'yarn');
+		assert.equal(detectPackageManager(createProject({ 'package.json': {}, 'bun.lock': '{}' })), 'bun');
+		assert.equal(detectPackageManager(createProject({ 'package.json': {}, '.yarnrc.yml': '' })), 'yarn');
+		assert.equal(detectPackageManager(createProject({ 'package.json': {} })), 'npm');
+	});
+});
+
+describe('chooseSafeVersion', () => {
+	const candidates = new Map([
+		['4.0.0', 'lockfile'],
+		['5.0.0', 'installed'],
+		['5.0.1', 'lockfile'],
+		['5.1.0', 'blacklist'],
+	]);
+
+	it('同じメジャーバージョンの直後のバージョン（修正版）を優先する', () => {
+		const withNewer = new Map([...candidates, ['5.2.0', 'lockfile'], ['6.0.0', 'lockfile']]);
+		assert.deepEqual(chooseSafeVersion('has-flag', ['5.0.1'], withNewer, compromised), { version: '5.1.0', source: 'blacklist' });
+	});
+
+	it('直後のバージョンがない場合は直前のバージョンにダウングレードする', () => {
+		const onlyBelow = new Map([
+			['4.0.0', 'lockfile'],
+			['5.0.0', 'installed'],
+			['6.0.0', 'lockfile'],
+		]);
+		assert.deepEqual(chooseSafeVersion('has-flag', ['5.0.1'], onlyBelow, compromised), { version: '5.0.0', source: 'installed' });
+	});
+
+	it('同じメジャーバージョンに候補がない場合は他のメジャーバージョンの直後のバージョンを選ぶ', () => {
+		const otherMajors = new Map([
+			['4.0.0', 'lockfile'],
+			['6.0.0', 'lockfile'],
+		]);
+		assert.deepEqual(chooseSafeVersion('has-flag', ['5.0.1'], otherMajors, compromised), { version: '6.0.0', source: 'lockfile' });
+	});
+
+	it('侵害されていない候補がない場合は null', () => {
+		assert.equal(chooseSafeVersion('has-flag', ['5.0.1'], new Map([['5.0.1', 'lockfile']]), compromised), null);
+	});
+});
+
+describe('unifiedDiff', () => {
+	it('変更箇所を統一形式の差分で表す', () => {
+		const before = '{\n\t"name": "app",\n\t"version": "1.0.0"\n}\n';
+		const after = '{\n\t"name": "app",\n\t"version": "1.0.1"\n}\n';
+		const expected = ['--- a/package.json', '+++ b/package.json', '@@ -1,4 +1,4 @@', ' {', ' \t"name": "app",', '-\t"version": "1.0.0"', '+\t"version": "1.0.1"', ' }'];
+		assert.equal(unifiedDiff(before, after, 'package.json'), expected.join('\n'));
+		assert.equal(unifiedDiff(before, before, 'package.json'), '');
+	});
+});
+
+describe('fixProject', () => {
+	it('npm は overrides に安全なバージョンを固定し、直接依存の指定も合わせる', () => {
+		const root = createNpmProject();
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+		const before = fs.readFileSync(path.join(root, 'package.json'), 'utf8');
+
+		const plan = fixProject(results, compromised);
+		assert.equal(plan.manager, 'npm');
+		assert.equal(plan.field, 'overrides');
+		assert.deepEqual(plan.fixes, [{ package: 'has-flag', versions: ['5.0.1'], version: '5.0.0', source: 'lockfile', previous: null, directDependencies: ['dependencies'] }]);
+		assert.deepEqual(plan.unresolved, []);
+		assert.match(plan.diff, /^\+\t"overrides": \{$/m);
+		assert.equal(plan.applied, false);
+		// write を指定しない場合は書き込まない
+		assert.equal(fs.readFileSync(path.join(root, 'package.json'), 'utf8'), before);
+
+		const applied = fixProject(results, compromised, { write: true });
+		assert.equal(applied.applied, true);
+		const pkgJson = readJson(path.join(root, 'package.json'));
+		assert.deepEqual(pkgJson.overrides, { 'has-flag': '5.0.0' });
+		assert.equal(pkgJson.dependencies['has-flag'], '5.0.0');
+		assert.match(fs.readFileSync(path.join(root, 'package.json'), 'utf8'), /^\t"overrides": \{$/m);
+	});
+
+	it('npm の入れ子の overrides はパッケージ自身の "." を書き換える', () => {
+		const root = createNpmProject({ overrides: { 'has-flag': { '.': '5.0.1', 'some-dep': '1.0.0' }, other: '2.0.0' } });
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+
+		fixProject(results, compromised, { write: true });
+		assert.deepEqual(readJson(path.join(root, 'package.json')).overrides, { 'has-flag': { '.': '5.0.0', 'some-dep': '1.0.0' }, other: '2.0.0' });
+	});
+
+	it('既存の文字列の上書き設定を置き換えた場合は previous に記録する', () => {
+		const root = createNpmProject({ overrides: { 'has-flag': '5.0.1' } });
+		const plan = fixProject(scanProject(root, { compromised, iocMaxFileSize: 0 }), compromised);
+		assert.equal(plan.fixes[0].previous, '5.0.1');
+	});
+
+	it('pnpm は pnpm.overrides、yarn は resolutions に書き込む', () => {
+		const pnpmRoot = createNpmProject({ packageManager: 'pnpm@9.12.0' });
+		const pnpmPlan = fixProject(scanProject(pnpmRoot, { compromised, iocMaxFileSize: 0 }), compromised, { write: true });
+		assert.equal(pnpmPlan.field, 'pnpm.overrides');
+		assert.deepEqual(readJson(path.join(pnpmRoot, 'package.json')).pnpm, { overrides: { 'has-flag': '5.0.0' } });
+
+		const yarnRoot = createNpmProject({ packageManager: 'yarn@1.22.22' });
+		fixProject(scanProject(yarnRoot, { compromised, iocMaxFileSize: 0 }), compromised, { write: true });
+		assert.deepEqual(readJson(path.join(yarnRoot, 'package.json')).resolutions, { 'has-flag': '5.0.0' });
+	});
+
+	it('安全なバージョンが見つからない場合は修正せずに報告する', () => {
+		const root = createProject({
+			'package.json': { name: 'app', version: '1.0.0', dependencies: { 'has-flag': '5.0.1' } },
+			'node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' },
+		});
+		const before = fs.readFileSync(path.join(root, 'package.json'), 'utf8');
+
+		const plan = fixProject(scanProject(root, { compromised, iocMaxFileSize: 0 }), compromised, { write: true });
+		assert.deepEqual(plan.fixes, []);
+		assert.deepEqual(plan.unresolved, [{ package: 'has-flag', versions: ['5.0.1'] }]);
+		assert.equal(plan.diff, '');
+		assert.equal(plan.applied, false);
+		assert.equal(fs.readFileSync(path.join(root, 'package.json'), 'utf8'), before);
+	});
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { buildInventory } = require('../lib/inventory.cjs');
+const { MAX_PATHS_LIMIT, parsePackageSpec, matchesVersion, buildInstalledGraph, findDependencyPaths } = require('../lib/graph.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createProject = useFixtures();
+
+/**
+ * 依存関係の一覧からグラフを作成（キーは name@version）
+ * @param {Object} dependencies - キー -> 依存先のキーの配列
+ * @param {Object} importers - ラベル -> 直接依存しているキーの配列
+ * @returns {Object} グラフ
+ */
+function createGraph(dependencies, importers) {
+	const packages = new Map(
+		Object.entries(dependencies).map(([key, deps]) => {
+			const at = key.lastIndexOf('@');
+			return [key, { key, name: key.slice(0, at), version: key.slice(at + 1), dependencies: deps }];
+		}),
+	);
+	return { packages, importers: new Map(Object.entries(importers).map(([label, deps]) => [label, { label, dependencies: deps }])) };
+}
+
+describe('parsePackageSpec', () => {
+	it('パッケージ名とバージョン（範囲）に分解する', () => {
+		assert.deepEqual(parsePackageSpec('pkg'), { name: 'pkg', version: null });
+		assert.deepEqual(parsePackageSpec('pkg@1.2.3'), { name: 'pkg', version: '1.2.3' });
+		assert.deepEqual(parsePackageSpec('@scope/pkg'), { name: '@scope/pkg', version: null });
+		assert.deepEqual(parsePackageSpec('@scope/pkg@^1.0.0'), { name: '@scope/pkg', version: '^1.0.0' });
+		assert.deepEqual(parsePackageSpec('pkg@'), { name: 'pkg', version: null });
+	});
+});
+
+describe('matchesVersion', () => {
+	it('バージョン・範囲に一致するか判定する（指定がなければすべてに一致）', () => {
+		assert.equal(matchesVersion('1.2.3', null), true);
+		assert.equal(matchesVersion('1.2.3', 'v1.2.3'), true);
+		assert.equal(matchesVersion('1.2.3', '^1.0.0'), true);
+		assert.equal(matchesVersion('2.0.0', '^1.0.0'), false);
+	});
+});
+
+describe('findDependencyPaths', () => {
+	it('ひし形の依存関係のすべての経路を短い順に列挙する', () => {
+		const graph = createGraph(
+			{ 'a@1.0.0': ['c@1.0.0'], 'b@1.0.0': ['a@1.0.0', 'c@1.0.0'], 'c@1.0.0': [] },
+			{ app: ['a@1.0.0', 'b@1.0.0'] },
+		);
+		assert.deepEqual(findDependencyPaths(graph, 'c@1.0.0'), {
+			paths: [
+				['app', 'a@1.0.0', 'c@1.0.0'],
+				['app', 'b@1.0.0', 'c@1.0.0'],
+				['app', 'b@1.0.0', 'a@1.0.0', 'c@1.0.0'],
+			],
+			truncated: false,
+		});
+	});
+
+	it('循環は辿らない', () => {
+		const graph = createGraph({ 'x@1.0.0': ['y@1.0.0'], 'y@1.0.0': ['x@1.0.0', 'z@1.0.0'], 'z@1.0.0': [] }, { app: ['x@1.0.0'] });
+		assert.deepEqual(findDependencyPaths(graph, 'z@1.0.0').paths, [['app', 'x@1.0.0', 'y@1.0.0', 'z@1.0.0']]);
+	});
+
+	it('複数のインポーター（ワークスペース）からの経路を記録する', () => {
+		const graph = createGraph({ 'a@1.0.0': [] }, { web: ['a@1.0.0'], api: ['a@1.0.0'] });
+		assert.deepEqual(findDependencyPaths(graph, 'a@1.0.0').paths, [
+			['web', 'a@1.0.0'],
+			['api', 'a@1.0.0'],
+		]);
+	});
+
+	it('上限で打ち切った場合も最短の経路を残す', () => {
+		const graph = createGraph(
+			{ 'a@1.0.0': ['b@1.0.0'], 'b@1.0.0': ['c@1.0.0'], 'c@1.0.0': [], 'd@1.0.0': ['c@1.0.0'] },
+			{ app: ['a@1.0.0', 'd@1.0.0'] },
+		);
+		assert.deepEqual(findDependencyPaths(graph, 'c@1.0.0', { maxPaths: 1 }), { paths: [['app', 'd@1.0.0', 'c@1.0.0']], truncated: true });
+		assert.equal(findDependencyPaths(graph, 'c@1.0.0', { maxPaths: 0 }).paths.length, 2);
+	});
+
+	it('上限を指定しない場合（0）も経路の数はハードリミットで打ち切る', () => {
+		// 2 つの依存元を持つ段を 16 段重ねたグラフ（経路は 2^16 = 65536 通り）
+		const dependencies = { 'target@1.0.0': [] };
+		let below = ['target@1.0.0'];
+		for (let level = 0; level < 16; level++) {
+			const layer = [`l${level}-a@1.0.0`, `l${level}-b@1.0.0`];
+			layer.forEach((key) => (dependencies[key] = below));
+			below = layer;
+		}
+		const result = findDependencyPaths(createGraph(dependencies, { app: below }), 'target@1.0.0', { maxPaths: 0 });
+
+		assert.equal(result.paths.length, MAX_PATHS_LIMIT);
+		assert.equal(result.truncated, true);
+		assert.equal(findDependencyPaths(createGraph(dependencies, { app: below }), 'target@1.0.0', { maxPaths: 1e9 }).paths.length, MAX_PATHS_LIMIT);
+	});
+
+	it('インポーターから辿れないパッケージは経路なし', () => {
+		const graph = createGraph({ 'a@1.0.0': [], 'orphan@1.0.0': ['a@1.0.0'] }, { app: [] });
+		assert.deepEqual(findDependencyPaths(graph, 'a@1.0.0'), { paths: [], truncated: false });
+	});
+});
+
+describe('buildInstalledGraph', () => {
+	it('node_modules の依存関係を Node.js と同じ規則で解決する（devDependencies は辿らない）', () => {
+		const root = createProject({
+			'package.json': { name: 'app', version: '1.0.0', dependencies: { a: '^1.0.0', b: '^1.0.0' } },
+			'node_modules/a/package.json': { name: 'a', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' }, devDependencies: { c: '^1.0.0' } },
+			'node_modules/b/package.json': { name: 'b', version: '1.0.0', dependencies: { a: '^1.0.0', 'has-flag': '^4.0.0' } },
+			'node_modules/b/node_modules/has-flag/package.json': { name: 'has-flag', version: '4.0.0' },
+			'node_modules/c/package.json': { name: 'c', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' } },
+			'node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' },
+		});
+
+		const inventory = buildInventory(path.join(root, 'node_modules'));
+		const graph = buildInstalledGraph(inventory, [{ label: 'app', dir: root }]);
+		const pathsTo = (version) => {
+			const instance = inventory.get('has-flag').find((item) => item.version === version);
+			return findDependencyPaths(graph, graph.keys.get(instance.path)).paths;
+		};
+
+		assert.deepEqual(pathsTo('5.0.1'), [
+			['app', 'a@1.0.0', 'has-flag@5.0.1'],
+			['app', 'b@1.0.0', 'a@1.0.0', 'has-flag@5.0.1'],
+		]);
+		assert.deepEqual(pathsTo('4.0.0'), [['app', 'b@1.0.0', 'has-flag@4.0.0']]);
+	});
+});
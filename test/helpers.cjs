@@ -0,0 +1,58 @@
+/**
+ * テスト用のヘルパー
+ * 一時ディレクトリにフィクスチャのファイルを作成する
+ */
+
+const { after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 一時ディレクトリにファイルを作成
+ * @param {Object} files - 相対パス -> 内容（オブジェクトは JSON として書き込む）
+ * @returns {string} 作成したディレクトリのパス
+ */
+function createTree(files = {}) {
+	const root = fs.mkdtempSync(path.join(os.tmpdir(), 'npm-attack-detect-'));
+	writeFiles(root, files);
+	return root;
+}
+
+/**
+ * ディレクトリにファイルを書き込む
+ * @param {string} root - 書き込み先のディレクトリ
+ * @param {Object} files - 相対パス -> 内容（オブジェクトは JSON として書き込む）
+ */
+function writeFiles(root, files) {
+	for (const [relativePath, content] of Object.entries(files)) {
+		const file = path.join(root, relativePath);
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+	}
+}
+
+/**
+ * 一時ディレクトリを削除
+ * @param {string} root - 削除するディレクトリ
+ */
+function removeTree(root) {
+	fs.rmSync(root, { recursive: true, force: true });
+}
+
+/**
+ * フィクスチャのディレクトリを作成する関数を用意
+ * 作成したディレクトリは、呼び出したテストファイル（またはスイート）の終了時にすべて削除する
+ * @returns {Function} (files) => 作成したディレクトリのパス（files は createTree と同じ形式）
+ */
+function useFixtures() {
+	const roots = [];
+	after(() => roots.forEach(removeTree));
+	return (files) => {
+		const root = createTree(files);
+		roots.push(root);
+		return root;
+	};
+}
+
+module.exports = { createTree, writeFiles, removeTree, useFixtures };
@@ -0,0 +1,174 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTranslator } = require('../lib/i18n.cjs');
+const { importList, rangesFromOsv, splitRange } = require('../lib/importers.cjs');
+
+const t = createTranslator('en');
+
+/**
+ * エントリーから比較する項目だけを取り出す
+ * @param {Object[]} entries - エントリー
+ * @returns {Object[]} { name, versions, ranges, line }
+ */
+function simplify(entries) {
+	return entries.map(({ name, versions, ranges, line }) => ({ name, versions, ranges, line }));
+}
+
+describe('importList（テキスト）', () => {
+	it('ヘッダー行の情報をリストのすべてのエントリーに付与し、初出日はファイル名の日付を使う', () => {
+		const text = '--- source : https://example.com/iocs ---\n--- campaign : Shai-Hulud v2 ---\n--- severity : HIGH ---\n\n@scope/evil (v1.0.0, v1.0.1)\nevil-pkg - 2.0.0\nbare-pkg\nthis is garbage !!\n';
+		const { info, entries, unparsed } = importList('npm_black_list_20251128.txt', text);
+
+		assert.deepEqual(info, { file: 'npm_black_list_20251128.txt', source: 'https://example.com/iocs', campaign: 'Shai-Hulud v2', firstSeen: '2025-11-28', severity: 'high' });
+		assert.deepEqual(simplify(entries), [
+			{ name: '@scope/evil', versions: ['v1.0.0', 'v1.0.1'], ranges: [], line: 5 },
+			{ name: 'evil-pkg', versions: ['2.0.0'], ranges: [], line: 6 },
+			{ name: 'bare-pkg', versions: [], ranges: [], line: 7 },
+		]);
+		entries.forEach((entry) => assert.deepEqual(entry.info, info));
+		assert.deepEqual(unparsed, [{ line: 8, text: 'this is garbage !!' }]);
+	});
+
+	it('エントリーはその行より前の最も近いヘッダーのキャンペーン・初出日を引き継ぐ', () => {
+		const text = [
+			'early-pkg (v0.0.1)',
+			'--- campaign : Shai-Hulud v1 ---',
+			'--- first_seen : 2025-09-16 ---',
+			'v1-pkg (v1.0.0)',
+			'--- campaign : Shai-Hulud v2 ---',
+			'--- first_seen : 20251124 ---',
+			'v2-pkg (v2.0.0)',
+		].join('\n');
+		const { info, entries } = importList('npm_black_list_20251128.txt', text);
+
+		// リスト全体の情報は各キーの最初のヘッダー
+		assert.equal(info.campaign, 'Shai-Hulud v1');
+		assert.equal(info.firstSeen, '2025-09-16');
+		assert.deepEqual(
+			entries.map((entry) => [entry.name, entry.info.campaign, entry.info.firstSeen]),
+			[
+				['early-pkg', 'Shai-Hulud v1', '2025-09-16'],
+				['v1-pkg', 'Shai-Hulud v1', '2025-09-16'],
+				['v2-pkg', 'Shai-Hulud v2', '2025-11-24'],
+			],
+		);
+	});
+});
+
+describe('importList（CSV）', () => {
+	it('ヘッダー行の列名で列を判定し、行ごとの情報を優先する', () => {
+		const text = [
+			'severity,package_name,versions,ranges,campaign,first_seen',
+			'high,evil-pkg,1.0.0;1.0.1,,Shai-Hulud,2025-09-16T00:00:00Z',
+			'"",@scope/evil,"2.0.0, 2.0.1",">= 3.0.0, < 3.1.0",,',
+		].join('\n');
+		const { entries, unparsed } = importList('vendor_20251128.csv', text);
+
+		assert.deepEqual(simplify(entries), [
+			{ name: 'evil-pkg', versions: ['1.0.0', '1.0.1'], ranges: [], line: 2 },
+			{ name: '@scope/evil', versions: ['2.0.0', '2.0.1'], ranges: ['>=3.0.0 <3.1.0'], line: 3 },
+		]);
+		assert.deepEqual(entries[0].info, { file: 'vendor_20251128.csv', source: null, campaign: 'Shai-Hulud', firstSeen: '2025-09-16', severity: 'high' });
+		assert.deepEqual(entries[1].info, { file: 'vendor_20251128.csv', source: null, campaign: null, firstSeen: '2025-11-28', severity: 'critical' });
+		assert.deepEqual(unparsed, []);
+	});
+
+	it('ヘッダー行がない場合は 1 列目をパッケージ名、2 列目をバージョンとみなす', () => {
+		const { entries, unparsed } = importList('list.csv', '# comment\nevil-pkg,1.0.0|1.0.1\n,1.0.0\n');
+		assert.deepEqual(simplify(entries), [{ name: 'evil-pkg', versions: ['1.0.0', '1.0.1'], ranges: [], line: 2 }]);
+		assert.deepEqual(unparsed, [{ line: 3, text: ',1.0.0' }]);
+	});
+
+	it('ヘッダー行にパッケージ名の列がない場合はデータとして読み込まずにエラーにする', () => {
+		assert.throws(() => importList('list.csv', 'pkg,versions\nevil-pkg,1.0.0\n', { t }), {
+			message: 'The CSV header row (line 1) has no package name column (package_name, package, name, package name)',
+		});
+	});
+});
+
+describe('importList（JSON）', () => {
+	it('オブジェクトの配列と "pkg@version" 形式の文字列を読み込み、認識できない要素を報告する', () => {
+		const text = JSON.stringify([{ name: 'evil-pkg', versions: ['1.0.0'], range: '>= 2.0.0, < 2.1.0', campaign: 'test' }, '@scope/evil@2.0.0', 'bare-pkg', 42], null, 2);
+		const { entries, unparsed } = importList('list.json', text);
+
+		assert.deepEqual(simplify(entries), [
+			{ name: 'evil-pkg', versions: ['1.0.0'], ranges: ['>=2.0.0 <2.1.0'], line: 3 },
+			{ name: '@scope/evil', versions: ['2.0.0'], ranges: [], line: 10 },
+			{ name: 'bare-pkg', versions: [], ranges: [], line: 11 },
+		]);
+		assert.equal(entries[0].info.campaign, 'test');
+		assert.deepEqual(unparsed, [{ line: null, text: '42' }]);
+	});
+
+	it('compromised_packages.json 形式を読み込む', () => {
+		const text = JSON.stringify({ packages: [{ name: 'evil-pkg', versions: ['1.0.0'] }] });
+		assert.deepEqual(simplify(importList('compromised_packages.json', text).entries), [{ name: 'evil-pkg', versions: ['1.0.0'], ranges: [], line: 1 }]);
+	});
+
+	it('OSV レコードは npm のパッケージのみ読み込み、アドバイザリー ID をキャンペーンにする', () => {
+		const record = {
+			id: 'MAL-2025-1234',
+			published: '2025-11-24T10:00:00Z',
+			affected: [
+				{ package: { ecosystem: 'npm', name: 'evil-pkg' }, versions: ['1.0.0'], ranges: [{ type: 'SEMVER', events: [{ introduced: '2.0.0' }, { fixed: '2.0.3' }] }] },
+				{ package: { ecosystem: 'PyPI', name: 'evil-pkg' }, versions: ['1.0.0'] },
+			],
+		};
+		const { entries } = importList('osv.json', JSON.stringify(record, null, 2));
+
+		assert.deepEqual(simplify(entries), [{ name: 'evil-pkg', versions: ['1.0.0'], ranges: ['>=2.0.0 <2.0.3'], line: 8 }]);
+		assert.equal(entries[0].info.campaign, 'MAL-2025-1234');
+		assert.equal(entries[0].info.source, 'https://osv.dev/vulnerability/MAL-2025-1234');
+		assert.equal(entries[0].info.firstSeen, '2025-11-24');
+	});
+
+	it('GitHub Security Advisory の脆弱な範囲をバージョンと範囲に分ける', () => {
+		const record = {
+			ghsa_id: 'GHSA-aaaa-bbbb-cccc',
+			html_url: 'https://github.com/advisories/GHSA-aaaa-bbbb-cccc',
+			severity: 'moderate',
+			vulnerabilities: [
+				{ package: { ecosystem: 'npm', name: 'evil-pkg' }, vulnerable_version_range: '= 1.0.0' },
+				{ package: { ecosystem: 'npm', name: 'other-pkg' }, vulnerable_version_range: '>= 2.0.0, < 2.1.0' },
+				{ package: { ecosystem: 'pip', name: 'evil-pkg' }, vulnerable_version_range: '= 1.0.0' },
+			],
+		};
+		const { entries } = importList('ghsa.json', JSON.stringify(record));
+
+		assert.deepEqual(
+			entries.map(({ name, versions, ranges }) => ({ name, versions, ranges })),
+			[
+				{ name: 'evil-pkg', versions: ['1.0.0'], ranges: [] },
+				{ name: 'other-pkg', versions: [], ranges: ['>=2.0.0 <2.1.0'] },
+			],
+		);
+		assert.deepEqual(
+			[entries[0].info.campaign, entries[0].info.source, entries[0].info.severity],
+			['GHSA-aaaa-bbbb-cccc', 'https://github.com/advisories/GHSA-aaaa-bbbb-cccc', 'medium'],
+		);
+	});
+
+	it('JSON として不正な場合は SyntaxError', () => {
+		assert.throws(() => importList('list.json', '[{'), SyntaxError);
+	});
+});
+
+describe('importList（形式）', () => {
+	it('対応していない拡張子はカタログのメッセージでエラーにする', () => {
+		assert.throws(() => importList('list.xml', '<list />', { t }), { message: 'Unsupported list format: list.xml' });
+	});
+});
+
+describe('rangesFromOsv / splitRange', () => {
+	it('OSV のイベント列を npm 形式の範囲に変換する', () => {
+		const events = [{ introduced: '0' }, { fixed: '1.0.1' }, { introduced: '2.0.0' }, { last_affected: '2.0.5' }, { introduced: '3.0.0' }];
+		assert.deepEqual(rangesFromOsv([{ type: 'SEMVER', events }, { type: 'GIT', events: [{ introduced: 'abc' }] }]), ['<1.0.1', '>=2.0.0 <=2.0.5', '>=3.0.0']);
+	});
+
+	it('GitHub Security Advisory の範囲の表記を変換する', () => {
+		assert.deepEqual(splitRange('= 1.2.3'), { versions: ['1.2.3'], ranges: [] });
+		assert.deepEqual(splitRange('>= 1.0.0, < 1.2.0'), { versions: [], ranges: ['>=1.0.0 <1.2.0'] });
+		assert.deepEqual(splitRange('< 1.0.0'), { versions: [], ranges: ['<1.0.0'] });
+		assert.deepEqual(splitRange(''), { versions: [], ranges: [] });
+	});
+});
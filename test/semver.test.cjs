@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const semver = require('../lib/semver.cjs');
+
+describe('semver.parse / compare', () => {
+	it('バージョン文字列を解析する', () => {
+		assert.deepEqual(semver.parse('v1.2.3-beta.1+build'), { major: 1, minor: 2, patch: 3, prerelease: ['beta', '1'] });
+		assert.equal(semver.parse('1.2'), null);
+		assert.equal(semver.valid('1.2.3'), true);
+		assert.equal(semver.valid('latest'), false);
+	});
+
+	it('プレリリースは正式版より小さい', () => {
+		const sorted = ['1.0.0', '1.0.0-rc.1', '1.0.0-beta.11', '1.0.0-beta.2', '0.9.9'].sort(semver.compare);
+		assert.deepEqual(sorted, ['0.9.9', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0']);
+	});
+});
+
+describe('semver.satisfies', () => {
+	const cases = [
+		['1.2.3', '^1.2.0', true],
+		['2.0.0', '^1.2.0', false],
+		['0.2.5', '^0.2.3', true],
+		['0.3.0', '^0.2.3', false],
+		['0.0.4', '^0.0.3', false],
+		['1.2.9', '~1.2', true],
+		['1.3.0', '~1.2.3', false],
+		['1.9.0', '1.x', true],
+		['2.0.0', '1.x', false],
+		['1.5.0', '1.0.0 - 2.0.0', true],
+		['2.0.1', '1.0.0 - 2.0.0', false],
+		['2.9.9', '1.0.0 - 2', true],
+		['3.1.0', '>=1 <2 || 3', true],
+		['2.5.0', '>=1 <2 || 3', false],
+		['4.1.1', '*', true],
+		['4.1.1', '', true],
+		['4.1.1', '=4.1.1', true],
+		['4.1.2', '4.1.1', false],
+	];
+
+	for (const [version, range, expected] of cases) {
+		it(`${version} は "${range}" に${expected ? '含まれる' : '含まれない'}`, () => {
+			assert.equal(semver.satisfies(version, range), expected);
+		});
+	}
+
+	it('プレリリースは同じ major.minor.patch を明示した比較子にのみ一致する', () => {
+		assert.equal(semver.satisfies('1.2.4-beta.1', '^1.2.3'), false);
+		assert.equal(semver.satisfies('1.2.3-beta.2', '^1.2.3-beta.1'), true);
+		assert.equal(semver.satisfies('1.3.0-beta.1', '^1.2.3-beta.1'), false);
+	});
+
+	it('includePrerelease ではプレリリースも通常のバージョンと同じ順序で判定する', () => {
+		assert.equal(semver.satisfies('1.0.0-beta.1', '*'), false);
+		assert.equal(semver.satisfies('1.0.0-beta.1', '*', { includePrerelease: true }), true);
+		assert.equal(semver.satisfies('2.0.3-rc.1', '>=2.0.0 <2.0.3', { includePrerelease: true }), true);
+		assert.equal(semver.satisfies('2.0.3-rc.1', '<2.0.0', { includePrerelease: true }), false);
+	});
+
+	it('不正な範囲は一致しない', () => {
+		assert.equal(semver.satisfies('1.0.0', 'not a range'), false);
+	});
+});
+
+describe('semver.intersects / rangeFromSpec / matchingVersions', () => {
+	it('範囲同士の重なりを判定する', () => {
+		assert.equal(semver.intersects('^1.2.0', '>=1.0.0 <1.3.0'), true);
+		assert.equal(semver.intersects('^2.0.0', '>=1.0.0 <1.3.0'), false);
+	});
+
+	it('レジストリ以外の指定は評価しない', () => {
+		assert.equal(semver.rangeFromSpec('npm:real-pkg@^1.0.0'), '^1.0.0');
+		assert.equal(semver.rangeFromSpec('npm:@scope/real'), '*');
+		assert.equal(semver.rangeFromSpec('latest'), null);
+		assert.equal(semver.rangeFromSpec('github:user/repo'), null);
+		assert.equal(semver.rangeFromSpec('file:../local'), null);
+	});
+
+	it('宣言された範囲に含まれる侵害バージョンを抽出する', () => {
+		assert.deepEqual(semver.matchingVersions('^4.1.0', ['4.1.1', '4.1.2', '5.0.0']), ['4.1.1', '4.1.2']);
+		assert.deepEqual(semver.matchingVersions('~1.1.0', ['>=1.0.0 <1.2.0', '>=2.0.0']), ['>=1.0.0 <1.2.0']);
+		assert.equal(semver.matchingVersions('workspace:*', ['1.0.0']), null);
+	});
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { importList } = require('../lib/importers.cjs');
+const { packageNameProblem, validateLists } = require('../lib/validate.cjs');
+
+/**
+ * テキストのリストを読み込んで検証
+ * @param {Object} files - ファイル名 -> 内容
+ * @returns {Object[]} 問題
+ */
+function validate(files) {
+	return validateLists(Object.entries(files).map(([file, text]) => ({ file, ...importList(file, text) })));
+}
+
+describe('packageNameProblem', () => {
+	it('npm の命名規則に合わない名前を報告する', () => {
+		assert.equal(packageNameProblem('evil-pkg'), null);
+		assert.equal(packageNameProblem('@scope/evil-pkg'), null);
+		assert.equal(packageNameProblem('BadName'), 'uppercase');
+		assert.equal(packageNameProblem('_private'), 'leadingDotOrUnderscore');
+		assert.equal(packageNameProblem('@scope'), 'scope');
+		assert.equal(packageNameProblem('node_modules'), 'reserved');
+		assert.equal(packageNameProblem('a'.repeat(215)), 'tooLong');
+	});
+});
+
+describe('validateLists', () => {
+	it('問題のないリストは空の配列を返す', () => {
+		assert.deepEqual(validate({ 'list.txt': 'evil-pkg (v1.0.0, v1.0.1)\n@scope/evil (v2.0.0)\n' }), []);
+	});
+
+	it('不正なバージョンを行番号付きで報告する', () => {
+		const issues = validate({ 'list.txt': 'evil-pkg (v1.0.0)\nother-pkg (v.1.1.3)\n' });
+		assert.deepEqual(
+			issues.map(({ type, line, name, value }) => ({ type, line, name, value })),
+			[{ type: 'invalidVersion', line: 2, name: 'other-pkg', value: 'v.1.1.3' }],
+		);
+	});
+
+	it('バージョンなしとバージョン付きの記載の矛盾をリストをまたいで報告する', () => {
+		const issues = validate({ 'a.txt': 'evil-pkg\n', 'b.txt': 'evil-pkg (v1.0.0)\n' });
+		assert.deepEqual(
+			issues.map(({ type, list, name, value }) => ({ type, list, name, value })),
+			[{ type: 'conflictingVersions', list: 'a.txt', name: 'evil-pkg', value: 'b.txt:1' }],
+		);
+	});
+
+	it('同じリスト内の重複した記載を報告する（別のリストとの重複は報告しない）', () => {
+		const issues = validate({ 'a.txt': 'evil-pkg (v1.0.0)\nevil-pkg (v1.0.0)\nevil-pkg (v1.0.1)\n', 'b.txt': 'evil-pkg (v1.0.0)\n' });
+		assert.deepEqual(
+			issues.map(({ type, list, line, value }) => ({ type, list, line, value })),
+			[{ type: 'duplicateEntry', list: 'a.txt', line: 2, value: 'a.txt:1' }],
+		);
+	});
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('../lib/yaml.cjs');
+
+describe('yaml.parse', () => {
+	it('ブロック形式のマッピングとシーケンスを解析する', () => {
+		const doc = yaml.parse(['jobs:', '  build:', '    runs-on: ubuntu-latest', '    steps:', '      - uses: actions/checkout@v4', '      - name: test', '        run: npm test', ''].join('\n'));
+
+		assert.deepEqual(doc, {
+			jobs: {
+				build: {
+					'runs-on': 'ubuntu-latest',
+					steps: [{ uses: 'actions/checkout@v4' }, { name: 'test', run: 'npm test' }],
+				},
+			},
+		});
+	});
+
+	it('フロー形式とスカラーの型を変換する', () => {
+		const doc = yaml.parse(['on: [push, pull_request]', 'resolution: {integrity: sha512-x, tarball: "a b"}', 'n: null', 't: true', 'num: 42', 'version: 4.1.1', ''].join('\n'));
+
+		assert.deepEqual(doc, {
+			on: ['push', 'pull_request'],
+			resolution: { integrity: 'sha512-x', tarball: 'a b' },
+			n: null,
+			t: true,
+			num: 42,
+			version: '4.1.1',
+		});
+	});
+
+	it('クォート文字列とコメントを扱う', () => {
+		const doc = yaml.parse(['# コメント', "'@scope/pkg@1.0.0': {}", 'name: CI # 行末のコメント', 'q: "a # コメントではない"', "s: 'it''s'", ''].join('\n'));
+
+		assert.deepEqual(doc, { '@scope/pkg@1.0.0': {}, name: 'CI', q: 'a # コメントではない', s: "it's" });
+	});
+
+	it('ブロックスカラー（| と >）を解析する', () => {
+		const doc = yaml.parse(['literal: |', '  curl http://example.invalid | sh', '  echo done', 'folded: >', '  folded', '  text', ''].join('\n'));
+
+		assert.deepEqual(doc, { literal: 'curl http://example.invalid | sh\necho done\n', folded: 'folded text\n' });
+	});
+
+	it('空の文書は null を返す', () => {
+		assert.equal(yaml.parse(''), null);
+	});
+});
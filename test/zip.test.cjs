@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { createTranslator } = require('../lib/i18n.cjs');
+const { listEntries, readEntry } = require('../lib/zip.cjs');
+const { useFixtures } = require('./helpers.cjs');
+
+const createDir = useFixtures();
+
+/**
+ * エントリを格納した ZIP ファイルの内容を作成（CRC は検証しないため 0）
+ * @param {Array<{name: string, content: string, method: number}>} entries - method は 0（無圧縮）または 8（deflate）
+ * @returns {Buffer} ZIP ファイルの内容
+ */
+function createZip(entries) {
+	const locals = [];
+	const centrals = [];
+	let offset = 0;
+	entries.forEach(({ name, content, method }) => {
+		const nameBuffer = Buffer.from(name);
+		const raw = Buffer.from(content);
+		const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034b50, 0);
+		local.writeUInt16LE(method, 8);
+		local.writeUInt32LE(data.length, 18);
+		local.writeUInt32LE(raw.length, 22);
+		local.writeUInt16LE(nameBuffer.length, 26);
+		locals.push(local, nameBuffer, data);
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(method, 10);
+		central.writeUInt32LE(data.length, 20);
+		central.writeUInt32LE(raw.length, 24);
+		central.writeUInt16LE(nameBuffer.length, 28);
+		central.writeUInt32LE(offset, 42);
+		centrals.push(central, nameBuffer);
+
+		offset += local.length + nameBuffer.length + data.length;
+	});
+
+	const directory = Buffer.concat(centrals);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(entries.length, 8);
+	end.writeUInt16LE(entries.length, 10);
+	end.writeUInt32LE(directory.length, 12);
+	end.writeUInt32LE(offset, 16);
+	return Buffer.concat([...locals, directory, end]);
+}
+
+describe('zip', () => {
+	it('無圧縮・deflate のエントリを列挙して読み込む', () => {
+		const dir = createDir({});
+		const file = path.join(dir, 'pkg.zip');
+		fs.writeFileSync(
+			file,
+			createZip([
+				{ name: 'node_modules/pkg/package.json', content: '{"name":"pkg","version":"1.0.0"}', method: 8 },
+				{ name: 'node_modules/pkg/index.js', content: 'module.exports = 1;\n', method: 0 },
+			]),
+		);
+
+		assert.deepEqual(listEntries(file), ['node_modules/pkg/package.json', 'node_modules/pkg/index.js']);
+		assert.deepEqual(JSON.parse(readEntry(file, 'node_modules/pkg/package.json')), { name: 'pkg', version: '1.0.0' });
+		assert.equal(readEntry(file, 'node_modules/pkg/index.js').toString(), 'module.exports = 1;\n');
+		assert.equal(readEntry(file, 'node_modules/pkg/missing.js'), null);
+	});
+
+	it('ZIP ファイルでない場合はカタログのメッセージでエラーにする', () => {
+		const file = path.join(createDir({ 'broken.zip': 'not a zip file' }), 'broken.zip');
+		const t = createTranslator('en');
+		assert.throws(() => listEntries(file, { t }), { message: `ZIP end of central directory record not found: ${file}` });
+		assert.throws(() => readEntry(file, 'package.json', { t }), { message: `ZIP end of central directory record not found: ${file}` });
+	});
+});